@@ -4,6 +4,9 @@ import http from "node:http";
 import app from "./src/app.js";
 
 import { mongoConnect } from "./src/services/mongo.js";
+import { startReservationSweeper } from "./src/services/stockReservationService.js";
+import { startWebhookRetrier } from "./src/services/webhookEventService.js";
+import { startReconciliationWorker } from "./src/services/reconciliationService.js";
 import logger from "./src/config/logger.js";
 
 const PORT = env.PORT || 5000;
@@ -13,6 +16,9 @@ const PORT = env.PORT || 5000;
  *
  * - Connects to MongoDB
  * - Optionally loads initial data
+ * - Starts releasing expired checkout stock reservations
+ * - Starts retrying payment webhook events that failed to process
+ * - Starts reconciling pending transactions whose webhook never arrived
  * - Starts listening on configured port
  */
 async function startServer() {
@@ -22,6 +28,10 @@ async function startServer() {
     // TODO: Load initial data if needed
     // await loadInitialData();
 
+    startReservationSweeper();
+    startWebhookRetrier();
+    startReconciliationWorker();
+
     const server = http.createServer(app);
     server.listen(PORT, () => {
       console.log(`Server running at http://localhost:${PORT}`);
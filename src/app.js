@@ -14,12 +14,15 @@ import { rateLimiters, routeLimiters } from "./config/rateLimiter.js";
 
 import adminRoutes from "./routes/admin.routes.js";
 import authRoutes from "./routes/auth.routes.js";
+import cartRoutes from "./routes/cart.routes.js";
 import favoritesRoutes from "./routes/favorites.routes.js";
 import orderRoutes from "./routes/orders.routes.js";
 import paymentRoutes from "./routes/payment.routes.js";
 import productRoutes from "./routes/products.routes.js";
 import newsletterRoutes from "./routes/newsletter.routes.js";
 import contactRoutes from "./routes/contact.routes.js";
+import shippingRoutes from "./routes/shipping.routes.js";
+import walletRoutes from "./routes/wallet.routes.js";
 
 import { errorHandler } from "./middleware/index.js";
 
@@ -35,10 +38,13 @@ app.use(morgan("dev"));
 app.use(cookieParser());
 
 // IMPORTANT: Webhook route needs raw body BEFORE JSON parsing
-// Apply raw body parser specifically for Paystack webhook route
+// Apply raw body parser specifically for the payment webhook routes
 // This must come before express.json() to preserve the original body bytes
 app.use(
-  `${API_PREFIX}/payment/webhook/paystack`,
+  [
+    `${API_PREFIX}/payment/webhook/paystack`,
+    `${API_PREFIX}/payment/webhook/mock`,
+  ],
   express.raw({ type: "application/json" })
 );
 
@@ -55,6 +61,7 @@ app.get("/", (req, res) => {
 // Rate limiters are applied per-route or per-route-group as needed
 app.use(`${API_PREFIX}/admin`, routeLimiters.admin, adminRoutes);
 app.use(`${API_PREFIX}/auth`, authRoutes);
+app.use(`${API_PREFIX}/cart`, rateLimiters.general, cartRoutes);
 app.use(`${API_PREFIX}/favorites`, rateLimiters.general, favoritesRoutes);
 app.use(`${API_PREFIX}/orders`, routeLimiters.order, orderRoutes);
 
@@ -62,6 +69,8 @@ app.use(`${API_PREFIX}/payment`, paymentRoutes);
 app.use(`${API_PREFIX}/products`, routeLimiters.products, productRoutes);
 app.use(`${API_PREFIX}/newsletter`, routeLimiters.newsletter, newsletterRoutes);
 app.use(`${API_PREFIX}/contact`, routeLimiters.contact, contactRoutes);
+app.use(`${API_PREFIX}/shipping`, rateLimiters.general, shippingRoutes);
+app.use(`${API_PREFIX}/wallet`, rateLimiters.general, walletRoutes);
 
 app.use(errorHandler);
 
@@ -22,6 +22,8 @@ const baseSchema = {
   JWT_EXPIRES_IN: num(),
   ACCESS_TOKEN_EXPIRES_IN: num({ default: 900 }), // 15 minutes
   REFRESH_TOKEN_EXPIRES_IN: num({ default: 604800 }), // 7 days
+  GUEST_CART_EXPIRES_IN: num({ default: 2592000 }), // 30 days
+  STOCK_RESERVATION_EXPIRES_IN: num({ default: 1800 }), // 30 minutes
   GOOGLE_CLIENT_ID: str(),
   GOOGLE_CLIENT_SECRET: str(),
   GOOGLE_CALLBACK_URL: url(),
@@ -36,6 +38,15 @@ const baseSchema = {
   MAILCHIMP_LIST_ID: str(),
   PAYSTACK_SECRET_KEY: str(),
   PAYSTACK_CALLBACK_URL: url(),
+
+  // Payment gateway: "mock" simulates payments locally (offline development and CI)
+  PAYMENT_GATEWAY: str({ choices: ["paystack", "mock"], default: "paystack" }),
+  // How mock checkouts settle: "manual" waits for the mock checkout page
+  MOCK_PAYMENT_OUTCOME: str({
+    choices: ["manual", "success", "failed", "abandoned"],
+    default: "manual",
+  }),
+  MOCK_PAYMENT_SECRET: str({ default: "mock-webhook-secret" }),
   CLOUDINARY_CLOUD_NAME: str(),
   CLOUDINARY_API_KEY: str(),
   CLOUDINARY_API_SECRET: str(),
@@ -54,6 +65,8 @@ const baseSchema = {
 
 const fullSchema = {
   ...baseSchema,
+  // Real money only outside development and test
+  PAYMENT_GATEWAY: str({ choices: ["paystack"], default: "paystack" }),
   LOGTAIL_TOKEN: str(),
   LOGTAIL_INGESTING_HOST: str(),
 };
@@ -1,6 +1,7 @@
 import swaggerJSDoc from "swagger-jsdoc";
 import path from "path";
 import { fileURLToPath } from "url";
+import { READY_MADE_SIZES } from "../constants/productSizes.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,11 +30,11 @@ const options = {
       schemas: {
         CartItem: {
           type: "object",
-          required: ["productId", "quantity"],
+          required: ["product", "quantity", "size"],
           properties: {
-            productId: {
+            product: {
               type: "string",
-              format: "uuid",
+              format: "objectId",
               description: "MongoDB ObjectId referencing the Product",
             },
             quantity: {
@@ -41,10 +42,77 @@ const options = {
               minimum: 1,
               description: "Number of units of the product",
             },
+            size: {
+              type: "string",
+              enum: ["XS", "S", "M", "L", "XL", "XXL", "CUSTOM"],
+              description: "Selected size",
+            },
+            customSize: {
+              type: "object",
+              description:
+                "Custom measurements (waist, hip, length, ...). Required when size is CUSTOM",
+            },
           },
           example: {
-            productId: "64e3f9c2a1b2c3d4e5f6a7b8",
+            product: "64e3f9c2a1b2c3d4e5f6a7b8",
             quantity: 2,
+            size: "M",
+          },
+        },
+        Cart: {
+          type: "object",
+          properties: {
+            _id: {
+              type: "string",
+              format: "objectId",
+              nullable: true,
+            },
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string", format: "objectId" },
+                  product: {
+                    type: "object",
+                    properties: {
+                      _id: { type: "string" },
+                      name: { type: "string" },
+                      slug: { type: "string" },
+                      images: { type: "array", items: { type: "object" } },
+                    },
+                  },
+                  quantity: { type: "integer" },
+                  size: { type: "string" },
+                  customSize: { type: "object" },
+                  unitPrice: {
+                    type: "number",
+                    nullable: true,
+                    description: "Current product price",
+                  },
+                  lineTotal: { type: "number" },
+                  availableStock: {
+                    type: "integer",
+                    nullable: true,
+                    description:
+                      "Units available in the line's size (null for CUSTOM lines, which use tailoring capacity)",
+                  },
+                  isAvailable: {
+                    type: "boolean",
+                    description: "Whether the product can still be purchased",
+                  },
+                  hasSufficientStock: { type: "boolean" },
+                },
+              },
+            },
+            itemCount: { type: "integer" },
+            subtotal: { type: "number" },
+            isCheckoutReady: {
+              type: "boolean",
+              description:
+                "True when the cart is non-empty and every line is available in the requested quantity",
+            },
+            updatedAt: { type: "string", format: "date-time", nullable: true },
           },
         },
         Product: {
@@ -66,7 +134,42 @@ const options = {
             price: {
               type: "number",
               format: "float",
-              description: "Price of the product",
+              description:
+                "Price of the product. Storefront responses return the price charged right now (the sale price while a sale runs)",
+            },
+            regularPrice: {
+              type: "number",
+              readOnly: true,
+              description:
+                "Stored price before any sale (storefront responses)",
+            },
+            compareAtPrice: {
+              type: "number",
+              nullable: true,
+              description:
+                '"Was" price to strike through. Storefront responses fall back to the regular price during a sale',
+            },
+            salePrice: {
+              type: "number",
+              nullable: true,
+              description: "Price charged between saleStartsAt and saleEndsAt",
+            },
+            saleStartsAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the sale starts (null = immediately)",
+            },
+            saleEndsAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the sale ends (null = until removed)",
+            },
+            isOnSale: {
+              type: "boolean",
+              readOnly: true,
+              description: "Whether the sale price currently applies",
             },
             images: {
               type: "array",
@@ -84,6 +187,28 @@ const options = {
               type: "integer",
               description: "Available stock quantity",
             },
+            sizeStock: {
+              type: "object",
+              nullable: true,
+              description:
+                "Available stock per ready-made size (null when every size sells from `stock`). `stock` is the sum of the sizes. CUSTOM pieces are made to measure and use tailoring capacity instead.",
+              properties: Object.fromEntries(
+                READY_MADE_SIZES.map(size => [size, { type: "integer" }])
+              ),
+              example: { XS: 0, S: 2, M: 0, L: 5, XL: 1, XXL: 0 },
+            },
+            averageRating: {
+              type: "number",
+              readOnly: true,
+              description:
+                "Average of approved review ratings, 1 decimal (0 with no reviews)",
+              example: 4.6,
+            },
+            reviewCount: {
+              type: "integer",
+              readOnly: true,
+              description: "Number of approved reviews",
+            },
             createdAt: {
               type: "string",
               format: "date-time",
@@ -96,6 +221,698 @@ const options = {
             },
           },
         },
+        ShippingZone: {
+          type: "object",
+          required: ["name", "region", "baseFee"],
+          properties: {
+            name: { type: "string", example: "Accra Metro" },
+            region: {
+              type: "string",
+              description: "Ghana region covered by the zone",
+              example: "Greater Accra",
+            },
+            cities: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                "Cities covered (case-insensitive). Empty covers the whole region",
+              example: ["accra", "tema"],
+            },
+            rateType: {
+              type: "string",
+              enum: ["flat", "per_item"],
+              default: "flat",
+            },
+            baseFee: {
+              type: "number",
+              minimum: 0,
+              description: "Fee per order in GHS",
+              example: 40,
+            },
+            perItemFee: {
+              type: "number",
+              minimum: 0,
+              description: "Extra fee per item in GHS (per_item zones)",
+            },
+            freeShippingThreshold: {
+              type: "number",
+              minimum: 0,
+              nullable: true,
+              description: "Order subtotal in GHS from which delivery is free",
+            },
+            isActive: { type: "boolean", default: true },
+          },
+        },
+        Coupon: {
+          type: "object",
+          required: ["code", "type"],
+          properties: {
+            code: { type: "string", example: "EASTER20" },
+            description: { type: "string" },
+            type: {
+              type: "string",
+              enum: ["percentage", "fixed", "free_express"],
+            },
+            value: {
+              type: "number",
+              description:
+                "Percent off (percentage) or GHS off (fixed); not used for free_express",
+              example: 20,
+            },
+            maxDiscount: {
+              type: "number",
+              nullable: true,
+              description: "Cap in GHS on a percentage discount",
+            },
+            minSpend: {
+              type: "number",
+              description: "Minimum order subtotal in GHS",
+            },
+            categories: {
+              type: "array",
+              items: { type: "string" },
+              description: "Limit the discount to these categories",
+            },
+            products: {
+              type: "array",
+              items: { type: "string" },
+              description: "Limit the discount to these product IDs",
+            },
+            startsAt: { type: "string", format: "date-time", nullable: true },
+            endsAt: { type: "string", format: "date-time", nullable: true },
+            usageLimit: {
+              type: "integer",
+              nullable: true,
+              description: "Total uses allowed",
+            },
+            perUserLimit: {
+              type: "integer",
+              nullable: true,
+              description: "Uses allowed per customer",
+            },
+            usageCount: {
+              type: "integer",
+              readOnly: true,
+              description: "Paid orders that used the coupon",
+            },
+            isActive: { type: "boolean", default: true },
+          },
+        },
+        GiftCard: {
+          type: "object",
+          properties: {
+            code: { type: "string", example: "GIFT-7KQ2-M9XD-PT4H" },
+            initialBalance: {
+              type: "number",
+              description: "Value the card was issued with, in GHS",
+            },
+            balance: {
+              type: "number",
+              description: "Value left to spend, in GHS",
+            },
+            issuedTo: {
+              type: "string",
+              nullable: true,
+              description: "Customer the card was issued to",
+            },
+            recipientEmail: { type: "string", nullable: true },
+            note: { type: "string" },
+            expiresAt: { type: "string", format: "date-time", nullable: true },
+            isActive: { type: "boolean", default: true },
+            issuedBy: { type: "string", nullable: true },
+          },
+        },
+        Wallet: {
+          type: "object",
+          properties: {
+            balance: {
+              type: "number",
+              description: "Store credit available in GHS",
+            },
+            currency: { type: "string", example: "GHS" },
+            entries: {
+              type: "array",
+              description: "Most recent credits and debits, newest first",
+              items: {
+                type: "object",
+                properties: {
+                  type: { type: "string", enum: ["credit", "debit"] },
+                  amount: { type: "number", description: "GHS" },
+                  balanceAfter: { type: "number", description: "GHS" },
+                  reason: {
+                    type: "string",
+                    enum: [
+                      "issue",
+                      "checkout",
+                      "checkout_release",
+                      "cancellation",
+                    ],
+                  },
+                  reference: {
+                    type: "string",
+                    nullable: true,
+                    description: "Checkout transaction reference",
+                  },
+                  note: { type: "string" },
+                  createdAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+          },
+        },
+        ExpressSettings: {
+          type: "object",
+          properties: {
+            isEnabled: {
+              type: "boolean",
+              description: "Whether shoppers can opt in to express service",
+            },
+            defaultRatePerItem: {
+              type: "number",
+              minimum: 0,
+              description: "Fee per item in GHS for categories without a rate",
+              example: 150,
+            },
+            categoryRates: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  category: { type: "string", example: "dresses" },
+                  ratePerItem: { type: "number", minimum: 0, example: 120 },
+                },
+              },
+            },
+            maxFeePerOrder: {
+              type: "number",
+              minimum: 0,
+              nullable: true,
+              description: "Cap on the express fee of one order in GHS",
+            },
+            blackoutPeriods: {
+              type: "array",
+              description: "Windows when express cannot be ordered",
+              items: {
+                type: "object",
+                properties: {
+                  label: { type: "string", example: "Christmas" },
+                  startsAt: { type: "string", format: "date-time" },
+                  endsAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+          },
+        },
+        SavedAddress: {
+          type: "object",
+          required: [
+            "fullName",
+            "email",
+            "phone",
+            "deliveryAddress",
+            "region",
+            "city",
+          ],
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            label: {
+              type: "string",
+              enum: ["home", "work", "other"],
+              default: "home",
+            },
+            fullName: { type: "string" },
+            email: { type: "string", format: "email" },
+            phone: { type: "string" },
+            deliveryAddress: { type: "string" },
+            region: { type: "string", example: "Greater Accra" },
+            city: { type: "string", example: "Accra" },
+            deliveryNotes: { type: "string" },
+            isDefault: {
+              type: "boolean",
+              description: "The address checkout forms start from",
+            },
+            createdAt: { type: "string", format: "date-time", readOnly: true },
+            updatedAt: { type: "string", format: "date-time", readOnly: true },
+          },
+        },
+        MeasurementProfile: {
+          type: "object",
+          required: ["name", "measurements"],
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            name: { type: "string", maxLength: 50, example: "Mum" },
+            unit: { type: "string", enum: ["cm", "in"], default: "cm" },
+            measurements: {
+              type: "object",
+              required: ["waist", "hip", "length"],
+              properties: {
+                bust: { type: "number", example: 92 },
+                waist: { type: "number", example: 74 },
+                hip: { type: "number", example: 100 },
+                length: { type: "number", example: 120 },
+                shoulder: { type: "number" },
+                sleeve: { type: "number" },
+                height: { type: "number" },
+              },
+            },
+            notes: { type: "string", maxLength: 500 },
+            createdAt: { type: "string", format: "date-time", readOnly: true },
+            updatedAt: { type: "string", format: "date-time", readOnly: true },
+          },
+        },
+        FavoriteItem: {
+          type: "object",
+          description:
+            "Product on a wishlist, at its current price and available stock",
+          properties: {
+            productId: { type: "string", format: "objectId" },
+            name: { type: "string" },
+            price: { type: "number" },
+            compareAtPrice: { type: "number", nullable: true },
+            isOnSale: { type: "boolean" },
+            images: { type: "array", items: { type: "string" } },
+            stock: { type: "integer" },
+            slug: { type: "string" },
+          },
+        },
+        Wishlist: {
+          type: "object",
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            name: { type: "string", maxLength: 50, example: "Wedding guest" },
+            isPrimary: {
+              type: "boolean",
+              description:
+                "The list favorites toggles use when no list is given",
+            },
+            itemCount: { type: "integer" },
+            shareToken: {
+              type: "string",
+              nullable: true,
+              description:
+                "Token for the public read-only link (null while private)",
+            },
+            createdAt: { type: "string", format: "date-time", readOnly: true },
+            updatedAt: { type: "string", format: "date-time", readOnly: true },
+          },
+        },
+        Review: {
+          type: "object",
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            product: { type: "string", format: "objectId" },
+            user: {
+              type: "object",
+              description:
+                "Reviewer (only displayName on storefront responses)",
+              properties: {
+                _id: { type: "string" },
+                displayName: { type: "string" },
+              },
+            },
+            rating: { type: "integer", minimum: 1, maximum: 5, example: 5 },
+            title: { type: "string", maxLength: 120 },
+            body: { type: "string", maxLength: 2000 },
+            photos: {
+              type: "array",
+              maxItems: 3,
+              items: {
+                type: "object",
+                properties: {
+                  url: { type: "string", format: "uri" },
+                  publicId: { type: "string" },
+                },
+              },
+            },
+            verifiedPurchase: {
+              type: "boolean",
+              description:
+                "Reviewer received the product in an arrived order (every review is checked on submission)",
+            },
+            status: {
+              type: "string",
+              enum: ["pending", "approved", "rejected"],
+              description: "Admin-only; storefront lists approved reviews",
+            },
+            moderationNote: { type: "string", description: "Admin-only" },
+            createdAt: { type: "string", format: "date-time", readOnly: true },
+          },
+        },
+        AdminTransaction: {
+          type: "object",
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            reference: { type: "string" },
+            user: {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                displayName: { type: "string" },
+                email: { type: "string" },
+              },
+            },
+            status: {
+              type: "string",
+              enum: ["pending", "success", "failed", "abandoned", "refunded"],
+            },
+            gateway: { type: "string", enum: ["paystack", "mock"] },
+            amount: { type: "number", description: "GHS", example: 250 },
+            currency: { type: "string", example: "GHS" },
+            order: {
+              type: "object",
+              nullable: true,
+              properties: {
+                _id: { type: "string" },
+                status: { type: "string" },
+                totalPrice: { type: "number" },
+              },
+            },
+            orderError: { type: "string", nullable: true },
+            refunds: {
+              type: "array",
+              description: "Amounts in GHS",
+              items: { type: "object" },
+            },
+            orderData: {
+              type: "object",
+              description: "Checkout data (single transaction only)",
+            },
+            paystackResponse: {
+              type: "object",
+              description:
+                "Raw payload the gateway last returned (single transaction only)",
+            },
+            reconciledAt: { type: "string", format: "date-time" },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
+        CustomerTransaction: {
+          type: "object",
+          description: "A checkout payment as its customer sees it",
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            reference: { type: "string" },
+            status: {
+              type: "string",
+              enum: ["pending", "success", "failed", "abandoned", "refunded"],
+            },
+            amount: {
+              type: "number",
+              description: "Amount charged by the gateway in GHS",
+              example: 250,
+            },
+            currency: { type: "string", example: "GHS" },
+            order: {
+              type: "object",
+              nullable: true,
+              description: "Order the payment became, null if it never did",
+              properties: {
+                _id: { type: "string" },
+                status: { type: "string" },
+                totalPrice: { type: "number" },
+                createdAt: { type: "string", format: "date-time" },
+              },
+            },
+            refunds: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string" },
+                  amount: { type: "number", description: "GHS" },
+                  status: {
+                    type: "string",
+                    enum: ["pending", "processed", "failed"],
+                  },
+                  reason: { type: "string" },
+                  processedAt: { type: "string", format: "date-time" },
+                  createdAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            payment: {
+              type: "object",
+              nullable: true,
+              description:
+                "What the gateway reported, null until it has reported",
+              properties: {
+                status: { type: "string", example: "success" },
+                message: { type: "string", example: "Approved" },
+                channel: { type: "string", example: "card" },
+                currency: { type: "string" },
+                paidAt: { type: "string", format: "date-time" },
+                card: {
+                  type: "object",
+                  nullable: true,
+                  properties: {
+                    brand: { type: "string", example: "visa" },
+                    bank: { type: "string" },
+                    last4: { type: "string", example: "4081" },
+                    expMonth: { type: "string" },
+                    expYear: { type: "string" },
+                  },
+                },
+              },
+            },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
+        ReconciliationReport: {
+          type: "object",
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            trigger: { type: "string", enum: ["scheduled", "manual"] },
+            triggeredBy: {
+              type: "object",
+              description: "Admin who started a manual run",
+              properties: {
+                _id: { type: "string" },
+                displayName: { type: "string" },
+                email: { type: "string" },
+              },
+            },
+            startedAt: { type: "string", format: "date-time" },
+            finishedAt: { type: "string", format: "date-time" },
+            checked: { type: "integer" },
+            counts: {
+              type: "object",
+              properties: {
+                converted: { type: "integer" },
+                refunded: { type: "integer" },
+                failed: { type: "integer" },
+                abandoned: { type: "integer" },
+                pending: { type: "integer" },
+                error: { type: "integer" },
+              },
+            },
+            items: {
+              type: "array",
+              description: "Only on a single report",
+              items: {
+                type: "object",
+                properties: {
+                  transaction: { type: "string", format: "objectId" },
+                  reference: { type: "string" },
+                  previousStatus: {
+                    type: "string",
+                    enum: ["pending", "abandoned"],
+                  },
+                  gatewayStatus: {
+                    type: "string",
+                    description: "Status the gateway reported",
+                  },
+                  outcome: {
+                    type: "string",
+                    enum: [
+                      "converted",
+                      "refunded",
+                      "failed",
+                      "abandoned",
+                      "pending",
+                      "error",
+                    ],
+                    description:
+                      "pending and error are checked again on the next run",
+                  },
+                  error: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        WebhookEvent: {
+          type: "object",
+          description:
+            "A payment gateway webhook as received. Lists leave out rawBody.",
+          properties: {
+            _id: { type: "string", format: "objectId", readOnly: true },
+            gateway: { type: "string", enum: ["paystack", "mock"] },
+            event: { type: "string", example: "charge.success" },
+            eventId: {
+              type: "string",
+              description: "Gateway's id for the event, used to drop repeats",
+            },
+            reference: {
+              type: "string",
+              description: "Transaction reference the event is about",
+            },
+            rawBody: { type: "string", description: "Body exactly as sent" },
+            signature: { type: "string" },
+            signatureValid: { type: "boolean" },
+            status: {
+              type: "string",
+              enum: [
+                "pending",
+                "processing",
+                "processed",
+                "failed",
+                "rejected",
+              ],
+              description:
+                "rejected: bad signature, never processed. failed: gave up after retries or unreadable body",
+            },
+            attempts: { type: "integer" },
+            nextAttemptAt: { type: "string", format: "date-time" },
+            lastError: { type: "string" },
+            processedAt: { type: "string", format: "date-time" },
+            replayedBy: {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                displayName: { type: "string" },
+                email: { type: "string" },
+              },
+            },
+            replayedAt: { type: "string", format: "date-time" },
+            createdAt: { type: "string", format: "date-time", readOnly: true },
+          },
+        },
+        TailoringSettings: {
+          type: "object",
+          properties: {
+            weeklySlots: {
+              type: "integer",
+              minimum: 0,
+              description:
+                "Made-to-measure (CUSTOM size) pieces that can be made per week",
+              example: 10,
+            },
+            leadTimeWeeks: {
+              type: "integer",
+              minimum: 0,
+              description:
+                "Weeks before a new order can start production (0 = the current week)",
+              example: 1,
+            },
+            bookingHorizonWeeks: {
+              type: "integer",
+              minimum: 1,
+              description:
+                "How many weeks ahead checkout looks for a free slot",
+              example: 8,
+            },
+            waitlistEnabled: {
+              type: "boolean",
+              description:
+                "Accept orders onto a waitlist when every week is full instead of refusing checkout",
+            },
+          },
+        },
+        TailoringWeek: {
+          type: "object",
+          properties: {
+            weekStart: {
+              type: "string",
+              format: "date-time",
+              description: "Monday 00:00 UTC of the production week",
+            },
+            estimatedReadyDate: {
+              type: "string",
+              format: "date-time",
+              description:
+                "When pieces made that week are expected to be ready",
+            },
+            slotsBooked: { type: "integer", minimum: 0 },
+            slotsLeft: { type: "integer", minimum: 0 },
+          },
+        },
+        TailoringQuote: {
+          type: "object",
+          description:
+            "When the made-to-measure pieces of a checkout can be made",
+          properties: {
+            required: {
+              type: "boolean",
+              description: "Whether the checkout has any CUSTOM size lines",
+            },
+            slots: {
+              type: "integer",
+              description:
+                "Tailoring slots needed (one per made-to-measure piece)",
+            },
+            available: {
+              type: "boolean",
+              description: "Whether a week within the booking horizon has room",
+            },
+            waitlisted: {
+              type: "boolean",
+              description:
+                "True when no week has room but the order will be accepted onto the waitlist",
+            },
+            reason: { type: "string", nullable: true },
+            weekStart: { type: "string", format: "date-time", nullable: true },
+            estimatedReadyDate: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+            },
+          },
+        },
+        Refund: {
+          type: "object",
+          properties: {
+            _id: { type: "string", format: "objectId" },
+            refundId: {
+              type: "string",
+              description: "Paystack refund id",
+            },
+            amount: {
+              type: "integer",
+              description: "Refunded amount in pesewas",
+            },
+            status: {
+              type: "string",
+              enum: ["pending", "processed", "failed"],
+            },
+            reason: { type: "string" },
+            items: {
+              type: "array",
+              description: "Order lines covered by a partial refund",
+              items: {
+                type: "object",
+                properties: {
+                  product: { type: "string", format: "objectId" },
+                  size: { type: "string" },
+                  quantity: { type: "integer", minimum: 1 },
+                },
+              },
+            },
+            restocked: {
+              type: "boolean",
+              description: "Whether the refunded items were returned to stock",
+            },
+            initiatedBy: {
+              type: "string",
+              format: "objectId",
+              nullable: true,
+              description: "Admin who issued the refund (null if automatic)",
+            },
+            processedAt: { type: "string", format: "date-time" },
+            failureReason: { type: "string", nullable: true },
+          },
+        },
         Order: {
           type: "object",
           required: ["user", "items", "status"],
@@ -129,6 +946,21 @@ const options = {
                     format: "float",
                     description: "Price of the product at time of order",
                   },
+                  size: { type: "string" },
+                  customSize: {
+                    type: "object",
+                    description:
+                      "Measurements the CUSTOM size piece is made to",
+                  },
+                  measurementProfile: {
+                    type: "object",
+                    description:
+                      "Saved measurement profile customSize was copied from",
+                    properties: {
+                      profile: { type: "string", format: "objectId" },
+                      name: { type: "string" },
+                    },
+                  },
                 },
               },
             },
@@ -148,9 +980,90 @@ const options = {
                 "picked_up",
                 "in_transit",
                 "arrived",
+                "cancelled",
               ],
               description: "Current status of the order",
             },
+            statusHistory: {
+              type: "array",
+              description:
+                "Timeline of status changes (admin views only; customers get `timeline` without the acting user)",
+              items: {
+                type: "object",
+                properties: {
+                  status: { type: "string" },
+                  changedAt: { type: "string", format: "date-time" },
+                  changedBy: {
+                    type: "string",
+                    format: "objectId",
+                    nullable: true,
+                    description: "User who made the change (null for system)",
+                  },
+                  note: { type: "string" },
+                },
+              },
+            },
+            shippingFee: {
+              type: "number",
+              minimum: 0,
+              description: "Delivery fee in GHS from the shipping zone",
+            },
+            discount: {
+              type: "object",
+              nullable: true,
+              description: "Coupon applied at checkout",
+              properties: {
+                code: { type: "string" },
+                type: {
+                  type: "string",
+                  enum: ["percentage", "fixed", "free_express"],
+                },
+                amount: {
+                  type: "number",
+                  description: "Discount in GHS taken off totalPrice",
+                },
+              },
+            },
+            tailoring: {
+              type: "object",
+              nullable: true,
+              description:
+                "Tailoring schedule booking for made-to-measure pieces (null if the order has none)",
+              properties: {
+                slots: { type: "integer", minimum: 1 },
+                weekStart: {
+                  type: "string",
+                  format: "date-time",
+                  nullable: true,
+                },
+                estimatedReadyDate: {
+                  type: "string",
+                  format: "date-time",
+                  nullable: true,
+                },
+                waitlisted: {
+                  type: "boolean",
+                  description:
+                    "Every week was full and the order is waiting for capacity",
+                },
+              },
+            },
+            cancelledAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the customer cancelled the order",
+            },
+            paymentStatus: {
+              type: "string",
+              enum: ["paid", "partially_refunded", "refunded", "pending"],
+              description: "Payment status of the order",
+            },
+            refunds: {
+              type: "array",
+              description: "Refunds issued against the order's payment",
+              items: { $ref: "#/components/schemas/Refund" },
+            },
             createdAt: {
               type: "string",
               format: "date-time",
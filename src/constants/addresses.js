@@ -0,0 +1,7 @@
+/**
+ * Labels a saved address can carry in the address book
+ */
+export const ADDRESS_LABELS = ["home", "work", "other"];
+
+// Addresses a customer can keep in their address book
+export const MAX_SAVED_ADDRESSES = 10;
@@ -0,0 +1,7 @@
+/**
+ * Kinds of discount a coupon can grant.
+ * - percentage: `value`% off the eligible items
+ * - fixed: `value` GHS off the eligible items
+ * - free_express: waives the express service fee
+ */
+export const COUPON_TYPES = ["percentage", "fixed", "free_express"];
@@ -1,4 +1,4 @@
-import { formatCurrency } from "../utils/formatters.js";
+import { formatCurrency, formatDate } from "../utils/formatters.js";
 
 /**
  * Determines if an order is singular (1 item with quantity 1) or plural
@@ -9,6 +9,21 @@ function isSingularOrder(order) {
   return order.items.length === 1 && order.items[0].quantity === 1;
 }
 
+/**
+ * Describes when an order's made-to-measure pieces will be ready, until production ends
+ * @param {Object} order - Order object
+ * @returns {string} Paragraph for the status email (empty when there is nothing to say)
+ */
+function getTailoringNote(order) {
+  if (!order.tailoring || !["accepted", "processing"].includes(order.status)) {
+    return "";
+  }
+  if (order.tailoring.waitlisted) {
+    return "\nOur tailoring schedule is fully booked right now, so your made-to-measure pieces are on our waitlist. We'll be in touch as soon as they're scheduled.\n";
+  }
+  return `\nEstimated ready date for your made-to-measure pieces: ${formatDate(order.tailoring.estimatedReadyDate)}\n`;
+}
+
 export const PASSWORD_RESET_EMAIL = url => `
 Hey Gorgeous,
 
@@ -71,11 +86,12 @@ Phone: ${order.shippingInfo.phone}
 ${itemLabel}:
 ${itemsList}
 
-Total: ${formatCurrency(order.totalPrice)}
+Delivery Fee: ${formatCurrency(order.shippingFee || 0)}
+${order.discount ? `Discount (${order.discount.code}): -${formatCurrency(order.discount.amount)}\n` : ""}Total: ${formatCurrency(order.totalPrice)}
 Payment Reference: ${order.paymentReference}
 
 Shipping Address:
-${order.shippingInfo.deliveryAddress}
+${order.shippingInfo.deliveryAddress}${order.shippingInfo.city ? `\n${order.shippingInfo.city}, ${order.shippingInfo.region}` : ""}
 ${order.shippingInfo.deliveryNotes ? `\nDelivery Notes: ${order.shippingInfo.deliveryNotes}` : ""}
 
 Current Status: ${order.status}
@@ -86,6 +102,43 @@ Manage this order: ${adminOrderUrl}
 This is an automated notification from the Misqabbi order system.`;
 };
 
+/**
+ * Admin notification email when a customer cancels an order
+ * @param {Object} order - Order object
+ * @param {string} adminOrderUrl - Computed admin order URL
+ * @param {Object|null} refund - Refund entry, or null if the refund could not be started
+ */
+export const ADMIN_ORDER_CANCELLED_EMAIL = (order, adminOrderUrl, refund) => {
+  const itemsList = order.items
+    .map(item => `  - ${item.product.name} (Qty: ${item.quantity})`)
+    .join("\n");
+
+  const refundLine = refund
+    ? `Refund: ${formatCurrency(refund.amount / 100)} requested from Paystack (ID: ${refund.refundId || "N/A"})`
+    : "Refund: FAILED to start automatically. Please refund this order manually.";
+
+  return `Order Cancelled
+
+A customer has cancelled their order before production started. The items have been returned to stock.
+
+Order Details:
+Order ID: ${order._id}
+Customer: ${order.shippingInfo.fullName}
+Email: ${order.shippingInfo.email}
+Payment Reference: ${order.paymentReference}
+
+Items:
+${itemsList}
+
+Total: ${formatCurrency(order.totalPrice)}
+${refundLine}
+
+View this order: ${adminOrderUrl}
+
+---
+This is an automated notification from the Misqabbi order system.`;
+};
+
 /**
  * Customer order status update email
  * @param {Object} order - Order object
@@ -138,6 +191,11 @@ export const CUSTOMER_ORDER_STATUS_EMAIL = (order, viewOrderUrl) => {
         ? "Wonderful news! Your order has arrived at its destination. Your beautiful Misqabbi piece is ready for you. We hope you love it as much as we loved creating it for you!"
         : "Wonderful news! Your order has arrived at its destination. Your beautiful Misqabbi pieces are ready for you. We hope you love them as much as we loved creating them for you!",
     },
+    cancelled: {
+      title: "Your Order Has Been Cancelled",
+      message:
+        "As requested, we've cancelled your order before production started. A refund to your original payment method is on its way, and it can take a few business days to reflect depending on your bank or mobile money provider. We hope to create something beautiful for you soon!",
+    },
   };
 
   const statusInfo = statusMessages[order.status] || {
@@ -161,7 +219,7 @@ ${itemLabel}:
 ${itemsSummary}
 
 Total: ${formatCurrency(order.totalPrice)}
-
+${getTailoringNote(order)}
 View your order details: ${viewOrderUrl}
 
 We're here for you every step of the way. If you have any questions or need assistance, please don't hesitate to reach out.
@@ -169,3 +227,96 @@ We're here for you every step of the way. If you have any questions or need assi
 With love and support,
 Your Girlies at Misqabbi 💕`;
 };
+
+/**
+ * Customer email about a refund of their payment
+ * @param {Object} refund - Refund entry (amount in pesewas)
+ * @param {string} reference - Paystack payment reference
+ * @param {string} viewUrl - Link to the order or the customer's orders page
+ */
+export const CUSTOMER_REFUND_EMAIL = (refund, reference, viewUrl) => {
+  const amount = formatCurrency(refund.amount / 100);
+
+  const statusMessages = {
+    pending: {
+      title: "Your Refund Is On Its Way 💕",
+      message: refund.initiatedBy
+        ? `We've started a refund of ${amount} to your original payment method. Depending on your bank or mobile money provider, it can take a few business days to reflect.`
+        : `We're so sorry — we weren't able to complete your order, so we've started a refund of ${amount} to your original payment method. Depending on your bank or mobile money provider, it can take a few business days to reflect.`,
+    },
+    processed: {
+      title: "Your Refund Has Been Processed ✨",
+      message: `Your refund of ${amount} has been processed and sent back to your original payment method. Depending on your bank or mobile money provider, it can take a few business days to reflect.`,
+    },
+  };
+
+  const statusInfo = statusMessages[refund.status] || statusMessages.pending;
+
+  return `${statusInfo.title}
+
+${statusInfo.message}
+
+Refund Summary:
+Payment Reference: ${reference}
+Amount: ${amount}${refund.reason ? `\nReason: ${refund.reason}` : ""}
+
+View your orders: ${viewUrl}
+
+If you have any questions, just reply to this email — we're always happy to help.
+
+With love and support,
+Your Girlies at Misqabbi 💕`;
+};
+
+/**
+ * Admin notification email when Paystack reports a refund as failed
+ * @param {Object} refund - Refund entry (amount in pesewas)
+ * @param {string} reference - Paystack payment reference
+ */
+export const ADMIN_REFUND_FAILED_EMAIL = (refund, reference) => `Refund Failed
+
+Paystack could not process a refund. Please follow up with the customer and retry the refund from the Paystack dashboard.
+
+Payment Reference: ${reference}
+Refund ID: ${refund.refundId || "N/A"}
+Amount: ${formatCurrency(refund.amount / 100)}
+Reason: ${refund.reason || "N/A"}
+Failure: ${refund.failureReason || "Unknown"}
+`;
+
+/**
+ * Back-in-stock email for shoppers who asked to be notified about a sold-out product
+ * @param {Object} product - Product that is available again ({ name, price })
+ * @param {string} productUrl - Link to the product page
+ * @param {string} unsubscribeUrl - Link that cancels this alert
+ */
+export const BACK_IN_STOCK_EMAIL = (
+  product,
+  productUrl,
+  unsubscribeUrl
+) => `It's Back! 💕
+
+Good news — ${product.name} is back in stock. Pieces that sell out once tend to go quickly again, so grab yours while you can.
+
+${product.name} - ${formatCurrency(product.price)}
+Shop now: ${productUrl}
+
+With love and support,
+Your Girlies at Misqabbi 💕
+
+---
+You're receiving this because you asked us to let you know when this piece was back. This was a one-time alert.
+Don't want these emails? Unsubscribe: ${unsubscribeUrl}`;
+
+export const STOCK_ALERT_CONFIRM_EMAIL = (
+  product,
+  confirmUrl
+) => `Confirm Your Back-in-Stock Alert 💕
+
+Someone asked us to email this address when ${product.name} is back in stock. If that was you, confirm here:
+${confirmUrl}
+
+If it wasn't, just ignore this email and you won't hear from us about it.
+
+With love and support,
+Your Girlies at Misqabbi 💕`;
@@ -0,0 +1,21 @@
+/**
+ * Units a measurement profile can be recorded in
+ */
+export const MEASUREMENT_UNITS = ["cm", "in"];
+
+/**
+ * Body measurements tailors work from. waist, hip and length are needed for
+ * every made-to-measure piece; the rest are optional.
+ */
+export const REQUIRED_MEASUREMENTS = ["waist", "hip", "length"];
+
+export const MEASUREMENT_FIELDS = [
+  "bust",
+  ...REQUIRED_MEASUREMENTS,
+  "shoulder",
+  "sleeve",
+  "height",
+];
+
+// Named profiles a customer can keep (e.g. "Me", "Mum")
+export const MAX_MEASUREMENT_PROFILES = 10;
@@ -0,0 +1,43 @@
+/**
+ * Order lifecycle, in the order an order moves through it
+ */
+export const ORDER_LIFECYCLE = [
+  "accepted",
+  "processing",
+  "ready",
+  "enroute_pickup",
+  "picked_up",
+  "in_transit",
+  "arrived",
+];
+
+/**
+ * Every status an order can have. `cancelled` is outside the lifecycle:
+ * it is only reachable through customer cancellation (POST /orders/:id/cancel).
+ */
+export const ORDER_STATUSES = [...ORDER_LIFECYCLE, "cancelled"];
+
+/**
+ * Allowed status transitions: each status may only move to the next step
+ * of the lifecycle. `arrived` and `cancelled` are final.
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  accepted: ["processing", "cancelled"],
+  processing: ["ready"],
+  ready: ["enroute_pickup"],
+  enroute_pickup: ["picked_up"],
+  picked_up: ["in_transit"],
+  in_transit: ["arrived"],
+  arrived: [],
+  cancelled: [],
+};
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+export function canTransitionOrderStatus(from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+}
@@ -0,0 +1,5 @@
+/**
+ * Payment gateways a transaction can go through (see services/paymentGateway.js).
+ * "mock" simulates payments locally and is never enabled in production.
+ */
+export const PAYMENT_GATEWAYS = ["paystack", "mock"];
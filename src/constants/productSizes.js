@@ -0,0 +1,13 @@
+/**
+ * Sizes a product can be ordered in.
+ * CUSTOM is made to measure from the shopper's own measurements: it isn't taken
+ * from stock but from the weekly tailoring capacity (see tailoringSettings).
+ */
+export const PRODUCT_SIZES = ["XS", "S", "M", "L", "XL", "XXL", "CUSTOM"];
+
+export const CUSTOM_SIZE = "CUSTOM";
+
+// Sizes sold from stock
+export const READY_MADE_SIZES = PRODUCT_SIZES.filter(
+  size => size !== CUSTOM_SIZE
+);
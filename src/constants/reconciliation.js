@@ -0,0 +1,29 @@
+/**
+ * What reconciliation did with a stuck transaction
+ * - converted: the gateway says it was paid; the order was created
+ * - refunded: paid, but the order couldn't be created so the payment was refunded
+ * - failed: the gateway says the payment failed
+ * - abandoned: never paid and too old to wait for
+ * - pending: the gateway has no final answer yet; checked again next run
+ * - error: the gateway couldn't be asked; checked again next run
+ */
+export const RECONCILIATION_OUTCOMES = [
+  "converted",
+  "refunded",
+  "failed",
+  "abandoned",
+  "pending",
+  "error",
+];
+
+// How reconciliation runs are started
+export const RECONCILIATION_TRIGGERS = ["scheduled", "manual"];
+
+// Transactions younger than this are left alone: the shopper may still be paying
+export const RECONCILE_AFTER_MS = 30 * 60 * 1000; // 30 minutes
+
+// Transactions the gateway still can't settle after this long are abandoned
+export const ABANDON_AFTER_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Transactions checked per run, so one run never hammers the gateway
+export const RECONCILIATION_BATCH_SIZE = 50;
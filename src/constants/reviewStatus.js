@@ -0,0 +1,8 @@
+/**
+ * Moderation states of a product review. New reviews wait in the admin queue
+ * as `pending`; only `approved` reviews are shown and counted in ratings.
+ */
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// Photos a customer can attach to one review
+export const MAX_REVIEW_PHOTOS = 3;
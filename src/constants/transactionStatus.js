@@ -0,0 +1,15 @@
+/**
+ * Every status a payment transaction can have
+ * - pending: checkout started, waiting for the gateway
+ * - success: paid (an order was created, or the payment was refunded because none could be)
+ * - failed: the gateway declined the payment
+ * - abandoned: never paid; its stock hold expired or reconciliation gave up on it
+ * - refunded: paid and refunded in full
+ */
+export const TRANSACTION_STATUSES = [
+  "pending",
+  "success",
+  "failed",
+  "abandoned",
+  "refunded",
+];
@@ -0,0 +1,26 @@
+/**
+ * Processing states of a received webhook event
+ * - pending: waiting to be processed (first attempt or a retry)
+ * - processing: being applied right now
+ * - processed: applied (or an event type the store doesn't act on)
+ * - failed: gave up after MAX_WEBHOOK_ATTEMPTS, or the payload was unusable; can be replayed
+ * - rejected: bad signature, never processed
+ */
+export const WEBHOOK_EVENT_STATUSES = [
+  "pending",
+  "processing",
+  "processed",
+  "failed",
+  "rejected",
+];
+
+// Attempts before an event is marked failed and left for an admin to replay
+export const MAX_WEBHOOK_ATTEMPTS = 5;
+
+// Wait before each retry (1 min, 5 min, 15 min, 1 hour)
+export const WEBHOOK_RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  15 * 60 * 1000,
+  60 * 60 * 1000,
+];
@@ -0,0 +1,5 @@
+// Name of the list every customer starts with; favorites toggles default to it
+export const PRIMARY_WISHLIST_NAME = "Favorites";
+
+// Named lists a customer can keep, the primary list included
+export const MAX_WISHLISTS = 20;
@@ -0,0 +1,167 @@
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} from "../models/address.model.js";
+import { MAX_SAVED_ADDRESSES } from "../constants/addresses.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Lists the authenticated user's saved addresses, default first.
+ * @async
+ * @function getMyAddresses
+ * @route GET /auth/me/addresses
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the addresses
+ */
+export async function getMyAddresses(req, res) {
+  try {
+    const addresses = await getAddresses(req.user._id);
+    res.status(200).json(formatResponse({ data: addresses || [] }));
+  } catch (error) {
+    logger.error(
+      `[addresses.controller] Failed to fetch addresses for user ${req.user._id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load addresses",
+      })
+    );
+  }
+}
+
+/**
+ * Saves a new address to the authenticated user's address book.
+ * @async
+ * @function createMyAddress
+ * @route POST /auth/me/addresses
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the created address
+ */
+export async function createMyAddress(req, res) {
+  try {
+    const addresses = (await getAddresses(req.user._id)) || [];
+    if (addresses.length >= MAX_SAVED_ADDRESSES) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `You can save up to ${MAX_SAVED_ADDRESSES} addresses`,
+        })
+      );
+    }
+
+    const address = await addAddress(req.user._id, req.body);
+    res.status(201).json(
+      formatResponse({
+        message: "Address saved",
+        data: address,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[addresses.controller] Failed to save address for user ${req.user._id}: ${error.message}`
+    );
+    res.status(400).json(
+      formatResponse({
+        success: false,
+        error: "Failed to save address",
+      })
+    );
+  }
+}
+
+/**
+ * Updates one of the authenticated user's saved addresses.
+ * Orders already placed keep the address they were shipped to.
+ * @async
+ * @function updateMyAddress
+ * @route PATCH /auth/me/addresses/:addressId
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated address
+ */
+export async function updateMyAddress(req, res) {
+  const { addressId } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(addressId)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid address id" }));
+    }
+
+    const address = await updateAddress(req.user._id, addressId, req.body);
+    if (!address) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Address not found" }));
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "Address updated",
+        data: address,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[addresses.controller] Failed to update address ${addressId}: ${error.message}`
+    );
+    res.status(400).json(
+      formatResponse({
+        success: false,
+        error: "Failed to update address",
+      })
+    );
+  }
+}
+
+/**
+ * Removes an address from the authenticated user's address book.
+ * @async
+ * @function deleteMyAddress
+ * @route DELETE /auth/me/addresses/:addressId
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response confirming the deletion
+ */
+export async function deleteMyAddress(req, res) {
+  const { addressId } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(addressId)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid address id" }));
+    }
+
+    const deleted = await deleteAddress(req.user._id, addressId);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Address not found" }));
+    }
+
+    res.status(200).json(formatResponse({ message: "Address deleted" }));
+  } catch (error) {
+    logger.error(
+      `[addresses.controller] Failed to delete address ${addressId}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to delete address",
+      })
+    );
+  }
+}
@@ -0,0 +1,353 @@
+import logger from "../config/logger.js";
+
+import {
+  findMatchingCartItem,
+  getCartByUser,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  annotateCartItems,
+} from "../models/cart.model.js";
+import { getPurchasableProducts } from "../models/product.model.js";
+import { withAvailableStock } from "../models/stockReservation.model.js";
+import {
+  GUEST_CART_COOKIE,
+  generateGuestCartId,
+  isValidGuestCartId,
+  getGuestCart,
+  addGuestCartItem,
+  updateGuestCartItem,
+  removeGuestCartItem,
+  clearGuestCart,
+} from "../services/guestCartService.js";
+
+import { formatResponse } from "../utils/responseFormatter.js";
+import { isMadeToMeasure, getSizeAvailability } from "../utils/productStock.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+import { getGuestCartCookieOptions } from "../utils/getCookieOptions.js";
+
+/**
+ * Resolves where the current request's cart lives.
+ * - Authenticated users get their persistent Cart document
+ * - Anonymous shoppers get a Redis-backed guest cart keyed by the guest cart cookie
+ *
+ * Both stores expose the same operations and return carts of the same shape,
+ * so handlers don't need to care which one they are working with.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} createGuestCart - Issue a guest cart cookie if the shopper has none
+ * @returns {Object} Cart store with get/add/update/remove/clear operations
+ */
+function resolveCartStore(req, res, createGuestCart = false) {
+  if (req.user) {
+    const userId = req.user._id;
+    return {
+      get: () => getCartByUser(userId),
+      add: item => addCartItem(userId, item),
+      update: (itemId, updates) => updateCartItem(userId, itemId, updates),
+      remove: itemId => removeCartItem(userId, itemId),
+      clear: () => clearCart(userId),
+    };
+  }
+
+  let guestId = req.cookies?.[GUEST_CART_COOKIE];
+  if (!isValidGuestCartId(guestId)) {
+    guestId = null;
+    if (createGuestCart) {
+      guestId = generateGuestCartId();
+      res.cookie(GUEST_CART_COOKIE, guestId, getGuestCartCookieOptions());
+    }
+  }
+
+  if (!guestId) {
+    // No guest cart yet: reads see an empty cart, removals find nothing
+    return {
+      get: async () => null,
+      remove: async () => null,
+      clear: async () => null,
+    };
+  }
+
+  return {
+    get: () => getGuestCart(guestId),
+    add: item => addGuestCartItem(guestId, item),
+    update: (itemId, updates) => updateGuestCartItem(guestId, itemId, updates),
+    remove: itemId => removeGuestCartItem(guestId, itemId),
+    clear: () => clearGuestCart(guestId),
+  };
+}
+
+/**
+ * Builds the cart payload returned by every cart endpoint:
+ * the stored lines annotated with live price/stock plus totals.
+ * @param {Object|null} cart - Cart document or guest cart (null when there is no cart yet)
+ * @returns {Promise<Object>} Cart response data
+ */
+async function buildCartResponse(cart) {
+  const summary = await annotateCartItems(cart?.items || []);
+  return {
+    _id: cart?._id || null,
+    ...summary,
+    updatedAt: cart?.updatedAt || null,
+  };
+}
+
+/**
+ * @route   GET /cart
+ * @desc    Retrieve the shopper's cart (user or guest) with live prices and stock
+ * @access  Public
+ */
+async function handleGetCart(req, res) {
+  try {
+    const cart = await resolveCartStore(req, res).get();
+    res.status(200).json(
+      formatResponse({
+        message: "Cart retrieved successfully",
+        data: await buildCartResponse(cart),
+      })
+    );
+  } catch (error) {
+    logger.error(`[handleGetCart] Error getting user cart: ${error.message}`);
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to retrieve cart",
+      })
+    );
+  }
+}
+
+/**
+ * @route   POST /cart/items
+ * @desc    Add a product to the cart (merges with an existing line of the same size)
+ * @access  Public
+ */
+async function handleAddToCart(req, res) {
+  const { product: productId, quantity, size, customSize } = req.body;
+
+  try {
+    const [product] = await withAvailableStock(
+      await getPurchasableProducts([productId])
+    );
+    if (!product) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Product is unavailable",
+        })
+      );
+    }
+
+    const cartStore = resolveCartStore(req, res, true);
+    const cart = await cartStore.get();
+    const existing = cart
+      ? findMatchingCartItem(cart.items, { product: productId, size })
+      : null;
+    const requestedQuantity = quantity + (existing?.quantity || 0);
+    const available = getSizeAvailability(product, size);
+
+    // Made-to-measure pieces use tailoring capacity, checked at checkout
+    if (!isMadeToMeasure(size) && available < requestedQuantity) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `${product.name} (${size}): Insufficient stock. Available: ${available}, Requested: ${requestedQuantity}`,
+        })
+      );
+    }
+
+    const updatedCart = await cartStore.add({
+      product: productId,
+      quantity,
+      size,
+      customSize,
+    });
+
+    res.status(200).json(
+      formatResponse({
+        message: "Item added to cart",
+        data: await buildCartResponse(updatedCart),
+      })
+    );
+  } catch (error) {
+    logger.error(`[handleAddToCart] Failed to add item: ${error.message}`);
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to add item to cart",
+      })
+    );
+  }
+}
+
+/**
+ * @route   PATCH /cart/items/:itemId
+ * @desc    Update quantity, size or customSize of a cart line
+ * @access  Public
+ */
+async function handleUpdateCartItem(req, res) {
+  const { itemId } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(itemId)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid cart item id" })
+        );
+    }
+
+    const cartStore = resolveCartStore(req, res);
+    const cart = await cartStore.get();
+    const item = cart?.items.find(line => line._id.toString() === itemId);
+    if (!item) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Cart item not found" }));
+    }
+
+    const nextSize = req.body.size ?? item.size;
+    const nextQuantity = req.body.quantity ?? item.quantity;
+
+    if (req.body.customSize && nextSize !== "CUSTOM") {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "customSize can only be set on CUSTOM size items",
+        })
+      );
+    }
+
+    const [product] = await withAvailableStock(
+      await getPurchasableProducts([item.product])
+    );
+    if (!product) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Product is no longer available",
+        })
+      );
+    }
+
+    // A size change may fold this line into another one, so check the combined quantity
+    const duplicate = findMatchingCartItem(
+      cart.items,
+      { product: item.product, size: nextSize },
+      item._id
+    );
+    const requestedQuantity = nextQuantity + (duplicate?.quantity || 0);
+    const available = getSizeAvailability(product, nextSize);
+
+    if (!isMadeToMeasure(nextSize) && available < requestedQuantity) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `${product.name} (${nextSize}): Insufficient stock. Available: ${available}, Requested: ${requestedQuantity}`,
+        })
+      );
+    }
+
+    const updatedCart = await cartStore.update(itemId, req.body);
+    if (!updatedCart) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Cart item not found" }));
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "Cart item updated",
+        data: await buildCartResponse(updatedCart),
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleUpdateCartItem] Failed to update cart item ${itemId}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to update cart item",
+      })
+    );
+  }
+}
+
+/**
+ * @route   DELETE /cart/items/:itemId
+ * @desc    Remove a single line from the cart
+ * @access  Public
+ */
+async function handleRemoveCartItem(req, res) {
+  const { itemId } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(itemId)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid cart item id" })
+        );
+    }
+
+    const updatedCart = await resolveCartStore(req, res).remove(itemId);
+    if (!updatedCart) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Cart item not found" }));
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "Item removed from cart",
+        data: await buildCartResponse(updatedCart),
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleRemoveCartItem] Failed to remove cart item ${itemId}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to remove item from cart",
+      })
+    );
+  }
+}
+
+/**
+ * @route   DELETE /cart
+ * @desc    Remove every line from the cart
+ * @access  Public
+ */
+async function handleClearCart(req, res) {
+  try {
+    const cart = await resolveCartStore(req, res).clear();
+    res.status(200).json(
+      formatResponse({
+        message: "Cart cleared",
+        data: await buildCartResponse(cart),
+      })
+    );
+  } catch (error) {
+    logger.error(`[handleClearCart] Failed to clear cart: ${error.message}`);
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to clear cart",
+      })
+    );
+  }
+}
+
+export {
+  handleGetCart,
+  handleAddToCart,
+  handleUpdateCartItem,
+  handleRemoveCartItem,
+  handleClearCart,
+};
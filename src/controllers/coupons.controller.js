@@ -0,0 +1,198 @@
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../models/coupon.model.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Builds the error response for a failed coupon write.
+ * Duplicate codes map to 409, anything else to 400.
+ * @param {Error} error - Error thrown by the model
+ * @param {string} fallback - Message for non-duplicate errors
+ * @returns {{status: number, body: Object}}
+ */
+function couponWriteError(error, fallback) {
+  if (error.code === 11000) {
+    return {
+      status: 409,
+      body: formatResponse({
+        success: false,
+        error: "A coupon with this code already exists",
+      }),
+    };
+  }
+  return {
+    status: 400,
+    body: formatResponse({ success: false, error: fallback }),
+  };
+}
+
+/**
+ * Lists every coupon with its usage count (admin only).
+ * @async
+ * @function getCouponsAdmin
+ * @route GET /admin/coupons
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with all coupons
+ */
+export async function getCouponsAdmin(req, res) {
+  try {
+    const coupons = await getCoupons();
+    res.status(200).json(formatResponse({ data: coupons }));
+  } catch (error) {
+    logger.error(
+      `[coupons.controller] Failed to fetch coupons: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load coupons",
+      })
+    );
+  }
+}
+
+/**
+ * Creates a coupon (admin only).
+ * @async
+ * @function createCouponAdmin
+ * @route POST /admin/coupons
+ * @access Admin
+ * @param {Request} req - Express request object with coupon data in body
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the created coupon or error
+ */
+export async function createCouponAdmin(req, res) {
+  try {
+    const coupon = await createCoupon(req.body);
+    res.status(201).json(
+      formatResponse({
+        message: "Coupon created successfully",
+        data: coupon,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[coupons.controller] Error creating coupon: ${error.message}`
+    );
+    const { status, body } = couponWriteError(error, "Invalid coupon data");
+    res.status(status).json(body);
+  }
+}
+
+/**
+ * Updates a coupon by ID (admin only).
+ * The discount value is checked against the coupon's type after the update is
+ * applied, since either may be changed on its own.
+ * @async
+ * @function updateCouponAdmin
+ * @route PATCH /admin/coupons/:id
+ * @access Admin
+ * @param {Request} req - Express request object with path param: id and updates in body
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated coupon or error
+ */
+export async function updateCouponAdmin(req, res) {
+  try {
+    const { id } = req.params;
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid coupon id" }));
+    }
+
+    const existing = await getCouponById(id);
+    if (!existing) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Coupon not found" }));
+    }
+
+    const updates = { ...req.body };
+    const type = updates.type ?? existing.type;
+    if (type === "free_express") {
+      updates.value = 0;
+    } else {
+      const value = updates.value ?? existing.value;
+      if (!(value > 0) || (type === "percentage" && value > 100)) {
+        return res.status(400).json(
+          formatResponse({
+            success: false,
+            error:
+              type === "percentage"
+                ? "Percentage coupons need a value greater than 0 and at most 100"
+                : "Fixed coupons need a value greater than 0",
+          })
+        );
+      }
+    }
+
+    const coupon = await updateCoupon(id, updates);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Coupon not found" }));
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "Coupon updated successfully",
+        data: coupon,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[coupons.controller] Error updating coupon ${req.params.id}: ${error.message}`
+    );
+    const { status, body } = couponWriteError(error, "Coupon update failed");
+    res.status(status).json(body);
+  }
+}
+
+/**
+ * Deletes a coupon by ID (admin only). Orders keep the code and amount they
+ * were discounted by.
+ * @async
+ * @function deleteCouponAdmin
+ * @route DELETE /admin/coupons/:id
+ * @access Admin
+ * @param {Request} req - Express request object with path param: id
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends 204 status or error response
+ */
+export async function deleteCouponAdmin(req, res) {
+  try {
+    const { id } = req.params;
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid coupon id" }));
+    }
+
+    const deleted = await deleteCoupon(id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Coupon not found" }));
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    logger.error(
+      `[coupons.controller] Error deleting coupon ${req.params.id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to delete coupon",
+      })
+    );
+  }
+}
@@ -6,13 +6,74 @@ import {
   removeFromFavorites,
   toggleFavorite,
   isFavorited,
+  getWishlists,
+  getWishlist,
+  createWishlist,
+  renameWishlist,
+  deleteWishlist,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
 } from "../models/favorites.model.js";
+import { MAX_WISHLISTS } from "../constants/wishlists.js";
 
 import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+// Share tokens are 24 random bytes, hex encoded
+const SHARE_TOKEN_REGEX = /^[a-f0-9]{48}$/;
+
+/**
+ * Reads the wishlist a favorites request targets. Requests without one use
+ * the primary list.
+ * @param {string|undefined} value - List ID from the query string or body
+ * @returns {string|null|false} List ID, null for the primary list, false if malformed
+ */
+function parseListId(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return OBJECTID_REGEX.test(value) ? value : false;
+}
+
+function sendInvalidListId(res) {
+  return res.status(400).json(
+    formatResponse({
+      success: false,
+      message: "Invalid list id",
+    })
+  );
+}
+
+function sendWishlistNotFound(res) {
+  return res.status(404).json(
+    formatResponse({
+      success: false,
+      message: "Wishlist not found",
+    })
+  );
+}
+
+/**
+ * Whether another of the user's lists already uses a name (case-insensitive)
+ * @param {Array} lists - The user's wishlists
+ * @param {string} name - Name to check
+ * @param {string|null} exceptId - List being renamed
+ * @returns {boolean}
+ */
+function isNameTaken(lists, name, exceptId = null) {
+  const wanted = name.trim().toLowerCase();
+  return lists.some(
+    list =>
+      list._id.toString() !== exceptId && list.name.toLowerCase() === wanted
+  );
+}
 
 async function handleGetFavorites(req, res) {
   try {
-    const favoriteStatus = await getFavorites(req.user.id);
+    const listId = parseListId(req.query.list);
+    if (listId === false) return sendInvalidListId(res);
+
+    const favoriteStatus = await getFavorites(req.user.id, listId);
+    if (favoriteStatus === null) return sendWishlistNotFound(res);
     res.status(200).json(
       formatResponse({
         message: "Favorites retrieved successfully",
@@ -43,7 +104,11 @@ async function handleAddToFavorites(req, res) {
         })
       );
     }
-    const favoriteStatus = await addToFavorites(req.user.id, productId);
+    const listId = parseListId(req.body.listId);
+    if (listId === false) return sendInvalidListId(res);
+
+    const favoriteStatus = await addToFavorites(req.user.id, productId, listId);
+    if (favoriteStatus === null) return sendWishlistNotFound(res);
     res.status(200).json(
       formatResponse({
         message: "Favorites updated successfully",
@@ -75,7 +140,15 @@ async function handleRemoveFromFavorites(req, res) {
       );
     }
 
-    const favoriteStatus = await removeFromFavorites(req.user.id, productId);
+    const listId = parseListId(req.query.list);
+    if (listId === false) return sendInvalidListId(res);
+
+    const favoriteStatus = await removeFromFavorites(
+      req.user.id,
+      productId,
+      listId
+    );
+    if (favoriteStatus === null) return sendWishlistNotFound(res);
     res.status(200).json(
       formatResponse({
         message: "Favorites updated successfully",
@@ -106,7 +179,12 @@ async function handleToggleFavorite(req, res) {
         })
       );
     }
-    const favoriteStatus = await toggleFavorite(req.user.id, productId);
+    // Toggles from product cards land on the primary list unless one is picked
+    const listId = parseListId(req.query.list);
+    if (listId === false) return sendInvalidListId(res);
+
+    const favoriteStatus = await toggleFavorite(req.user.id, productId, listId);
+    if (favoriteStatus === null) return sendWishlistNotFound(res);
     res.status(200).json(
       formatResponse({
         message: "Favorites updated successfully",
@@ -137,7 +215,11 @@ async function handleIsFavorited(req, res) {
         })
       );
     }
-    const favoriteStatus = await isFavorited(req.user.id, productId);
+    const listId = parseListId(req.query.list);
+    if (listId === false) return sendInvalidListId(res);
+
+    const favoriteStatus = await isFavorited(req.user.id, productId, listId);
+    if (favoriteStatus === null) return sendWishlistNotFound(res);
     res.status(200).json(
       formatResponse({
         message: "Product is favorited",
@@ -157,10 +239,268 @@ async function handleIsFavorited(req, res) {
   }
 }
 
+async function handleGetWishlists(req, res) {
+  try {
+    const lists = await getWishlists(req.user.id);
+    res.status(200).json(
+      formatResponse({
+        message: "Wishlists retrieved successfully",
+        data: lists,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleGetWishlists] Error getting user wishlists: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to retrieve wishlists",
+      })
+    );
+  }
+}
+
+async function handleCreateWishlist(req, res) {
+  try {
+    const lists = await getWishlists(req.user.id);
+    if (lists.length >= MAX_WISHLISTS) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          message: `You can keep up to ${MAX_WISHLISTS} lists`,
+        })
+      );
+    }
+    if (isNameTaken(lists, req.body.name)) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          message: "You already have a list with this name",
+        })
+      );
+    }
+
+    const list = await createWishlist(req.user.id, req.body.name);
+    res.status(201).json(
+      formatResponse({
+        message: "Wishlist created",
+        data: list,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleCreateWishlist] Error creating wishlist: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to create wishlist",
+      })
+    );
+  }
+}
+
+async function handleGetWishlist(req, res) {
+  try {
+    const listId = parseListId(req.params.listId);
+    if (!listId) return sendInvalidListId(res);
+
+    const list = await getWishlist(req.user.id, listId);
+    if (!list) return sendWishlistNotFound(res);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Wishlist retrieved successfully",
+        data: list,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleGetWishlist] Error getting wishlist: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to retrieve wishlist",
+      })
+    );
+  }
+}
+
+async function handleRenameWishlist(req, res) {
+  try {
+    const listId = parseListId(req.params.listId);
+    if (!listId) return sendInvalidListId(res);
+
+    const lists = await getWishlists(req.user.id);
+    if (isNameTaken(lists, req.body.name, listId)) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          message: "You already have a list with this name",
+        })
+      );
+    }
+
+    const list = await renameWishlist(req.user.id, listId, req.body.name);
+    if (!list) return sendWishlistNotFound(res);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Wishlist renamed",
+        data: list,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleRenameWishlist] Error renaming wishlist: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to rename wishlist",
+      })
+    );
+  }
+}
+
+async function handleDeleteWishlist(req, res) {
+  try {
+    const listId = parseListId(req.params.listId);
+    if (!listId) return sendInvalidListId(res);
+
+    const lists = await getWishlists(req.user.id);
+    const target = lists.find(list => list._id.toString() === listId);
+    if (!target) return sendWishlistNotFound(res);
+    if (target.isPrimary) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          message: "Your primary list can't be deleted",
+        })
+      );
+    }
+
+    await deleteWishlist(req.user.id, listId);
+    res.status(200).json(
+      formatResponse({
+        message: "Wishlist deleted",
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleDeleteWishlist] Error deleting wishlist: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to delete wishlist",
+      })
+    );
+  }
+}
+
+async function handleShareWishlist(req, res) {
+  try {
+    const listId = parseListId(req.params.listId);
+    if (!listId) return sendInvalidListId(res);
+
+    const list = await shareWishlist(req.user.id, listId);
+    if (!list) return sendWishlistNotFound(res);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Wishlist shared",
+        data: list,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleShareWishlist] Error sharing wishlist: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to share wishlist",
+      })
+    );
+  }
+}
+
+async function handleUnshareWishlist(req, res) {
+  try {
+    const listId = parseListId(req.params.listId);
+    if (!listId) return sendInvalidListId(res);
+
+    const list = await unshareWishlist(req.user.id, listId);
+    if (!list) return sendWishlistNotFound(res);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Wishlist is no longer shared",
+        data: list,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleUnshareWishlist] Error unsharing wishlist: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to stop sharing wishlist",
+      })
+    );
+  }
+}
+
+async function handleGetSharedWishlist(req, res) {
+  try {
+    const { token } = req.params;
+    if (!SHARE_TOKEN_REGEX.test(token)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          message: "Invalid share link",
+        })
+      );
+    }
+
+    const list = await getSharedWishlist(token);
+    if (!list) return sendWishlistNotFound(res);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Wishlist retrieved successfully",
+        data: list,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[handleGetSharedWishlist] Error getting shared wishlist: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        message: "Failed to retrieve wishlist",
+      })
+    );
+  }
+}
+
 export {
   handleGetFavorites,
   handleAddToFavorites,
   handleRemoveFromFavorites,
   handleToggleFavorite,
   handleIsFavorited,
+  handleGetWishlists,
+  handleCreateWishlist,
+  handleGetWishlist,
+  handleRenameWishlist,
+  handleDeleteWishlist,
+  handleShareWishlist,
+  handleUnshareWishlist,
+  handleGetSharedWishlist,
 };
@@ -0,0 +1,234 @@
+import {
+  getGiftCards,
+  createGiftCard,
+  updateGiftCard,
+} from "../models/giftCard.model.js";
+import { findUserById } from "../models/user.model.js";
+import {
+  checkGiftCard,
+  generateGiftCardCode,
+} from "../services/storedValueService.js";
+import {
+  convertToPesewas,
+  convertToCedis,
+} from "../services/paymentGateway.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+// Attempts at a generated code before giving up on collisions
+const MAX_CODE_ATTEMPTS = 3;
+
+/**
+ * Converts a gift card's balances from pesewas to GHS for admin responses, the
+ * same unit admins issue cards in.
+ * @param {Object} giftCard - Gift card document
+ * @returns {Object}
+ */
+function toCedisAmounts(giftCard) {
+  const card = giftCard.toObject();
+  return {
+    ...card,
+    initialBalance: convertToCedis(card.initialBalance),
+    balance: convertToCedis(card.balance),
+  };
+}
+
+/**
+ * Lists every gift card with its remaining balance (admin only).
+ * @async
+ * @function getGiftCardsAdmin
+ * @route GET /admin/gift-cards
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with all gift cards
+ */
+export async function getGiftCardsAdmin(req, res) {
+  try {
+    const giftCards = await getGiftCards();
+    res
+      .status(200)
+      .json(formatResponse({ data: giftCards.map(toCedisAmounts) }));
+  } catch (error) {
+    logger.error(
+      `[giftCards.controller] Failed to fetch gift cards: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load gift cards",
+      })
+    );
+  }
+}
+
+/**
+ * Issues a gift card (admin only). The amount is sent in GHS and stored in
+ * pesewas; a code is generated when none is given.
+ * @async
+ * @function createGiftCardAdmin
+ * @route POST /admin/gift-cards
+ * @access Admin
+ * @param {Request} req - Express request object with gift card data in body
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the issued gift card or error
+ */
+export async function createGiftCardAdmin(req, res) {
+  const { code, amount, issuedTo, recipientEmail, expiresAt, note } = req.body;
+
+  try {
+    if (issuedTo && !(await findUserById(issuedTo))) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "User not found" }));
+    }
+
+    const data = {
+      recipientEmail,
+      expiresAt,
+      note,
+      issuedTo: issuedTo || null,
+      initialBalance: convertToPesewas(amount),
+      issuedBy: req.user._id,
+    };
+
+    let giftCard = null;
+    for (let attempt = 1; !giftCard; attempt++) {
+      try {
+        giftCard = await createGiftCard({
+          ...data,
+          code: code || generateGiftCardCode(),
+        });
+      } catch (error) {
+        // Retry generated codes that happen to collide; a chosen code is a conflict
+        if (error.code !== 11000 || code || attempt >= MAX_CODE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+
+    res.status(201).json(
+      formatResponse({
+        message: "Gift card issued successfully",
+        data: toCedisAmounts(giftCard),
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[giftCards.controller] Error issuing gift card: ${error.message}`
+    );
+    if (error.code === 11000) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: "A gift card with this code already exists",
+        })
+      );
+    }
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to issue gift card",
+      })
+    );
+  }
+}
+
+/**
+ * Updates a gift card's active flag, expiry or note (admin only).
+ * @async
+ * @function updateGiftCardAdmin
+ * @route PATCH /admin/gift-cards/:id
+ * @access Admin
+ * @param {Request} req - Express request object with path param: id and updates in body
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated gift card or error
+ */
+export async function updateGiftCardAdmin(req, res) {
+  try {
+    const { id } = req.params;
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid gift card id" })
+        );
+    }
+
+    // Only these can change; the code and balances are fixed once issued
+    const { isActive, expiresAt, note } = req.body;
+    const updates = Object.fromEntries(
+      Object.entries({ isActive, expiresAt, note }).filter(
+        ([, value]) => value !== undefined
+      )
+    );
+
+    const giftCard = await updateGiftCard(id, updates);
+    if (!giftCard) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Gift card not found" }));
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "Gift card updated successfully",
+        data: toCedisAmounts(giftCard),
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[giftCards.controller] Error updating gift card: ${error.message}`
+    );
+    res.status(400).json(
+      formatResponse({
+        success: false,
+        error: "Invalid gift card data",
+      })
+    );
+  }
+}
+
+/**
+ * Checks a gift card's balance so the holder can see what it will cover.
+ * @async
+ * @function getGiftCardBalance
+ * @route GET /wallet/gift-cards/:code
+ * @access Private
+ * @param {Request} req - Express request object with path param: code
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the card's balance (GHS) and expiry
+ */
+export async function getGiftCardBalance(req, res) {
+  try {
+    const check = await checkGiftCard(req.params.code);
+    if (!check.valid) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: check.error }));
+    }
+
+    const { giftCard } = check;
+    res.status(200).json(
+      formatResponse({
+        data: {
+          code: giftCard.code,
+          balance: convertToCedis(giftCard.balance),
+          expiresAt: giftCard.expiresAt,
+          currency: "GHS",
+        },
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[giftCards.controller] Failed to check gift card balance: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to check gift card balance",
+      })
+    );
+  }
+}
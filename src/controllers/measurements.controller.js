@@ -0,0 +1,221 @@
+import {
+  getMeasurementProfiles,
+  addMeasurementProfile,
+  updateMeasurementProfile,
+  deleteMeasurementProfile,
+} from "../models/measurementProfile.model.js";
+import { MAX_MEASUREMENT_PROFILES } from "../constants/measurements.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Whether another of the user's profiles already uses a name (case-insensitive)
+ * @param {Array} profiles - The user's saved profiles
+ * @param {string} name - Name to check
+ * @param {string|null} exceptId - Profile being renamed
+ * @returns {boolean}
+ */
+function isNameTaken(profiles, name, exceptId = null) {
+  const wanted = name.trim().toLowerCase();
+  return profiles.some(
+    profile =>
+      profile._id.toString() !== exceptId &&
+      profile.name.toLowerCase() === wanted
+  );
+}
+
+/**
+ * Lists the authenticated user's saved measurement profiles.
+ * @async
+ * @function getMyMeasurementProfiles
+ * @route GET /auth/me/measurements
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the profiles
+ */
+export async function getMyMeasurementProfiles(req, res) {
+  try {
+    const profiles = await getMeasurementProfiles(req.user._id);
+    res.status(200).json(formatResponse({ data: profiles || [] }));
+  } catch (error) {
+    logger.error(
+      `[measurements.controller] Failed to fetch measurement profiles for user ${req.user._id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load measurement profiles",
+      })
+    );
+  }
+}
+
+/**
+ * Saves a new named measurement profile for the authenticated user.
+ * @async
+ * @function createMyMeasurementProfile
+ * @route POST /auth/me/measurements
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the created profile
+ */
+export async function createMyMeasurementProfile(req, res) {
+  try {
+    const profiles = (await getMeasurementProfiles(req.user._id)) || [];
+    if (profiles.length >= MAX_MEASUREMENT_PROFILES) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `You can save up to ${MAX_MEASUREMENT_PROFILES} measurement profiles`,
+        })
+      );
+    }
+    if (isNameTaken(profiles, req.body.name)) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: "You already have a measurement profile with this name",
+        })
+      );
+    }
+
+    const profile = await addMeasurementProfile(req.user._id, req.body);
+    res.status(201).json(
+      formatResponse({
+        message: "Measurement profile saved",
+        data: profile,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[measurements.controller] Failed to save measurement profile for user ${req.user._id}: ${error.message}`
+    );
+    res.status(400).json(
+      formatResponse({
+        success: false,
+        error: "Failed to save measurement profile",
+      })
+    );
+  }
+}
+
+/**
+ * Updates one of the authenticated user's measurement profiles.
+ * Orders already placed with the profile keep the measurements they were made with.
+ * @async
+ * @function updateMyMeasurementProfile
+ * @route PATCH /auth/me/measurements/:profileId
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated profile
+ */
+export async function updateMyMeasurementProfile(req, res) {
+  const { profileId } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(profileId)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Invalid measurement profile id",
+        })
+      );
+    }
+
+    if (req.body.name) {
+      const profiles = (await getMeasurementProfiles(req.user._id)) || [];
+      if (isNameTaken(profiles, req.body.name, profileId)) {
+        return res.status(409).json(
+          formatResponse({
+            success: false,
+            error: "You already have a measurement profile with this name",
+          })
+        );
+      }
+    }
+
+    const profile = await updateMeasurementProfile(
+      req.user._id,
+      profileId,
+      req.body
+    );
+    if (!profile) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Measurement profile not found",
+        })
+      );
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "Measurement profile updated",
+        data: profile,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[measurements.controller] Failed to update measurement profile ${profileId}: ${error.message}`
+    );
+    res.status(400).json(
+      formatResponse({
+        success: false,
+        error: "Failed to update measurement profile",
+      })
+    );
+  }
+}
+
+/**
+ * Deletes one of the authenticated user's measurement profiles.
+ * @async
+ * @function deleteMyMeasurementProfile
+ * @route DELETE /auth/me/measurements/:profileId
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response confirming the deletion
+ */
+export async function deleteMyMeasurementProfile(req, res) {
+  const { profileId } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(profileId)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Invalid measurement profile id",
+        })
+      );
+    }
+
+    const deleted = await deleteMeasurementProfile(req.user._id, profileId);
+    if (!deleted) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Measurement profile not found",
+        })
+      );
+    }
+
+    res
+      .status(200)
+      .json(formatResponse({ message: "Measurement profile deleted" }));
+  } catch (error) {
+    logger.error(
+      `[measurements.controller] Failed to delete measurement profile ${profileId}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to delete measurement profile",
+      })
+    );
+  }
+}
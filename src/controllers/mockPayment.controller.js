@@ -0,0 +1,136 @@
+import env from "../config/env.js";
+import logger from "../config/logger.js";
+import { isMockGatewayEnabled } from "../services/paymentGateway.js";
+import {
+  MOCK_PAYMENT_OUTCOMES,
+  getMockCheckoutUrl,
+  getMockTransaction,
+  settleMockTransaction,
+} from "../services/mockPaymentService.js";
+import { renderView } from "../services/viewService.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { formatCurrency } from "../utils/formatters.js";
+
+// Transaction references are generated by generateTransactionReference
+const REFERENCE_REGEX = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Escapes text placed into the mock checkout page
+ * @param {string} value - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Looks up the simulated transaction a mock checkout request is for.
+ * Sends a 404 (and returns null) when the mock gateway is off or the
+ * reference is unknown.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Simulated transaction data
+ */
+function findMockCheckout(req, res) {
+  const { reference } = req.params;
+  const transaction =
+    isMockGatewayEnabled() && REFERENCE_REGEX.test(reference)
+      ? getMockTransaction(reference)
+      : null;
+
+  if (!transaction) {
+    res
+      .status(404)
+      .json(formatResponse({ success: false, error: "Checkout not found" }));
+  }
+  return transaction;
+}
+
+/**
+ * Serves the mock gateway's checkout page, where a developer pays, declines
+ * or abandons a simulated payment. Stands in for Paystack's hosted checkout.
+ * @function showMockCheckout
+ * @route GET /payment/mock/checkout/:reference
+ * @access Public (mock gateway only)
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export function showMockCheckout(req, res) {
+  try {
+    const transaction = findMockCheckout(req, res);
+    if (!transaction) return;
+
+    const html = renderView("mock-checkout", {
+      EMAIL: escapeHtml(transaction.customer.email),
+      AMOUNT: formatCurrency(transaction.amount / 100),
+      REFERENCE: transaction.reference,
+      ACTION_URL: getMockCheckoutUrl(transaction.reference),
+    });
+
+    res.setHeader("Content-Type", "text/html");
+    res.status(200).send(html);
+  } catch (error) {
+    logger.error(
+      `[mockPayment.controller] Error rendering mock checkout: ${error.message}`
+    );
+    res.status(500).send("Internal server error");
+  }
+}
+
+/**
+ * Settles a simulated payment and sends the webhook Paystack would.
+ * Form posts from the checkout page are redirected to PAYSTACK_CALLBACK_URL
+ * like a real checkout; other clients (scripts, CI) get JSON.
+ * @async
+ * @function completeMockCheckout
+ * @route POST /payment/mock/checkout/:reference
+ * @access Public (mock gateway only)
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export async function completeMockCheckout(req, res) {
+  try {
+    const transaction = findMockCheckout(req, res);
+    if (!transaction) return;
+
+    const outcome = req.body?.outcome;
+    if (!MOCK_PAYMENT_OUTCOMES.includes(outcome)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `outcome must be one of: ${MOCK_PAYMENT_OUTCOMES.join(", ")}`,
+        })
+      );
+    }
+
+    const settled = await settleMockTransaction(transaction.reference, outcome);
+
+    if (req.is("application/x-www-form-urlencoded")) {
+      const callbackUrl = new URL(env.PAYSTACK_CALLBACK_URL);
+      callbackUrl.searchParams.set("trxref", settled.reference);
+      callbackUrl.searchParams.set("reference", settled.reference);
+      return res.redirect(callbackUrl.toString());
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: `Mock payment ${settled.status}`,
+        data: settled,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[mockPayment.controller] Error settling mock checkout: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to settle mock checkout",
+      })
+    );
+  }
+}
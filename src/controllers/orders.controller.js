@@ -7,18 +7,64 @@ import {
   getPaginatedPublishedOrders,
   updateOrderStatus,
   fetchOrderStatus,
+  cancelAcceptedOrder,
+  releaseRefundedOrder,
 } from "../models/order.model.js";
-import { sendCustomerStatusUpdateNotification } from "../services/orderEmailService.js";
-import { createTransaction } from "../models/transaction.model.js";
+import {
+  sendCustomerStatusUpdateNotification,
+  sendCustomerRefundNotification,
+  sendAdminOrderCancelledNotification,
+} from "../services/orderEmailService.js";
+import {
+  createTransaction,
+  updateTransactionStatus,
+  getTransactionByReference,
+} from "../models/transaction.model.js";
+import {
+  getExpressSettings,
+  calculateExpressFee,
+} from "../models/expressSettings.model.js";
 import Product from "../models/product.mongo.js";
-import { validateStockAvailabilityWithProducts } from "../models/product.model.js";
+import { incrementProductStockWithProducts } from "../models/product.model.js";
+import { notifyBackInStock } from "../services/stockAlertService.js";
+import { releaseSupersededCheckouts } from "../services/stockReservationService.js";
+import {
+  reserveStock,
+  releaseReservations,
+} from "../models/stockReservation.model.js";
 
 import {
-  initializeTransaction,
+  getPaymentGateway,
   generateTransactionReference,
   convertToPesewas,
-} from "../services/paystackService.js";
+  convertToCedis,
+} from "../services/paymentGateway.js";
+import {
+  issueRefund,
+  getCommittedRefundTotal,
+  getRefundableItems,
+} from "../services/refundService.js";
+import {
+  buildCheckoutQuote,
+  getCartCheckoutItems,
+  resolveShippingInfo,
+  toExpressLines,
+} from "../services/checkoutService.js";
+import {
+  previewStoredValue,
+  applyStoredValue,
+  releaseStoredValue,
+  refundStoredValueToWallet,
+} from "../services/storedValueService.js";
+import {
+  createOrderForTransaction,
+  completeOrder,
+} from "../services/orderFulfillmentService.js";
 import logger from "../config/logger.js";
+import {
+  ORDER_STATUS_TRANSITIONS,
+  canTransitionOrderStatus,
+} from "../constants/orderStatus.js";
 import { OBJECTID_REGEX } from "../utils/validators.js";
 import { formatResponse } from "../utils/responseFormatter.js";
 
@@ -31,8 +77,10 @@ function parseBooleanQueryParam(value, defaultValue = false) {
 }
 
 export const initializeCheckout = async (req, res) => {
-  const { items, shippingInfo } = req.body;
+  const { fromCart, addressId, couponCode, giftCardCode, useWallet } = req.body;
+  let { items, shippingInfo } = req.body;
   const userId = req.user._id;
+  let reference = null;
 
   // Parse expressService from query parameter (defaults to false)
   const expressService = parseBooleanQueryParam(
@@ -41,198 +89,234 @@ export const initializeCheckout = async (req, res) => {
   );
 
   try {
-    if (!items || items.length === 0) {
-      return res
-        .status(400)
-        .json(formatResponse({ success: false, error: "Cart is empty" }));
+    // Start from the stored cart so checkout survives device switches and reloads
+    if (fromCart) {
+      items = await getCartCheckoutItems(userId);
     }
 
-    const itemProductIds = items.map(item => item.product);
-    // Fetch products that match the requested ids with stock info.
-    // For base products: must be published
-    // For variants: can be unpublished (they're accessible through their published base product)
-    const products = await Product.find({
-      _id: { $in: itemProductIds },
-      $or: [
-        { isPublished: true }, // Published base products
-        { isVariant: true }, // Variants (can be unpublished)
-      ],
-    }).select("_id name price stock isVariant baseProduct isPublished"); // Include variant fields for validation
-
-    // Convert to a Set for O(1) membership checks when validating the incoming cart items.
-    const validProductIds = new Set(
-      products.map(product => product._id.toString())
-    );
-
-    // For variants, also verify their base product exists and is published
-    const variantProducts = products.filter(p => p.isVariant);
-    if (variantProducts.length > 0) {
-      // First, ensure all variants have a baseProduct
-      const variantsWithoutBase = variantProducts.filter(v => !v.baseProduct);
-      if (variantsWithoutBase.length > 0) {
-        return res.status(400).json(
-          formatResponse({
-            success: false,
-            error: "Some variant products are missing base product references",
-          })
-        );
-      }
-
-      // Get all unique base product IDs
-      const baseProductIds = variantProducts
-        .map(v => v.baseProduct.toString())
-        .filter(Boolean);
-
-      // Verify all base products are published
-      const baseProducts = await Product.find({
-        _id: { $in: baseProductIds },
-        isPublished: true,
-      }).select("_id");
-      const publishedBaseProductIds = new Set(
-        baseProducts.map(bp => bp._id.toString())
-      );
-
-      // Check that all variants have published base products
-      const allVariantsHavePublishedBase = variantProducts.every(variant =>
-        publishedBaseProductIds.has(variant.baseProduct.toString())
-      );
-
-      if (!allVariantsHavePublishedBase) {
-        return res.status(400).json(
-          formatResponse({
-            success: false,
-            error: "Some variant products have unpublished base products",
-          })
-        );
-      }
+    // A saved address is copied in, so later edits to it don't change this order
+    const address = await resolveShippingInfo(userId, {
+      shippingInfo,
+      addressId,
+    });
+    if (!address.valid) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: address.error }));
     }
+    shippingInfo = address.shippingInfo;
 
-    // Check that all items are valid (published base products or variants with published base)
-    const allItemsAreValid = items.every(item =>
-      validProductIds.has(item.product.toString())
-    );
-    if (!allItemsAreValid) {
-      return res.status(400).json(
-        formatResponse({
-          success: false,
-          error: "Some products are not available or unpublished",
-        })
-      );
+    const pricing = await buildCheckoutQuote({
+      userId,
+      items,
+      expressService,
+      shippingInfo,
+      couponCode,
+    });
+    if (!pricing.valid) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: pricing.error }));
     }
-
-    // Use products for stock validation (renamed from publishedProducts)
-    const publishedProducts = products;
+    const { quote } = pricing;
 
     // Check stock before payment
-    const stockValidation = validateStockAvailabilityWithProducts(
-      items,
-      publishedProducts
-    );
-
-    if (!stockValidation.valid) {
+    if (quote.stockWarnings.length > 0) {
       return res.status(400).json(
         formatResponse({
           success: false,
-          message: stockValidation.errors.join("; "),
+          message: quote.stockWarnings.join("; "),
         })
       );
     }
 
-    let calculatedTotalPrice = 0;
-    const validatedItems = [];
-    for (const item of items) {
-      // Re-derive authoritative price from the database to prevent client-side tampering.
-      const product = publishedProducts.find(
-        p => p._id.toString() === item.product.toString()
-      );
-      if (!product) {
-        return res
-          .status(400)
-          .json(formatResponse({ success: false, error: "Product not found" }));
-      }
-      calculatedTotalPrice += product.price * item.quantity;
-      validatedItems.push({
-        product: item.product,
-        quantity: item.quantity,
-        price: product.price,
-        size: item.size,
-        customSize: item.customSize,
-      });
+    if (expressService && !quote.express.available) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: quote.express.reason }));
     }
 
-    // Calculate total quantity for express fee calculation
-    const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+    if (!quote.shipping.available) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: quote.shipping.reason }));
+    }
 
-    // Calculate express fee: 150 GHS per item
-    const expressFee = expressService ? totalQuantity * 150 : 0;
+    if (quote.coupon && !quote.coupon.valid) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: quote.coupon.reason }));
+    }
 
-    // Validate express fee calculation
-    if (expressService && expressFee !== totalQuantity * 150) {
-      return res.status(400).json(
-        formatResponse({
-          success: false,
-          error: "Express fee calculation error",
-        })
-      );
+    // A full tailoring schedule only blocks checkout when orders can't be waitlisted
+    const { tailoring } = quote;
+    if (tailoring.required && !tailoring.available && !tailoring.waitlisted) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: tailoring.reason }));
     }
 
-    if (!expressService && expressFee !== 0) {
+    // Paystack cannot charge a zero amount (e.g. a 100% coupon with free delivery)
+    if (quote.total <= 0) {
       return res.status(400).json(
         formatResponse({
           success: false,
-          error: "Express fee should be zero when express service is disabled",
+          error: "Order total must be greater than zero",
         })
       );
     }
 
-    // Add express fee to total
-    const finalTotal = calculatedTotalPrice + expressFee;
-
-    // Paystack amounts are in the smallest currency unit (pesewas).
-    const amountInPesewas = convertToPesewas(finalTotal);
+    const validatedItems = quote.lines.map(line => ({
+      product: line.product,
+      quantity: line.quantity,
+      price: line.price,
+      size: line.size,
+      customSize: line.customSize,
+      measurementProfile: line.measurementProfile,
+    }));
+    const { expressFee, shippingFee, discount } = quote;
+    const finalTotal = quote.total;
+
+    // An earlier unpaid attempt still holds stock and stored value; this
+    // checkout replaces it
+    await releaseSupersededCheckouts(userId);
 
     // Generate a unique reference for the transaction
-    const reference = generateTransactionReference(userId.toString());
+    reference = generateTransactionReference(userId.toString());
 
+    // Gift card and store credit are spent first; Paystack charges the rest.
+    // Paystack amounts are in the smallest currency unit (pesewas).
+    const storedValue = await applyStoredValue({
+      userId,
+      giftCardCode,
+      useWallet,
+      amountDue: convertToPesewas(finalTotal),
+      reference,
+    });
+    if (!storedValue.valid) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: storedValue.error }));
+    }
+    const amountInPesewas = storedValue.amountDue;
+    const giftCardAmount = convertToCedis(storedValue.giftCardAmount);
+    const walletAmount = convertToCedis(storedValue.walletAmount);
+
+    const gateway = getPaymentGateway();
     const transactionData = {
       reference,
       user: userId,
       amount: amountInPesewas,
       currency: "GHS",
       status: "pending",
+      gateway: gateway.name,
       orderData: {
         items: validatedItems,
         shippingInfo,
         totalPrice: finalTotal,
         expressService,
         expressFee,
+        shippingFee,
+        discount,
+        giftCardCode: storedValue.giftCardCode,
+        giftCardAmount,
+        walletAmount,
+        fromCart: Boolean(fromCart),
       },
     };
     const transaction = await createTransaction(transactionData);
 
-    // Initialize the Paystack transaction
-    const paystackResponse = await initializeTransaction(
-      req.user.email,
-      amountInPesewas,
-      {
-        userId: userId.toString(),
-        transactionId: transaction._id.toString(),
-        items: validatedItems.length,
-      },
-      reference
-    );
+    // Hold the stock while the shopper pays; released on failure or timeout
+    const reservation = await reserveStock(transaction, validatedItems);
+    if (!reservation.valid) {
+      await updateTransactionStatus(reference, "failed");
+      await releaseStoredValue(reference);
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          message: reservation.errors.join("; "),
+        })
+      );
+    }
 
-    transaction.paystackResponse = paystackResponse;
+    const paymentSummary = {
+      reference,
+      amount: finalTotal,
+      subtotal: quote.subtotal,
+      expressFee,
+      shippingFee,
+      discountAmount: quote.discountAmount,
+      giftCardAmount,
+      walletAmount,
+      amountDue: convertToCedis(amountInPesewas),
+      currency: "GHS",
+      estimatedReadyDate: tailoring.estimatedReadyDate,
+      waitlisted: tailoring.waitlisted,
+    };
+
+    // Fully covered by gift card / store credit: nothing to charge, place the order now
+    if (amountInPesewas === 0) {
+      let order;
+      try {
+        order = await createOrderForTransaction(transaction);
+      } catch (orderError) {
+        await releaseReservations(reference);
+        await releaseStoredValue(reference);
+        await updateTransactionStatus(reference, "failed");
+        logger.warn(
+          `[orders.controller] Order creation failed for covered checkout ${reference}: ${orderError.message}`
+        );
+        return res.status(409).json(
+          formatResponse({
+            success: false,
+            error:
+              "One or more items in your order became unavailable. Your gift card and store credit were not charged.",
+          })
+        );
+      }
+      await completeOrder(transaction, order);
+
+      return res.status(201).json(
+        formatResponse({
+          message: "Order placed successfully",
+          data: {
+            ...paymentSummary,
+            authorizationUrl: null,
+            order: order._id,
+          },
+        })
+      );
+    }
+
+    // Initialize the transaction with the payment gateway
+    let gatewayResponse;
+    try {
+      gatewayResponse = await gateway.initializeTransaction(
+        req.user.email,
+        amountInPesewas,
+        {
+          userId: userId.toString(),
+          transactionId: transaction._id.toString(),
+          items: validatedItems.length,
+        },
+        reference
+      );
+    } catch (gatewayError) {
+      await releaseReservations(reference);
+      await releaseStoredValue(reference);
+      await updateTransactionStatus(reference, "failed");
+      throw gatewayError;
+    }
+
+    transaction.paystackResponse = gatewayResponse;
     await transaction.save();
 
     return res.status(200).json(
       formatResponse({
         message: "Payment initialized successfully",
         data: {
-          authorizationUrl: paystackResponse.data.authorization_url,
-          reference,
-          amount: finalTotal,
-          currency: "GHS",
+          ...paymentSummary,
+          authorizationUrl: gatewayResponse.data.authorization_url,
         },
       })
     );
@@ -240,6 +324,14 @@ export const initializeCheckout = async (req, res) => {
     logger.warn(
       `[orders.controller] Error initializing checkout: ${error.message}`
     );
+    // Don't keep the shopper's gift card or store credit on a checkout that never started
+    if (reference) {
+      await releaseStoredValue(reference).catch(releaseError =>
+        logger.error(
+          `[orders.controller] Failed to release stored value for ${reference}: ${releaseError.message}`
+        )
+      );
+    }
     return res.status(500).json(
       formatResponse({
         success: false,
@@ -249,6 +341,155 @@ export const initializeCheckout = async (req, res) => {
   }
 };
 
+/**
+ * Prices a checkout without creating a transaction or contacting Paystack, so the
+ * storefront can show the real total (and any stock problems) before payment.
+ * @async
+ * @function getCheckoutQuote
+ * @route POST /orders/quote
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the itemized quote
+ */
+export const getCheckoutQuote = async (req, res) => {
+  const { fromCart, addressId, couponCode, giftCardCode, useWallet } = req.body;
+  let { items, shippingInfo } = req.body;
+
+  const expressService = parseBooleanQueryParam(
+    req.query.expressService,
+    false
+  );
+
+  try {
+    if (fromCart) {
+      items = await getCartCheckoutItems(req.user._id);
+    }
+
+    const address = await resolveShippingInfo(req.user._id, {
+      shippingInfo,
+      addressId,
+    });
+    if (!address.valid) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: address.error }));
+    }
+    shippingInfo = address.shippingInfo;
+
+    const pricing = await buildCheckoutQuote({
+      userId: req.user._id,
+      items,
+      expressService,
+      shippingInfo,
+      couponCode,
+    });
+    if (!pricing.valid) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: pricing.error }));
+    }
+    const { quote } = pricing;
+
+    const storedValue = await previewStoredValue({
+      userId: req.user._id,
+      giftCardCode,
+      useWallet,
+      amountDue: convertToPesewas(Math.max(quote.total, 0)),
+    });
+
+    return res.status(200).json(
+      formatResponse({
+        data: {
+          ...quote,
+          giftCard: storedValue.giftCard && {
+            ...storedValue.giftCard,
+            balance: convertToCedis(storedValue.giftCard.balance),
+          },
+          walletBalance: convertToCedis(storedValue.walletBalance),
+          giftCardAmount: convertToCedis(storedValue.giftCardAmount),
+          walletAmount: convertToCedis(storedValue.walletAmount),
+          amountDue: convertToCedis(storedValue.amountDue),
+        },
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[orders.controller] Error building checkout quote: ${error.message}`
+    );
+    return res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to build checkout quote",
+      })
+    );
+  }
+};
+
+/**
+ * Quotes the express service fee for a set of checkout lines (or the stored cart)
+ * so the storefront can show it before payment.
+ * @async
+ * @function getExpressQuote
+ * @route POST /orders/express-quote
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the express fee breakdown
+ */
+export const getExpressQuote = async (req, res) => {
+  const { fromCart } = req.body;
+  let { items } = req.body;
+
+  try {
+    if (fromCart) {
+      items = await getCartCheckoutItems(req.user._id);
+    }
+
+    if (!items || items.length === 0) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Cart is empty" }));
+    }
+
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.product) },
+      $or: [{ isPublished: true }, { isVariant: true }],
+    }).select("_id category");
+
+    const knownProductIds = new Set(products.map(p => p._id.toString()));
+    if (!items.every(item => knownProductIds.has(item.product.toString()))) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Some products are not available or unpublished",
+        })
+      );
+    }
+
+    const quote = calculateExpressFee(
+      await getExpressSettings(),
+      toExpressLines(items, products)
+    );
+
+    return res.status(200).json(
+      formatResponse({
+        data: { ...quote, currency: "GHS" },
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[orders.controller] Error quoting express fee: ${error.message}`
+    );
+    return res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to quote express fee",
+      })
+    );
+  }
+};
+
 export const getOrders = async (req, res) => {
   const userId = req.user._id;
   const page = Number(req.query.page) || 1;
@@ -272,18 +513,157 @@ export const getOrders = async (req, res) => {
   }
 };
 
+/**
+ * Builds the customer-facing status timeline of an order.
+ * Admin identities are not exposed; orders placed before status history
+ * was recorded fall back to a single entry for the current status.
+ * @param {Object} order - Order document
+ * @returns {Array<{status: string, changedAt: Date, note: string}>}
+ */
+function buildOrderTimeline(order) {
+  if (!order.statusHistory?.length) {
+    return [{ status: order.status, changedAt: order.updatedAt, note: "" }];
+  }
+  return order.statusHistory.map(({ status, changedAt, note }) => ({
+    status,
+    changedAt,
+    note,
+  }));
+}
+
 export const getOrderById = async (req, res) => {
   const userId = req.user._id;
   const orderId = req.params.id;
   try {
     const order = await fetchOrderById(orderId, userId);
-    return res.status(200).json({ success: true, data: order });
+    const orderData = order.toObject();
+    delete orderData.statusHistory;
+    return res.status(200).json({
+      success: true,
+      data: { ...orderData, timeline: buildOrderTimeline(order) },
+    });
   } catch (error) {
     logger.warn(error);
     return res.status(500).json({ error: "Failed to retrieve order" });
   }
 };
 
+/**
+ * @desc    Cancel an order before production starts
+ *          - Only allowed while the order is still `accepted`
+ *          - Returns the items to stock and refunds whatever has not been refunded yet
+ *          - Notifies the customer and admin
+ * @route   POST /orders/:id/cancel
+ * @access  Private
+ */
+export const cancelOrder = async (req, res) => {
+  const userId = req.user._id;
+  const orderId = req.params.id;
+
+  try {
+    if (!OBJECTID_REGEX.test(orderId)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid order id" }));
+    }
+
+    const order = await fetchOrderByIdAdmin(orderId);
+    if (!order || order.user?._id.toString() !== userId.toString()) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Order not found" }));
+    }
+
+    const notCancellable = formatResponse({
+      success: false,
+      error: "Order can only be cancelled before production starts",
+    });
+    if (order.status !== "accepted") {
+      return res.status(409).json(notCancellable);
+    }
+
+    // Items already refunded (and possibly restocked) by an admin are left out
+    const refundItems = [...getRefundableItems(order).values()]
+      .filter(line => line.quantity > 0)
+      .map(({ product, size, quantity }) => ({ product, size, quantity }));
+
+    const cancelledOrder = await cancelAcceptedOrder(
+      orderId,
+      userId,
+      refundItems
+    );
+    if (!cancelledOrder) {
+      // Status changed between the read and the update
+      return res.status(409).json(notCancellable);
+    }
+
+    notifyBackInStock(refundItems.map(item => item.product));
+
+    // The cancellation stands even if the refund can't be started; admin is told to follow up
+    let refund = null;
+    let transaction = null;
+    try {
+      transaction = order.paymentReference
+        ? await getTransactionByReference(order.paymentReference)
+        : null;
+      const remaining = transaction
+        ? transaction.amount - getCommittedRefundTotal(transaction.refunds)
+        : 0;
+
+      if (remaining > 0) {
+        refund = await issueRefund(transaction, {
+          amount: remaining,
+          reason: "Order cancelled by customer",
+          initiatedBy: userId,
+          items: refundItems,
+          restocked: refundItems.length > 0,
+        });
+      }
+    } catch (refundError) {
+      logger.error(
+        `[orders.controller] Order ${orderId} cancelled but refund failed: ${refundError.message}`
+      );
+    }
+
+    // Gift card and store credit spent on the order come back as store credit
+    let storeCredit = 0;
+    try {
+      storeCredit = transaction
+        ? await refundStoredValueToWallet(transaction)
+        : 0;
+    } catch (creditError) {
+      logger.error(
+        `[orders.controller] Order ${orderId} cancelled but store credit was not returned: ${creditError.message}`
+      );
+    }
+
+    const updatedOrder = await fetchOrderById(orderId, userId);
+
+    sendCustomerStatusUpdateNotification(updatedOrder);
+    sendAdminOrderCancelledNotification(updatedOrder, refund);
+
+    return res.status(200).json(
+      formatResponse({
+        message:
+          refund || storeCredit > 0
+            ? "Order cancelled and refund initiated"
+            : "Order cancelled",
+        data: updatedOrder,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[orders.controller] Failed to cancel order ${orderId}: ${error.message}`
+    );
+    return res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to cancel order",
+      })
+    );
+  }
+};
+
 /**
  * @desc    Get a specific order by ID (admin only)
  * @route   GET /admin/orders/id/:orderId
@@ -356,20 +736,25 @@ export async function getAllOrdersAdmin(req, res) {
 
 /**
  * @desc    Update an existing order's status (admin only)
+ *          Only transitions declared in ORDER_STATUS_TRANSITIONS are allowed;
+ *          each change is recorded in the order's statusHistory.
  * @route   PATCH /admin/orders/:id
  * @access  Admin
  */
 export async function updateOrderStatusAdmin(req, res) {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note = "" } = req.body;
+
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid order id" }));
+    }
 
     // Get previous status before update
     const previousOrder = await fetchOrderStatus(id);
-    const previousStatus = previousOrder?.status;
-
-    const order = await updateOrderStatus(id, status);
-    if (!order) {
+    if (!previousOrder) {
       return res.status(404).json(
         formatResponse({
           success: false,
@@ -377,12 +762,36 @@ export async function updateOrderStatusAdmin(req, res) {
         })
       );
     }
+    const previousStatus = previousOrder.status;
 
-    // Send customer notification if status changed
-    if (previousStatus && previousStatus !== status) {
-      sendCustomerStatusUpdateNotification(order);
+    if (!canTransitionOrderStatus(previousStatus, status)) {
+      const allowed = ORDER_STATUS_TRANSITIONS[previousStatus] || [];
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: `Cannot change order status from '${previousStatus}' to '${status}'. Allowed: ${allowed.join(", ") || "none"}`,
+        })
+      );
     }
 
+    const order = await updateOrderStatus(id, status, {
+      fromStatus: previousStatus,
+      changedBy: req.user._id,
+      note,
+    });
+    if (!order) {
+      // Another update moved the order on between the read and the write
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: "Order status was changed by another request, please retry",
+        })
+      );
+    }
+
+    // Notify the customer of the new status
+    sendCustomerStatusUpdateNotification(order);
+
     res.json(formatResponse({ success: true, data: order }));
   } catch (error) {
     logger.error(
@@ -396,3 +805,176 @@ export async function updateOrderStatusAdmin(req, res) {
     );
   }
 }
+
+/**
+ * @desc    Refund an order in full or per item through Paystack (admin only)
+ *          - Without `items`, refunds everything not yet refunded (including fees)
+ *          - With `items`, refunds those lines at the price they were ordered at
+ *          - Refunded items are returned to stock unless `restock` is false
+ * @route   POST /admin/orders/:id/refunds
+ * @access  Admin
+ */
+export async function refundOrderAdmin(req, res) {
+  const { id } = req.params;
+  const { items, reason = "", restock = true } = req.body;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid order id" }));
+    }
+
+    const order = await fetchOrderByIdAdmin(id);
+    if (!order) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Order not found" }));
+    }
+
+    const transaction = order.paymentReference
+      ? await getTransactionByReference(order.paymentReference)
+      : null;
+    if (!transaction) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Order has no Paystack payment to refund",
+        })
+      );
+    }
+
+    // Orders paid entirely with gift card or store credit never went through Paystack
+    if (transaction.amount === 0) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error:
+            "Nothing was paid through Paystack for this order. Return the gift card or store credit used with POST /admin/users/:id/wallet/credits instead",
+        })
+      );
+    }
+
+    const remaining =
+      transaction.amount - getCommittedRefundTotal(transaction.refunds);
+    if (remaining <= 0) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Order has already been fully refunded",
+        })
+      );
+    }
+
+    const refundable = getRefundableItems(order);
+    let refundItems;
+    let amount;
+
+    if (items) {
+      const errors = [];
+      refundItems = [];
+      let itemsTotal = 0;
+
+      for (const item of items) {
+        const line = refundable.get(`${item.product}:${item.size}`);
+        if (!line) {
+          errors.push(`Product ${item.product} (${item.size}) is not in order`);
+          continue;
+        }
+        if (item.quantity > line.quantity) {
+          errors.push(
+            `Product ${item.product} (${item.size}): Refundable: ${line.quantity}, Requested: ${item.quantity}`
+          );
+          continue;
+        }
+        // Guard against the same line being listed twice in one request
+        line.quantity -= item.quantity;
+        itemsTotal += line.price * item.quantity;
+        refundItems.push({
+          product: line.product,
+          size: line.size,
+          quantity: item.quantity,
+        });
+      }
+
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json(formatResponse({ success: false, error: errors.join("; ") }));
+      }
+
+      amount = Math.min(convertToPesewas(itemsTotal), remaining);
+    } else {
+      refundItems = [...refundable.values()]
+        .filter(line => line.quantity > 0)
+        .map(({ product, size, quantity }) => ({ product, size, quantity }));
+      amount = remaining;
+    }
+
+    const refund = await issueRefund(transaction, {
+      amount,
+      reason,
+      initiatedBy: req.user._id,
+      items: refundItems,
+      restocked: restock && refundItems.length > 0,
+    });
+    if (!refund) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error:
+            "Another refund for this order was just issued. Reload the order and try again",
+        })
+      );
+    }
+
+    if (refund.restocked) {
+      try {
+        await incrementProductStockWithProducts(
+          refundItems.map(item => ({
+            product: { _id: item.product },
+            quantity: item.quantity,
+            size: item.size,
+          }))
+        );
+        notifyBackInStock(refundItems.map(item => item.product));
+      } catch (stockError) {
+        logger.error(
+          `[orders.controller] Refund ${refund._id} issued but restocking failed for order ${id}: ${stockError.message}`
+        );
+      }
+    }
+
+    // A full refund hands back the tailoring slots and coupon use, as cancelling does
+    if (amount === remaining) {
+      try {
+        await releaseRefundedOrder(id);
+      } catch (releaseError) {
+        logger.error(
+          `[orders.controller] Refund ${refund._id} issued but releasing tailoring slots and coupon failed for order ${id}: ${releaseError.message}`
+        );
+      }
+    }
+
+    sendCustomerRefundNotification(transaction, refund);
+
+    const updatedOrder = await fetchOrderByIdAdmin(id);
+
+    return res.status(201).json(
+      formatResponse({
+        message: "Refund initiated successfully",
+        data: { order: updatedOrder, refund },
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[orders.controller] Failed to refund order ${id}: ${error.message}`
+    );
+    return res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to refund order",
+      })
+    );
+  }
+}
@@ -1,48 +1,89 @@
 import {
   getTransactionByReference,
-  updateTransactionStatus,
+  markUnfulfilledTransactionFailed,
+  getTransactionsByUser,
+  countTransactionsByUser,
+  getTransactionById,
 } from "../models/transaction.model.js";
-import { createOrderFromCart } from "../models/order.model.js";
+import { releaseReservations } from "../models/stockReservation.model.js";
 import {
-  verifyTransaction,
-  verifyWebhookSignature,
-} from "../services/paystackService.js";
+  getPaymentGateway,
+  isMockGatewayEnabled,
+  convertToCedis,
+} from "../services/paymentGateway.js";
+import { handleSuccessfulPayment } from "../services/paymentEventService.js";
 import {
-  sendAdminNewOrderNotification,
-  sendCustomerStatusUpdateNotification,
-} from "../services/orderEmailService.js";
+  receiveWebhook,
+  processWebhookEvent,
+} from "../services/webhookEventService.js";
+import { releaseStoredValue } from "../services/storedValueService.js";
 import logger from "../config/logger.js";
 import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
 
 /**
  * Handle Paystack webhook events
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const handlePaystackWebhook = async (req, res) => {
+export const handlePaystackWebhook = (req, res) =>
+  processWebhook(req, res, getPaymentGateway("paystack"));
+
+/**
+ * Handle webhook events sent by the mock payment gateway. Only accepted while
+ * PAYMENT_GATEWAY is "mock".
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const handleMockWebhook = (req, res) => {
+  if (!isMockGatewayEnabled()) {
+    return res
+      .status(404)
+      .json(formatResponse({ success: false, error: "Not found" }));
+  }
+  return processWebhook(req, res, getPaymentGateway("mock"));
+};
+
+/**
+ * Record a gateway webhook in the inbox and acknowledge it. Events are applied
+ * after the response (with retries, see webhookEventService), so a slow or
+ * failing handler never makes the gateway resend. Events use Paystack's names
+ * and payloads.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} gateway - Payment gateway the webhook claims to come from
+ */
+async function processWebhook(req, res, gateway) {
   try {
     // Get the signature from headers
-    const signature = req.headers["x-paystack-signature"];
+    const signature = req.headers[gateway.signatureHeader];
 
     if (!signature) {
       logger.warn(
-        "[payment.controller] No Paystack signature found in headers"
+        `[payment.controller] No ${gateway.name} signature found in headers`
       );
       return res.status(400).json(
         formatResponse({
           success: false,
-          error: "Missing Paystack signature",
+          error: "Missing webhook signature",
         })
       );
     }
 
     // Get raw body as Buffer (from express.raw middleware)
     // Pass Buffer directly to avoid encoding conversion
-    const rawBody = req.body;
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
 
-    // Verify webhook signature FIRST using the original raw body
-    if (!verifyWebhookSignature(signature, rawBody)) {
-      logger.warn("[payment.controller] Invalid Paystack webhook signature");
+    const { outcome, webhookEvent } = await receiveWebhook(
+      gateway,
+      rawBody,
+      signature
+    );
+
+    if (outcome === "rejected") {
+      logger.warn(
+        `[payment.controller] Invalid ${gateway.name} webhook signature`
+      );
       return res.status(400).json(
         formatResponse({
           success: false,
@@ -51,36 +92,32 @@ export const handlePaystackWebhook = async (req, res) => {
       );
     }
 
-    // Parse the body AFTER signature verification
-    const { event, data } = JSON.parse(rawBody.toString("utf8"));
-
-    logger.info(
-      `[payment.controller] Received Paystack webhook event: ${event}`
-    );
-
-    // Handle different event types
-    switch (event) {
-      case "charge.success":
-        await handleSuccessfulPayment(data);
-        break;
-
-      case "charge.failed":
-        await handleFailedPayment(data);
-        break;
-
-      default:
-        logger.info(`[payment.controller] Unhandled event type: ${event}`);
+    if (outcome === "malformed") {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Malformed webhook payload",
+        })
+      );
     }
 
-    // Always return 200 to acknowledge receipt
+    // Acknowledge receipt; duplicates were already handled the first time
     res.status(200).json(
       formatResponse({
-        message: "Webhook processed successfully",
+        message:
+          outcome === "duplicate"
+            ? "Webhook already received"
+            : "Webhook received",
       })
     );
+
+    if (outcome === "accepted") {
+      processWebhookEvent(webhookEvent._id);
+    }
   } catch (error) {
+    // Nothing was recorded, so let the gateway deliver the webhook again
     logger.error(
-      `[payment.controller] Error processing webhook: ${error.message}`
+      `[payment.controller] Error receiving webhook: ${error.message}`
     );
     res.status(500).json(
       formatResponse({
@@ -89,124 +126,6 @@ export const handlePaystackWebhook = async (req, res) => {
       })
     );
   }
-};
-
-/**
- * Handle successful payment
- * @param {Object} data - Paystack event data
- */
-async function handleSuccessfulPayment(data) {
-  try {
-    const { reference, amount } = data;
-
-    // Get transaction from database
-    const transaction = await getTransactionByReference(reference);
-
-    if (!transaction) {
-      logger.warn(
-        `[payment.controller] Transaction not found for reference: ${reference}`
-      );
-      return;
-    }
-
-    // Idempotent check: if order already exists, return early to prevent duplicates
-    if (transaction.status === "success" && transaction.order) {
-      logger.info(
-        `[payment.controller] Order already exists for transaction: ${reference}, Order: ${transaction.order}`
-      );
-      return;
-    }
-
-    // Verify amount matches
-    if (transaction.amount !== amount) {
-      logger.warn(
-        `[payment.controller] Amount mismatch for reference: ${reference}. Expected: ${transaction.amount}, Received: ${amount}`
-      );
-      await updateTransactionStatus(reference, "failed");
-      return;
-    }
-
-    // Double verification with Paystack API
-    const verificationResult = await verifyTransaction(reference);
-
-    if (
-      !verificationResult.status ||
-      verificationResult.data.status !== "success"
-    ) {
-      logger.warn(
-        `[payment.controller] Paystack verification failed for reference: ${reference}`
-      );
-      await updateTransactionStatus(reference, "failed");
-      return;
-    }
-
-    // Create order using stored order data
-    const order = await createOrderFromCart(
-      transaction.user,
-      transaction.orderData.items,
-      transaction.orderData.shippingInfo,
-      transaction.orderData.totalPrice,
-      "accepted", // Default status for new orders
-      transaction.orderData.expressService || false,
-      transaction.orderData.expressFee || 0
-    );
-
-    // Update order with payment reference
-    order.paymentReference = reference;
-    order.paymentStatus = "paid";
-    await order.save();
-
-    // Update transaction status and link order
-    await updateTransactionStatus(
-      reference,
-      "success",
-      order._id,
-      verificationResult
-    );
-
-    logger.info(
-      `[payment.controller] Order created successfully for transaction: ${reference}, Order: ${order._id}`
-    );
-
-    // Populate order for email notification (no extra query needed)
-    await order.populate([
-      { path: "items.product", select: "name slug images price" },
-      { path: "user", select: "displayName email" },
-    ]);
-
-    // Send admin notification asynchronously
-    sendAdminNewOrderNotification(order);
-
-    // Send customer confirmation email (status: accepted)
-    sendCustomerStatusUpdateNotification(order);
-  } catch (error) {
-    logger.error(
-      `[payment.controller] Error handling successful payment: ${error.message}`
-    );
-    throw error;
-  }
-}
-
-/**
- * Handle failed payment
- * @param {Object} data - Paystack event data
- */
-async function handleFailedPayment(data) {
-  try {
-    const { reference } = data;
-
-    // Update transaction status to failed
-    await updateTransactionStatus(reference, "failed");
-
-    logger.info(
-      `[payment.controller] Payment failed for transaction: ${reference}`
-    );
-  } catch (error) {
-    logger.error(
-      `[payment.controller] Error handling failed payment: ${error.message}`
-    );
-    throw error;
-  }
 }
 
 /**
@@ -239,10 +158,12 @@ export const verifyPayment = async (req, res) => {
       );
     }
 
-    // If transaction is still pending, verify with Paystack
-    if (transaction.status === "pending") {
+    // If transaction is still pending (or its stock hold timed out), verify with the gateway
+    if (["pending", "abandoned"].includes(transaction.status)) {
       try {
-        const verificationResult = await verifyTransaction(reference);
+        const verificationResult = await getPaymentGateway(
+          transaction.gateway
+        ).verifyTransaction(reference);
 
         // Explicitly handle each transaction status from Paystack
         if (
@@ -267,8 +188,11 @@ export const verifyPayment = async (req, res) => {
           verificationResult.data &&
           verificationResult.data.status === "failed"
         ) {
-          // Explicitly handle failed transactions
-          await updateTransactionStatus(reference, "failed");
+          // Explicitly handle failed transactions (unless a webhook settled it meanwhile)
+          if (await markUnfulfilledTransactionFailed(reference)) {
+            await releaseReservations(reference);
+            await releaseStoredValue(reference);
+          }
 
           const updatedTransaction = await getTransactionByReference(reference);
           return res.status(200).json(
@@ -321,3 +245,144 @@ export const verifyPayment = async (req, res) => {
     );
   }
 };
+
+/**
+ * Keep the parts of a stored gateway response a customer may see. Tokens,
+ * customer details, metadata and IPs are dropped; cards show only brand,
+ * bank, last four digits and expiry.
+ * @param {Object|null} gatewayResponse - Transaction's paystackResponse
+ * @returns {Object|null} null until the gateway has reported on the payment
+ */
+function sanitizeGatewayResponse(gatewayResponse) {
+  const data = gatewayResponse?.data;
+  // Checkout only stores the initialize response, which has no payment status
+  if (!data?.status) return null;
+
+  const card = data.authorization;
+  return {
+    status: data.status,
+    message: data.gateway_response || null,
+    channel: data.channel || null,
+    currency: data.currency || null,
+    paidAt: data.paid_at || null,
+    card: card?.last4
+      ? {
+          brand: card.brand || card.card_type || null,
+          bank: card.bank || null,
+          last4: card.last4,
+          expMonth: card.exp_month || null,
+          expYear: card.exp_year || null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Shape a transaction for its customer (amounts in GHS)
+ * @param {Object} transaction - Transaction document with its order populated
+ * @returns {Object}
+ */
+function buildTransactionResponse(transaction) {
+  return {
+    _id: transaction._id,
+    reference: transaction.reference,
+    status: transaction.status,
+    amount: convertToCedis(transaction.amount),
+    currency: transaction.currency,
+    order: transaction.order,
+    refunds: transaction.refunds.map(refund => ({
+      _id: refund._id,
+      amount: convertToCedis(refund.amount),
+      status: refund.status,
+      reason: refund.reason,
+      processedAt: refund.processedAt,
+      createdAt: refund.createdAt,
+    })),
+    payment: sanitizeGatewayResponse(transaction.paystackResponse),
+    createdAt: transaction.createdAt,
+    updatedAt: transaction.updatedAt,
+  };
+}
+
+/**
+ * List the logged-in user's payment attempts, newest first, including
+ * failed and abandoned ones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyTransactions = async (req, res) => {
+  const userId = req.user._id;
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+
+  try {
+    const [transactions, total] = await Promise.all([
+      getTransactionsByUser(userId, page, limit),
+      countTransactionsByUser(userId),
+    ]);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Transactions retrieved successfully",
+        data: transactions.map(buildTransactionResponse),
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[payment.controller] Error fetching transactions for user ${userId}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to retrieve transactions",
+      })
+    );
+  }
+};
+
+/**
+ * Get one of the logged-in user's payment attempts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyTransactionById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Invalid transaction id",
+        })
+      );
+    }
+
+    const transaction = await getTransactionById(id, req.user._id);
+    if (!transaction) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Transaction not found",
+        })
+      );
+    }
+
+    res
+      .status(200)
+      .json(formatResponse({ data: buildTransactionResponse(transaction) }));
+  } catch (error) {
+    logger.error(
+      `[payment.controller] Error fetching transaction ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to retrieve transaction",
+      })
+    );
+  }
+};
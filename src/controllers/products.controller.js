@@ -14,6 +14,9 @@ import {
   removeVariantFromProduct,
   removeSwatchImage,
 } from "../models/product.model.js";
+import { withAvailableStock } from "../models/stockReservation.model.js";
+import { notifyBackInStock } from "../services/stockAlertService.js";
+import { withEffectivePrice } from "../utils/productPricing.js";
 import { deleteAssets } from "../config/cloudinary.js";
 import { getOptimisedUrl } from "../middleware/upload.middleware.js";
 import logger from "../config/logger.js";
@@ -41,7 +44,7 @@ export async function getProducts(req, res) {
         formatResponse({
           success: false,
           error:
-            "Invalid sort option. Valid options are: latest, price-low-high, price-high-low, name-a-z, name-z-a",
+            "Invalid sort option. Valid options are: latest, price-low-high, price-high-low, name-a-z, name-z-a, rating-high-low",
         })
       );
     }
@@ -66,7 +69,7 @@ export async function getProducts(req, res) {
 
     res.status(200).json(
       formatResponse({
-        data: products,
+        data: await withAvailableStock(products),
         total,
         totalPages: Math.ceil(total / limitNum),
         currentPage: pageNum,
@@ -106,7 +109,10 @@ export async function getProductByIdHandler(req, res) {
         })
       );
     }
-    res.json(formatResponse({ data: product }));
+    const [availableProduct] = await withAvailableStock([
+      withEffectivePrice(product),
+    ]);
+    res.json(formatResponse({ data: availableProduct }));
   } catch (error) {
     logger.error(
       `[products.controller] Error getting product ${req.params.id}: ${error.message}`
@@ -135,19 +141,21 @@ export const getProductBySlugHandler = async (req, res) => {
       );
     }
 
-    // Product is already a plain object from .lean(), so we can directly add properties
-    const responseData = { ...product };
+    // Stock shown to shoppers excludes units held by pending checkouts
+    const [responseData] = await withAvailableStock([product]);
 
     // Always include variants for base products (not variants themselves)
     if (!product.isVariant) {
       const variants = await getProductVariants(product._id);
-      responseData.variants = variants;
+      responseData.variants = await withAvailableStock(
+        variants.map(variant => withEffectivePrice(variant))
+      );
     }
 
     // Only include related products if query parameter is explicitly set to "true"
     if (includeRelated) {
       const relatedProducts = await getRelatedProducts(product, 4);
-      responseData.relatedProducts = relatedProducts;
+      responseData.relatedProducts = await withAvailableStock(relatedProducts);
     }
 
     res.status(200).json(formatResponse({ data: responseData }));
@@ -222,6 +230,21 @@ export async function updateProductAdmin(req, res) {
     }
     const payload = { ...req.body };
 
+    // A size-tracked product's total follows its sizes, so it can't be set directly
+    if (
+      existing.sizeStock &&
+      payload.stock !== undefined &&
+      payload.sizeStock === undefined
+    ) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error:
+            "Stock is tracked per size for this product; update sizeStock instead",
+        })
+      );
+    }
+
     // Handle swatchImage deletion for all products (base products and variants)
     if (payload.swatchImage !== undefined) {
       const existingSwatchPublicId = existing.swatchImage?.publicId;
@@ -276,6 +299,15 @@ export async function updateProductAdmin(req, res) {
     }
 
     const product = await updateProduct(id, payload);
+
+    // A restock (or publishing a stocked product) lets waiting shoppers know
+    if (
+      product.stock > 0 &&
+      ["stock", "sizeStock", "isPublished"].some(field => field in payload)
+    ) {
+      notifyBackInStock([id]);
+    }
+
     res.json(
       formatResponse({ message: "Product updated successfully", data: product })
     );
@@ -379,7 +411,7 @@ export async function getProductsAdmin(req, res) {
         formatResponse({
           success: false,
           error:
-            "Invalid sort option. Valid options are: latest, price-low-high, price-high-low, name-a-z, name-z-a",
+            "Invalid sort option. Valid options are: latest, price-low-high, price-high-low, name-a-z, name-z-a, rating-high-low",
         })
       );
     }
@@ -0,0 +1,131 @@
+import {
+  getReconciliationReports,
+  getReconciliationReportById,
+} from "../models/reconciliationReport.model.js";
+import { reconcilePendingTransactions } from "../services/reconciliationService.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Lists reconciliation reports, newest first, without their per-transaction items
+ * @async
+ * @function getReconciliationReportsAdmin
+ * @route GET /admin/reconciliation/reports
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with paginated reports
+ */
+export async function getReconciliationReportsAdmin(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { reports, total } = await getReconciliationReports(page, limit);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Reconciliation reports retrieved successfully",
+        data: reports,
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[reconciliation.controller] Failed to fetch reconciliation reports: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load reconciliation reports",
+      })
+    );
+  }
+}
+
+/**
+ * Shows one reconciliation report with every transaction it checked
+ * @async
+ * @function getReconciliationReportAdmin
+ * @route GET /admin/reconciliation/reports/:id
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the report
+ */
+export async function getReconciliationReportAdmin(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid report id" }));
+    }
+
+    const report = await getReconciliationReportById(id);
+    if (!report) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Report not found" }));
+    }
+
+    res.status(200).json(formatResponse({ data: report }));
+  } catch (error) {
+    logger.error(
+      `[reconciliation.controller] Failed to fetch reconciliation report ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load reconciliation report",
+      })
+    );
+  }
+}
+
+/**
+ * Runs reconciliation now instead of waiting for the next scheduled run
+ * @async
+ * @function runReconciliationAdmin
+ * @route POST /admin/reconciliation/run
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the run's report
+ */
+export async function runReconciliationAdmin(req, res) {
+  try {
+    const report = await reconcilePendingTransactions({
+      trigger: "manual",
+      triggeredBy: req.user._id,
+    });
+    if (!report) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: "A reconciliation run is already in progress",
+        })
+      );
+    }
+
+    res.status(201).json(
+      formatResponse({
+        message: `Reconciled ${report.checked} transactions`,
+        data: report,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[reconciliation.controller] Failed to run reconciliation: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to run reconciliation",
+      })
+    );
+  }
+}
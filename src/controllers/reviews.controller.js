@@ -0,0 +1,331 @@
+import {
+  createReview,
+  hasReviewed,
+  getApprovedReviews,
+  getReviewsForModeration,
+  moderateReview,
+  deleteReview,
+  refreshProductRating,
+} from "../models/review.model.js";
+import { getProductById } from "../models/product.model.js";
+import { findArrivedOrderWithProducts } from "../models/order.model.js";
+import { discardUploadedImages } from "../middleware/upload.middleware.js";
+import logger from "../config/logger.js";
+import { REVIEW_STATUSES } from "../constants/reviewStatus.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Looks up the published product a review belongs to. Variants share their
+ * base product's reviews, so a variant ID resolves to its base product.
+ * @param {String} id - Product or variant ID
+ * @returns {Promise<Object|null>} Base product document, or null if unavailable
+ */
+async function findReviewableProduct(id) {
+  let product = await getProductById(id);
+  if (product?.isVariant && product.baseProduct) {
+    product = await getProductById(product.baseProduct);
+  }
+  return product?.isPublished ? product : null;
+}
+
+/**
+ * Lists a product's approved reviews with its rating summary.
+ * @async
+ * @function getProductReviews
+ * @route GET /products/:id/reviews
+ * @access Public
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with paginated reviews
+ */
+export async function getProductReviews(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid product id" }));
+    }
+
+    const product = await findReviewableProduct(id);
+    if (!product) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Product not found" }));
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const { reviews, total } = await getApprovedReviews(
+      product._id,
+      page,
+      limit
+    );
+
+    res.status(200).json(
+      formatResponse({
+        message: "Reviews retrieved successfully",
+        data: {
+          averageRating: product.averageRating,
+          reviewCount: product.reviewCount,
+          reviews,
+        },
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[reviews.controller] Failed to fetch reviews for product ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load reviews",
+      })
+    );
+  }
+}
+
+/**
+ * Submits a review of a product. Only customers with an arrived order
+ * containing the product (or one of its variants) may review it, once.
+ * The review waits for moderation before it is shown or counted.
+ * @async
+ * @function createProductReview
+ * @route POST /products/:id/reviews
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the pending review
+ */
+export async function createProductReview(req, res) {
+  const { id } = req.params;
+  const { rating, title, body, photos = [] } = req.body;
+  const userId = req.user._id;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      await discardUploadedImages(photos);
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid product id" }));
+    }
+
+    const product = await findReviewableProduct(id);
+    if (!product) {
+      await discardUploadedImages(photos);
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Product not found" }));
+    }
+
+    const order = await findArrivedOrderWithProducts(userId, [
+      product._id,
+      ...(product.variants || []),
+    ]);
+    if (!order) {
+      await discardUploadedImages(photos);
+      return res.status(403).json(
+        formatResponse({
+          success: false,
+          error: "Only customers who have received this product can review it",
+        })
+      );
+    }
+
+    if (await hasReviewed(product._id, userId)) {
+      await discardUploadedImages(photos);
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: "You have already reviewed this product",
+        })
+      );
+    }
+
+    const review = await createReview({
+      product: product._id,
+      user: userId,
+      order: order._id,
+      // Multipart forms send every field as a string
+      rating: Number(rating),
+      title,
+      body,
+      photos,
+    });
+
+    res.status(201).json(
+      formatResponse({
+        message: "Thanks! Your review will appear once it has been approved",
+        data: review,
+      })
+    );
+  } catch (error) {
+    await discardUploadedImages(photos);
+    if (error.code === 11000) {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: "You have already reviewed this product",
+        })
+      );
+    }
+    logger.error(
+      `[reviews.controller] Failed to create review for product ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to submit review",
+      })
+    );
+  }
+}
+
+/**
+ * Lists reviews for moderation, pending ones by default.
+ * @async
+ * @function getReviewsAdmin
+ * @route GET /admin/reviews
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with paginated reviews
+ */
+export async function getReviewsAdmin(req, res) {
+  try {
+    const status = req.query.status || "pending";
+    if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `Invalid status. Use one of: all, ${REVIEW_STATUSES.join(", ")}`,
+        })
+      );
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { reviews, total } = await getReviewsForModeration(
+      status === "all" ? null : status,
+      page,
+      limit
+    );
+
+    res.status(200).json(
+      formatResponse({
+        message: "Reviews retrieved successfully",
+        data: reviews,
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[reviews.controller] Failed to fetch reviews for moderation: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load reviews",
+      })
+    );
+  }
+}
+
+/**
+ * Approves or rejects a review and refreshes the product's rating.
+ * @async
+ * @function moderateReviewAdmin
+ * @route PATCH /admin/reviews/:id
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the moderated review
+ */
+export async function moderateReviewAdmin(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid review id" }));
+    }
+
+    const review = await moderateReview(id, req.body, req.user._id);
+    if (!review) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Review not found" }));
+    }
+
+    await refreshProductRating(review.product);
+
+    res.status(200).json(
+      formatResponse({
+        message: `Review ${review.status}`,
+        data: review,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[reviews.controller] Failed to moderate review ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to moderate review",
+      })
+    );
+  }
+}
+
+/**
+ * Deletes a review and its photos, then refreshes the product's rating.
+ * @async
+ * @function deleteReviewAdmin
+ * @route DELETE /admin/reviews/:id
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response confirming deletion
+ */
+export async function deleteReviewAdmin(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid review id" }));
+    }
+
+    const review = await deleteReview(id);
+    if (!review) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Review not found" }));
+    }
+
+    await discardUploadedImages(review.photos);
+    await refreshProductRating(review.product);
+
+    res.status(200).json(formatResponse({ message: "Review deleted" }));
+  } catch (error) {
+    logger.error(
+      `[reviews.controller] Failed to delete review ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to delete review",
+      })
+    );
+  }
+}
@@ -0,0 +1,135 @@
+import {
+  getExpressSettings,
+  updateExpressSettings,
+} from "../models/expressSettings.model.js";
+import {
+  getTailoringSettings,
+  updateTailoringSettings,
+  getTailoringSchedule,
+} from "../models/tailoring.model.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+
+/**
+ * Returns the express service pricing rules (admin only).
+ * @async
+ * @function getExpressSettingsAdmin
+ * @route GET /admin/settings/express
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the express settings
+ */
+export async function getExpressSettingsAdmin(req, res) {
+  try {
+    const settings = await getExpressSettings();
+    res.status(200).json(formatResponse({ data: settings }));
+  } catch (error) {
+    logger.error(
+      `[settings.controller] Failed to fetch express settings: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load express settings",
+      })
+    );
+  }
+}
+
+/**
+ * Updates the express service pricing rules (admin only).
+ * List fields (categoryRates, blackoutPeriods) replace the stored lists.
+ * @async
+ * @function updateExpressSettingsAdmin
+ * @route PATCH /admin/settings/express
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated express settings
+ */
+export async function updateExpressSettingsAdmin(req, res) {
+  try {
+    const settings = await updateExpressSettings(req.body, req.user._id);
+    res.status(200).json(
+      formatResponse({
+        message: "Express settings updated",
+        data: settings,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[settings.controller] Failed to update express settings: ${error.message}`
+    );
+    res.status(400).json(
+      formatResponse({
+        success: false,
+        error: "Failed to update express settings",
+      })
+    );
+  }
+}
+
+/**
+ * Returns the tailoring capacity settings and how full each upcoming
+ * production week is (admin only).
+ * @async
+ * @function getTailoringSettingsAdmin
+ * @route GET /admin/settings/tailoring
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the settings and schedule
+ */
+export async function getTailoringSettingsAdmin(req, res) {
+  try {
+    const settings = await getTailoringSettings();
+    const schedule = await getTailoringSchedule(settings);
+    res
+      .status(200)
+      .json(formatResponse({ data: { ...settings.toObject(), schedule } }));
+  } catch (error) {
+    logger.error(
+      `[settings.controller] Failed to fetch tailoring settings: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load tailoring settings",
+      })
+    );
+  }
+}
+
+/**
+ * Updates the tailoring capacity settings (admin only).
+ * Lowering weeklySlots doesn't move orders already booked into a week.
+ * @async
+ * @function updateTailoringSettingsAdmin
+ * @route PATCH /admin/settings/tailoring
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated settings
+ */
+export async function updateTailoringSettingsAdmin(req, res) {
+  try {
+    const settings = await updateTailoringSettings(req.body, req.user._id);
+    res.status(200).json(
+      formatResponse({
+        message: "Tailoring settings updated",
+        data: settings,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[settings.controller] Failed to update tailoring settings: ${error.message}`
+    );
+    res.status(400).json(
+      formatResponse({
+        success: false,
+        error: "Failed to update tailoring settings",
+      })
+    );
+  }
+}
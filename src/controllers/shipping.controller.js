@@ -0,0 +1,211 @@
+import {
+  getShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} from "../models/shippingZone.model.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Builds the error response for a failed zone write.
+ * Duplicate zone names map to 409, anything else to 400.
+ * @param {Error} error - Error thrown by the model
+ * @param {string} fallback - Message for non-duplicate errors
+ * @returns {{status: number, body: Object}}
+ */
+function zoneWriteError(error, fallback) {
+  if (error.code === 11000) {
+    return {
+      status: 409,
+      body: formatResponse({
+        success: false,
+        error: "A shipping zone with this name already exists",
+      }),
+    };
+  }
+  return {
+    status: 400,
+    body: formatResponse({ success: false, error: fallback }),
+  };
+}
+
+/**
+ * Lists the active shipping zones so the storefront can show where we deliver.
+ * @async
+ * @function getShippingZonesHandler
+ * @route GET /shipping/zones
+ * @access Public
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with active shipping zones
+ */
+export async function getShippingZonesHandler(req, res) {
+  try {
+    const zones = await getShippingZones(true);
+    res.status(200).json(formatResponse({ data: zones }));
+  } catch (error) {
+    logger.error(
+      `[shipping.controller] Failed to fetch shipping zones: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load shipping zones",
+      })
+    );
+  }
+}
+
+/**
+ * Lists every shipping zone, including inactive ones (admin only).
+ * @async
+ * @function getShippingZonesAdmin
+ * @route GET /admin/shipping-zones
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with all shipping zones
+ */
+export async function getShippingZonesAdmin(req, res) {
+  try {
+    const zones = await getShippingZones();
+    res.status(200).json(formatResponse({ data: zones }));
+  } catch (error) {
+    logger.error(
+      `[shipping.controller] Failed to fetch shipping zones: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load shipping zones",
+      })
+    );
+  }
+}
+
+/**
+ * Creates a shipping zone (admin only).
+ * @async
+ * @function createShippingZoneAdmin
+ * @route POST /admin/shipping-zones
+ * @access Admin
+ * @param {Request} req - Express request object with zone data in body
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the created zone or error
+ */
+export async function createShippingZoneAdmin(req, res) {
+  try {
+    const zone = await createShippingZone(req.body);
+    res.status(201).json(
+      formatResponse({
+        message: "Shipping zone created successfully",
+        data: zone,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[shipping.controller] Error creating shipping zone: ${error.message}`
+    );
+    const { status, body } = zoneWriteError(
+      error,
+      "Invalid shipping zone data"
+    );
+    res.status(status).json(body);
+  }
+}
+
+/**
+ * Updates a shipping zone by ID (admin only).
+ * @async
+ * @function updateShippingZoneAdmin
+ * @route PATCH /admin/shipping-zones/:id
+ * @access Admin
+ * @param {Request} req - Express request object with path param: id and updates in body
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated zone or error
+ */
+export async function updateShippingZoneAdmin(req, res) {
+  try {
+    const { id } = req.params;
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid shipping zone id" })
+        );
+    }
+
+    const zone = await updateShippingZone(id, req.body);
+    if (!zone) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Shipping zone not found",
+        })
+      );
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "Shipping zone updated successfully",
+        data: zone,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[shipping.controller] Error updating shipping zone ${req.params.id}: ${error.message}`
+    );
+    const { status, body } = zoneWriteError(
+      error,
+      "Shipping zone update failed"
+    );
+    res.status(status).json(body);
+  }
+}
+
+/**
+ * Deletes a shipping zone by ID (admin only).
+ * @async
+ * @function deleteShippingZoneAdmin
+ * @route DELETE /admin/shipping-zones/:id
+ * @access Admin
+ * @param {Request} req - Express request object with path param: id
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends 204 status or error response
+ */
+export async function deleteShippingZoneAdmin(req, res) {
+  try {
+    const { id } = req.params;
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid shipping zone id" })
+        );
+    }
+
+    const deleted = await deleteShippingZone(id);
+    if (!deleted) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Shipping zone not found",
+        })
+      );
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    logger.error(
+      `[shipping.controller] Error deleting shipping zone ${req.params.id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to delete shipping zone",
+      })
+    );
+  }
+}
@@ -0,0 +1,227 @@
+import {
+  subscribeStockAlert,
+  confirmStockAlert,
+  unsubscribeStockAlert,
+} from "../models/stockAlert.model.js";
+import { getPurchasableProducts } from "../models/product.model.js";
+import { withAvailableStock } from "../models/stockReservation.model.js";
+import {
+  notifyBackInStock,
+  sendStockAlertConfirmation,
+} from "../services/stockAlertService.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Asks to be emailed once when a sold-out product is back in stock.
+ * Logged-in customers are notified at their account email unless they send
+ * another one; guests must send an email. Any address other than the customer's
+ * own has to be confirmed from an emailed link first.
+ * @async
+ * @function subscribeToStockAlert
+ * @route POST /products/:id/notify-me
+ * @access Public
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response confirming the alert
+ */
+export async function subscribeToStockAlert(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid product id" }));
+    }
+
+    const email = (req.body?.email || req.user?.email)?.toLowerCase();
+    if (!email) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "An email address is required",
+        })
+      );
+    }
+
+    const [product] = await withAvailableStock(
+      await getPurchasableProducts([id])
+    );
+    if (!product) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "Product not found" }));
+    }
+    if (product.stock > 0) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "This product is in stock",
+        })
+      );
+    }
+
+    const { alert, changed } = await subscribeStockAlert({
+      product: id,
+      email,
+      user: req.user?._id || null,
+      confirmed: email === req.user?.email?.toLowerCase(),
+    });
+    const data = { product: id, email };
+
+    if (alert.status === "unsubscribed") {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error:
+            "This address unsubscribed from alerts for this product. Sign in with it to subscribe again",
+        })
+      );
+    }
+
+    if (alert.status === "unconfirmed") {
+      if (changed) sendStockAlertConfirmation(alert, product);
+      return res.status(changed ? 202 : 200).json(
+        formatResponse({
+          message:
+            "Check your inbox and confirm the alert to be emailed when this product is back in stock",
+          data,
+        })
+      );
+    }
+
+    res.status(changed ? 201 : 200).json(
+      formatResponse({
+        message: changed
+          ? "We'll email you when this product is back in stock"
+          : "You're already on the list for this product",
+        data,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[stockAlerts.controller] Failed to subscribe to stock alert for product ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to set up back-in-stock alert",
+      })
+    );
+  }
+}
+
+/**
+ * Confirms a back-in-stock alert from the link in its confirmation email.
+ * @async
+ * @function confirmStockAlertSubscription
+ * @route GET /products/notify-me/confirm
+ * @access Public
+ * @param {Request} req - Express request object with query param: token
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response confirming the alert
+ */
+export async function confirmStockAlertSubscription(req, res) {
+  const { token } = req.query;
+
+  try {
+    if (typeof token !== "string" || !/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Invalid confirmation link",
+        })
+      );
+    }
+
+    const alert = await confirmStockAlert(token);
+    if (!alert) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Invalid confirmation link",
+        })
+      );
+    }
+    if (alert.status === "unsubscribed") {
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: "This alert was unsubscribed",
+        })
+      );
+    }
+
+    // The product may have come back while the email sat unread
+    notifyBackInStock([alert.product]);
+
+    res.status(200).json(
+      formatResponse({
+        message: "We'll email you when this product is back in stock",
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[stockAlerts.controller] Failed to confirm stock alert: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to confirm back-in-stock alert",
+      })
+    );
+  }
+}
+
+/**
+ * Cancels a back-in-stock alert from the link in its email.
+ * @async
+ * @function unsubscribeFromStockAlert
+ * @route GET /products/notify-me/unsubscribe
+ * @access Public
+ * @param {Request} req - Express request object with query param: token
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response confirming the unsubscribe
+ */
+export async function unsubscribeFromStockAlert(req, res) {
+  const { token } = req.query;
+
+  try {
+    if (typeof token !== "string" || !/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: "Invalid unsubscribe link",
+        })
+      );
+    }
+
+    const alert = await unsubscribeStockAlert(token);
+    if (!alert) {
+      return res.status(404).json(
+        formatResponse({
+          success: false,
+          error: "Invalid unsubscribe link",
+        })
+      );
+    }
+
+    res.status(200).json(
+      formatResponse({
+        message: "You won't receive back-in-stock emails for this product",
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[stockAlerts.controller] Failed to unsubscribe stock alert: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to unsubscribe",
+      })
+    );
+  }
+}
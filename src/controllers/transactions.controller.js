@@ -0,0 +1,245 @@
+import {
+  getPaginatedTransactions,
+  getTransactionTotalsByStatus,
+  getTransactionByIdAdmin,
+  streamTransactionsAdmin,
+} from "../models/transaction.model.js";
+import { convertToCedis } from "../services/paymentGateway.js";
+import { getProcessedRefundTotal } from "../services/refundService.js";
+import { TRANSACTION_STATUSES } from "../constants/transactionStatus.js";
+import { buildTransactionQuery } from "../utils/buildTransactionQuery.js";
+import { toCsvRow } from "../utils/csv.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+const CSV_COLUMNS = [
+  "Reference",
+  "Created At",
+  "Status",
+  "Gateway",
+  "Amount (GHS)",
+  "Currency",
+  "Refunded (GHS)",
+  "Customer",
+  "Customer Email",
+  "Order",
+  "Order Status",
+  "Paid At",
+  "Channel",
+  "Gateway Response",
+];
+
+/**
+ * Converts a transaction's amounts from pesewas to GHS for admin responses.
+ * The raw gateway payload is left as the gateway sent it.
+ * @param {Object} transaction - Lean transaction
+ * @returns {Object}
+ */
+function toCedisAmounts(transaction) {
+  return {
+    ...transaction,
+    amount: convertToCedis(transaction.amount),
+    // Lean documents skip schema defaults, so older ones may have no refunds
+    refunds: (transaction.refunds || []).map(refund => ({
+      ...refund,
+      amount: convertToCedis(refund.amount),
+    })),
+  };
+}
+
+/**
+ * Count and sum (GHS) of matching transactions per status, plus the overall total
+ * @param {Array} groups - Aggregation result ({ _id: status, count, amount })
+ * @returns {Object}
+ */
+function buildTotals(groups) {
+  const byStatus = Object.fromEntries(
+    TRANSACTION_STATUSES.map(status => {
+      const group = groups.find(g => g._id === status);
+      return [
+        status,
+        {
+          count: group?.count || 0,
+          amount: convertToCedis(group?.amount || 0),
+        },
+      ];
+    })
+  );
+  const all = groups.reduce(
+    (sum, group) => ({
+      count: sum.count + group.count,
+      amount: sum.amount + group.amount,
+    }),
+    { count: 0, amount: 0 }
+  );
+  return { byStatus, count: all.count, amount: convertToCedis(all.amount) };
+}
+
+/**
+ * Sends the CSV download headers and the column row
+ * @param {Response} res - Express response object
+ */
+function startCsvDownload(res) {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="transactions-${date}.csv"`
+  );
+  res.write(toCsvRow(CSV_COLUMNS));
+}
+
+/**
+ * Lists payment transactions, newest first, with totals per status across
+ * every match (not just the page)
+ * @async
+ * @function getTransactionsAdmin
+ * @route GET /admin/transactions
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with paginated transactions and totals
+ */
+export async function getTransactionsAdmin(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = buildTransactionQuery(req.query);
+
+    const [{ transactions, total }, groups] = await Promise.all([
+      getPaginatedTransactions(query, page, limit),
+      getTransactionTotalsByStatus(query),
+    ]);
+
+    res.status(200).json(
+      formatResponse({
+        message: "Transactions retrieved successfully",
+        data: transactions.map(toCedisAmounts),
+        totals: buildTotals(groups),
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[transactions.controller] Failed to fetch transactions: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load transactions",
+      })
+    );
+  }
+}
+
+/**
+ * Shows one transaction with its checkout data, refunds and the gateway's
+ * raw verification payload
+ * @async
+ * @function getTransactionAdmin
+ * @route GET /admin/transactions/:id
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the transaction
+ */
+export async function getTransactionAdmin(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid transaction id" })
+        );
+    }
+
+    const transaction = await getTransactionByIdAdmin(id);
+    if (!transaction) {
+      return res
+        .status(404)
+        .json(
+          formatResponse({ success: false, error: "Transaction not found" })
+        );
+    }
+
+    res.status(200).json(formatResponse({ data: toCedisAmounts(transaction) }));
+  } catch (error) {
+    logger.error(
+      `[transactions.controller] Failed to fetch transaction ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load transaction",
+      })
+    );
+  }
+}
+
+/**
+ * Downloads every transaction matching the filters as CSV (amounts in GHS)
+ * @async
+ * @function exportTransactionsAdmin
+ * @route GET /admin/transactions/export
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Streams a CSV file
+ */
+export async function exportTransactionsAdmin(req, res) {
+  const cursor = streamTransactionsAdmin(buildTransactionQuery(req.query));
+
+  try {
+    for await (const transaction of cursor) {
+      if (!res.headersSent) {
+        startCsvDownload(res);
+      }
+
+      const payment = transaction.paystackResponse?.data;
+      res.write(
+        toCsvRow([
+          transaction.reference,
+          transaction.createdAt,
+          transaction.status,
+          transaction.gateway,
+          convertToCedis(transaction.amount),
+          transaction.currency,
+          convertToCedis(getProcessedRefundTotal(transaction.refunds)),
+          transaction.user?.displayName,
+          transaction.user?.email,
+          transaction.order?._id?.toString(),
+          transaction.order?.status,
+          payment?.paid_at,
+          payment?.channel,
+          payment?.gateway_response,
+        ])
+      );
+    }
+
+    // No matches: still send a file with just the header row
+    if (!res.headersSent) {
+      startCsvDownload(res);
+    }
+    res.end();
+  } catch (error) {
+    logger.error(
+      `[transactions.controller] Failed to export transactions: ${error.message}`
+    );
+    await cursor.close().catch(() => {});
+    if (res.headersSent) {
+      // Part of the file is out; cut it off so it isn't mistaken for complete
+      return res.destroy(error);
+    }
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to export transactions",
+      })
+    );
+  }
+}
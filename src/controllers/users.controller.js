@@ -13,11 +13,17 @@ import {
   validateRefreshToken,
   revokeRefreshToken,
 } from "../services/refreshTokenService.js";
+import {
+  GUEST_CART_COOKIE,
+  isValidGuestCartId,
+  mergeGuestCartIntoUserCart,
+} from "../services/guestCartService.js";
 
 import { formatResponse } from "../utils/responseFormatter.js";
 import {
   getAccessTokenCookieOptions,
   getRefreshTokenCookieOptions,
+  getGuestCartCookieOptions,
 } from "../utils/getCookieOptions.js";
 
 import {
@@ -183,11 +189,45 @@ export async function getCurrentUser(req, res) {
   );
 }
 
+/**
+ * Helper function to merge an anonymous guest cart into the user's cart
+ * - Reads the guest cart id from its cookie
+ * - Merges duplicate lines and re-checks stock (see mergeGuestCartIntoUserCart)
+ * - Clears the guest cart cookie once the merge has succeeded
+ * - Never blocks authentication: failures are logged and the guest cart is kept
+ *
+ * @param {Object} req   - Express request object (req.user must be set)
+ * @param {Object} res   - Express response object
+ * @returns {Promise<void>}
+ */
+async function mergeGuestCart(req, res) {
+  const guestId = req.cookies?.[GUEST_CART_COOKIE];
+  if (!guestId) return;
+
+  if (!isValidGuestCartId(guestId)) {
+    res.clearCookie(GUEST_CART_COOKIE, getGuestCartCookieOptions());
+    return;
+  }
+
+  try {
+    const result = await mergeGuestCartIntoUserCart(guestId, req.user._id);
+    if (result?.adjustments.length) {
+      logger.info(
+        `[mergeGuestCart] Adjusted merged cart for user ${req.user._id}: ${result.adjustments.join("; ")}`
+      );
+    }
+    res.clearCookie(GUEST_CART_COOKIE, getGuestCartCookieOptions());
+  } catch (error) {
+    logger.error(`[mergeGuestCart] Guest cart merge failed: ${error.message}`);
+  }
+}
+
 /**
  * Helper function to finalize authentication workflow
  * - Generates both access token (15 min) and refresh token (7 days)
  * - Stores refresh token in Redis with TTL
  * - Sets both tokens as HTTP-only cookies with appropriate paths
+ * - Merges any guest cart into the user's stored cart
  * - Redirects to intermediate success page for Safari cookie persistence
  * - Works for both OAuth (Google) and local auth (login/register via form submission)
  * - Handles errors with structured response and logging
@@ -224,6 +264,9 @@ async function finalizeAuth(req, res) {
     res.cookie("auth_token", accessToken, accessTokenCookieOptions);
     res.cookie("refresh_token", refreshToken, refreshTokenCookieOptions);
 
+    // Carry over anything the shopper added to their cart before authenticating
+    await mergeGuestCart(req, res);
+
     // Redirect to intermediate success page on backend domain
     // This allows Safari to persist cookies before cross-origin redirect
     // Works for both Google OAuth and local auth (form submission)
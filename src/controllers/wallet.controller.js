@@ -0,0 +1,121 @@
+import {
+  getWalletByUser,
+  getWalletEntries,
+  creditWallet,
+} from "../models/wallet.model.js";
+import { findUserById } from "../models/user.model.js";
+import {
+  convertToPesewas,
+  convertToCedis,
+} from "../services/paymentGateway.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Shapes a wallet and its history for the API (amounts in GHS).
+ * @param {Object|null} wallet - Wallet document (null if the user never had credit)
+ * @param {Array} entries - Ledger entries, newest first
+ * @returns {Object} Wallet response data
+ */
+function buildWalletResponse(wallet, entries = []) {
+  return {
+    balance: convertToCedis(wallet?.balance || 0),
+    currency: "GHS",
+    entries: entries.map(entry => ({
+      _id: entry._id,
+      type: entry.type,
+      amount: convertToCedis(entry.amount),
+      balanceAfter: convertToCedis(entry.balanceAfter),
+      reason: entry.reason,
+      reference: entry.reference,
+      note: entry.note,
+      createdAt: entry.createdAt,
+    })),
+  };
+}
+
+/**
+ * Retrieves the authenticated user's store credit balance and recent history.
+ * @async
+ * @function getMyWallet
+ * @route GET /wallet
+ * @access Private
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the wallet balance and entries
+ */
+export async function getMyWallet(req, res) {
+  try {
+    const wallet = await getWalletByUser(req.user._id);
+    const entries = wallet ? await getWalletEntries(wallet._id) : [];
+
+    res
+      .status(200)
+      .json(formatResponse({ data: buildWalletResponse(wallet, entries) }));
+  } catch (error) {
+    logger.error(
+      `[wallet.controller] Failed to fetch wallet for user ${req.user._id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load wallet",
+      })
+    );
+  }
+}
+
+/**
+ * Adds store credit to a customer's wallet (admin only), e.g. as goodwill.
+ * @async
+ * @function creditUserWalletAdmin
+ * @route POST /admin/users/:id/wallet/credits
+ * @access Admin
+ * @param {Request} req - Express request object with path param: id and { amount, note } in body
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the updated wallet or error
+ */
+export async function creditUserWalletAdmin(req, res) {
+  const { id } = req.params;
+  const { amount, note = "" } = req.body;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(formatResponse({ success: false, error: "Invalid user id" }));
+    }
+
+    const user = await findUserById(id);
+    if (!user) {
+      return res
+        .status(404)
+        .json(formatResponse({ success: false, error: "User not found" }));
+    }
+
+    const wallet = await creditWallet(user._id, convertToPesewas(amount), {
+      reason: "issue",
+      note,
+      createdBy: req.user._id,
+    });
+    const entries = await getWalletEntries(wallet._id);
+
+    res.status(201).json(
+      formatResponse({
+        message: "Store credit added successfully",
+        data: buildWalletResponse(wallet, entries),
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[wallet.controller] Failed to credit wallet of user ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to add store credit",
+      })
+    );
+  }
+}
@@ -0,0 +1,189 @@
+import {
+  getWebhookEvents,
+  getWebhookEventById,
+  requeueFailedWebhookEvent,
+} from "../models/webhookEvent.model.js";
+import { processWebhookEvent } from "../services/webhookEventService.js";
+import { WEBHOOK_EVENT_STATUSES } from "../constants/webhookEvents.js";
+import { PAYMENT_GATEWAYS } from "../constants/paymentGateways.js";
+import logger from "../config/logger.js";
+import { formatResponse } from "../utils/responseFormatter.js";
+import { OBJECTID_REGEX } from "../utils/validators.js";
+
+/**
+ * Lists received payment webhooks, newest first. Raw bodies are left out;
+ * fetch a single event to see its body.
+ * @async
+ * @function getWebhookEventsAdmin
+ * @route GET /admin/webhooks
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with paginated events
+ */
+export async function getWebhookEventsAdmin(req, res) {
+  try {
+    const { status, gateway, event, reference } = req.query;
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `Invalid status. Use one of: ${WEBHOOK_EVENT_STATUSES.join(", ")}`,
+        })
+      );
+    }
+    if (gateway && !PAYMENT_GATEWAYS.includes(gateway)) {
+      return res.status(400).json(
+        formatResponse({
+          success: false,
+          error: `Invalid gateway. Use one of: ${PAYMENT_GATEWAYS.join(", ")}`,
+        })
+      );
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { events, total } = await getWebhookEvents(
+      {
+        status,
+        gateway,
+        event: typeof event === "string" ? event : undefined,
+        reference: typeof reference === "string" ? reference : undefined,
+      },
+      page,
+      limit
+    );
+
+    res.status(200).json(
+      formatResponse({
+        message: "Webhook events retrieved successfully",
+        data: events,
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[webhooks.controller] Failed to fetch webhook events: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load webhook events",
+      })
+    );
+  }
+}
+
+/**
+ * Shows one received webhook, including its raw body and signature.
+ * @async
+ * @function getWebhookEventAdmin
+ * @route GET /admin/webhooks/:id
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the event
+ */
+export async function getWebhookEventAdmin(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid webhook event id" })
+        );
+    }
+
+    const webhookEvent = await getWebhookEventById(id);
+    if (!webhookEvent) {
+      return res
+        .status(404)
+        .json(
+          formatResponse({ success: false, error: "Webhook event not found" })
+        );
+    }
+
+    res.status(200).json(formatResponse({ data: webhookEvent }));
+  } catch (error) {
+    logger.error(
+      `[webhooks.controller] Failed to fetch webhook event ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to load webhook event",
+      })
+    );
+  }
+}
+
+/**
+ * Processes a failed webhook event again, once, and returns how it went.
+ * If it fails again it stays failed and can be replayed later.
+ * @async
+ * @function replayWebhookEventAdmin
+ * @route POST /admin/webhooks/:id/replay
+ * @access Admin
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the event after the attempt
+ */
+export async function replayWebhookEventAdmin(req, res) {
+  const { id } = req.params;
+
+  try {
+    if (!OBJECTID_REGEX.test(id)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse({ success: false, error: "Invalid webhook event id" })
+        );
+    }
+
+    const requeued = await requeueFailedWebhookEvent(id, req.user._id);
+    if (!requeued) {
+      const webhookEvent = await getWebhookEventById(id);
+      if (!webhookEvent) {
+        return res
+          .status(404)
+          .json(
+            formatResponse({ success: false, error: "Webhook event not found" })
+          );
+      }
+      return res.status(409).json(
+        formatResponse({
+          success: false,
+          error: webhookEvent.event
+            ? `Only failed, correctly signed events can be replayed (this one is ${webhookEvent.status})`
+            : "This event's body couldn't be read, so there is nothing to replay",
+        })
+      );
+    }
+
+    const webhookEvent = await processWebhookEvent(id);
+    const replayed = webhookEvent?.status === "processed";
+
+    res.status(200).json(
+      formatResponse({
+        message: replayed
+          ? "Webhook event replayed"
+          : "Webhook event failed again and will be retried",
+        data: webhookEvent || (await getWebhookEventById(id)),
+      })
+    );
+  } catch (error) {
+    logger.error(
+      `[webhooks.controller] Failed to replay webhook event ${id}: ${error.message}`
+    );
+    res.status(500).json(
+      formatResponse({
+        success: false,
+        error: "Failed to replay webhook event",
+      })
+    );
+  }
+}
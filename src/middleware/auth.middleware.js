@@ -44,6 +44,42 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Like authenticateToken, but lets anonymous requests through.
+ *
+ * Populates `req.user` when a valid authentication cookie is present.
+ * Missing, invalid or expired tokens simply leave `req.user` unset
+ * (invalid cookies are cleared), so routes can serve guests as well.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function optionalAuthenticateToken(req, res, next) {
+  const token = req.cookies?.auth_token;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = verifyToken(token);
+
+    const user = await findUserById(decoded.id);
+    if (user) {
+      req.user = user;
+    } else {
+      res.clearCookie("auth_token", getAccessTokenCookieOptions());
+    }
+  } catch (error) {
+    logger.warn(
+      `[auth.middleware] Ignoring invalid optional token: ${error.message}`
+    );
+    res.clearCookie("auth_token", getAccessTokenCookieOptions());
+  }
+  next();
+}
+
 /**
  * Middleware to restrict access to admin-only routes.
  *
@@ -57,4 +93,4 @@ function checkAdmin(req, res, next) {
   next();
 }
 
-export { authenticateToken, checkAdmin };
+export { authenticateToken, optionalAuthenticateToken, checkAdmin };
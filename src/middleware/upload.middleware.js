@@ -1,5 +1,5 @@
 import logger from "../config/logger.js";
-import cloudinary from "../config/cloudinary.js";
+import cloudinary, { deleteAssets } from "../config/cloudinary.js";
 
 export const getOptimisedUrl = (publicId, options = {}) => {
   return cloudinary.url(publicId, {
@@ -71,3 +71,31 @@ export const attachProductImagesToBody = (req, res, next) => {
  * Alias for attachProductImagesToBody for backward compatibility
  */
 export const attachVariantImagesToBody = attachProductImagesToBody;
+
+/**
+ * Middleware to attach review photo uploads (array field "photos") to the body
+ * as { url, publicId } objects. Photos only ever come from the upload: any
+ * `photos` sent in the body are replaced, since their publicIds would later be
+ * deleted from Cloudinary.
+ */
+export const attachReviewPhotosToBody = (req, res, next) => {
+  req.body = { ...req.body, photos: mapFilesToImages(req.files) };
+  next();
+};
+
+/**
+ * Removes uploaded images that will not be kept (failed submissions and
+ * deleted records). Failures are logged; Cloudinary cleanup never blocks
+ * the response.
+ * @param {Array<{publicId: string}>} images - Uploaded images
+ */
+export async function discardUploadedImages(images = []) {
+  const publicIds = images.map(image => image.publicId).filter(Boolean);
+  try {
+    await deleteAssets(publicIds);
+  } catch (error) {
+    logger.warn(
+      `[upload.middleware] Failed to delete uploaded images: ${error.message}`
+    );
+  }
+}
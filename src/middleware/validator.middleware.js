@@ -1,9 +1,44 @@
 import { userValidator } from "../validators/user.validator.js";
 import { productValidator } from "../validators/product.validator.js";
 import { variantProductValidator } from "../validators/variant.validator.js";
-import { orderValidator } from "../validators/order.validator.js";
+import {
+  orderValidator,
+  orderRefundValidator,
+  orderStatusUpdateValidator,
+  expressQuoteValidator,
+  checkoutQuoteValidator,
+} from "../validators/order.validator.js";
 import { newsletterValidator } from "../validators/newsletter.validator.js";
+import { stockAlertValidator } from "../validators/stockAlert.validator.js";
+import { wishlistValidator } from "../validators/wishlist.validator.js";
 import { contactValidator } from "../validators/contact.validator.js";
+import { shippingZoneValidator } from "../validators/shippingZone.validator.js";
+import { expressSettingsValidator } from "../validators/expressSettings.validator.js";
+import { tailoringSettingsValidator } from "../validators/tailoringSettings.validator.js";
+import { couponValidator } from "../validators/coupon.validator.js";
+import {
+  reviewValidator,
+  reviewModerationValidator,
+} from "../validators/review.validator.js";
+import {
+  giftCardValidator,
+  giftCardUpdateValidator,
+  walletCreditValidator,
+} from "../validators/giftCard.validator.js";
+import {
+  addressValidator,
+  addressUpdateValidator,
+} from "../validators/address.validator.js";
+import {
+  measurementProfileValidator,
+  measurementProfileUpdateValidator,
+} from "../validators/measurement.validator.js";
+import { transactionQueryValidator } from "../validators/transaction.validator.js";
+import {
+  cartItemValidator,
+  cartItemUpdateValidator,
+} from "../validators/cart.validator.js";
+import { discardUploadedImages } from "./upload.middleware.js";
 
 export function validateUser(req, res, next) {
   const { error } = userValidator.validate(req.body, { abortEarly: false });
@@ -60,6 +95,30 @@ export function validateOrder(req, res, next) {
   next();
 }
 
+export function validateOrderStatusUpdate(req, res, next) {
+  const { error } = orderStatusUpdateValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateOrderRefund(req, res, next) {
+  const { error } = orderRefundValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
 export function validateNewsletter(req, res, next) {
   const { error } = newsletterValidator.validate(req.body, {
     abortEarly: false,
@@ -83,3 +142,227 @@ export function validateContact(req, res, next) {
   }
   next();
 }
+
+export function validateCartItem(req, res, next) {
+  const { error } = cartItemValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateCartItemUpdate(req, res, next) {
+  const { error } = cartItemUpdateValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateShippingZone(req, res, next) {
+  // For updates (PATCH), make required fields optional to allow partial updates
+  const schema =
+    req.method === "PATCH"
+      ? shippingZoneValidator
+          .fork(["name", "region", "baseFee"], schema => schema.optional())
+          .min(1)
+      : shippingZoneValidator;
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateExpressSettings(req, res, next) {
+  const { error } = expressSettingsValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateTailoringSettings(req, res, next) {
+  const { error } = tailoringSettingsValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateExpressQuote(req, res, next) {
+  const { error } = expressQuoteValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateCheckoutQuote(req, res, next) {
+  const { error } = checkoutQuoteValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateCoupon(req, res, next) {
+  // For updates (PATCH), make required fields optional to allow partial updates
+  const schema =
+    req.method === "PATCH"
+      ? couponValidator
+          .fork(["code", "type"], schema => schema.optional())
+          .min(1)
+      : couponValidator;
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateGiftCard(req, res, next) {
+  // Issuing and updating a card accept different fields
+  const schema =
+    req.method === "PATCH" ? giftCardUpdateValidator : giftCardValidator;
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateMeasurementProfile(req, res, next) {
+  // Saving and updating a profile accept different fields
+  const schema =
+    req.method === "PATCH"
+      ? measurementProfileUpdateValidator
+      : measurementProfileValidator;
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateAddress(req, res, next) {
+  // Saving and updating an address accept different fields
+  const schema =
+    req.method === "PATCH" ? addressUpdateValidator : addressValidator;
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateStockAlert(req, res, next) {
+  const { error } = stockAlertValidator.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateWishlist(req, res, next) {
+  const { error } = wishlistValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateWalletCredit(req, res, next) {
+  const { error } = walletCreditValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export async function validateReview(req, res, next) {
+  const { error } = reviewValidator.validate(req.body, { abortEarly: false });
+  if (error) {
+    // Multipart fields can only be read once the photos are uploaded
+    await discardUploadedImages(req.body?.photos);
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateReviewModeration(req, res, next) {
+  const { error } = reviewModerationValidator.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
+
+export function validateTransactionQuery(req, res, next) {
+  const { error } = transactionQueryValidator.validate(req.query, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      errors: error.details.map(err => err.message),
+    });
+  }
+  next();
+}
@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import User from "./user.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Mark one saved address as the default and clear the flag on the others
+ * @param   {String} userId - User ID
+ * @param   {String} addressId - Address to make the default
+ * @returns {Promise<void>}
+ */
+async function setDefaultAddress(userId, addressId) {
+  const id = new mongoose.Types.ObjectId(`${addressId}`);
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "addresses.$[other].isDefault": false,
+        "addresses.$[target].isDefault": true,
+      },
+    },
+    {
+      arrayFilters: [{ "other._id": { $ne: id } }, { "target._id": id }],
+    }
+  );
+}
+
+/**
+ * @desc    List the addresses in a user's address book, default first
+ * @param   {String} userId - User ID
+ * @returns {Promise<Array|null>} Addresses, or null if the user doesn't exist
+ */
+async function getAddresses(userId) {
+  try {
+    const user = await User.findById(userId).select("addresses").lean();
+    if (!user) return null;
+    return [...(user.addresses || [])].sort(
+      (a, b) => Number(b.isDefault) - Number(a.isDefault)
+    );
+  } catch (error) {
+    logger.error(
+      `[address.model] Error fetching addresses for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Find one address in a user's address book
+ * @param   {String} userId - User ID
+ * @param   {String} addressId - Address ID
+ * @returns {Promise<Object|null>} Address, or null if not found
+ */
+async function findAddress(userId, addressId) {
+  try {
+    const user = await User.findOne(
+      { _id: userId, "addresses._id": addressId },
+      { "addresses.$": 1 }
+    ).lean();
+    return user?.addresses[0] || null;
+  } catch (error) {
+    logger.error(
+      `[address.model] Error fetching address ${addressId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Add an address to a user's address book. The first address saved
+ *          becomes the default.
+ * @param   {String} userId - User ID
+ * @param   {Object} address - Address fields (see SavedAddressSchema)
+ * @returns {Promise<Object|null>} Created address, or null if the user doesn't exist
+ */
+async function addAddress(userId, address) {
+  try {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $push: { addresses: { ...address, isDefault: false } } },
+      { new: true, runValidators: true }
+    )
+      .select("addresses")
+      .lean();
+    if (!user) return null;
+
+    const created = user.addresses.at(-1);
+    if (address.isDefault || user.addresses.length === 1) {
+      await setDefaultAddress(userId, created._id);
+      created.isDefault = true;
+    }
+    return created;
+  } catch (error) {
+    logger.error(
+      `[address.model] Error adding address for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Update a saved address. Setting isDefault moves the default flag to it.
+ *          Orders already placed keep the address they were shipped to.
+ * @param   {String} userId - User ID
+ * @param   {String} addressId - Address ID
+ * @param   {Object} updates - Address fields to change
+ * @returns {Promise<Object|null>} Updated address, or null if not found
+ */
+async function updateAddress(userId, addressId, updates) {
+  try {
+    const { isDefault, ...fields } = updates;
+    const $set = { "addresses.$.updatedAt": new Date() };
+    for (const [field, value] of Object.entries(fields)) {
+      $set[`addresses.$.${field}`] = value;
+    }
+    if (isDefault === false) $set["addresses.$.isDefault"] = false;
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, "addresses._id": addressId },
+      { $set },
+      { new: true, runValidators: true }
+    )
+      .select("addresses")
+      .lean();
+    if (!user) return null;
+
+    if (isDefault) await setDefaultAddress(userId, addressId);
+
+    return findAddress(userId, addressId);
+  } catch (error) {
+    logger.error(
+      `[address.model] Error updating address ${addressId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Remove an address from a user's address book
+ * @param   {String} userId - User ID
+ * @param   {String} addressId - Address ID
+ * @returns {Promise<boolean>} Whether an address was removed
+ */
+async function deleteAddress(userId, addressId) {
+  try {
+    const result = await User.updateOne(
+      { _id: userId, "addresses._id": addressId },
+      { $pull: { addresses: { _id: addressId } } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    logger.error(
+      `[address.model] Error deleting address ${addressId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export { getAddresses, findAddress, addAddress, updateAddress, deleteAddress };
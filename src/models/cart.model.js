@@ -0,0 +1,381 @@
+import Cart from "./cart.mongo.js";
+import logger from "../config/logger.js";
+import {
+  getPurchasableProducts,
+  validateStockAvailabilityWithProducts,
+} from "./product.model.js";
+import { withAvailableStock } from "./stockReservation.model.js";
+import { isMadeToMeasure, getSizeAvailability } from "../utils/productStock.js";
+
+/**
+ * @desc    Find the cart line a new or edited item should be merged into.
+ *          Ready-made sizes merge by product + size; CUSTOM lines are never
+ *          merged because each one carries its own measurements.
+ * @param   {Array} items - Existing cart lines
+ * @param   {Object} candidate - { product, size } of the incoming line
+ * @param   {String} excludeItemId - Line to ignore (the one being edited)
+ * @returns {Object|null} Matching cart line or null
+ */
+function findMatchingCartItem(items, { product, size }, excludeItemId = null) {
+  if (size === "CUSTOM") return null;
+
+  return (
+    items.find(
+      item =>
+        item.product.toString() === product.toString() &&
+        item.size === size &&
+        (!excludeItemId || item._id.toString() !== excludeItemId.toString())
+    ) || null
+  );
+}
+
+/**
+ * @desc    Retrieve the cart belonging to a user
+ * @param   {String} userId - User ID
+ * @returns {Promise<Object|null>} Cart document or null if the user has none
+ */
+async function getCartByUser(userId) {
+  try {
+    return await Cart.findOne({ user: userId });
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error fetching cart for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve the cart belonging to a user, creating an empty one if needed
+ * @param   {String} userId - User ID
+ * @returns {Promise<Object>} Cart document
+ */
+async function getOrCreateCart(userId) {
+  try {
+    return await Cart.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, items: [] } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error creating cart for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Add a line to the user's cart, merging it into a matching line if one exists
+ * @param   {String} userId - User ID
+ * @param   {Object} item - { product, quantity, size, customSize }
+ * @returns {Promise<Object>} Updated cart document
+ */
+async function addCartItem(userId, { product, quantity, size, customSize }) {
+  try {
+    const cart = await getOrCreateCart(userId);
+
+    const existing = findMatchingCartItem(cart.items, { product, size });
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      cart.items.push({
+        product,
+        quantity,
+        size,
+        customSize: size === "CUSTOM" ? customSize : undefined,
+      });
+    }
+
+    await cart.save();
+    return cart;
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error adding item to cart for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Update quantity, size or customSize of a cart line.
+ *          If a size change makes the line identical to another one, the two are merged.
+ * @param   {String} userId - User ID
+ * @param   {String} itemId - Cart line ID
+ * @param   {Object} updates - { quantity, size, customSize } (all optional)
+ * @returns {Promise<Object|null>} Updated cart or null if the line was not found
+ */
+async function updateCartItem(userId, itemId, updates) {
+  try {
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart) return null;
+
+    const item = cart.items.id(itemId);
+    if (!item) return null;
+
+    if (updates.quantity !== undefined) item.quantity = updates.quantity;
+    if (updates.size !== undefined) item.size = updates.size;
+
+    if (item.size === "CUSTOM") {
+      if (updates.customSize !== undefined) {
+        item.customSize = updates.customSize;
+      }
+    } else {
+      item.customSize = undefined;
+    }
+
+    const duplicate = findMatchingCartItem(cart.items, item, item._id);
+    if (duplicate) {
+      duplicate.quantity += item.quantity;
+      cart.items.pull(item._id);
+    }
+
+    await cart.save();
+    return cart;
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error updating cart item ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Remove a single line from the user's cart
+ * @param   {String} userId - User ID
+ * @param   {String} itemId - Cart line ID
+ * @returns {Promise<Object|null>} Updated cart or null if the line was not found
+ */
+async function removeCartItem(userId, itemId) {
+  try {
+    return await Cart.findOneAndUpdate(
+      { user: userId, "items._id": itemId },
+      { $pull: { items: { _id: itemId } } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error removing cart item ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Remove every line from the user's cart
+ * @param   {String} userId - User ID
+ * @returns {Promise<Object|null>} Emptied cart or null if the user has none
+ */
+async function clearCart(userId) {
+  try {
+    return await Cart.findOneAndUpdate(
+      { user: userId },
+      { $set: { items: [] } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error clearing cart for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Take the lines an order was placed with out of the user's cart,
+ *          leaving anything added (or extra quantity) while the shopper was
+ *          paying. CUSTOM lines only match a line with the same measurements.
+ * @param   {String} userId - User ID
+ * @param   {Array} items - Ordered lines ({ product, quantity, size, customSize })
+ * @returns {Promise<Object|null>} Updated cart or null if the user has none
+ */
+async function removeOrderedCartItems(userId, items) {
+  try {
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart) return null;
+
+    for (const ordered of items) {
+      const line =
+        ordered.size === "CUSTOM"
+          ? cart.items.find(
+              item =>
+                item.product.toString() === ordered.product.toString() &&
+                item.size === "CUSTOM" &&
+                JSON.stringify(item.customSize) ===
+                  JSON.stringify(ordered.customSize)
+            )
+          : findMatchingCartItem(cart.items, ordered);
+      if (!line) continue;
+
+      if (line.quantity > ordered.quantity) {
+        line.quantity -= ordered.quantity;
+      } else {
+        cart.items.pull(line._id);
+      }
+    }
+
+    return await cart.save();
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error removing ordered items from cart for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Merge lines from another cart (e.g. a guest cart) into the user's cart.
+ *          Matching lines are combined, then every line is re-checked against
+ *          current stock and clamped to what is available (dropped if sold out).
+ *          Lines for products that are no longer purchasable are left in place
+ *          so the shopper still sees them flagged in the cart.
+ * @param   {String} userId - User ID
+ * @param   {Array} items - Lines to merge ({ product, quantity, size, customSize })
+ * @returns {Promise<{cart: Object, adjustments: Array<string>}>} Updated cart and
+ *          human-readable notes about any quantities that had to be reduced
+ */
+async function mergeItemsIntoUserCart(userId, items) {
+  try {
+    const cart = await getOrCreateCart(userId);
+
+    for (const item of items) {
+      const existing = findMatchingCartItem(cart.items, item);
+      if (existing) {
+        existing.quantity += item.quantity;
+      } else {
+        cart.items.push({
+          product: item.product,
+          quantity: item.quantity,
+          size: item.size,
+          customSize: item.size === "CUSTOM" ? item.customSize : undefined,
+        });
+      }
+    }
+
+    const productIds = [
+      ...new Set(cart.items.map(item => item.product.toString())),
+    ];
+    const products = await withAvailableStock(
+      await getPurchasableProducts(productIds)
+    );
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const adjustments = [];
+    for (const item of [...cart.items]) {
+      const product = productMap.get(item.product.toString());
+      if (!product || isMadeToMeasure(item.size)) continue;
+
+      const stockValidation = validateStockAvailabilityWithProducts(
+        [item],
+        products
+      );
+      if (stockValidation.valid) continue;
+
+      const available = getSizeAvailability(product, item.size);
+      if (available > 0) {
+        item.quantity = available;
+        adjustments.push(
+          `${product.name} (${item.size}): quantity reduced to ${available}`
+        );
+      } else {
+        cart.items.pull(item._id);
+        adjustments.push(
+          `${product.name} (${item.size}): removed, out of stock`
+        );
+      }
+    }
+
+    await cart.save();
+    return { cart, adjustments };
+  } catch (error) {
+    logger.error(
+      `[cart.model] Error merging items into cart for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Annotate cart lines with live price and available stock (stock minus
+ *          units held by pending checkouts).
+ *          Lines whose product is no longer purchasable are kept but flagged,
+ *          so the shopper can see why they cannot check out.
+ * @param   {Array} items - Cart lines ({ _id, product, quantity, size, customSize })
+ * @returns {Promise<{items: Array, itemCount: number, subtotal: number, isCheckoutReady: boolean}>}
+ */
+async function annotateCartItems(items) {
+  try {
+    const productIds = [...new Set(items.map(item => item.product.toString()))];
+    const products =
+      productIds.length > 0
+        ? await withAvailableStock(await getPurchasableProducts(productIds))
+        : [];
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    let subtotal = 0;
+    let itemCount = 0;
+
+    const annotatedItems = items.map(item => {
+      const product = productMap.get(item.product.toString());
+      const isAvailable = Boolean(product);
+      const madeToMeasure = isMadeToMeasure(item.size);
+      // Made-to-measure lines aren't limited by stock (null: not applicable)
+      let availableStock = 0;
+      if (isAvailable) {
+        availableStock = madeToMeasure
+          ? null
+          : getSizeAvailability(product, item.size);
+      }
+      const lineTotal = isAvailable ? product.price * item.quantity : 0;
+
+      subtotal += lineTotal;
+      itemCount += item.quantity;
+
+      return {
+        _id: item._id,
+        product: isAvailable
+          ? {
+              _id: product._id,
+              name: product.name,
+              slug: product.slug,
+              images: product.images,
+            }
+          : { _id: item.product },
+        quantity: item.quantity,
+        size: item.size,
+        customSize: item.customSize,
+        unitPrice: isAvailable ? product.price : null,
+        lineTotal,
+        availableStock,
+        isAvailable,
+        hasSufficientStock:
+          isAvailable && (madeToMeasure || availableStock >= item.quantity),
+      };
+    });
+
+    return {
+      items: annotatedItems,
+      itemCount,
+      subtotal,
+      isCheckoutReady:
+        annotatedItems.length > 0 &&
+        annotatedItems.every(item => item.hasSufficientStock),
+    };
+  } catch (error) {
+    logger.error(`[cart.model] Error annotating cart items: ${error.message}`);
+    throw error;
+  }
+}
+
+export {
+  findMatchingCartItem,
+  getCartByUser,
+  getOrCreateCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  removeOrderedCartItems,
+  mergeItemsIntoUserCart,
+  annotateCartItems,
+};
@@ -0,0 +1,29 @@
+import { Schema, model } from "mongoose";
+import { CartItemSchema } from "./schemas/cartItem.schema.js";
+
+/**
+ * @typedef Cart
+ * @property {Schema.Types.ObjectId} user - Owner of the cart (one cart per user)
+ * @property {CartItem[]} items           - Lines currently in the cart
+ * @property {Date} createdAt             - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt             - Timestamp of last update (auto-generated)
+ */
+const CartSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: {
+      type: [CartItemSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+const Cart = model("Cart", CartSchema);
+
+export default Cart;
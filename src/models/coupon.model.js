@@ -0,0 +1,208 @@
+import Coupon from "./coupon.mongo.js";
+import CouponRedemption from "./couponRedemption.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Retrieve all coupons, newest first
+ * @returns {Promise<Array>} Array of coupon documents
+ */
+async function getCoupons() {
+  try {
+    return await Coupon.find().sort({ createdAt: -1 });
+  } catch (error) {
+    logger.error(`[coupon.model] Error fetching coupons: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve a single coupon by its _id
+ * @param   {String} id - Coupon ID
+ * @returns {Promise<Object|null>} Coupon document or null if not found
+ */
+async function getCouponById(id) {
+  try {
+    return await Coupon.findById(id);
+  } catch (error) {
+    logger.error(
+      `[coupon.model] Error fetching coupon ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve a coupon by the code shoppers enter (case-insensitive)
+ * @param   {String} code - Coupon code
+ * @returns {Promise<Object|null>} Coupon document or null if not found
+ */
+async function getCouponByCode(code) {
+  try {
+    return await Coupon.findOne({ code: code.trim().toUpperCase() });
+  } catch (error) {
+    logger.error(
+      `[coupon.model] Error fetching coupon by code: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Create a coupon
+ * @param   {Object} data - Coupon fields
+ * @returns {Promise<Object>} Created coupon document
+ */
+async function createCoupon(data) {
+  try {
+    return await Coupon.create(data);
+  } catch (error) {
+    logger.error(`[coupon.model] Error creating coupon: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * @desc    Update a coupon
+ * @param   {String} id - Coupon ID
+ * @param   {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated coupon or null if not found
+ */
+async function updateCoupon(id, updates) {
+  try {
+    return await Coupon.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    });
+  } catch (error) {
+    logger.error(
+      `[coupon.model] Error updating coupon ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Delete a coupon
+ * @param   {String} id - Coupon ID
+ * @returns {Promise<Object|null>} Deleted coupon or null if not found
+ */
+async function deleteCoupon(id) {
+  try {
+    return await Coupon.findByIdAndDelete(id);
+  } catch (error) {
+    logger.error(
+      `[coupon.model] Error deleting coupon ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Count how many paid orders a customer has used a coupon on
+ * @param   {String} couponId - Coupon ID
+ * @param   {String} userId - Customer ID
+ * @returns {Promise<Number>} Number of redemptions
+ */
+async function countUserRedemptions(couponId, userId) {
+  try {
+    return await CouponRedemption.countDocuments({
+      coupon: couponId,
+      user: userId,
+    });
+  } catch (error) {
+    logger.error(
+      `[coupon.model] Error counting redemptions of coupon ${couponId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Record a coupon use for a paid order and bump its usage count.
+ *          Runs inside the order-creation transaction so the count only moves
+ *          when the order is actually created.
+ * @param   {Object} discount - Applied discount ({ coupon, code, amount })
+ * @param   {Object} redemption - { user, order, reference }
+ * @param   {Object} session - MongoDB session for transaction
+ * @returns {Promise<Object|null>} Coupon after the increment (null if it was deleted)
+ */
+async function redeemCoupon(discount, { user, order, reference }, session) {
+  try {
+    await CouponRedemption.create(
+      [
+        {
+          coupon: discount.coupon,
+          user,
+          order,
+          reference,
+          amount: discount.amount,
+        },
+      ],
+      { session }
+    );
+
+    const coupon = await Coupon.findByIdAndUpdate(
+      discount.coupon,
+      { $inc: { usageCount: 1 } },
+      { new: true, session }
+    );
+
+    // The shopper already paid the discounted price, so a code that ran out
+    // while they were paying is honoured rather than failing the order
+    if (coupon?.usageLimit && coupon.usageCount > coupon.usageLimit) {
+      logger.warn(
+        `[coupon.model] Coupon ${coupon.code} redeemed beyond its usage limit by ${reference}`
+      );
+    }
+
+    return coupon;
+  } catch (error) {
+    logger.error(
+      `[coupon.model] Error redeeming coupon ${discount.code} for ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Undo the coupon use recorded for an order and give the use back.
+ *          Runs inside the cancellation transaction so the count only moves
+ *          when the order is actually cancelled.
+ * @param   {String} orderId - Order the coupon was redeemed on
+ * @param   {Object} session - MongoDB session for transaction
+ * @returns {Promise<Object|null>} Removed redemption (null if the order used no coupon)
+ */
+async function voidCouponRedemption(orderId, session) {
+  try {
+    const redemption = await CouponRedemption.findOneAndDelete(
+      { order: orderId },
+      { session }
+    );
+    if (!redemption) return null;
+
+    await Coupon.updateOne(
+      { _id: redemption.coupon, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session }
+    );
+
+    return redemption;
+  } catch (error) {
+    logger.error(
+      `[coupon.model] Error voiding coupon redemption for order ${orderId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  getCoupons,
+  getCouponById,
+  getCouponByCode,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  countUserRedemptions,
+  redeemCoupon,
+  voidCouponRedemption,
+};
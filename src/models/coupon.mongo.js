@@ -0,0 +1,98 @@
+import { Schema, model } from "mongoose";
+import { COUPON_TYPES } from "../constants/couponTypes.js";
+
+/**
+ * @typedef Coupon
+ * @property {String} code                - Code shoppers enter at checkout (unique, uppercase)
+ * @property {String} description         - Internal note about the promotion
+ * @property {String} type                - percentage | fixed | free_express
+ * @property {Number} value               - Percent off (percentage) or GHS off (fixed); unused for free_express
+ * @property {Number} maxDiscount         - Cap in GHS on a percentage discount (null = no cap)
+ * @property {Number} minSpend            - Minimum order subtotal in GHS
+ * @property {String[]} categories        - Categories the discount applies to (empty = all)
+ * @property {Schema.Types.ObjectId[]} products - Products the discount applies to (empty = all)
+ * @property {Date} startsAt              - When the code becomes usable (null = immediately)
+ * @property {Date} endsAt                - When the code stops being usable (null = never)
+ * @property {Number} usageLimit          - Total redemptions allowed (null = unlimited)
+ * @property {Number} perUserLimit        - Redemptions allowed per customer (null = unlimited)
+ * @property {Number} usageCount          - Redemptions so far (paid orders only)
+ * @property {Boolean} isActive           - Whether the code can be used
+ * @property {Date} createdAt             - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt             - Timestamp of last update (auto-generated)
+ */
+const CouponSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: true,
+    },
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    minSpend: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    categories: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: [],
+    },
+    products: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      default: [],
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    usageCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Coupon = model("Coupon", CouponSchema);
+
+export default Coupon;
@@ -0,0 +1,50 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * @typedef CouponRedemption
+ * @property {Schema.Types.ObjectId} coupon - Coupon that was used
+ * @property {Schema.Types.ObjectId} user   - Customer who used it
+ * @property {Schema.Types.ObjectId} order  - Order the discount was applied to
+ * @property {String} reference             - Paystack reference of the paid transaction
+ * @property {Number} amount                - Discount granted in GHS
+ * @property {Date} createdAt               - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt               - Timestamp of last update (auto-generated)
+ */
+const CouponRedemptionSchema = new Schema(
+  {
+    coupon: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A payment can only redeem a coupon once, even if its webhook is replayed
+CouponRedemptionSchema.index({ coupon: 1, reference: 1 }, { unique: true });
+CouponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+const CouponRedemption = model("CouponRedemption", CouponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,20 @@
+import CreditLedgerEntry from "./creditLedger.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Retrieve every gift card and wallet movement made for a checkout
+ * @param   {String} reference - Transaction reference
+ * @returns {Promise<Array>} Ledger entries, oldest first
+ */
+async function getLedgerEntriesByReference(reference) {
+  try {
+    return await CreditLedgerEntry.find({ reference }).sort({ createdAt: 1 });
+  } catch (error) {
+    logger.error(
+      `[creditLedger.model] Error fetching ledger entries for ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export { getLedgerEntriesByReference };
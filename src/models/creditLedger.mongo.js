@@ -0,0 +1,97 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * Why a gift card or wallet balance moved.
+ * - issue: admin issued a gift card or store credit
+ * - checkout: spent on a checkout (held until the payment fails or is abandoned)
+ * - checkout_release: a held checkout amount given back
+ * - cancellation: returned as store credit when a customer cancelled their order
+ */
+export const CREDIT_LEDGER_REASONS = [
+  "issue",
+  "checkout",
+  "checkout_release",
+  "cancellation",
+];
+
+/**
+ * @typedef CreditLedgerEntry
+ * @property {Schema.Types.ObjectId} user     - Customer the movement belongs to (null for unassigned gift cards)
+ * @property {Schema.Types.ObjectId} wallet   - Wallet that moved (null for gift card movements)
+ * @property {Schema.Types.ObjectId} giftCard - Gift card that moved (null for wallet movements)
+ * @property {String} type                    - credit | debit
+ * @property {Number} amount                  - Amount moved in pesewas (always positive)
+ * @property {Number} balanceAfter            - Wallet or gift card balance after the movement (pesewas)
+ * @property {String} reason                  - See CREDIT_LEDGER_REASONS
+ * @property {String} reference               - Transaction reference for checkout movements
+ * @property {String} note                    - Free-text note (e.g. why credit was issued)
+ * @property {Schema.Types.ObjectId} createdBy - Admin who made the movement (null for system movements)
+ * @property {Date} createdAt                 - Timestamp of creation (auto-generated)
+ */
+const CreditLedgerEntrySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    wallet: {
+      type: Schema.Types.ObjectId,
+      ref: "Wallet",
+      default: null,
+    },
+    giftCard: {
+      type: Schema.Types.ObjectId,
+      ref: "GiftCard",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ["credit", "debit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: CREDIT_LEDGER_REASONS,
+      required: true,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+CreditLedgerEntrySchema.index({ wallet: 1, createdAt: -1 });
+CreditLedgerEntrySchema.index({ giftCard: 1, createdAt: -1 });
+// A checkout can only spend, release or refund a given balance once
+CreditLedgerEntrySchema.index(
+  { reference: 1, reason: 1, wallet: 1, giftCard: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: "string" } } }
+);
+
+const CreditLedgerEntry = model("CreditLedgerEntry", CreditLedgerEntrySchema);
+
+export default CreditLedgerEntry;
@@ -0,0 +1,112 @@
+import ExpressSettings from "./expressSettings.mongo.js";
+import logger from "../config/logger.js";
+
+const SETTINGS_KEY = "express";
+
+/**
+ * @desc    Retrieve the express pricing rules, creating the defaults on first use
+ * @returns {Promise<Object>} Express settings document
+ */
+async function getExpressSettings() {
+  try {
+    return await ExpressSettings.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      { $setOnInsert: { key: SETTINGS_KEY } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[expressSettings.model] Error fetching express settings: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Update the express pricing rules
+ * @param   {Object} updates - Fields to update
+ * @param   {String} updatedBy - Admin making the change
+ * @returns {Promise<Object>} Updated express settings document
+ */
+async function updateExpressSettings(updates, updatedBy) {
+  try {
+    return await ExpressSettings.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      { $set: { ...updates, updatedBy } },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+  } catch (error) {
+    logger.error(
+      `[expressSettings.model] Error updating express settings: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Find the blackout period covering a date, if any
+ * @param   {Object} settings - Express settings
+ * @param   {Date} date - Date to check
+ * @returns {Object|null} Active blackout period or null
+ */
+function getActiveBlackout(settings, date = new Date()) {
+  return (
+    settings.blackoutPeriods.find(
+      period => period.startsAt <= date && date <= period.endsAt
+    ) || null
+  );
+}
+
+/**
+ * @desc    Quote the express fee for a set of checkout lines
+ * @param   {Object} settings - Express settings
+ * @param   {Array} items - Lines with { product, quantity, category }
+ * @param   {Date} date - When the order is placed (for blackout periods)
+ * @returns {Object} { available, reason, fee, uncappedFee, cap, lines } (amounts in GHS)
+ */
+function calculateExpressFee(settings, items, date = new Date()) {
+  const rates = new Map(
+    settings.categoryRates.map(rate => [rate.category, rate.ratePerItem])
+  );
+
+  const lines = items.map(item => {
+    const ratePerItem = rates.get(item.category) ?? settings.defaultRatePerItem;
+    return {
+      product: item.product,
+      category: item.category,
+      quantity: item.quantity,
+      ratePerItem,
+      fee: ratePerItem * item.quantity,
+    };
+  });
+
+  const uncappedFee = lines.reduce((sum, line) => sum + line.fee, 0);
+  const cap = settings.maxFeePerOrder ?? null;
+  const fee = cap === null ? uncappedFee : Math.min(uncappedFee, cap);
+
+  let reason = null;
+  if (!settings.isEnabled) {
+    reason = "Express service is currently unavailable";
+  } else {
+    const blackout = getActiveBlackout(settings, date);
+    if (blackout) {
+      reason = blackout.label
+        ? `Express service is unavailable during ${blackout.label}`
+        : "Express service is unavailable at this time";
+    }
+  }
+
+  return { available: !reason, reason, fee, uncappedFee, cap, lines };
+}
+
+export {
+  getExpressSettings,
+  updateExpressSettings,
+  getActiveBlackout,
+  calculateExpressFee,
+};
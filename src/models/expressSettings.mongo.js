@@ -0,0 +1,88 @@
+import { Schema, model } from "mongoose";
+
+// Per-item rate charged before any category rate existed (GHS)
+export const DEFAULT_EXPRESS_RATE_PER_ITEM = 150;
+
+/**
+ * Per-category override of the express rate.
+ *
+ * - category: product category (lowercase, matches Product.category)
+ * - ratePerItem: express fee per item of that category in GHS
+ */
+const CategoryRateSchema = new Schema(
+  {
+    category: { type: String, required: true, trim: true, lowercase: true },
+    ratePerItem: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Period during which express service cannot be ordered (e.g. public holidays).
+ *
+ * - label: optional, shown to shoppers as the reason express is unavailable
+ * - startsAt / endsAt: window boundaries (inclusive)
+ */
+const BlackoutPeriodSchema = new Schema(
+  {
+    label: { type: String, trim: true, default: "" },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef ExpressSettings
+ * @property {String} key                    - Singleton key, always "express"
+ * @property {Boolean} isEnabled             - Whether shoppers can opt in to express service
+ * @property {Number} defaultRatePerItem     - Fee per item in GHS for categories without a rate
+ * @property {Array} categoryRates           - Per-category rates ({ category, ratePerItem })
+ * @property {Number} maxFeePerOrder         - Cap on the express fee of one order in GHS (null = no cap)
+ * @property {Array} blackoutPeriods         - Windows when express is unavailable ({ label, startsAt, endsAt })
+ * @property {Schema.Types.ObjectId} updatedBy - Admin who last changed the settings
+ * @property {Date} createdAt                - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt                - Timestamp of last update (auto-generated)
+ */
+const ExpressSettingsSchema = new Schema(
+  {
+    key: {
+      type: String,
+      default: "express",
+      unique: true,
+      immutable: true,
+    },
+    isEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    defaultRatePerItem: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_EXPRESS_RATE_PER_ITEM,
+    },
+    categoryRates: {
+      type: [CategoryRateSchema],
+      default: [],
+    },
+    maxFeePerOrder: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    blackoutPeriods: {
+      type: [BlackoutPeriodSchema],
+      default: [],
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const ExpressSettings = model("ExpressSettings", ExpressSettingsSchema);
+
+export default ExpressSettings;
@@ -1,29 +1,109 @@
+import crypto from "crypto";
 import User from "./user.mongo.js";
 
 import logger from "../config/logger.js";
 import Product from "./product.mongo.js";
+import { getPurchasableProducts } from "./product.model.js";
+import { withAvailableStock } from "./stockReservation.model.js";
+import { PRIMARY_WISHLIST_NAME } from "../constants/wishlists.js";
 
-async function getFavorites(userId) {
+/**
+ * @desc    Make sure the user has a primary wishlist. Accounts created before
+ *          named lists existed have their flat favorites moved into it.
+ * @param   {Object} user - User document (modified in place, the caller saves)
+ * @returns {boolean} Whether the document was changed
+ */
+function ensurePrimaryWishlist(user) {
+  if (user.wishlists.some(list => list.isPrimary)) return false;
+
+  user.wishlists.unshift({
+    name: PRIMARY_WISHLIST_NAME,
+    isPrimary: true,
+    items: (user.favorites || []).map(({ productId }) => ({ productId })),
+  });
+  user.favorites = [];
+  return true;
+}
+
+/**
+ * @desc    Load a user's wishlists, creating the primary list if needed
+ * @param   {String} userId - User ID
+ * @returns {Promise<Object>} User document with favorites and wishlists selected
+ */
+async function loadWishlists(userId) {
+  const user = await User.findById(userId).select("favorites wishlists");
+  if (!user) throw new Error("User not found");
+
+  if (ensurePrimaryWishlist(user)) {
+    await user.save();
+  }
+  return user;
+}
+
+/**
+ * @desc    Pick a wishlist by ID, or the primary list when no ID is given
+ * @param   {Object} user - User document from loadWishlists
+ * @param   {String|null} listId - Wishlist ID
+ * @returns {Object|null} Wishlist subdocument, or null if not found
+ */
+function findWishlist(user, listId = null) {
+  if (!listId) return user.wishlists.find(list => list.isPrimary);
+  return user.wishlists.id(listId) || null;
+}
+
+/**
+ * @desc    Resolve wishlist items to the products' current price and available
+ *          stock. Products that can no longer be bought are left out.
+ * @param   {Array} items - Wishlist items ({ productId })
+ * @returns {Promise<Array>} Items in list order
+ */
+async function buildWishlistItems(items) {
+  if (items.length === 0) return [];
+
+  const products = await withAvailableStock(
+    await getPurchasableProducts(items.map(item => item.productId))
+  );
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return items
+    .map(item => productMap.get(item.productId.toString()))
+    .filter(Boolean)
+    .map(product => ({
+      productId: product._id,
+      name: product.name,
+      price: product.price,
+      compareAtPrice: product.compareAtPrice,
+      isOnSale: product.isOnSale,
+      images: product.images,
+      stock: product.stock,
+      slug: product.slug,
+    }));
+}
+
+/**
+ * @desc    Summary of a wishlist without its items
+ * @param   {Object} list - Wishlist subdocument
+ * @returns {Object}
+ */
+function summarizeWishlist(list) {
+  return {
+    _id: list._id,
+    name: list.name,
+    isPrimary: list.isPrimary,
+    itemCount: list.items.length,
+    shareToken: list.shareToken,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt,
+  };
+}
+
+async function getFavorites(userId, listId = null) {
   try {
-    const user = await User.findById(userId).select("favorites").populate({
-      path: "favorites.productId",
-      select: "name price images stock slug",
-    });
-
-    if (!user) throw new Error("User not found");
-
-    const transformFavorites = (user.favorites || [])
-      .filter(fav => fav.productId)
-      .map(fav => ({
-        productId: fav.productId._id,
-        name: fav.productId.name,
-        price: fav.productId.price,
-        images: fav.productId.images,
-        stock: fav.productId.stock,
-        slug: fav.productId.slug,
-      }));
-
-    return transformFavorites;
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+
+    return await buildWishlistItems(list.items);
   } catch (error) {
     logger.error(
       `[favorites.model] Error fetching user ${userId} favorites: ${error.message}`
@@ -31,7 +111,7 @@ async function getFavorites(userId) {
   }
 }
 
-async function addToFavorites(userId, productId) {
+async function addToFavorites(userId, productId, listId = null) {
   // Validate product exists
   try {
     const product = await Product.findById(productId)
@@ -40,20 +120,22 @@ async function addToFavorites(userId, productId) {
     if (!product || !product.isPublished)
       throw new Error("Product is unavailable");
 
-    const user = await User.findById(userId);
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
 
-    const index = user.favorites.findIndex(item =>
+    const index = list.items.findIndex(item =>
       item.productId.equals(productId)
     );
     if (index !== -1) {
-      return { productId, isFavorited: true };
+      return { productId, listId: list._id, isFavorited: true };
     } else {
-      user.favorites.push({ productId });
+      list.items.push({ productId });
     }
 
     await user.save();
 
-    return { productId, isFavorited: true };
+    return { productId, listId: list._id, isFavorited: true };
   } catch (error) {
     logger.error(
       `[favorites.model] Error adding product to favorites: ${error.message}`
@@ -61,67 +143,74 @@ async function addToFavorites(userId, productId) {
   }
 }
 
-async function removeFromFavorites(userId, productId) {
+async function removeFromFavorites(userId, productId, listId = null) {
   try {
-    const user = await User.findById(userId);
-    if (!user) throw new Error("User not found");
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
 
-    const index = user.favorites.findIndex(item =>
+    const index = list.items.findIndex(item =>
       item.productId.equals(productId)
     );
     if (index === -1) throw new Error("Product not found in favorites");
-    user.favorites.splice(index, 1);
+    list.items.splice(index, 1);
 
     await user.save();
 
-    return { productId, isFavorited: false };
+    return { productId, listId: list._id, isFavorited: false };
   } catch (error) {
     logger.error(
       `[favorites.model] Error removing item:${productId} from favorites: ${error.message}`
     );
   }
-  // Filter out favorites item
-  // Save user
 }
 
-async function toggleFavorite(userId, productId) {
+async function toggleFavorite(userId, productId, listId = null) {
   try {
-    const user = await User.findById(userId);
+    const user = await loadWishlists(userId);
     const product = await Product.findById(productId)
       .select("isPublished")
       .lean();
     if (!product || !product.isPublished)
       throw new Error("Product is unavailable");
-    if (!user) throw new Error("User not found");
-    const index = user.favorites.findIndex(item =>
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+
+    const index = list.items.findIndex(item =>
       item.productId.equals(productId)
     );
     if (index !== -1) {
-      user.favorites.splice(index, 1);
+      list.items.splice(index, 1);
     } else {
-      user.favorites.push({ productId });
+      list.items.push({ productId });
     }
     await user.save();
     return {
       productId,
-      isFavorited: user.favorites.some(item =>
-        item.productId.equals(productId)
-      ),
+      listId: list._id,
+      isFavorited: index === -1,
     };
   } catch (error) {
     logger.error(`[favorites.model] Error toggling favorite: ${error.message}`);
   }
 }
 
-async function isFavorited(userId, productId) {
+async function isFavorited(userId, productId, listId = null) {
   try {
-    const user = await User.findById(userId);
-    if (!user) throw new Error("User not found");
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+
     return {
       productId,
-      isFavorited: user.favorites.some(item =>
-        item.productId.equals(productId)
-      ),
+      listId: list._id,
+      isFavorited: list.items.some(item => item.productId.equals(productId)),
+      // Every list holding the product, so pickers can show where it is saved
+      savedIn: user.wishlists
+        .filter(other =>
+          other.items.some(item => item.productId.equals(productId))
+        )
+        .map(other => other._id),
     };
   } catch (error) {
     logger.error(
@@ -130,10 +219,211 @@ async function isFavorited(userId, productId) {
   }
 }
 
+/**
+ * @desc    List a user's wishlists, primary first
+ * @param   {String} userId - User ID
+ * @returns {Promise<Array>} Wishlist summaries
+ */
+async function getWishlists(userId) {
+  try {
+    const user = await loadWishlists(userId);
+    return user.wishlists
+      .map(summarizeWishlist)
+      .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error fetching wishlists for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    One of a user's wishlists with its items
+ * @param   {String} userId - User ID
+ * @param   {String} listId - Wishlist ID
+ * @returns {Promise<Object|null>} Wishlist, or null if not found
+ */
+async function getWishlist(userId, listId) {
+  try {
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+
+    return {
+      ...summarizeWishlist(list),
+      items: await buildWishlistItems(list.items),
+    };
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error fetching wishlist ${listId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Create an empty named wishlist
+ * @param   {String} userId - User ID
+ * @param   {String} name - List name
+ * @returns {Promise<Object>} Created wishlist summary
+ */
+async function createWishlist(userId, name) {
+  try {
+    const user = await loadWishlists(userId);
+    const list = user.wishlists.create({ name });
+    user.wishlists.push(list);
+    await user.save();
+    return summarizeWishlist(list);
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error creating wishlist for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Rename a wishlist
+ * @param   {String} userId - User ID
+ * @param   {String} listId - Wishlist ID
+ * @param   {String} name - New name
+ * @returns {Promise<Object|null>} Updated wishlist summary, or null if not found
+ */
+async function renameWishlist(userId, listId, name) {
+  try {
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+
+    list.name = name;
+    await user.save();
+    return summarizeWishlist(list);
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error renaming wishlist ${listId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Delete a wishlist. The primary list can't be deleted.
+ * @param   {String} userId - User ID
+ * @param   {String} listId - Wishlist ID
+ * @returns {Promise<Object|null>} Deleted wishlist summary, or null if not found
+ */
+async function deleteWishlist(userId, listId) {
+  try {
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+    if (list.isPrimary)
+      throw new Error("The primary wishlist can't be deleted");
+
+    const summary = summarizeWishlist(list);
+    list.deleteOne();
+    await user.save();
+    return summary;
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error deleting wishlist ${listId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Turn on the public read-only link for a wishlist. A list that is
+ *          already shared keeps its token so links sent earlier keep working.
+ * @param   {String} userId - User ID
+ * @param   {String} listId - Wishlist ID
+ * @returns {Promise<Object|null>} Updated wishlist summary, or null if not found
+ */
+async function shareWishlist(userId, listId) {
+  try {
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+
+    if (!list.shareToken) {
+      list.shareToken = crypto.randomBytes(24).toString("hex");
+      await user.save();
+    }
+    return summarizeWishlist(list);
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error sharing wishlist ${listId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Turn off a wishlist's public link (links already sent stop working)
+ * @param   {String} userId - User ID
+ * @param   {String} listId - Wishlist ID
+ * @returns {Promise<Object|null>} Updated wishlist summary, or null if not found
+ */
+async function unshareWishlist(userId, listId) {
+  try {
+    const user = await loadWishlists(userId);
+    const list = findWishlist(user, listId);
+    if (!list) return null;
+
+    if (list.shareToken) {
+      list.shareToken = null;
+      await user.save();
+    }
+    return summarizeWishlist(list);
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error unsharing wishlist ${listId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Read-only view of a shared wishlist for anyone with its link
+ * @param   {String} shareToken - Share token from the link
+ * @returns {Promise<Object|null>} { name, owner, items }, or null if no list has the token
+ */
+async function getSharedWishlist(shareToken) {
+  try {
+    const user = await User.findOne(
+      { "wishlists.shareToken": shareToken },
+      { displayName: 1, "wishlists.$": 1 }
+    ).lean();
+    const list = user?.wishlists[0];
+    if (!list) return null;
+
+    return {
+      name: list.name,
+      owner: user.displayName,
+      items: await buildWishlistItems(list.items),
+      updatedAt: list.updatedAt,
+    };
+  } catch (error) {
+    logger.error(
+      `[favorites.model] Error fetching shared wishlist: ${error.message}`
+    );
+    throw error;
+  }
+}
+
 export {
   getFavorites,
   addToFavorites,
   removeFromFavorites,
   toggleFavorite,
   isFavorited,
+  getWishlists,
+  getWishlist,
+  createWishlist,
+  renameWishlist,
+  deleteWishlist,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
 };
@@ -0,0 +1,169 @@
+import mongoose from "mongoose";
+import GiftCard from "./giftCard.mongo.js";
+import CreditLedgerEntry from "./creditLedger.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Retrieve gift cards, newest first
+ * @returns {Promise<Array>} Array of gift card documents
+ */
+async function getGiftCards() {
+  try {
+    return await GiftCard.find()
+      .sort({ createdAt: -1 })
+      .populate({ path: "issuedTo", select: "displayName email" });
+  } catch (error) {
+    logger.error(
+      `[giftCard.model] Error fetching gift cards: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve a gift card by its code (case-insensitive)
+ * @param   {String} code - Gift card code
+ * @returns {Promise<Object|null>} Gift card document or null if not found
+ */
+async function getGiftCardByCode(code) {
+  try {
+    return await GiftCard.findOne({ code: code.trim().toUpperCase() });
+  } catch (error) {
+    logger.error(
+      `[giftCard.model] Error fetching gift card by code: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Issue a gift card and record the issue in the ledger, in one transaction
+ * @param   {Object} data - Gift card fields (code, initialBalance in pesewas, ...)
+ * @returns {Promise<Object>} Created gift card document
+ */
+async function createGiftCard(data) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [giftCard] = await GiftCard.create(
+      [{ ...data, balance: data.initialBalance }],
+      { session }
+    );
+
+    await CreditLedgerEntry.create(
+      [
+        {
+          user: giftCard.issuedTo,
+          giftCard: giftCard._id,
+          type: "credit",
+          amount: giftCard.initialBalance,
+          balanceAfter: giftCard.balance,
+          reason: "issue",
+          note: giftCard.note,
+          createdBy: giftCard.issuedBy,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    return giftCard;
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`[giftCard.model] Error creating gift card: ${error.message}`);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * @desc    Update a gift card's non-monetary fields (active flag, expiry, note)
+ * @param   {String} id - Gift card ID
+ * @param   {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated gift card or null if not found
+ */
+async function updateGiftCard(id, updates) {
+  try {
+    return await GiftCard.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    });
+  } catch (error) {
+    logger.error(
+      `[giftCard.model] Error updating gift card ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Move value on or off a gift card and record it in the ledger.
+ *          Debits only succeed while the card is active, unexpired and holds
+ *          enough balance; the check and the decrement are one atomic update.
+ * @param   {String} giftCardId - Gift card ID
+ * @param   {String} type - credit | debit
+ * @param   {Number} amount - Amount in pesewas
+ * @param   {Object} entry - Ledger details ({ user, reason, reference, note })
+ * @returns {Promise<Object|null>} Updated gift card, or null if a debit was refused
+ */
+async function adjustGiftCardBalance(giftCardId, type, amount, entry) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const filter =
+      type === "debit"
+        ? {
+            _id: giftCardId,
+            isActive: true,
+            balance: { $gte: amount },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+          }
+        : { _id: giftCardId };
+
+    const giftCard = await GiftCard.findOneAndUpdate(
+      filter,
+      { $inc: { balance: type === "debit" ? -amount : amount } },
+      { new: true, session }
+    );
+
+    if (!giftCard) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    await CreditLedgerEntry.create(
+      [
+        {
+          ...entry,
+          giftCard: giftCard._id,
+          type,
+          amount,
+          balanceAfter: giftCard.balance,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    return giftCard;
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(
+      `[giftCard.model] Error adjusting gift card ${giftCardId}: ${error.message}`
+    );
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+export {
+  getGiftCards,
+  getGiftCardByCode,
+  createGiftCard,
+  updateGiftCard,
+  adjustGiftCardBalance,
+};
@@ -0,0 +1,71 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * @typedef GiftCard
+ * @property {String} code                 - Code the holder enters at checkout (unique, uppercase)
+ * @property {Number} initialBalance       - Value the card was issued with in pesewas
+ * @property {Number} balance              - Value left to spend in pesewas
+ * @property {Schema.Types.ObjectId} issuedTo - Customer the card was issued to (optional)
+ * @property {String} recipientEmail       - Who the card was sold or sent to (optional)
+ * @property {String} note                 - Internal note (e.g. how it was paid for)
+ * @property {Date} expiresAt              - When the card stops being accepted (null = never)
+ * @property {Boolean} isActive            - Whether the card can be used
+ * @property {Schema.Types.ObjectId} issuedBy - Admin who issued the card
+ * @property {Date} createdAt              - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt              - Timestamp of last update (auto-generated)
+ */
+const GiftCardSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    initialBalance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    balance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    issuedTo: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    recipientEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    issuedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const GiftCard = model("GiftCard", GiftCardSchema);
+
+export default GiftCard;
@@ -0,0 +1,114 @@
+import User from "./user.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    List the measurement profiles saved on a user
+ * @param   {String} userId - User ID
+ * @returns {Promise<Array|null>} Profiles, or null if the user doesn't exist
+ */
+async function getMeasurementProfiles(userId) {
+  try {
+    const user = await User.findById(userId)
+      .select("measurementProfiles")
+      .lean();
+    return user ? user.measurementProfiles || [] : null;
+  } catch (error) {
+    logger.error(
+      `[measurementProfile.model] Error fetching measurement profiles for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Save a new measurement profile on a user
+ * @param   {String} userId - User ID
+ * @param   {Object} profile - { name, unit, measurements, notes }
+ * @returns {Promise<Object|null>} Created profile, or null if the user doesn't exist
+ */
+async function addMeasurementProfile(userId, profile) {
+  try {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $push: { measurementProfiles: profile } },
+      { new: true, runValidators: true }
+    )
+      .select("measurementProfiles")
+      .lean();
+    return user ? user.measurementProfiles.at(-1) : null;
+  } catch (error) {
+    logger.error(
+      `[measurementProfile.model] Error adding measurement profile for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Update a saved measurement profile. Measurements are merged into the
+ *          stored ones, so only the changed values need to be sent.
+ * @param   {String} userId - User ID
+ * @param   {String} profileId - Profile ID
+ * @param   {Object} updates - { name, unit, measurements, notes } (all optional)
+ * @returns {Promise<Object|null>} Updated profile, or null if not found
+ */
+async function updateMeasurementProfile(userId, profileId, updates) {
+  try {
+    const { measurements = {}, ...fields } = updates;
+    const $set = { "measurementProfiles.$.updatedAt": new Date() };
+    for (const [field, value] of Object.entries(fields)) {
+      $set[`measurementProfiles.$.${field}`] = value;
+    }
+    for (const [field, value] of Object.entries(measurements)) {
+      $set[`measurementProfiles.$.measurements.${field}`] = value;
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, "measurementProfiles._id": profileId },
+      { $set },
+      { new: true, runValidators: true }
+    )
+      .select("measurementProfiles")
+      .lean();
+
+    return (
+      user?.measurementProfiles.find(
+        profile => profile._id.toString() === profileId.toString()
+      ) || null
+    );
+  } catch (error) {
+    logger.error(
+      `[measurementProfile.model] Error updating measurement profile ${profileId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Delete a saved measurement profile. Orders keep their own copy of the
+ *          measurements, so past orders are unaffected.
+ * @param   {String} userId - User ID
+ * @param   {String} profileId - Profile ID
+ * @returns {Promise<boolean>} Whether a profile was removed
+ */
+async function deleteMeasurementProfile(userId, profileId) {
+  try {
+    const result = await User.updateOne(
+      { _id: userId, "measurementProfiles._id": profileId },
+      { $pull: { measurementProfiles: { _id: profileId } } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    logger.error(
+      `[measurementProfile.model] Error deleting measurement profile ${profileId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  getMeasurementProfiles,
+  addMeasurementProfile,
+  updateMeasurementProfile,
+  deleteMeasurementProfile,
+};
@@ -4,7 +4,16 @@ import Product from "./product.mongo.js";
 import {
   validateStockAvailabilityWithProducts,
   decrementProductStockWithProducts,
+  incrementProductStockWithProducts,
 } from "./product.model.js";
+import { redeemCoupon, voidCouponRedemption } from "./coupon.model.js";
+import {
+  getTailoringSettings,
+  bookTailoringSlots,
+  getHeldTailoringWeek,
+  releaseTailoringSlots,
+} from "./tailoring.model.js";
+import { countTailoringSlots } from "../utils/tailoringSchedule.js";
 import mongoose from "mongoose";
 
 export async function createOrderFromCart(
@@ -14,7 +23,10 @@ export async function createOrderFromCart(
   totalPrice,
   status,
   expressService = false,
-  expressFee = 0
+  expressFee = 0,
+  shippingFee = 0,
+  discount = null,
+  paymentReference = null
 ) {
   // Start a MongoDB session for transaction
   const session = await mongoose.startSession();
@@ -41,7 +53,7 @@ export async function createOrderFromCart(
       ],
     })
       .session(session)
-      .select("_id name stock isVariant baseProduct isPublished");
+      .select("_id name stock sizeStock isVariant baseProduct isPublished");
 
     // Convert product ids to strings and store in the validProductIds set
     const validProductIds = new Set(
@@ -112,6 +124,32 @@ export async function createOrderFromCart(
     // Decrement stock
     await decrementProductStockWithProducts(stockValidation.products, session);
 
+    // Made-to-measure pieces take slots in the tailoring schedule instead of stock
+    let tailoring = null;
+    const tailoringSlots = countTailoringSlots(items);
+    if (tailoringSlots > 0) {
+      const tailoringSettings = await getTailoringSettings();
+      // The checkout's hold kept room in a week for these pieces
+      const heldWeek = paymentReference
+        ? await getHeldTailoringWeek(paymentReference)
+        : null;
+      const booking = await bookTailoringSlots(
+        tailoringSlots,
+        tailoringSettings,
+        session,
+        heldWeek
+      );
+      if (!booking && !tailoringSettings.waitlistEnabled) {
+        throw new Error("Tailoring capacity is full");
+      }
+      tailoring = {
+        slots: tailoringSlots,
+        weekStart: booking?.weekStart ?? null,
+        estimatedReadyDate: booking?.estimatedReadyDate ?? null,
+        waitlisted: !booking,
+      };
+    }
+
     // Create the order within the transaction
     const order = new Order({
       user,
@@ -119,11 +157,25 @@ export async function createOrderFromCart(
       shippingInfo,
       totalPrice,
       status,
+      statusHistory: [{ status, note: "Order placed" }],
       expressService,
       expressFee,
+      shippingFee,
+      discount,
+      paymentReference,
+      tailoring,
     });
     await order.save({ session });
 
+    // Count the coupon use only now that the payment has become an order
+    if (discount) {
+      await redeemCoupon(
+        discount,
+        { user, order: order._id, reference: paymentReference },
+        session
+      );
+    }
+
     // Commit the transaction
     await session.commitTransaction();
 
@@ -138,6 +190,8 @@ export async function createOrderFromCart(
     logger.error(
       `[order.model] Error creating order: ${error.message}. Transaction rolled back.`
     );
+    // Keep the duplicate key error as is: it means the payment already has an order
+    if (error.code === 11000) throw error;
     throw new Error(error.message);
   } finally {
     // End the session
@@ -200,11 +254,37 @@ export async function fetchOrderById(orderId, userId) {
   }
 }
 
+/**
+ * Find a delivered order of the user's that contains any of the given products
+ * (a base product and its variants are all the same piece to a reviewer)
+ * @param {string} userId - User ID
+ * @param {Array<string>} productIds - Product IDs to look for
+ * @returns {Promise<Object|null>} Most recent matching order, or null
+ */
+export async function findArrivedOrderWithProducts(userId, productIds) {
+  try {
+    return await Order.findOne({
+      user: userId,
+      status: "arrived",
+      "items.product": { $in: productIds },
+    })
+      .sort({ createdAt: -1 })
+      .select("_id");
+  } catch (error) {
+    logger.warn(error.message);
+    throw new Error(error.message);
+  }
+}
+
 export async function fetchOrderByIdAdmin(orderId) {
   try {
     const order = await Order.findOne({ _id: orderId })
       .populate({ path: "items.product", select: "name slug images price" })
-      .populate({ path: "user", select: "name email" });
+      .populate({ path: "user", select: "name email" })
+      .populate({
+        path: "statusHistory.changedBy",
+        select: "displayName email",
+      });
     return order;
   } catch (error) {
     logger.warn(error.message);
@@ -227,11 +307,30 @@ export async function fetchOrderStatus(orderId) {
   }
 }
 
-export async function updateOrderStatus(id, status) {
+/**
+ * Move an order to a new status and record the change in its timeline
+ * @param {string} id - Order ID
+ * @param {string} status - New status
+ * @param {Object} [options]
+ * @param {string} [options.fromStatus] - Only update if the order is still in this status
+ * @param {string|null} [options.changedBy] - User making the change
+ * @param {string} [options.note] - Note stored with the timeline entry
+ * @returns {Promise<Object|null>} Updated order, or null if not found / status changed meanwhile
+ */
+export async function updateOrderStatus(
+  id,
+  status,
+  { fromStatus = null, changedBy = null, note = "" } = {}
+) {
   try {
-    const updated = await Order.findByIdAndUpdate(
-      id,
-      { status },
+    const updated = await Order.findOneAndUpdate(
+      { _id: id, ...(fromStatus && { status: fromStatus }) },
+      {
+        $set: { status },
+        $push: {
+          statusHistory: { status, changedAt: new Date(), changedBy, note },
+        },
+      },
       {
         new: true,
         runValidators: true,
@@ -372,3 +471,187 @@ export async function aggregateRevenueLastNDays(days = 30) {
     throw error;
   }
 }
+
+/**
+ * Record a refund issued against an order's payment
+ * @param {string} orderId - Order ID
+ * @param {Object} refund - Refund entry (see RefundSchema)
+ * @param {string} [paymentStatus] - New payment status for the order
+ * @returns {Promise<Object|null>} Updated order
+ */
+export async function addOrderRefund(orderId, refund, paymentStatus = null) {
+  try {
+    return await Order.findByIdAndUpdate(
+      orderId,
+      {
+        $push: { refunds: refund },
+        ...(paymentStatus && { $set: { paymentStatus } }),
+      },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[order.model] Error recording refund for order ${orderId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Update a refund entry on an order, optionally changing its payment status
+ * @param {string} orderId - Order ID
+ * @param {string} refundId - _id of the refund entry
+ * @param {Object} updates - Refund fields to set
+ * @param {string} [paymentStatus] - New payment status for the order
+ * @returns {Promise<Object|null>} Updated order
+ */
+export async function updateOrderRefund(
+  orderId,
+  refundId,
+  updates,
+  paymentStatus = null
+) {
+  try {
+    const setFields = Object.fromEntries(
+      Object.entries(updates).map(([key, value]) => [`refunds.$.${key}`, value])
+    );
+    if (paymentStatus) {
+      setFields.paymentStatus = paymentStatus;
+    }
+
+    return await Order.findOneAndUpdate(
+      { _id: orderId, "refunds._id": refundId },
+      { $set: setFields },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[order.model] Error updating refund ${refundId} for order ${orderId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Give back what an order took beyond stock: its tailoring slots and its coupon use.
+ * Runs inside the caller's transaction and is safe to repeat, so an order that is
+ * fully refunded and then cancelled only releases them once.
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Mongoose session
+ * @returns {Promise<void>}
+ */
+async function releaseOrderCommitments(order, session) {
+  if (order.tailoring?.weekStart) {
+    const claimed = await Order.updateOne(
+      { _id: order._id, "tailoring.releasedAt": null },
+      { $set: { "tailoring.releasedAt": new Date() } },
+      { session }
+    );
+    if (claimed.modifiedCount > 0) {
+      await releaseTailoringSlots(
+        order.tailoring.weekStart,
+        order.tailoring.slots,
+        session
+      );
+    }
+  }
+
+  // The customer gets the coupon use back along with their money
+  if (order.discount?.coupon) {
+    await voidCouponRedemption(order._id, session);
+  }
+}
+
+/**
+ * Give back the tailoring slots and coupon use of an order whose payment has
+ * been refunded in full
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object|null>} The order, or null if it doesn't exist
+ */
+export async function releaseRefundedOrder(orderId) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findById(orderId).session(session);
+    if (order) {
+      await releaseOrderCommitments(order, session);
+    }
+    await session.commitTransaction();
+    return order;
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(
+      `[order.model] Error releasing refunded order ${orderId}: ${error.message}. Transaction rolled back.`
+    );
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Cancel a customer's order and return its items to stock (and its made-to-measure
+ * pieces to the tailoring schedule, its coupon use to the coupon) in one transaction.
+ * Only orders that are still `accepted` (production not started) can be cancelled.
+ * @param {string} orderId - Order ID
+ * @param {string} userId - Owner of the order
+ * @param {Array} restockItems - Items to return to stock ({ product, size, quantity })
+ * @returns {Promise<Object|null>} Cancelled order, or null if it was not cancellable
+ */
+export async function cancelAcceptedOrder(orderId, userId, restockItems) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, user: userId, status: "accepted" },
+      {
+        $set: { status: "cancelled", cancelledAt: new Date() },
+        $push: {
+          statusHistory: {
+            status: "cancelled",
+            changedAt: new Date(),
+            changedBy: userId,
+            note: "Cancelled by customer",
+          },
+        },
+      },
+      { new: true, runValidators: true, session }
+    );
+
+    if (!order) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    if (restockItems.length > 0) {
+      await incrementProductStockWithProducts(
+        restockItems.map(item => ({
+          product: { _id: item.product },
+          quantity: item.quantity,
+          size: item.size,
+        })),
+        session
+      );
+    }
+
+    await releaseOrderCommitments(order, session);
+
+    await session.commitTransaction();
+
+    logger.info(
+      `[order.model] Order cancelled: ${orderId}, Stock restored for ${restockItems.length} items`
+    );
+
+    return order;
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(
+      `[order.model] Error cancelling order ${orderId}: ${error.message}. Transaction rolled back.`
+    );
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
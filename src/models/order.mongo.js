@@ -2,6 +2,11 @@ import { Schema, model } from "mongoose";
 import User from "./user.mongo.js";
 import { OrderItemSchema } from "./schemas/orderItem.schema.js";
 import { ShippingInfoSchema } from "./schemas/shippingInfo.schema.js";
+import { RefundSchema } from "./schemas/refund.schema.js";
+import { StatusHistorySchema } from "./schemas/statusHistory.schema.js";
+import { AppliedDiscountSchema } from "./schemas/appliedDiscount.schema.js";
+import { TailoringBookingSchema } from "./schemas/tailoringBooking.schema.js";
+import { ORDER_STATUSES } from "../constants/orderStatus.js";
 
 // Define the order schema
 const OrderSchema = new Schema(
@@ -28,18 +33,22 @@ const OrderSchema = new Schema(
     // Status of the order (enum ensures only allowed values are accepted)
     status: {
       type: String,
-      enum: [
-        "accepted",
-        "processing",
-        "ready",
-        "enroute_pickup",
-        "picked_up",
-        "in_transit",
-        "arrived",
-      ],
+      enum: ORDER_STATUSES,
       default: "accepted",
     },
 
+    // Timeline of status changes (see ORDER_STATUS_TRANSITIONS)
+    statusHistory: {
+      type: [StatusHistorySchema],
+      default: [],
+    },
+
+    // When the customer cancelled the order (null if not cancelled)
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+
     // Payment reference from Paystack transaction
     paymentReference: {
       type: String,
@@ -50,10 +59,16 @@ const OrderSchema = new Schema(
     // Payment status
     paymentStatus: {
       type: String,
-      enum: ["paid", "refunded", "pending"],
+      enum: ["paid", "partially_refunded", "refunded", "pending"],
       default: "paid", // Orders are only created after successful payment
     },
 
+    // Refunds issued against the order's payment (amounts in pesewas)
+    refunds: {
+      type: [RefundSchema],
+      default: [],
+    },
+
     // Express service flag
     expressService: {
       type: Boolean,
@@ -66,12 +81,41 @@ const OrderSchema = new Schema(
       min: 0,
       default: 0,
     },
+
+    // Delivery fee from the shipping zone of the delivery address
+    shippingFee: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Coupon applied at checkout (amount in GHS, already taken off totalPrice)
+    discount: {
+      type: AppliedDiscountSchema,
+      default: null,
+    },
+
+    // Tailoring schedule booking for made-to-measure pieces (null if the order has none)
+    tailoring: {
+      type: TailoringBookingSchema,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// One order per payment: a second attempt to fulfil the same transaction fails
+// with a duplicate key error instead of creating another order
+OrderSchema.index(
+  { paymentReference: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { paymentReference: { $type: "string" } },
+  }
+);
+
 const Order = model("Order", OrderSchema);
 
 export default Order;
@@ -1,6 +1,17 @@
 import Product from "./product.mongo.js";
 import logger from "../config/logger.js";
 import { buildProductQuery } from "../utils/buildProductQuery.js";
+import {
+  withEffectivePrice,
+  EFFECTIVE_PRICE_EXPRESSION,
+} from "../utils/productPricing.js";
+import {
+  isMadeToMeasure,
+  hasSizeStock,
+  sumSizeStock,
+  getSizeAvailability,
+} from "../utils/productStock.js";
+import { READY_MADE_SIZES } from "../constants/productSizes.js";
 import slugify from "slugify";
 
 /**
@@ -81,23 +92,51 @@ async function countDiscoverableProducts(params) {
   return await Product.countDocuments(query);
 }
 
+/**
+ * @desc    Run a buildProductQuery listing as an aggregation so it can sort on the
+ *          effective (sale-aware) price, which only exists at query time
+ * @param   {Object} built - { query, projection, sort } from buildProductQuery
+ * @param   {Number} skip - Number of results to skip
+ * @param   {Number} limit - Number of results to return
+ * @returns {Promise<Array>} Plain product objects with an effectivePrice field
+ */
+async function aggregateProductListing(
+  { query, projection, sort },
+  skip,
+  limit
+) {
+  return await Product.aggregate([
+    { $match: query },
+    {
+      $addFields: { ...projection, effectivePrice: EFFECTIVE_PRICE_EXPRESSION },
+    },
+    { $sort: { ...sort, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit },
+  ]);
+}
+
 /**
  * @desc    Retrieve a paginated set of products matching discoverable (search/filter) criteria.
+ *          Prices are resolved for shoppers (see withEffectivePrice).
  * @param   {Object} params - Query parameters for filtering/searching products (e.g., q, category, minPrice, maxPrice)
  * @returns {Promise<Array>} Array of products matching the criteria
  */
 async function getDiscoverableProducts(params, page = 1, limit = 10) {
   try {
-    const { query, projection, sort } = buildProductQuery(params);
     const skip = (page - 1) * limit;
 
-    const products = await Product.find(query, projection)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    const products = await aggregateProductListing(
+      buildProductQuery(params),
+      skip,
+      limit
+    );
 
-    return products;
+    // price already carries the effective price once resolved
+    return products.map(product => {
+      delete product.effectivePrice;
+      return withEffectivePrice(product);
+    });
   } catch (error) {
     logger.error(
       `[products.model] Error getting discoverable products: ${error.message}`
@@ -123,13 +162,14 @@ async function getProductById(id) {
 }
 
 /**
- * @desc    Retrieves a single product by its slug.
+ * @desc    Retrieves a single product by its slug, with its price resolved for shoppers.
  * @param   {String} slug - Product slug
  * @returns {Promise<Object|null>} Product plain object or null if not found
  */
 async function getProductBySlug(slug) {
   try {
-    return await Product.findOne({ slug }).lean();
+    const product = await Product.findOne({ slug }).lean();
+    return product ? withEffectivePrice(product) : null;
   } catch (error) {
     logger.error(
       `[product.model] Error finding product by slug ${slug}: ${error.message}`
@@ -163,13 +203,21 @@ async function createProduct(data) {
 }
 
 /**
- * @desc    Update a product document by ID
+ * @desc    Update a product document by ID. Sending sizeStock recalculates stock.
  * @param   {String} id - Product ID
  * @param   {Object} updates - Updated fields
  * @returns {Promise<Object|null>} Updated product or null if not found
  */
 async function updateProduct(id, updates) {
   try {
+    // Replacing the size breakdown also resets the total it adds up to
+    if (updates.sizeStock) {
+      const sizeStock =
+        typeof updates.sizeStock === "string"
+          ? JSON.parse(updates.sizeStock)
+          : updates.sizeStock;
+      updates = { ...updates, sizeStock, stock: sumSizeStock(sizeStock) };
+    }
     const updated = await Product.findByIdAndUpdate(id, updates, {
       new: true,
       runValidators: true,
@@ -246,7 +294,7 @@ async function countAllProducts(params) {
  * @param   {Object} params - Query parameters for filtering/searching products (e.g., q, category, minPrice, maxPrice, isPublished, sort)
  * @param   {Number} page - Page number (default: 1)
  * @param   {Number} limit - Number of results per page (default: 10)
- * @returns {Promise<Array>} Array of products matching the criteria
+ * @returns {Promise<Array>} Array of products matching the criteria (stored prices plus effectivePrice)
  */
 async function getPaginatedAllProducts(params, page = 1, limit = 10) {
   try {
@@ -256,17 +304,17 @@ async function getPaginatedAllProducts(params, page = 1, limit = 10) {
     });
     const skip = (page - 1) * limit;
 
-    const products = await Product.find(query, projection)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .populate({
-        path: "variants",
-        select:
-          "name price images swatchImage variantType stock isPublished createdAt updatedAt",
-      });
+    const products = await aggregateProductListing(
+      { query, projection, sort },
+      skip,
+      limit
+    );
 
-    return products;
+    return await Product.populate(products, {
+      path: "variants",
+      select:
+        "name price compareAtPrice salePrice saleStartsAt saleEndsAt images swatchImage variantType stock sizeStock isPublished createdAt updatedAt",
+    });
   } catch (error) {
     logger.error(
       `[products.model] Error getting paginated all products: ${error.message}`
@@ -287,7 +335,7 @@ async function countAllProductsRaw() {
 async function getLowStockProducts(limit = 5, threshold = 10) {
   try {
     return await Product.find({ stock: { $lt: threshold } })
-      .select("name stock slug isPublished")
+      .select("name stock sizeStock slug isPublished")
       .sort({ stock: 1, updatedAt: -1 })
       .limit(limit);
   } catch (error) {
@@ -297,16 +345,89 @@ async function getLowStockProducts(limit = 5, threshold = 10) {
 }
 
 /**
- * @desc    Validate stock availability using pre-fetched products (synchronous)
- * @param   {Array} items - Array of { product, quantity } or { productId, quantity } objects
+ * @desc    Retrieve the subset of products that can currently be purchased:
+ *          published base products, and variants whose base product is published
+ * @param   {Array} productIds - Product IDs to look up
+ * @param   {Object} session - MongoDB session for transaction (optional)
+ * @returns {Promise<Array>} Purchasable products as plain objects, prices resolved for shoppers
+ */
+async function getPurchasableProducts(productIds, session = null) {
+  try {
+    // Variants can be unpublished (they're accessible through their published base product)
+    const query = Product.find({
+      _id: { $in: productIds },
+      $or: [{ isPublished: true }, { isVariant: true }],
+    }).select(
+      "_id name slug images price compareAtPrice salePrice saleStartsAt saleEndsAt stock sizeStock isVariant baseProduct isPublished"
+    );
+
+    if (session) {
+      query.session(session);
+    }
+
+    const products = await query;
+
+    const baseProductIds = products
+      .filter(p => p.isVariant && p.baseProduct)
+      .map(p => p.baseProduct);
+
+    let publishedBaseProductIds = new Set();
+    if (baseProductIds.length > 0) {
+      const baseQuery = Product.find({
+        _id: { $in: baseProductIds },
+        isPublished: true,
+      }).select("_id");
+
+      if (session) {
+        baseQuery.session(session);
+      }
+
+      const baseProducts = await baseQuery;
+      publishedBaseProductIds = new Set(
+        baseProducts.map(bp => bp._id.toString())
+      );
+    }
+
+    return products
+      .filter(
+        p =>
+          !p.isVariant ||
+          (p.baseProduct &&
+            publishedBaseProductIds.has(p.baseProduct.toString()))
+      )
+      .map(p => withEffectivePrice(p));
+  } catch (error) {
+    logger.error(
+      `[products.model] Error fetching purchasable products: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Validate stock availability using pre-fetched products (synchronous).
+ *          Lines for the same product draw on the same stock, and on size-tracked
+ *          products lines of the same size draw on that size's stock. Made-to-measure
+ *          (CUSTOM) lines don't use stock and always pass.
+ * @param   {Array} items - Array of { product, quantity, size } or { productId, quantity, size } objects
  * @param   {Array} products - Pre-fetched product documents
  * @returns {{valid: boolean, errors: Array, products: Array}}
  */
 function validateStockAvailabilityWithProducts(items, products) {
   const productMap = new Map(products.map(p => [p._id.toString(), p]));
 
+  const requested = new Map();
+  for (const item of items) {
+    if (isMadeToMeasure(item.size)) continue;
+    const productId = (item.productId || item.product).toString();
+    for (const key of [productId, `${productId}:${item.size}`]) {
+      requested.set(key, (requested.get(key) || 0) + item.quantity);
+    }
+  }
+
   const errors = [];
   const validItems = [];
+  const reported = new Set();
 
   for (const item of items) {
     const productId = (item.productId || item.product).toString();
@@ -318,14 +439,36 @@ function validateStockAvailabilityWithProducts(items, products) {
       continue;
     }
 
-    if (product.stock < quantity) {
-      errors.push(
-        `${product.name}: Insufficient stock. Available: ${product.stock}, Requested: ${quantity}`
-      );
+    if (isMadeToMeasure(item.size)) {
+      validItems.push({ product, quantity, size: item.size });
+      continue;
+    }
+
+    const totalRequested = requested.get(productId);
+    if (product.stock < totalRequested) {
+      if (!reported.has(productId)) {
+        errors.push(
+          `${product.name}: Insufficient stock. Available: ${product.stock}, Requested: ${totalRequested}`
+        );
+        reported.add(productId);
+      }
+      continue;
+    }
+
+    const sizeKey = `${productId}:${item.size}`;
+    const sizeRequested = requested.get(sizeKey);
+    const sizeAvailable = getSizeAvailability(product, item.size);
+    if (sizeAvailable < sizeRequested) {
+      if (!reported.has(sizeKey)) {
+        errors.push(
+          `${product.name} (${item.size}): Insufficient stock. Available: ${sizeAvailable}, Requested: ${sizeRequested}`
+        );
+        reported.add(sizeKey);
+      }
       continue;
     }
 
-    validItems.push({ product, quantity });
+    validItems.push({ product, quantity, size: item.size });
   }
 
   return {
@@ -337,7 +480,7 @@ function validateStockAvailabilityWithProducts(items, products) {
 
 /**
  * @desc    Validate stock availability for multiple products (fetches from DB)
- * @param   {Array} items - Array of { productId, quantity } or { product, quantity } objects
+ * @param   {Array} items - Array of { productId, quantity, size } or { product, quantity, size } objects
  * @param   {Object} session - MongoDB session for transaction (optional)
  * @returns {Promise<{valid: boolean, errors: Array, products: Array}>}
  */
@@ -350,7 +493,7 @@ async function validateStockAvailability(items, session = null) {
       query.session(session);
     }
 
-    const products = await query.select("_id name stock");
+    const products = await query.select("_id name stock sizeStock");
 
     return validateStockAvailabilityWithProducts(items, products);
   } catch (error) {
@@ -360,8 +503,10 @@ async function validateStockAvailability(items, session = null) {
 }
 
 /**
- * @desc    Decrement stock for multiple products atomically (with pre-fetched products)
- * @param   {Array} items - Array of { product, quantity } objects (product must be full document)
+ * @desc    Decrement stock for multiple products atomically (with pre-fetched products).
+ *          Size-tracked products also lose the units from the ordered size.
+ *          Made-to-measure (CUSTOM) lines are skipped.
+ * @param   {Array} items - Array of { product, quantity, size } objects (product must be full document)
  * @param   {Object} session - MongoDB session for transaction (optional)
  * @returns {Promise<Array>} Array of updated product documents
  * @throws  {Error} If update fails or stock goes negative
@@ -369,10 +514,16 @@ async function validateStockAvailability(items, session = null) {
 async function decrementProductStockWithProducts(items, session = null) {
   try {
     // Decrement stock for all products atomically
-    const updatePromises = items.map(({ product, quantity }) => {
+    const stockItems = items.filter(item => !isMadeToMeasure(item.size));
+    const updatePromises = stockItems.map(({ product, quantity, size }) => {
+      const inc = { stock: -quantity };
+      if (size && hasSizeStock(product)) {
+        inc[`sizeStock.${size}`] = -quantity;
+      }
+
       const updateQuery = Product.findByIdAndUpdate(
         product._id,
-        { $inc: { stock: -quantity } },
+        { $inc: inc },
         { new: true, runValidators: true }
       );
 
@@ -386,7 +537,12 @@ async function decrementProductStockWithProducts(items, session = null) {
     const updatedProducts = await Promise.all(updatePromises);
 
     // Safety check: verify no stock went negative
-    const negativeStock = updatedProducts.filter(p => p && p.stock < 0);
+    const negativeStock = updatedProducts.filter(
+      p =>
+        p &&
+        (p.stock < 0 ||
+          (p.sizeStock && READY_MADE_SIZES.some(size => p.sizeStock[size] < 0)))
+    );
     if (negativeStock.length > 0) {
       const productNames = negativeStock.map(p => p.name).join(", ");
       logger.error(
@@ -408,6 +564,50 @@ async function decrementProductStockWithProducts(items, session = null) {
   }
 }
 
+/**
+ * @desc    Increment stock for multiple products (e.g. items returned on refund).
+ *          Inverse of decrementProductStockWithProducts: size-tracked products get
+ *          the units back in the returned size, made-to-measure lines are skipped.
+ * @param   {Array} items - Array of { product, quantity, size } objects (product must have _id)
+ * @param   {Object} session - MongoDB session for transaction (optional)
+ * @returns {Promise<Array>} Array of updated product documents
+ */
+async function incrementProductStockWithProducts(items, session = null) {
+  try {
+    const stockItems = items.filter(item => !isMadeToMeasure(item.size));
+    const updatePromises = stockItems.map(
+      async ({ product, quantity, size }) => {
+        // Only products that track sizes have a breakdown to return the units to
+        if (size) {
+          const sized = await Product.findOneAndUpdate(
+            { _id: product._id, sizeStock: { $type: "object" } },
+            { $inc: { stock: quantity, [`sizeStock.${size}`]: quantity } },
+            { new: true, runValidators: true, session }
+          );
+          if (sized) return sized;
+        }
+
+        return await Product.findByIdAndUpdate(
+          product._id,
+          { $inc: { stock: quantity } },
+          { new: true, runValidators: true, session }
+        );
+      }
+    );
+
+    const updatedProducts = await Promise.all(updatePromises);
+
+    logger.info(
+      `[products.model] Stock incremented successfully for ${updatedProducts.length} products`
+    );
+
+    return updatedProducts;
+  } catch (error) {
+    logger.error(`[products.model] Error incrementing stock: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * @desc    Decrement stock for multiple products atomically (fetches from DB)
  * @param   {Array} items - Array of { productId, quantity } or { product, quantity } objects
@@ -588,7 +788,9 @@ async function getRelatedProducts(currentProduct, limit = 4) {
         };
 
         relatedProducts = await Product.find(primaryQuery)
-          .select("name description price images category stock slug createdAt")
+          .select(
+            "name description price compareAtPrice salePrice saleStartsAt saleEndsAt images category stock slug createdAt"
+          )
           .limit(limit)
           .sort({ score: { $meta: "textScore" } })
           .lean();
@@ -617,7 +819,9 @@ async function getRelatedProducts(currentProduct, limit = 4) {
       };
 
       const fallbackProducts = await Product.find(fallbackQuery)
-        .select("name description price images category stock slug createdAt")
+        .select(
+          "name description price compareAtPrice salePrice saleStartsAt saleEndsAt images category stock slug createdAt"
+        )
         .limit(limit - relatedProducts.length)
         .sort({ createdAt: -1 }) // Sort by latest if no text search relevance
         .lean();
@@ -626,7 +830,9 @@ async function getRelatedProducts(currentProduct, limit = 4) {
     }
 
     // Return up to the limit (always return array, even if empty)
-    return relatedProducts.slice(0, limit);
+    return relatedProducts
+      .slice(0, limit)
+      .map(product => withEffectivePrice(product));
   } catch (error) {
     logger.error(
       `[products.model] Error getting related products for ${currentProduct._id}: ${error.message}`
@@ -652,10 +858,12 @@ export {
   deleteProduct,
   countAllProductsRaw,
   getLowStockProducts,
+  getPurchasableProducts,
   validateStockAvailability,
   validateStockAvailabilityWithProducts,
   decrementProductStock,
   decrementProductStockWithProducts,
+  incrementProductStockWithProducts,
   getRelatedProducts,
   getProductVariants,
   addVariantToProduct,
@@ -1,16 +1,26 @@
 import { Schema, model } from "mongoose";
 import slugify from "slugify";
+import { SizeStockSchema } from "./schemas/sizeStock.schema.js";
+import { sumSizeStock } from "../utils/productStock.js";
 
 /**
  * @typedef Product
  * @property {String} name           - Name of the product (required)
  * @property {String} description    - Description of the product
  * @property {Number} price          - Product price in local currency (required, min: 0)
+ * @property {Number} compareAtPrice - "Was" price shown struck through (optional)
+ * @property {Number} salePrice      - Price charged while the sale window is open (optional)
+ * @property {Date} saleStartsAt     - When the sale price starts applying (null = immediately)
+ * @property {Date} saleEndsAt       - When the sale price stops applying (null = until removed)
  * @property {String[]} images       - Array of image URLs (max: 5)
  * @property {Object} swatchImage    - Swatch image for color/print picker (required if isVariant is true)
  * @property {String} category       - Category label (required, lowercase)
- * @property {Number} stock          - Units in stock (required, min: 0)
+ * @property {Number} stock          - Units in stock (required, min: 0); the sum of sizeStock when sizes are tracked
+ * @property {Object} sizeStock      - Units in stock per ready-made size (CUSTOM uses tailoring capacity)
+ *                                     (null = every size sells from `stock`)
  * @property {Boolean} isPublished   - Visibility toggle for public listing
+ * @property {Number} averageRating  - Mean rating of approved reviews (0 when there are none)
+ * @property {Number} reviewCount    - Number of approved reviews
  * @property {Boolean} isVariant     - Whether this product is a variant of another product
  * @property {Schema.Types.ObjectId} baseProduct - Reference to base product (required if isVariant is true)
  * @property {String} variantType    - Type of variant: 'color' or 'print' (required if isVariant is true)
@@ -37,6 +47,24 @@ const productSchema = new Schema(
       required: true,
       min: 0,
     },
+    compareAtPrice: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    salePrice: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    saleStartsAt: {
+      type: Date,
+      default: null,
+    },
+    saleEndsAt: {
+      type: Date,
+      default: null,
+    },
     images: {
       type: [
         {
@@ -71,6 +99,12 @@ const productSchema = new Schema(
       required: true,
       min: 0,
     },
+    sizeStock: {
+      type: SizeStockSchema,
+      default: null,
+      // Multipart product forms send the breakdown as a JSON string
+      set: val => (typeof val === "string" ? JSON.parse(val) : val),
+    },
     slug: {
       type: String,
       required: true,
@@ -107,6 +141,18 @@ const productSchema = new Schema(
         return this.isVariant === true;
       },
     },
+    // Maintained from approved reviews (see refreshProductRating)
+    averageRating: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: 0,
+    },
+    reviewCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     variants: {
       type: [Schema.Types.ObjectId],
       ref: "Product",
@@ -136,6 +182,14 @@ productSchema.index(
   { name: "ProductTextIndex" }
 );
 
+// Size-tracked products keep `stock` as the total so listings and low-stock reports still work
+productSchema.pre("validate", function (next) {
+  if (this.sizeStock) {
+    this.stock = sumSizeStock(this.sizeStock);
+  }
+  next();
+});
+
 productSchema.pre("save", function (next) {
   if (!this.slug && this.name) {
     this.slug = slugify(this.name, {
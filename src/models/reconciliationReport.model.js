@@ -0,0 +1,69 @@
+import ReconciliationReport from "./reconciliationReport.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Save the report of a finished reconciliation run
+ * @param   {Object} data - Report fields
+ * @returns {Promise<Object>} Created report
+ */
+async function createReconciliationReport(data) {
+  try {
+    return await ReconciliationReport.create(data);
+  } catch (error) {
+    logger.error(
+      `[reconciliationReport.model] Error saving reconciliation report: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Reconciliation reports for the admin log, newest first (without items)
+ * @param   {Number} page - Page number
+ * @param   {Number} limit - Reports per page
+ * @returns {Promise<{reports: Array, total: number}>}
+ */
+async function getReconciliationReports(page = 1, limit = 20) {
+  try {
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .select("-items")
+        .populate({ path: "triggeredBy", select: "displayName email" })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReconciliationReport.countDocuments(),
+    ]);
+    return { reports, total };
+  } catch (error) {
+    logger.error(
+      `[reconciliationReport.model] Error fetching reconciliation reports: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve a reconciliation report with every transaction it checked
+ * @param   {String} id - ReconciliationReport ID
+ * @returns {Promise<Object|null>} Report, or null if not found
+ */
+async function getReconciliationReportById(id) {
+  try {
+    return await ReconciliationReport.findById(id)
+      .populate({ path: "triggeredBy", select: "displayName email" })
+      .lean();
+  } catch (error) {
+    logger.error(
+      `[reconciliationReport.model] Error fetching reconciliation report ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  createReconciliationReport,
+  getReconciliationReports,
+  getReconciliationReportById,
+};
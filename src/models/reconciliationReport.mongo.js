@@ -0,0 +1,66 @@
+import { Schema, model } from "mongoose";
+import { ReconciliationItemSchema } from "./schemas/reconciliationItem.schema.js";
+import {
+  RECONCILIATION_OUTCOMES,
+  RECONCILIATION_TRIGGERS,
+} from "../constants/reconciliation.js";
+
+/**
+ * @typedef ReconciliationReport
+ * @property {String} trigger               - scheduled | manual
+ * @property {Schema.Types.ObjectId} triggeredBy - Admin who started a manual run
+ * @property {Date} startedAt               - When the run started
+ * @property {Date} finishedAt              - When the run finished
+ * @property {Number} checked               - Transactions checked with the gateway
+ * @property {Object} counts                - Transactions per outcome (converted, refunded, failed, abandoned, pending, error)
+ * @property {Array} items                  - One entry per transaction checked
+ * @property {Date} createdAt               - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt               - Timestamp of last update (auto-generated)
+ */
+const ReconciliationReportSchema = new Schema(
+  {
+    trigger: {
+      type: String,
+      enum: RECONCILIATION_TRIGGERS,
+      required: true,
+    },
+    triggeredBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+      required: true,
+    },
+    checked: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    counts: Object.fromEntries(
+      RECONCILIATION_OUTCOMES.map(outcome => [
+        outcome,
+        { type: Number, min: 0, default: 0 },
+      ])
+    ),
+    items: {
+      type: [ReconciliationItemSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+ReconciliationReportSchema.index({ createdAt: -1 });
+
+const ReconciliationReport = model(
+  "ReconciliationReport",
+  ReconciliationReportSchema
+);
+
+export default ReconciliationReport;
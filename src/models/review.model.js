@@ -0,0 +1,189 @@
+import mongoose from "mongoose";
+import Review from "./review.mongo.js";
+import Product from "./product.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Save a new review (it waits in the moderation queue until approved)
+ * @param   {Object} data - { product, user, order, rating, title, body, photos }
+ * @returns {Promise<Object>} Created review document
+ */
+async function createReview(data) {
+  try {
+    return await Review.create(data);
+  } catch (error) {
+    logger.error(
+      `[review.model] Error creating review for product ${data.product}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Whether a customer has already reviewed a product
+ * @param   {String} productId - Product ID
+ * @param   {String} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function hasReviewed(productId, userId) {
+  try {
+    return Boolean(await Review.exists({ product: productId, user: userId }));
+  } catch (error) {
+    logger.error(
+      `[review.model] Error checking review of product ${productId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Approved reviews of a product, newest first
+ * @param   {String} productId - Product ID
+ * @param   {Number} page - Page number
+ * @param   {Number} limit - Reviews per page
+ * @returns {Promise<{reviews: Array, total: number}>}
+ */
+async function getApprovedReviews(productId, page = 1, limit = 10) {
+  try {
+    const filter = { product: productId, status: "approved" };
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select("rating title body photos verifiedPurchase createdAt user")
+        .populate({ path: "user", select: "displayName" })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+    return { reviews, total };
+  } catch (error) {
+    logger.error(
+      `[review.model] Error fetching reviews of product ${productId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Reviews for the admin moderation queue, oldest first so the queue
+ *          is worked through in order
+ * @param   {String|null} status - Only reviews in this status (all when null)
+ * @param   {Number} page - Page number
+ * @param   {Number} limit - Reviews per page
+ * @returns {Promise<{reviews: Array, total: number}>}
+ */
+async function getReviewsForModeration(status = null, page = 1, limit = 20) {
+  try {
+    const filter = status ? { status } : {};
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate({ path: "product", select: "name slug images" })
+        .populate({ path: "user", select: "displayName email" })
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+    return { reviews, total };
+  } catch (error) {
+    logger.error(
+      `[review.model] Error fetching reviews for moderation: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Approve or reject a review
+ * @param   {String} id - Review ID
+ * @param   {Object} decision - { status, moderationNote }
+ * @param   {String} moderatedBy - Admin making the decision
+ * @returns {Promise<Object|null>} Updated review, or null if not found
+ */
+async function moderateReview(id, { status, moderationNote }, moderatedBy) {
+  try {
+    return await Review.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          status,
+          moderatedBy,
+          moderatedAt: new Date(),
+          ...(moderationNote !== undefined && { moderationNote }),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[review.model] Error moderating review ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Delete a review
+ * @param   {String} id - Review ID
+ * @returns {Promise<Object|null>} Deleted review, or null if not found
+ */
+async function deleteReview(id) {
+  try {
+    return await Review.findByIdAndDelete(id);
+  } catch (error) {
+    logger.error(
+      `[review.model] Error deleting review ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Recompute a product's averageRating and reviewCount from its approved
+ *          reviews. Called whenever a review is approved, rejected or deleted.
+ * @param   {String} productId - Product ID
+ * @returns {Promise<{averageRating: number, reviewCount: number}>}
+ */
+async function refreshProductRating(productId) {
+  try {
+    const [summary] = await Review.aggregate([
+      {
+        $match: {
+          product: new mongoose.Types.ObjectId(`${productId}`),
+          status: "approved",
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          averageRating: { $avg: "$rating" },
+          reviewCount: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const rating = {
+      averageRating: summary ? Math.round(summary.averageRating * 10) / 10 : 0,
+      reviewCount: summary?.reviewCount || 0,
+    };
+    await Product.updateOne({ _id: productId }, { $set: rating });
+    return rating;
+  } catch (error) {
+    logger.error(
+      `[review.model] Error refreshing rating of product ${productId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  createReview,
+  hasReviewed,
+  getApprovedReviews,
+  getReviewsForModeration,
+  moderateReview,
+  deleteReview,
+  refreshProductRating,
+};
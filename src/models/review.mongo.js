@@ -0,0 +1,100 @@
+import { Schema, model } from "mongoose";
+import { REVIEW_STATUSES } from "../constants/reviewStatus.js";
+
+/**
+ * @typedef Review
+ * @property {Schema.Types.ObjectId} product  - Reviewed product
+ * @property {Schema.Types.ObjectId} user     - Customer who wrote the review
+ * @property {Schema.Types.ObjectId} order    - Arrived order that contained the product
+ * @property {Number} rating                  - Stars, 1 to 5
+ * @property {String} title                   - Short headline
+ * @property {String} body                    - Review text
+ * @property {Object[]} photos                - Customer photos ({ url, publicId }) on Cloudinary
+ * @property {Boolean} verifiedPurchase       - The reviewer received the product in an order
+ * @property {String} status                  - pending | approved | rejected
+ * @property {Schema.Types.ObjectId} moderatedBy - Admin who approved or rejected the review
+ * @property {Date} moderatedAt               - When the review was moderated
+ * @property {String} moderationNote          - Internal note (e.g. why it was rejected)
+ * @property {Date} createdAt                 - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt                 - Timestamp of last update (auto-generated)
+ */
+const ReviewSchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+      default: "",
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: "",
+    },
+    photos: {
+      type: [
+        {
+          url: { type: String, required: true, trim: true },
+          publicId: { type: String, trim: true },
+        },
+      ],
+      default: [],
+      _id: false,
+    },
+    verifiedPurchase: {
+      type: Boolean,
+      default: true,
+    },
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+      default: "pending",
+    },
+    moderatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    moderationNote: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// One review per customer per product
+ReviewSchema.index({ product: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
+
+const Review = model("Review", ReviewSchema);
+
+export default Review;
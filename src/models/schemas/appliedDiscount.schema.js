@@ -0,0 +1,22 @@
+import { Schema } from "mongoose";
+import { COUPON_TYPES } from "../../constants/couponTypes.js";
+
+/**
+ * Schema for the coupon applied to a checkout.
+ * Shared by Transaction.orderData and Order so the discount the customer paid
+ * with is kept alongside the order.
+ *
+ * - coupon: the Coupon that was applied
+ * - code: code as entered at checkout (uppercase)
+ * - type: percentage | fixed | free_express
+ * - amount: required, discount in GHS taken off the order total
+ */
+export const AppliedDiscountSchema = new Schema(
+  {
+    coupon: { type: Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, trim: true, uppercase: true, required: true },
+    type: { type: String, enum: COUPON_TYPES, required: true },
+    amount: { type: Number, min: 0, required: true },
+  },
+  { _id: false }
+);
@@ -0,0 +1,29 @@
+import { Schema } from "mongoose";
+
+/**
+ * Schema for a single line in a shopping cart.
+ *
+ * - product: required, valid ObjectId (references Product)
+ * - quantity: required, number, min 1
+ * - size: required, string, one of ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'CUSTOM']
+ * - customSize: optional, object, required when size is 'CUSTOM'
+ *
+ * Prices are intentionally not stored on cart lines; they are resolved
+ * from the Product collection whenever the cart is read.
+ * Each line keeps its own _id so it can be updated or removed individually.
+ */
+export const CartItemSchema = new Schema({
+  product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+  quantity: { type: Number, min: 1, required: true },
+  size: {
+    type: String,
+    enum: ["XS", "S", "M", "L", "XL", "XXL", "CUSTOM"],
+    required: true,
+  },
+  customSize: {
+    type: Schema.Types.Mixed,
+    required: function () {
+      return this.size === "CUSTOM";
+    },
+  },
+});
@@ -0,0 +1,39 @@
+import { Schema } from "mongoose";
+import {
+  MEASUREMENT_UNITS,
+  MEASUREMENT_FIELDS,
+  REQUIRED_MEASUREMENTS,
+} from "../../constants/measurements.js";
+
+/**
+ * Schema for a named set of body measurements saved on the user (e.g. "Me", "Mum").
+ * Keeps its own _id so checkout items can reference it.
+ *
+ * - name: required, label shown to the customer (unique per user, case-insensitive)
+ * - unit: cm | in, defaults to cm
+ * - measurements: see MEASUREMENT_FIELDS; waist, hip and length are required
+ * - notes: optional, anything else the tailor should know
+ */
+const MeasurementsSchema = new Schema(
+  Object.fromEntries(
+    MEASUREMENT_FIELDS.map(field => [
+      field,
+      {
+        type: Number,
+        min: 0,
+        required: REQUIRED_MEASUREMENTS.includes(field),
+      },
+    ])
+  ),
+  { _id: false }
+);
+
+export const MeasurementProfileSchema = new Schema(
+  {
+    name: { type: String, trim: true, maxlength: 50, required: true },
+    unit: { type: String, enum: MEASUREMENT_UNITS, default: "cm" },
+    measurements: { type: MeasurementsSchema, required: true },
+    notes: { type: String, trim: true, maxlength: 500, default: "" },
+  },
+  { timestamps: true }
+);
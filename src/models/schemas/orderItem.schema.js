@@ -8,6 +8,9 @@ import { Schema } from "mongoose";
  * - price: required, number, min 0
  * - size: required, string, one of ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'CUSTOM']
  * - customSize: optional, object, required when size is 'CUSTOM'
+ * - measurementProfile: optional, saved profile the customSize was copied from
+ *   ({ profile, name }); the measurements themselves live in customSize so later
+ *   edits to the profile don't change the order
  */
 export const OrderItemSchema = new Schema(
   {
@@ -25,6 +28,16 @@ export const OrderItemSchema = new Schema(
         return this.size === "CUSTOM";
       },
     },
+    measurementProfile: {
+      type: new Schema(
+        {
+          profile: { type: Schema.Types.ObjectId, required: true },
+          name: { type: String, trim: true, required: true },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
   },
   { _id: false }
 );
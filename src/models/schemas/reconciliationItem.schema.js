@@ -0,0 +1,28 @@
+import { Schema } from "mongoose";
+import { RECONCILIATION_OUTCOMES } from "../../constants/reconciliation.js";
+
+/**
+ * Schema for one transaction checked by a reconciliation run.
+ *
+ * - transaction: the Transaction checked
+ * - reference: its reference, kept so the report reads on its own
+ * - previousStatus: transaction status before the check (pending or abandoned)
+ * - gatewayStatus: status the gateway reported, null if it couldn't be asked
+ * - outcome: what reconciliation did (see RECONCILIATION_OUTCOMES)
+ * - error: why the check failed, for outcome "error"
+ */
+export const ReconciliationItemSchema = new Schema(
+  {
+    transaction: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+    reference: { type: String, required: true },
+    previousStatus: { type: String, required: true },
+    gatewayStatus: { type: String, default: null },
+    outcome: { type: String, enum: RECONCILIATION_OUTCOMES, required: true },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
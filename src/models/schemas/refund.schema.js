@@ -0,0 +1,48 @@
+import { Schema } from "mongoose";
+
+/**
+ * Schema for a refund issued against a Paystack transaction.
+ * Shared by Transaction and Order so both carry the same refund history.
+ *
+ * - refundId: Paystack refund id (used to match refund webhooks)
+ * - amount: required, number in pesewas (Paystack's unit), min 1
+ * - status: pending until Paystack reports it processed or failed
+ * - reason: why the refund was issued (shown to the customer)
+ * - initiatedBy: admin who issued it or customer who cancelled, null for automatic refunds
+ * - items: order lines covered by a partial refund (empty for full refunds of
+ *   a payment that never became an order)
+ * - restocked: whether the refunded items were returned to stock
+ * - processedAt: when Paystack confirmed the refund
+ * - failureReason: Paystack's message when the refund failed
+ */
+const RefundItemSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    size: {
+      type: String,
+      enum: ["XS", "S", "M", "L", "XL", "XXL", "CUSTOM"],
+      required: true,
+    },
+    quantity: { type: Number, min: 1, required: true },
+  },
+  { _id: false }
+);
+
+export const RefundSchema = new Schema(
+  {
+    refundId: { type: String, trim: true, default: null },
+    amount: { type: Number, min: 1, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "processed", "failed"],
+      default: "pending",
+    },
+    reason: { type: String, trim: true, default: "" },
+    initiatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    items: { type: [RefundItemSchema], default: [] },
+    restocked: { type: Boolean, default: false },
+    processedAt: { type: Date, default: null },
+    failureReason: { type: String, trim: true, default: null },
+  },
+  { timestamps: true }
+);
@@ -0,0 +1,29 @@
+import { Schema } from "mongoose";
+import { GHANA_REGIONS } from "../../constants/ghanaRegions.js";
+import { ADDRESS_LABELS } from "../../constants/addresses.js";
+
+/**
+ * Schema for an address saved in the user's address book.
+ * Holds the same delivery fields as ShippingInfoSchema (copied into the order at
+ * checkout) plus a label and default flag. Keeps its own _id so checkout can
+ * reference it with `addressId`.
+ *
+ * - label: home | work | other, defaults to home
+ * - fullName, email, phone, deliveryAddress, region, city: required
+ * - deliveryNotes: optional
+ * - isDefault: the address checkout forms should start from (at most one per user)
+ */
+export const SavedAddressSchema = new Schema(
+  {
+    label: { type: String, enum: ADDRESS_LABELS, default: "home" },
+    fullName: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    phone: { type: String, required: true, trim: true },
+    deliveryAddress: { type: String, required: true, trim: true },
+    region: { type: String, enum: GHANA_REGIONS, required: true },
+    city: { type: String, required: true, trim: true },
+    deliveryNotes: { type: String, trim: true, default: "" },
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
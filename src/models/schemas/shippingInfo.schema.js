@@ -1,4 +1,5 @@
 import { Schema } from "mongoose";
+import { GHANA_REGIONS } from "../../constants/ghanaRegions.js";
 
 /**
  * ShippingInfoSchema defines the structure for shipping information associated with an order.
@@ -8,6 +9,8 @@ import { Schema } from "mongoose";
  * - email:         (String, required) The recipient's email address (stored in lowercase).
  * - phone:         (String, required) The recipient's phone number.
  * - deliveryAddress: (String, required) The shipping address for the delivery.
+ * - region:        (String) Ghana region of the delivery address (used to pick the shipping zone).
+ * - city:          (String) City of the delivery address (used to pick the shipping zone).
  * - deliveryNotes: (String, optional) Any additional instructions or notes for delivery.
  *
  * This schema does not include its own _id field; it is meant to be embedded within other documents.
@@ -18,6 +21,9 @@ export const ShippingInfoSchema = new Schema(
     email: { type: String, required: true, trim: true, lowercase: true },
     phone: { type: String, required: true, trim: true },
     deliveryAddress: { type: String, required: true, trim: true },
+    // Not required at schema level so orders placed before zones existed stay valid
+    region: { type: String, enum: GHANA_REGIONS },
+    city: { type: String, trim: true },
     deliveryNotes: { type: String, trim: true, default: "" },
   },
   { _id: false }
@@ -0,0 +1,17 @@
+import { Schema } from "mongoose";
+import { READY_MADE_SIZES } from "../../constants/productSizes.js";
+
+/**
+ * Size-level inventory of a product
+ *
+ * Each ready-made size (XS–XXL) maps to the units in stock for that size
+ * (integer, min 0, defaults to 0). CUSTOM pieces are made to measure and
+ * use tailoring capacity instead. The product's `stock` is kept equal to
+ * the sum of all sizes.
+ */
+export const SizeStockSchema = new Schema(
+  Object.fromEntries(
+    READY_MADE_SIZES.map(size => [size, { type: Number, min: 0, default: 0 }])
+  ),
+  { _id: false }
+);
@@ -0,0 +1,21 @@
+import { Schema } from "mongoose";
+import { ORDER_STATUSES } from "../../constants/orderStatus.js";
+
+/**
+ * Schema for one entry in an order's status timeline.
+ *
+ * - status: required, the status the order moved to
+ * - changedAt: when the transition happened
+ * - changedBy: user who made the change (admin, or customer for cancellations),
+ *   null for changes made by the system (e.g. order creation after payment)
+ * - note: optional, free-text note about the change
+ */
+export const StatusHistorySchema = new Schema(
+  {
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    note: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
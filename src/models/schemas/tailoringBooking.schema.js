@@ -0,0 +1,21 @@
+import { Schema } from "mongoose";
+
+/**
+ * Schema for where an order's made-to-measure pieces sit in the tailoring schedule.
+ *
+ * - slots: required, made-to-measure pieces in the order
+ * - weekStart: production week the pieces were booked into (null while waitlisted)
+ * - estimatedReadyDate: when the pieces are expected to be ready (null while waitlisted)
+ * - waitlisted: true when every week was full and the order is waiting for capacity
+ * - releasedAt: when the slots were given back (order cancelled or fully refunded)
+ */
+export const TailoringBookingSchema = new Schema(
+  {
+    slots: { type: Number, min: 1, required: true },
+    weekStart: { type: Date, default: null },
+    estimatedReadyDate: { type: Date, default: null },
+    waitlisted: { type: Boolean, default: false },
+    releasedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
@@ -0,0 +1,36 @@
+import { Schema } from "mongoose";
+
+/**
+ * Schema for individual items in a wishlist.
+ *
+ * - References a Product by ObjectId.
+ * - Does not generate its own _id to keep the structure lean.
+ */
+export const FavoriteItemSchema = new Schema(
+  {
+    productId: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Schema for a named wishlist embedded in the user document.
+ *
+ * - name: required, max 50 characters, unique per user (case-insensitive, checked by the controller)
+ * - isPrimary: the list favorites toggles use when no list is given (exactly one per user)
+ * - items: products on the list
+ * - shareToken: random token for the public read-only link, null while the list is private
+ */
+export const WishlistSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    isPrimary: { type: Boolean, default: false },
+    items: { type: [FavoriteItemSchema], default: [] },
+    shareToken: { type: String, default: null },
+  },
+  { timestamps: true }
+);
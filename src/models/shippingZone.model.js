@@ -0,0 +1,151 @@
+import ShippingZone from "./shippingZone.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Retrieve shipping zones, sorted by region then name
+ * @param   {Boolean} activeOnly - Only return zones used at checkout
+ * @returns {Promise<Array>} Array of shipping zone documents
+ */
+async function getShippingZones(activeOnly = false) {
+  try {
+    return await ShippingZone.find(activeOnly ? { isActive: true } : {}).sort({
+      region: 1,
+      name: 1,
+    });
+  } catch (error) {
+    logger.error(
+      `[shippingZone.model] Error fetching shipping zones: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve a single shipping zone by its _id
+ * @param   {String} id - Shipping zone ID
+ * @returns {Promise<Object|null>} Shipping zone document or null if not found
+ */
+async function getShippingZoneById(id) {
+  try {
+    return await ShippingZone.findById(id);
+  } catch (error) {
+    logger.error(
+      `[shippingZone.model] Error fetching shipping zone ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Create a shipping zone
+ * @param   {Object} data - Shipping zone fields
+ * @returns {Promise<Object>} Created shipping zone document
+ */
+async function createShippingZone(data) {
+  try {
+    return await ShippingZone.create(data);
+  } catch (error) {
+    logger.error(
+      `[shippingZone.model] Error creating shipping zone: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Update a shipping zone
+ * @param   {String} id - Shipping zone ID
+ * @param   {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated shipping zone or null if not found
+ */
+async function updateShippingZone(id, updates) {
+  try {
+    return await ShippingZone.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    });
+  } catch (error) {
+    logger.error(
+      `[shippingZone.model] Error updating shipping zone ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Delete a shipping zone
+ * @param   {String} id - Shipping zone ID
+ * @returns {Promise<Object|null>} Deleted shipping zone or null if not found
+ */
+async function deleteShippingZone(id) {
+  try {
+    return await ShippingZone.findByIdAndDelete(id);
+  } catch (error) {
+    logger.error(
+      `[shippingZone.model] Error deleting shipping zone ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Find the active zone that delivers to a region/city.
+ *          A zone listing the city wins over a zone covering the whole region.
+ * @param   {String} region - Ghana region
+ * @param   {String} city - City (case-insensitive)
+ * @returns {Promise<Object|null>} Matching shipping zone or null if we don't deliver there
+ */
+async function findShippingZoneFor(region, city) {
+  try {
+    const normalisedCity = city?.trim().toLowerCase();
+
+    const zones = await ShippingZone.find({
+      region,
+      isActive: true,
+      $or: [{ cities: normalisedCity }, { cities: { $size: 0 } }],
+    }).sort({ updatedAt: -1 });
+
+    return (
+      zones.find(zone => zone.cities.includes(normalisedCity)) ||
+      zones[0] ||
+      null
+    );
+  } catch (error) {
+    logger.error(
+      `[shippingZone.model] Error finding shipping zone for ${city}, ${region}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Calculate the delivery fee for an order in a zone
+ * @param   {Object} zone - Shipping zone
+ * @param   {Object} order - { subtotal, totalQuantity } (subtotal in GHS)
+ * @returns {Number} Delivery fee in GHS
+ */
+function calculateShippingFee(zone, { subtotal, totalQuantity }) {
+  if (
+    zone.freeShippingThreshold !== null &&
+    zone.freeShippingThreshold !== undefined &&
+    subtotal >= zone.freeShippingThreshold
+  ) {
+    return 0;
+  }
+
+  if (zone.rateType === "per_item") {
+    return zone.baseFee + zone.perItemFee * totalQuantity;
+  }
+
+  return zone.baseFee;
+}
+
+export {
+  getShippingZones,
+  getShippingZoneById,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  findShippingZoneFor,
+  calculateShippingFee,
+};
@@ -0,0 +1,66 @@
+import { Schema, model } from "mongoose";
+import { GHANA_REGIONS } from "../constants/ghanaRegions.js";
+
+/**
+ * @typedef ShippingZone
+ * @property {String} name                   - Display name of the zone (unique)
+ * @property {String} region                 - Ghana region the zone covers
+ * @property {String[]} cities               - Cities covered (lowercase); empty means the whole region
+ * @property {String} rateType               - flat | per_item
+ * @property {Number} baseFee                - Fee charged per order in GHS
+ * @property {Number} perItemFee             - Extra fee per item in GHS (per_item zones only)
+ * @property {Number} freeShippingThreshold  - Subtotal in GHS from which delivery is free (null = never)
+ * @property {Boolean} isActive              - Whether the zone is used at checkout
+ * @property {Date} createdAt                - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt                - Timestamp of last update (auto-generated)
+ */
+const ShippingZoneSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    region: {
+      type: String,
+      enum: GHANA_REGIONS,
+      required: true,
+    },
+    cities: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: [],
+    },
+    rateType: {
+      type: String,
+      enum: ["flat", "per_item"],
+      default: "flat",
+    },
+    baseFee: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    perItemFee: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    freeShippingThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ShippingZoneSchema.index({ region: 1, isActive: 1 });
+
+const ShippingZone = model("ShippingZone", ShippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,171 @@
+import crypto from "crypto";
+import StockAlert from "./stockAlert.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Ask to be emailed when a product is back in stock. Asking again for the
+ *          same product and address re-arms a notified alert instead of adding
+ *          another one. Unless the asker is signed in as the owner of the address,
+ *          the alert waits for the owner to confirm it, and an address that
+ *          unsubscribed stays unsubscribed.
+ * @param   {Object} params
+ * @param   {String} params.product - Product ID
+ * @param   {String} params.email - Address to notify
+ * @param   {String|null} params.user - Customer asking (null for guests)
+ * @param   {Boolean} params.confirmed - Whether the asker is signed in as the owner of `email`
+ * @returns {Promise<{alert: Object, changed: boolean}>} The alert, and whether this
+ *          request created or re-armed it
+ */
+async function subscribeStockAlert({
+  product,
+  email,
+  user = null,
+  confirmed = false,
+}) {
+  const filter = { product, email: email.trim().toLowerCase() };
+
+  try {
+    const existing = await StockAlert.findOne(filter);
+    const unchanged =
+      existing?.status === "pending" ||
+      (!confirmed &&
+        ["unconfirmed", "unsubscribed"].includes(existing?.status));
+    if (unchanged) {
+      return { alert: existing, changed: false };
+    }
+
+    // Guarded on the status read above so a concurrent unsubscribe isn't undone
+    const alert = await StockAlert.findOneAndUpdate(
+      existing ? { ...filter, status: existing.status } : filter,
+      {
+        $set: {
+          status: confirmed ? "pending" : "unconfirmed",
+          notifiedAt: null,
+          ...(user && { user }),
+        },
+        $setOnInsert: {
+          unsubscribeToken: crypto.randomBytes(24).toString("hex"),
+        },
+      },
+      { new: true, upsert: !existing, runValidators: true }
+    );
+    if (!alert) {
+      return { alert: await StockAlert.findOne(filter), changed: false };
+    }
+    return { alert, changed: true };
+  } catch (error) {
+    // A concurrent request for the same product and address created it first
+    if (error.code === 11000) {
+      return { alert: await StockAlert.findOne(filter), changed: false };
+    }
+    logger.error(
+      `[stockAlert.model] Error subscribing to stock alert for product ${product}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Confirm an alert from the link in its confirmation email
+ * @param   {String} token - Alert's token
+ * @returns {Promise<Object|null>} The alert (unchanged if it wasn't waiting for
+ *          confirmation), or null if the token is unknown
+ */
+async function confirmStockAlert(token) {
+  try {
+    return (
+      (await StockAlert.findOneAndUpdate(
+        { unsubscribeToken: token, status: "unconfirmed" },
+        { $set: { status: "pending" } },
+        { new: true }
+      )) || (await StockAlert.findOne({ unsubscribeToken: token }))
+    );
+  } catch (error) {
+    logger.error(
+      `[stockAlert.model] Error confirming stock alert: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Which of the given products have shoppers waiting for them
+ * @param   {Array} productIds - Product IDs to check
+ * @returns {Promise<Array<string>>} Product IDs with pending alerts
+ */
+async function getProductsWithPendingAlerts(productIds) {
+  try {
+    const ids = await StockAlert.distinct("product", {
+      product: { $in: productIds },
+      status: "pending",
+    });
+    return ids.map(id => id.toString());
+  } catch (error) {
+    logger.error(
+      `[stockAlert.model] Error finding pending stock alerts: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Take the pending alerts of a product for sending. Each alert is marked
+ *          notified as it is claimed, so two restocks racing each other can't email
+ *          the same shopper twice.
+ * @param   {String} productId - Product ID
+ * @returns {Promise<Array>} Claimed alerts
+ */
+async function claimPendingAlerts(productId) {
+  try {
+    const pending = await StockAlert.find({
+      product: productId,
+      status: "pending",
+    })
+      .select("_id")
+      .lean();
+
+    const claimed = [];
+    for (const { _id } of pending) {
+      const alert = await StockAlert.findOneAndUpdate(
+        { _id, status: "pending" },
+        { $set: { status: "notified", notifiedAt: new Date() } },
+        { new: true }
+      ).lean();
+      if (alert) claimed.push(alert);
+    }
+    return claimed;
+  } catch (error) {
+    logger.error(
+      `[stockAlert.model] Error claiming stock alerts for product ${productId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Stop an alert from the unsubscribe link in its email
+ * @param   {String} token - Unsubscribe token
+ * @returns {Promise<Object|null>} Unsubscribed alert, or null if the token is unknown
+ */
+async function unsubscribeStockAlert(token) {
+  try {
+    return await StockAlert.findOneAndUpdate(
+      { unsubscribeToken: token },
+      { $set: { status: "unsubscribed" } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[stockAlert.model] Error unsubscribing stock alert: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  subscribeStockAlert,
+  confirmStockAlert,
+  getProductsWithPendingAlerts,
+  claimPendingAlerts,
+  unsubscribeStockAlert,
+};
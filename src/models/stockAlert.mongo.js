@@ -0,0 +1,58 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * @typedef StockAlert
+ * @property {Schema.Types.ObjectId} product - Sold-out product the shopper is waiting for
+ * @property {String} email                  - Where to send the back-in-stock email (lowercase)
+ * @property {Schema.Types.ObjectId} user    - Customer who asked (null for email-only subscribers)
+ * @property {String} status                 - unconfirmed | pending | notified | unsubscribed
+ * @property {String} unsubscribeToken       - Secret used by the confirm and unsubscribe links (unique)
+ * @property {Date} notifiedAt               - When the back-in-stock email was sent
+ * @property {Date} createdAt                - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt                - Timestamp of last update (auto-generated)
+ */
+const StockAlertSchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // unconfirmed: waiting for the address owner to confirm; pending: waiting for
+    // stock; notified: email sent; unsubscribed: opted out
+    status: {
+      type: String,
+      enum: ["unconfirmed", "pending", "notified", "unsubscribed"],
+      default: "pending",
+    },
+    unsubscribeToken: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One alert per product and address, so repeat requests don't mean repeat emails
+StockAlertSchema.index({ product: 1, email: 1 }, { unique: true });
+StockAlertSchema.index({ product: 1, status: 1 });
+
+const StockAlert = model("StockAlert", StockAlertSchema);
+
+export default StockAlert;
@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import StockReservation from "./stockReservation.mongo.js";
+import Product from "./product.mongo.js";
+import logger from "../config/logger.js";
+import env from "../config/env.js";
+import { CUSTOM_SIZE, READY_MADE_SIZES } from "../constants/productSizes.js";
+import { isMadeToMeasure } from "../utils/productStock.js";
+import { countTailoringSlots } from "../utils/tailoringSchedule.js";
+import {
+  getTailoringSettings,
+  getTailoringSchedule,
+} from "./tailoring.model.js";
+
+/**
+ * @desc    Sum the quantities currently held by active, unexpired reservations
+ * @param   {Array} productIds - Product IDs to look up
+ * @param   {String} [excludeUser] - Leave out this user's own holds
+ * @returns {Promise<Map<string, {quantity: number, sizes: Object}>>} Map of product ID
+ *          to the total held and the units held per size
+ */
+async function getReservedQuantities(productIds, excludeUser = null) {
+  try {
+    const ids = productIds.map(id => new mongoose.Types.ObjectId(`${id}`));
+    const match = {
+      product: { $in: ids },
+      // Made-to-measure holds take tailoring slots, not stock
+      size: { $ne: CUSTOM_SIZE },
+      status: "active",
+      expiresAt: { $gt: new Date() },
+    };
+    if (excludeUser) {
+      match.user = { $ne: new mongoose.Types.ObjectId(`${excludeUser}`) };
+    }
+
+    const totals = await StockReservation.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { product: "$product", size: "$size" },
+          quantity: { $sum: "$quantity" },
+        },
+      },
+    ]);
+
+    const reserved = new Map();
+    for (const { _id, quantity } of totals) {
+      const productId = _id.product.toString();
+      const held = reserved.get(productId) || { quantity: 0, sizes: {} };
+      held.quantity += quantity;
+      if (_id.size) held.sizes[_id.size] = quantity;
+      reserved.set(productId, held);
+    }
+    return reserved;
+  } catch (error) {
+    logger.error(
+      `[stockReservation.model] Error summing reserved stock: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Replace each product's stock (and size breakdown) with what is actually
+ *          available to new shoppers, i.e. stock minus units held by pending checkouts
+ * @param   {Array} products - Product documents or plain objects (must have _id and stock)
+ * @param   {Object} [options]
+ * @param   {String} [options.excludeUser] - Don't count this user's own holds (a
+ *          shopper retrying checkout must not be blocked by their earlier attempt)
+ * @returns {Promise<Array>} Plain product objects with adjusted stock
+ */
+async function withAvailableStock(products, { excludeUser = null } = {}) {
+  if (products.length === 0) return [];
+
+  const reserved = await getReservedQuantities(
+    products.map(p => p._id),
+    excludeUser
+  );
+
+  return products.map(product => {
+    const plain =
+      typeof product.toObject === "function" ? product.toObject() : product;
+    const held = reserved.get(plain._id.toString());
+    if (!held) return { ...plain };
+
+    const available = {
+      ...plain,
+      stock: Math.max(plain.stock - held.quantity, 0),
+    };
+    if (plain.sizeStock) {
+      available.sizeStock = Object.fromEntries(
+        READY_MADE_SIZES.map(size => [
+          size,
+          Math.max((plain.sizeStock[size] || 0) - (held.sizes[size] || 0), 0),
+        ])
+      );
+    }
+    return available;
+  });
+}
+
+/**
+ * @desc    Hold a checkout's made-to-measure pieces in the earliest tailoring week
+ *          with room. Like stock, the hold is written first and then checked, so two
+ *          checkouts racing for a week's last slots cannot both keep them. When every
+ *          week is full the checkout goes ahead without a hold if orders can be
+ *          waitlisted.
+ * @param   {Object} transaction - Pending transaction ({ _id, reference, user })
+ * @param   {Array} items - Checkout lines ({ product, quantity, size })
+ * @param   {Date} expiresAt - When the hold lapses
+ * @returns {Promise<{valid: boolean, errors: Array<string>}>}
+ */
+async function holdTailoringSlots(transaction, items, expiresAt) {
+  const slots = countTailoringSlots(items);
+  if (slots === 0) return { valid: true, errors: [] };
+
+  const pieces = new Map();
+  for (const item of items.filter(line => isMadeToMeasure(line.size))) {
+    const product = item.product.toString();
+    pieces.set(product, (pieces.get(product) || 0) + item.quantity);
+  }
+
+  const settings = await getTailoringSettings();
+  const schedule = await getTailoringSchedule(settings);
+
+  for (const { weekStart, slotsLeft } of schedule) {
+    if (slotsLeft < slots) continue;
+
+    const holds = await StockReservation.insertMany(
+      [...pieces].map(([product, quantity]) => ({
+        product,
+        size: CUSTOM_SIZE,
+        quantity,
+        weekStart,
+        user: transaction.user,
+        transaction: transaction._id,
+        reference: transaction.reference,
+        expiresAt,
+      }))
+    );
+
+    const week = (await getTailoringSchedule(settings)).find(
+      entry => entry.weekStart.getTime() === weekStart.getTime()
+    );
+    if (week && week.slotsBooked + week.slotsHeld <= settings.weeklySlots) {
+      return { valid: true, errors: [] };
+    }
+
+    // Another checkout took the room first; try the next week
+    await StockReservation.deleteMany({
+      _id: { $in: holds.map(hold => hold._id) },
+    });
+  }
+
+  if (settings.waitlistEnabled) return { valid: true, errors: [] };
+  return { valid: false, errors: ["Our tailoring schedule is fully booked"] };
+}
+
+/**
+ * @desc    Hold stock (and tailoring slots for made-to-measure lines) for a pending
+ *          transaction until it is paid, fails or expires.
+ *          Reservations are written first and then checked against stock, so two
+ *          shoppers racing for the last unit cannot both end up holding it.
+ * @param   {Object} transaction - Pending transaction ({ _id, reference, user })
+ * @param   {Array} items - Checkout lines ({ product, quantity, size })
+ * @returns {Promise<{valid: boolean, errors: Array<string>}>}
+ */
+async function reserveStock(transaction, items) {
+  try {
+    // Made-to-measure lines don't take stock; they are held in the tailoring schedule below
+    const quantities = new Map();
+    for (const item of items.filter(line => !isMadeToMeasure(line.size))) {
+      const key = `${item.product}:${item.size || ""}`;
+      const line = quantities.get(key) || {
+        product: item.product.toString(),
+        size: item.size || null,
+        quantity: 0,
+      };
+      line.quantity += item.quantity;
+      quantities.set(key, line);
+    }
+
+    const expiresAt = new Date(
+      Date.now() + env.STOCK_RESERVATION_EXPIRES_IN * 1000
+    );
+
+    await StockReservation.insertMany(
+      [...quantities.values()].map(({ product, size, quantity }) => ({
+        product,
+        size,
+        quantity,
+        user: transaction.user,
+        transaction: transaction._id,
+        reference: transaction.reference,
+        expiresAt,
+      }))
+    );
+
+    const productIds = [
+      ...new Set([...quantities.values()].map(line => line.product)),
+    ];
+    const [products, reserved] = await Promise.all([
+      Product.find({ _id: { $in: productIds } }).select(
+        "_id name stock sizeStock"
+      ),
+      getReservedQuantities(productIds),
+    ]);
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const requestedTotals = new Map();
+    for (const { product, quantity } of quantities.values()) {
+      requestedTotals.set(
+        product,
+        (requestedTotals.get(product) || 0) + quantity
+      );
+    }
+
+    const errors = [];
+    for (const [productId, requested] of requestedTotals) {
+      const product = productMap.get(productId);
+      const held = reserved.get(productId)?.quantity || 0;
+      if (product && held > product.stock) {
+        const available = Math.max(product.stock - (held - requested), 0);
+        errors.push(
+          `${product.name}: Insufficient stock. Available: ${available}, Requested: ${requested}`
+        );
+      }
+    }
+
+    // Size-tracked products must also have enough of each size held
+    for (const { product: productId, size, quantity } of quantities.values()) {
+      const product = productMap.get(productId);
+      if (!product?.sizeStock || !size) continue;
+
+      const sizeStock = product.sizeStock[size] || 0;
+      const held = reserved.get(productId)?.sizes[size] || 0;
+      if (held > sizeStock) {
+        const available = Math.max(sizeStock - (held - quantity), 0);
+        errors.push(
+          `${product.name} (${size}): Insufficient stock. Available: ${available}, Requested: ${quantity}`
+        );
+      }
+    }
+
+    if (errors.length > 0) {
+      await releaseReservations(transaction.reference);
+      return { valid: false, errors };
+    }
+
+    const tailoring = await holdTailoringSlots(transaction, items, expiresAt);
+    if (!tailoring.valid) {
+      await releaseReservations(transaction.reference);
+    }
+    return tailoring;
+  } catch (error) {
+    logger.error(
+      `[stockReservation.model] Error reserving stock for ${transaction.reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Give back stock held for a transaction (payment failed or abandoned)
+ * @param   {String} reference - Transaction reference
+ * @returns {Promise<Number>} Number of reservations released
+ */
+async function releaseReservations(reference) {
+  try {
+    const result = await StockReservation.updateMany(
+      { reference, status: "active" },
+      { $set: { status: "released" } }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error(
+      `[stockReservation.model] Error releasing reservations for ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Mark the holds for a paid transaction as converted once its order
+ *          has decremented real stock
+ * @param   {String} reference - Transaction reference
+ * @returns {Promise<Number>} Number of reservations converted
+ */
+async function convertReservations(reference) {
+  try {
+    const result = await StockReservation.updateMany(
+      { reference, status: "active" },
+      { $set: { status: "converted" } }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error(
+      `[stockReservation.model] Error converting reservations for ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Release every active reservation whose hold has lapsed
+ * @returns {Promise<Array<string>>} References of the transactions that were released
+ */
+async function releaseExpiredReservations() {
+  try {
+    const filter = { status: "active", expiresAt: { $lte: new Date() } };
+
+    const references = await StockReservation.distinct("reference", filter);
+    if (references.length === 0) return [];
+
+    await StockReservation.updateMany(
+      { ...filter, reference: { $in: references } },
+      { $set: { status: "released" } }
+    );
+
+    return references;
+  } catch (error) {
+    logger.error(
+      `[stockReservation.model] Error releasing expired reservations: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  getReservedQuantities,
+  withAvailableStock,
+  reserveStock,
+  releaseReservations,
+  convertReservations,
+  releaseExpiredReservations,
+};
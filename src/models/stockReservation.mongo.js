@@ -0,0 +1,82 @@
+import { Schema, model } from "mongoose";
+import { PRODUCT_SIZES } from "../constants/productSizes.js";
+
+// Keep lapsed reservations around for a week for auditing before Mongo purges them
+const RESERVATION_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * @typedef StockReservation
+ * @property {Schema.Types.ObjectId} product     - Product whose stock is held
+ * @property {Number} quantity                   - Units held (min: 1)
+ * @property {String} size                       - Size held (null for holds made before sizes were tracked)
+ * @property {Schema.Types.ObjectId} user        - Shopper checking out
+ * @property {Schema.Types.ObjectId} transaction - Pending transaction the hold belongs to
+ * @property {String} reference                  - Paystack reference of that transaction
+ * @property {Date} weekStart                    - Tailoring week a made-to-measure (CUSTOM) hold takes slots in
+ * @property {String} status                     - active | released | converted
+ * @property {Date} expiresAt                    - When an active hold stops counting against stock
+ * @property {Date} createdAt                    - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt                    - Timestamp of last update (auto-generated)
+ */
+const StockReservationSchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    size: {
+      type: String,
+      enum: [...PRODUCT_SIZES, null],
+      default: null,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    transaction: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Made-to-measure holds keep slots in a tailoring week instead of stock
+    weekStart: {
+      type: Date,
+      default: null,
+    },
+    // active: holding stock; released: payment failed/abandoned; converted: became an order
+    status: {
+      type: String,
+      enum: ["active", "released", "converted"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+StockReservationSchema.index({ product: 1, status: 1, expiresAt: 1 });
+StockReservationSchema.index({ reference: 1 });
+StockReservationSchema.index({ weekStart: 1, status: 1, expiresAt: 1 });
+StockReservationSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: RESERVATION_RETENTION_SECONDS }
+);
+
+const StockReservation = model("StockReservation", StockReservationSchema);
+
+export default StockReservation;
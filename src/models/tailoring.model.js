@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import TailoringSettings from "./tailoringSettings.mongo.js";
+import TailoringWeek from "./tailoringWeek.mongo.js";
+import StockReservation from "./stockReservation.mongo.js";
+import logger from "../config/logger.js";
+import {
+  getCandidateWeeks,
+  getEstimatedReadyDate,
+  countTailoringSlots,
+} from "../utils/tailoringSchedule.js";
+import { CUSTOM_SIZE } from "../constants/productSizes.js";
+
+const SETTINGS_KEY = "tailoring";
+
+/**
+ * @desc    Retrieve the tailoring capacity settings, creating the defaults on first use
+ * @returns {Promise<Object>} Tailoring settings document
+ */
+async function getTailoringSettings() {
+  try {
+    return await TailoringSettings.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      { $setOnInsert: { key: SETTINGS_KEY } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[tailoring.model] Error fetching tailoring settings: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Update the tailoring capacity settings
+ * @param   {Object} updates - Fields to update
+ * @param   {String} updatedBy - Admin making the change
+ * @returns {Promise<Object>} Updated tailoring settings document
+ */
+async function updateTailoringSettings(updates, updatedBy) {
+  try {
+    return await TailoringSettings.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      { $set: { ...updates, updatedBy } },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+  } catch (error) {
+    logger.error(
+      `[tailoring.model] Error updating tailoring settings: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Sum the made-to-measure pieces pending checkouts hold in each week.
+ *          Holds are CUSTOM stock reservations with a weekStart; they stop
+ *          counting once released, converted or expired.
+ * @param   {Array<Date>} weekStarts - Weeks to look up
+ * @param   {String} [excludeUser] - Leave out this user's own holds
+ * @returns {Promise<Map<number, number>>} Map of week start time to pieces held
+ */
+async function getHeldTailoringSlots(weekStarts, excludeUser = null) {
+  try {
+    const match = {
+      size: CUSTOM_SIZE,
+      weekStart: { $in: weekStarts },
+      status: "active",
+      expiresAt: { $gt: new Date() },
+    };
+    if (excludeUser) {
+      match.user = { $ne: new mongoose.Types.ObjectId(`${excludeUser}`) };
+    }
+
+    const totals = await StockReservation.aggregate([
+      { $match: match },
+      { $group: { _id: "$weekStart", quantity: { $sum: "$quantity" } } },
+    ]);
+    return new Map(
+      totals.map(({ _id, quantity }) => [_id.getTime(), quantity])
+    );
+  } catch (error) {
+    logger.error(
+      `[tailoring.model] Error summing held tailoring slots: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Slots booked, held by pending checkouts and left in each week orders
+ *          can currently be scheduled into
+ * @param   {Object} settings - Tailoring settings
+ * @param   {Date} now - When the schedule is looked at
+ * @param   {String} [excludeUser] - Don't count this user's own holds (a shopper
+ *          retrying checkout must not be blocked by their earlier attempt)
+ * @returns {Promise<Array<{weekStart: Date, estimatedReadyDate: Date, slotsBooked: number, slotsHeld: number, slotsLeft: number}>>}
+ */
+async function getTailoringSchedule(
+  settings,
+  now = new Date(),
+  excludeUser = null
+) {
+  try {
+    const weekStarts = getCandidateWeeks(settings, now);
+    const [weeks, held] = await Promise.all([
+      TailoringWeek.find({ weekStart: { $in: weekStarts } }).lean(),
+      getHeldTailoringSlots(weekStarts, excludeUser),
+    ]);
+    const booked = new Map(
+      weeks.map(week => [week.weekStart.getTime(), week.slotsBooked])
+    );
+
+    return weekStarts.map(weekStart => {
+      const slotsBooked = booked.get(weekStart.getTime()) || 0;
+      const slotsHeld = held.get(weekStart.getTime()) || 0;
+      return {
+        weekStart,
+        estimatedReadyDate: getEstimatedReadyDate(weekStart),
+        slotsBooked,
+        slotsHeld,
+        slotsLeft: Math.max(settings.weeklySlots - slotsBooked - slotsHeld, 0),
+      };
+    });
+  } catch (error) {
+    logger.error(
+      `[tailoring.model] Error loading tailoring schedule: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Work out when the made-to-measure lines of an order could be made.
+ *          An order is made within a single week, so it needs a week with room
+ *          for all of its pieces.
+ * @param   {Array} items - Order lines ({ size, quantity })
+ * @param   {Date} now - When the order is placed
+ * @param   {String} [excludeUser] - Don't count this user's own holds
+ * @returns {Promise<Object>} { required, slots, available, waitlisted, reason,
+ *          weekStart, estimatedReadyDate }
+ */
+async function quoteTailoring(items, now = new Date(), excludeUser = null) {
+  const slots = countTailoringSlots(items);
+  if (slots === 0) {
+    return {
+      required: false,
+      slots: 0,
+      available: true,
+      waitlisted: false,
+      reason: null,
+      weekStart: null,
+      estimatedReadyDate: null,
+    };
+  }
+
+  const settings = await getTailoringSettings();
+  const schedule = await getTailoringSchedule(settings, now, excludeUser);
+  const week = schedule.find(entry => entry.slotsLeft >= slots);
+  if (week) {
+    return {
+      required: true,
+      slots,
+      available: true,
+      waitlisted: false,
+      reason: null,
+      weekStart: week.weekStart,
+      estimatedReadyDate: week.estimatedReadyDate,
+    };
+  }
+
+  return {
+    required: true,
+    slots,
+    available: false,
+    waitlisted: settings.waitlistEnabled,
+    reason:
+      slots > settings.weeklySlots
+        ? `Made-to-measure orders are limited to ${settings.weeklySlots} pieces`
+        : "Our tailoring schedule is fully booked",
+    weekStart: null,
+    estimatedReadyDate: null,
+  };
+}
+
+/**
+ * @desc    Make sure a week document exists for each week so bookings can update
+ *          them in place. Runs outside any transaction: a duplicate key error from a
+ *          concurrent insert would otherwise abort the caller's transaction.
+ * @param   {Array<Date>} weekStarts - Weeks to create
+ * @returns {Promise<void>}
+ */
+async function ensureTailoringWeeks(weekStarts) {
+  try {
+    await TailoringWeek.bulkWrite(
+      weekStarts.map(weekStart => ({
+        updateOne: {
+          filter: { weekStart },
+          update: { $setOnInsert: { weekStart, slotsBooked: 0 } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Another booking created the same week first
+    if (error.code === 11000) return;
+    logger.error(
+      `[tailoring.model] Error creating tailoring weeks: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Book an order's made-to-measure pieces into a week. A week its checkout
+ *          held is used as is (the hold kept room for it); otherwise the earliest
+ *          week with room left once other checkouts' holds are counted.
+ * @param   {Number} slots - Pieces to book
+ * @param   {Object} settings - Tailoring settings
+ * @param   {ClientSession} session - Mongoose session of the order being created
+ * @param   {Date} [heldWeek] - Week the order's checkout holds the pieces in
+ * @returns {Promise<{weekStart: Date, estimatedReadyDate: Date}|null>} Booked week,
+ *          or null when no week has room
+ */
+async function bookTailoringSlots(
+  slots,
+  settings,
+  session = null,
+  heldWeek = null
+) {
+  try {
+    if (heldWeek) {
+      await ensureTailoringWeeks([heldWeek]);
+      await TailoringWeek.updateOne(
+        { weekStart: heldWeek },
+        { $inc: { slotsBooked: slots } },
+        { session }
+      );
+      return {
+        weekStart: heldWeek,
+        estimatedReadyDate: getEstimatedReadyDate(heldWeek),
+      };
+    }
+
+    const weekStarts = getCandidateWeeks(settings);
+    if (slots > settings.weeklySlots) return null;
+
+    await ensureTailoringWeeks(weekStarts);
+    const held = await getHeldTailoringSlots(weekStarts);
+
+    for (const weekStart of weekStarts) {
+      // Only take the week if the booking still fits once the other bookings land
+      const room = settings.weeklySlots - (held.get(weekStart.getTime()) || 0);
+      const week = await TailoringWeek.findOneAndUpdate(
+        { weekStart, slotsBooked: { $lte: room - slots } },
+        { $inc: { slotsBooked: slots } },
+        { new: true, session }
+      );
+      if (week) {
+        return {
+          weekStart,
+          estimatedReadyDate: getEstimatedReadyDate(weekStart),
+        };
+      }
+    }
+    return null;
+  } catch (error) {
+    logger.error(
+      `[tailoring.model] Error booking ${slots} tailoring slots: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Week a pending checkout still holds its made-to-measure pieces in
+ * @param   {String} reference - Transaction reference
+ * @returns {Promise<Date|null>} Held week, or null if the checkout holds none
+ *          (waitlisted, or its hold was released or expired)
+ */
+async function getHeldTailoringWeek(reference) {
+  try {
+    const hold = await StockReservation.findOne({
+      reference,
+      size: CUSTOM_SIZE,
+      weekStart: { $ne: null },
+      status: "active",
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    return hold?.weekStart || null;
+  } catch (error) {
+    logger.error(
+      `[tailoring.model] Error fetching tailoring hold for ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Give back the slots an order booked (e.g. when it is cancelled)
+ * @param   {Date} weekStart - Week the order was booked into
+ * @param   {Number} slots - Pieces to release
+ * @param   {ClientSession} session - Mongoose session
+ * @returns {Promise<void>}
+ */
+async function releaseTailoringSlots(weekStart, slots, session = null) {
+  try {
+    await TailoringWeek.updateOne(
+      { weekStart, slotsBooked: { $gte: slots } },
+      { $inc: { slotsBooked: -slots } },
+      { session }
+    );
+  } catch (error) {
+    logger.error(
+      `[tailoring.model] Error releasing tailoring slots: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  getTailoringSettings,
+  updateTailoringSettings,
+  getTailoringSchedule,
+  quoteTailoring,
+  bookTailoringSlots,
+  getHeldTailoringWeek,
+  releaseTailoringSlots,
+};
@@ -0,0 +1,56 @@
+import { Schema, model } from "mongoose";
+
+// Made-to-measure pieces the workshop can take on per week before admins configure it
+export const DEFAULT_WEEKLY_TAILORING_SLOTS = 10;
+
+/**
+ * @typedef TailoringSettings
+ * @property {String} key                    - Singleton key, always "tailoring"
+ * @property {Number} weeklySlots            - Made-to-measure pieces that can be made per week
+ * @property {Number} leadTimeWeeks          - Weeks before a new order can start production (0 = this week)
+ * @property {Number} bookingHorizonWeeks    - How many weeks ahead checkout looks for a free slot
+ * @property {Boolean} waitlistEnabled       - Accept orders onto a waitlist when every week is full
+ *                                             (otherwise checkout refuses them)
+ * @property {Schema.Types.ObjectId} updatedBy - Admin who last changed the settings
+ * @property {Date} createdAt                - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt                - Timestamp of last update (auto-generated)
+ */
+const TailoringSettingsSchema = new Schema(
+  {
+    key: {
+      type: String,
+      default: "tailoring",
+      unique: true,
+      immutable: true,
+    },
+    weeklySlots: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_WEEKLY_TAILORING_SLOTS,
+    },
+    leadTimeWeeks: {
+      type: Number,
+      min: 0,
+      default: 1,
+    },
+    bookingHorizonWeeks: {
+      type: Number,
+      min: 1,
+      default: 8,
+    },
+    waitlistEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const TailoringSettings = model("TailoringSettings", TailoringSettingsSchema);
+
+export default TailoringSettings;
@@ -0,0 +1,28 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * @typedef TailoringWeek
+ * @property {Date} weekStart     - Monday 00:00 UTC of the production week (unique)
+ * @property {Number} slotsBooked - Made-to-measure pieces scheduled into the week
+ * @property {Date} createdAt     - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt     - Timestamp of last update (auto-generated)
+ */
+const TailoringWeekSchema = new Schema(
+  {
+    weekStart: {
+      type: Date,
+      required: true,
+      unique: true,
+    },
+    slotsBooked: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const TailoringWeek = model("TailoringWeek", TailoringWeekSchema);
+
+export default TailoringWeek;
@@ -66,6 +66,72 @@ export async function updateTransactionStatus(
   }
 }
 
+export async function claimTransactionForFulfillment(reference, lockMs) {
+  try {
+    const now = new Date();
+    // Only a transaction with no order and no refund yet can be fulfilled,
+    // and only by one caller at a time
+    return await Transaction.findOneAndUpdate(
+      {
+        reference,
+        order: null,
+        "refunds.0": { $exists: false },
+        $or: [
+          { fulfillmentLockedUntil: null },
+          { fulfillmentLockedUntil: { $lte: now } },
+        ],
+      },
+      { $set: { fulfillmentLockedUntil: new Date(now.getTime() + lockMs) } },
+      { new: true }
+    ).populate({ path: "user", select: "name email" });
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error claiming transaction ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function markUnfulfilledTransactionFailed(reference) {
+  try {
+    const now = new Date();
+    // A failure report can arrive late or be replayed; it only counts for a
+    // checkout that is still waiting for payment and not being fulfilled
+    return await Transaction.findOneAndUpdate(
+      {
+        reference,
+        order: null,
+        status: { $in: ["pending", "abandoned"] },
+        $or: [
+          { fulfillmentLockedUntil: null },
+          { fulfillmentLockedUntil: { $lte: now } },
+        ],
+      },
+      { $set: { status: "failed" } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error marking transaction ${reference} failed: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function releaseTransactionClaim(reference) {
+  try {
+    await Transaction.updateOne(
+      { reference },
+      { $set: { fulfillmentLockedUntil: null } }
+    );
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error releasing claim on transaction ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
 export async function getTransactionsByUser(userId, page = 1, limit = 10) {
   try {
     const skip = (page - 1) * limit;
@@ -74,7 +140,7 @@ export async function getTransactionsByUser(userId, page = 1, limit = 10) {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate({ path: "order", select: "status totalPrice" });
+      .populate({ path: "order", select: "status totalPrice createdAt" });
 
     return transactions;
   } catch (error) {
@@ -103,12 +169,9 @@ export async function getTransactionById(transactionId, userId) {
       user: userId,
     })
       .populate({ path: "user", select: "name email" })
-      .populate({ path: "order" });
-
-    if (!transaction) {
-      throw new Error("Transaction not found or access denied");
-    }
+      .populate({ path: "order", select: "status totalPrice createdAt" });
 
+    // null when the transaction doesn't exist or belongs to someone else
     return transaction;
   } catch (error) {
     logger.warn(
@@ -117,3 +180,218 @@ export async function getTransactionById(transactionId, userId) {
     throw new Error(error.message);
   }
 }
+
+export async function getPaginatedTransactions(query, page = 1, limit = 20) {
+  try {
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .select("-paystackResponse -orderData")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({ path: "user", select: "displayName email" })
+        .populate({ path: "order", select: "status totalPrice" })
+        .lean(),
+      Transaction.countDocuments(query),
+    ]);
+    return { transactions, total };
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error fetching transactions for admin: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function getTransactionTotalsByStatus(query) {
+  try {
+    return await Transaction.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          amount: { $sum: "$amount" },
+        },
+      },
+    ]);
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error totalling transactions by status: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function getTransactionByIdAdmin(transactionId) {
+  try {
+    // Everything, including the gateway's raw verification payload
+    return await Transaction.findById(transactionId)
+      .populate({ path: "user", select: "displayName email" })
+      .populate({ path: "order", select: "status totalPrice createdAt" })
+      .populate({ path: "refunds.initiatedBy", select: "displayName email" })
+      .lean();
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error fetching transaction ${transactionId} for admin: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export function streamTransactionsAdmin(query) {
+  // A cursor, so exports of any size never load every transaction at once
+  return Transaction.find(query)
+    .select("-orderData")
+    .sort({ createdAt: -1 })
+    .populate({ path: "user", select: "displayName email" })
+    .populate({ path: "order", select: "status" })
+    .lean()
+    .cursor();
+}
+
+export async function getPendingTransactionReferencesByUser(userId) {
+  try {
+    return await Transaction.distinct("reference", {
+      user: userId,
+      status: "pending",
+    });
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error fetching pending transactions for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function getStalePendingTransactionReferences(olderThan) {
+  try {
+    return await Transaction.distinct("reference", {
+      status: "pending",
+      createdAt: { $lte: olderThan },
+    });
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error fetching stale pending transactions: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function markTransactionsAbandoned(references) {
+  try {
+    const result = await Transaction.updateMany(
+      { reference: { $in: references }, status: "pending" },
+      { $set: { status: "abandoned" } }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error marking transactions abandoned: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function getTransactionsToReconcile(olderThan, limit) {
+  try {
+    // Abandoned ones too: the reservation sweeper abandons without asking
+    // the gateway, so a payment whose webhook was lost may be among them
+    return await Transaction.find({
+      status: { $in: ["pending", "abandoned"] },
+      order: null,
+      reconciledAt: null,
+      amount: { $gt: 0 },
+      createdAt: { $lte: olderThan },
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error fetching transactions to reconcile: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function markTransactionReconciled(reference) {
+  try {
+    return await Transaction.findOneAndUpdate(
+      { reference },
+      { $set: { reconciledAt: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error marking transaction ${reference} reconciled: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function filterTransactionReferencesByStatus(references, status) {
+  try {
+    return await Transaction.distinct("reference", {
+      reference: { $in: references },
+      status,
+    });
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error filtering transactions by status: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+// Returns null when the refund, together with the ones already requested and not
+// failed, would come to more than was paid
+export async function addTransactionRefund(reference, refund, updates = {}) {
+  try {
+    const committed = {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: "$refunds",
+              cond: { $ne: ["$$this.status", "failed"] },
+            },
+          },
+          in: "$$this.amount",
+        },
+      },
+    };
+
+    return await Transaction.findOneAndUpdate(
+      {
+        reference,
+        $expr: { $lte: [{ $add: [committed, refund.amount] }, "$amount"] },
+      },
+      { $push: { refunds: refund }, $set: updates },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error recording refund for ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export async function updateTransactionRefund(reference, refundId, updates) {
+  try {
+    const setFields = Object.fromEntries(
+      Object.entries(updates).map(([key, value]) => [`refunds.$.${key}`, value])
+    );
+
+    return await Transaction.findOneAndUpdate(
+      { reference, "refunds._id": refundId },
+      { $set: setFields },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[transaction.model] Error updating refund ${refundId} for ${reference}: ${error.message}`
+    );
+    throw error;
+  }
+}
@@ -3,6 +3,10 @@ import User from "./user.mongo.js";
 import Order from "./order.mongo.js";
 import { OrderItemSchema } from "./schemas/orderItem.schema.js";
 import { ShippingInfoSchema } from "./schemas/shippingInfo.schema.js";
+import { RefundSchema } from "./schemas/refund.schema.js";
+import { AppliedDiscountSchema } from "./schemas/appliedDiscount.schema.js";
+import { PAYMENT_GATEWAYS } from "../constants/paymentGateways.js";
+import { TRANSACTION_STATUSES } from "../constants/transactionStatus.js";
 
 const TransactionSchema = new Schema(
   {
@@ -24,7 +28,7 @@ const TransactionSchema = new Schema(
     amount: {
       type: Number,
       required: true,
-      min: 1, // Minimum 1 pesewa
+      min: 0, // 0 when a gift card or store credit covers the whole order
     },
 
     currency: {
@@ -36,7 +40,7 @@ const TransactionSchema = new Schema(
     // Transaction status
     status: {
       type: String,
-      enum: ["pending", "success", "failed", "abandoned"],
+      enum: TRANSACTION_STATUSES,
       default: "pending",
     },
 
@@ -47,9 +51,26 @@ const TransactionSchema = new Schema(
       totalPrice: { type: Number, min: 0, required: true },
       expressService: { type: Boolean, default: false },
       expressFee: { type: Number, min: 0, default: 0 },
+      shippingFee: { type: Number, min: 0, default: 0 },
+      // Coupon applied at checkout (redeemed when the order is created)
+      discount: { type: AppliedDiscountSchema, default: null },
+      // Gift card and store credit spent on the order (GHS, already taken off `amount`)
+      giftCardCode: { type: String, default: null },
+      giftCardAmount: { type: Number, min: 0, default: 0 },
+      walletAmount: { type: Number, min: 0, default: 0 },
+      // Whether the items were taken from the user's stored cart
+      fromCart: { type: Boolean, default: false },
     },
 
-    // Store full Paystack response for debugging/audit
+    // Payment gateway that took (or is taking) the payment; refunds and
+    // verification go back to the same one
+    gateway: {
+      type: String,
+      enum: PAYMENT_GATEWAYS,
+      default: "paystack",
+    },
+
+    // Store full gateway response for debugging/audit
     paystackResponse: {
       type: Schema.Types.Mixed,
       default: null,
@@ -60,6 +81,32 @@ const TransactionSchema = new Schema(
       ref: Order,
       default: null,
     },
+
+    // Why a paid transaction could not be turned into an order (triggers a refund)
+    orderError: {
+      type: String,
+      default: null,
+    },
+
+    // Refunds issued against this transaction (amounts in pesewas)
+    refunds: {
+      type: [RefundSchema],
+      default: [],
+    },
+
+    // Claim held while a successful payment is being turned into an order, so
+    // the webhook, manual verification and reconciliation never do it twice.
+    // Expires on its own if the process crashes mid-way.
+    fulfillmentLockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // When reconciliation settled a transaction whose webhook never came
+    reconciledAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -70,6 +117,7 @@ const TransactionSchema = new Schema(
 TransactionSchema.index({ user: 1 });
 TransactionSchema.index({ status: 1 });
 TransactionSchema.index({ createdAt: -1 });
+TransactionSchema.index({ status: 1, reconciledAt: 1, createdAt: 1 });
 
 const Transaction = model("Transaction", TransactionSchema);
 
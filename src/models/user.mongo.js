@@ -2,29 +2,17 @@ import { Schema, model } from "mongoose";
 import bcrypt from "bcrypt";
 
 import logger from "../config/logger.js";
+import { MeasurementProfileSchema } from "./schemas/measurementProfile.schema.js";
+import { SavedAddressSchema } from "./schemas/savedAddress.schema.js";
+import {
+  FavoriteItemSchema,
+  WishlistSchema,
+} from "./schemas/wishlist.schema.js";
 import {
   EMAIL_REGEX,
   isPasswordValidOrGoogleUser,
 } from "../utils/validators.js";
 
-/**
- * Schema for individual items in the user's favorites.
- *
- * - Embedded directly in the user document for fast access.
- * - References a Product by ObjectId.
- * - Does not generate its own _id to keep the structure lean.
- */
-const favoriteItemSchema = new Schema(
-  {
-    productId: {
-      type: Schema.Types.ObjectId,
-      ref: "Product",
-      required: true,
-    },
-  },
-  { _id: false }
-);
-
 /**
  *  User schema definition.
  *
@@ -32,7 +20,10 @@ const favoriteItemSchema = new Schema(
  * - email {String} required, unique, trimmed, lowercase
  * - password {String} required (hashed before save)
  * - role {String} enum: 'user' | 'admin'
- * - favorites {Array<FavoriteItem>} embedded for quick access
+ * - favorites {Array<FavoriteItem>} legacy flat favorites, moved into the primary wishlist on first use
+ * - wishlists {Array<Wishlist>} named lists of favorited products, one of them primary
+ * - measurementProfiles {Array<MeasurementProfile>} saved measurements for made-to-measure orders
+ * - addresses {Array<SavedAddress>} address book used to fill in checkout shipping info
  * - previousOrders {Array<ObjectId>} references Order documents
  */
 const userSchema = new Schema(
@@ -75,7 +66,19 @@ const userSchema = new Schema(
     location: { type: String },
     profileComplete: { type: Boolean, default: false },
 
-    favorites: [favoriteItemSchema], // Embedded for fast access and frequent updates
+    favorites: [FavoriteItemSchema], // Legacy: superseded by the primary wishlist
+    wishlists: {
+      type: [WishlistSchema],
+      default: [],
+    },
+    measurementProfiles: {
+      type: [MeasurementProfileSchema],
+      default: [],
+    },
+    addresses: {
+      type: [SavedAddressSchema],
+      default: [],
+    },
     previousOrders: [
       {
         type: Schema.Types.ObjectId,
@@ -86,6 +89,15 @@ const userSchema = new Schema(
   { timestamps: true }
 );
 
+// Share links look lists up by token across all users
+userSchema.index(
+  { "wishlists.shareToken": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "wishlists.shareToken": { $type: "string" } },
+  }
+);
+
 // Text index for admin search capabilities (displayName and email)
 userSchema.index(
   { displayName: "text", email: "text" },
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import Wallet from "./wallet.mongo.js";
+import CreditLedgerEntry from "./creditLedger.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Retrieve a customer's wallet
+ * @param   {String} userId - Customer ID
+ * @returns {Promise<Object|null>} Wallet document or null if the customer never had credit
+ */
+async function getWalletByUser(userId) {
+  try {
+    return await Wallet.findOne({ user: userId });
+  } catch (error) {
+    logger.error(
+      `[wallet.model] Error fetching wallet for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve the most recent ledger entries of a wallet
+ * @param   {String} walletId - Wallet ID
+ * @param   {Number} limit - Maximum number of entries to return
+ * @returns {Promise<Array>} Ledger entries, newest first
+ */
+async function getWalletEntries(walletId, limit = 20) {
+  try {
+    return await CreditLedgerEntry.find({ wallet: walletId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select("-createdBy -giftCard -wallet");
+  } catch (error) {
+    logger.error(
+      `[wallet.model] Error fetching entries for wallet ${walletId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Add store credit to a customer's wallet (created on first credit) and
+ *          record it in the ledger, in one transaction
+ * @param   {String} userId - Customer ID
+ * @param   {Number} amount - Amount in pesewas
+ * @param   {Object} entry - Ledger details ({ reason, reference, note, createdBy })
+ * @returns {Promise<Object>} Updated wallet document
+ */
+async function creditWallet(userId, amount, entry) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId },
+      { $inc: { balance: amount } },
+      { new: true, upsert: true, session }
+    );
+
+    await CreditLedgerEntry.create(
+      [
+        {
+          ...entry,
+          user: userId,
+          wallet: wallet._id,
+          type: "credit",
+          amount,
+          balanceAfter: wallet.balance,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    return wallet;
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(
+      `[wallet.model] Error crediting wallet of user ${userId}: ${error.message}`
+    );
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * @desc    Spend store credit from a customer's wallet and record it in the ledger.
+ *          The balance check and decrement are a single atomic update, so two
+ *          checkouts can never spend the same credit.
+ * @param   {String} userId - Customer ID
+ * @param   {Number} amount - Amount in pesewas
+ * @param   {Object} entry - Ledger details ({ reason, reference, note })
+ * @returns {Promise<Object|null>} Updated wallet, or null if the balance is too low
+ */
+async function debitWallet(userId, amount, entry) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId, balance: { $gte: amount } },
+      { $inc: { balance: -amount } },
+      { new: true, session }
+    );
+
+    if (!wallet) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    await CreditLedgerEntry.create(
+      [
+        {
+          ...entry,
+          user: userId,
+          wallet: wallet._id,
+          type: "debit",
+          amount,
+          balanceAfter: wallet.balance,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    return wallet;
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(
+      `[wallet.model] Error debiting wallet of user ${userId}: ${error.message}`
+    );
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+export { getWalletByUser, getWalletEntries, creditWallet, debitWallet };
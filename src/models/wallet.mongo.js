@@ -0,0 +1,29 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * @typedef Wallet
+ * @property {Schema.Types.ObjectId} user - Customer who owns the store credit (unique)
+ * @property {Number} balance             - Store credit available in pesewas
+ * @property {Date} createdAt             - Timestamp of creation (auto-generated)
+ * @property {Date} updatedAt             - Timestamp of last update (auto-generated)
+ */
+const WalletSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    balance: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const Wallet = model("Wallet", WalletSchema);
+
+export default Wallet;
@@ -0,0 +1,250 @@
+import WebhookEvent from "./webhookEvent.mongo.js";
+import logger from "../config/logger.js";
+
+/**
+ * @desc    Record a received webhook. A signed event the gateway already
+ *          delivered (same gateway, type and id) is not recorded again.
+ * @param   {Object} data - WebhookEvent fields
+ * @returns {Promise<{webhookEvent: Object, duplicate: boolean}>}
+ */
+async function recordWebhookEvent(data) {
+  try {
+    const webhookEvent = await WebhookEvent.create(data);
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      const webhookEvent = await WebhookEvent.findOne({
+        gateway: data.gateway,
+        event: data.event,
+        eventId: data.eventId,
+        signatureValid: true,
+      });
+      return { webhookEvent, duplicate: true };
+    }
+    logger.error(
+      `[webhookEvent.model] Error recording ${data.gateway} webhook: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Claim an event for processing. Only pending events, or events whose
+ *          previous attempt crashed without releasing its claim, can be claimed,
+ *          so two workers never apply the same event at once.
+ * @param   {String} id - WebhookEvent ID
+ * @param   {Number} lockMs - How long the claim holds
+ * @returns {Promise<Object|null>} Claimed event, or null if it isn't claimable
+ */
+async function claimWebhookEvent(id, lockMs) {
+  try {
+    const now = new Date();
+    return await WebhookEvent.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: "pending" },
+          { status: "processing", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "processing",
+          lockedUntil: new Date(now.getTime() + lockMs),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[webhookEvent.model] Error claiming webhook event ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Mark an event as applied
+ * @param   {String} id - WebhookEvent ID
+ * @returns {Promise<Object|null>} Updated event
+ */
+async function markWebhookEventProcessed(id) {
+  try {
+    return await WebhookEvent.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          status: "processed",
+          processedAt: new Date(),
+          nextAttemptAt: null,
+          lockedUntil: null,
+          lastError: null,
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[webhookEvent.model] Error marking webhook event ${id} processed: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Record a failed attempt. The event goes back to pending until
+ *          nextAttemptAt, or is marked failed when there are no retries left.
+ * @param   {String} id - WebhookEvent ID
+ * @param   {String} lastError - Why the attempt failed
+ * @param   {Date|null} nextAttemptAt - When to retry (null to give up)
+ * @returns {Promise<Object|null>} Updated event
+ */
+async function markWebhookEventFailed(id, lastError, nextAttemptAt = null) {
+  try {
+    return await WebhookEvent.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          status: nextAttemptAt ? "pending" : "failed",
+          nextAttemptAt,
+          lockedUntil: null,
+          lastError,
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[webhookEvent.model] Error marking webhook event ${id} failed: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    IDs of events due for an attempt: pending events whose retry time has
+ *          come and events stuck in processing past their claim, oldest first
+ * @param   {Number} limit - Maximum events to return
+ * @returns {Promise<Array>} WebhookEvent IDs
+ */
+async function getDueWebhookEventIds(limit = 20) {
+  try {
+    const now = new Date();
+    const events = await WebhookEvent.find({
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "processing", lockedUntil: { $lte: now } },
+      ],
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select("_id")
+      .lean();
+    return events.map(event => event._id);
+  } catch (error) {
+    logger.error(
+      `[webhookEvent.model] Error finding due webhook events: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Received webhook events for the admin log, newest first (without raw bodies)
+ * @param   {Object} filters - { status, event, gateway, reference }
+ * @param   {Number} page - Page number
+ * @param   {Number} limit - Events per page
+ * @returns {Promise<{events: Array, total: number}>}
+ */
+async function getWebhookEvents(filters = {}, page = 1, limit = 20) {
+  try {
+    const query = Object.fromEntries(
+      ["status", "event", "gateway", "reference"]
+        .filter(key => filters[key])
+        .map(key => [key, filters[key]])
+    );
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select("-rawBody")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(query),
+    ]);
+    return { events, total };
+  } catch (error) {
+    logger.error(
+      `[webhookEvent.model] Error fetching webhook events: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Retrieve a webhook event with its raw body
+ * @param   {String} id - WebhookEvent ID
+ * @returns {Promise<Object|null>} Event, or null if not found
+ */
+async function getWebhookEventById(id) {
+  try {
+    return await WebhookEvent.findById(id)
+      .populate({ path: "replayedBy", select: "displayName email" })
+      .lean();
+  } catch (error) {
+    logger.error(
+      `[webhookEvent.model] Error fetching webhook event ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * @desc    Put a failed event back in the queue so it is processed again,
+ *          with its retry count reset
+ * @param   {String} id - WebhookEvent ID
+ * @param   {String} replayedBy - Admin replaying the event
+ * @returns {Promise<Object|null>} Requeued event, or null if it isn't a failed,
+ *          signed event with a readable body
+ */
+async function requeueFailedWebhookEvent(id, replayedBy) {
+  try {
+    return await WebhookEvent.findOneAndUpdate(
+      // Events whose body couldn't be parsed have no event type to apply
+      {
+        _id: id,
+        status: "failed",
+        signatureValid: true,
+        event: { $type: "string" },
+      },
+      {
+        $set: {
+          status: "pending",
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: new Date(),
+          replayedBy,
+          replayedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(
+      `[webhookEvent.model] Error requeueing webhook event ${id}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+export {
+  recordWebhookEvent,
+  claimWebhookEvent,
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  getDueWebhookEventIds,
+  getWebhookEvents,
+  getWebhookEventById,
+  requeueFailedWebhookEvent,
+};
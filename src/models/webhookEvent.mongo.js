@@ -0,0 +1,113 @@
+import { Schema, model } from "mongoose";
+import { PAYMENT_GATEWAYS } from "../constants/paymentGateways.js";
+import { WEBHOOK_EVENT_STATUSES } from "../constants/webhookEvents.js";
+
+/**
+ * @typedef WebhookEvent
+ * @property {String} gateway               - Payment gateway the webhook came in for
+ * @property {String} event                 - Event type (e.g. charge.success), null if the body couldn't be parsed
+ * @property {String} eventId               - Gateway's id for the event's subject (data.id); duplicates are dropped by it
+ * @property {String} reference             - Transaction reference the event is about (for lookups)
+ * @property {String} rawBody               - Request body exactly as received
+ * @property {String} signature             - Signature header as received
+ * @property {Boolean} signatureValid       - Whether the signature matched
+ * @property {String} status                - pending | processing | processed | failed | rejected
+ * @property {Number} attempts              - Processing attempts so far
+ * @property {Date} nextAttemptAt           - When a pending event is next due
+ * @property {Date} lockedUntil             - Processing claim expiry (lets a crashed attempt be retried)
+ * @property {String} lastError             - Error from the latest failed attempt
+ * @property {Date} processedAt             - When the event was applied
+ * @property {Schema.Types.ObjectId} replayedBy - Admin who last replayed the event
+ * @property {Date} replayedAt              - When the event was last replayed
+ * @property {Date} createdAt               - When the webhook arrived (auto-generated)
+ * @property {Date} updatedAt               - Timestamp of last update (auto-generated)
+ */
+const WebhookEventSchema = new Schema(
+  {
+    gateway: {
+      type: String,
+      enum: PAYMENT_GATEWAYS,
+      required: true,
+    },
+    event: {
+      type: String,
+      default: null,
+    },
+    eventId: {
+      type: String,
+      default: null,
+    },
+    reference: {
+      type: String,
+      default: null,
+    },
+    rawBody: {
+      type: String,
+      default: "",
+    },
+    signature: {
+      type: String,
+      default: null,
+    },
+    signatureValid: {
+      type: Boolean,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: WEBHOOK_EVENT_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    replayedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    replayedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// A gateway delivering the same event twice is recorded (and processed) once.
+// Only signed events count: anyone can post a body with a copied id.
+WebhookEventSchema.index(
+  { gateway: 1, event: 1, eventId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      signatureValid: true,
+      eventId: { $type: "string" },
+    },
+  }
+);
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookEventSchema.index({ reference: 1 });
+WebhookEventSchema.index({ createdAt: -1 });
+
+const WebhookEvent = model("WebhookEvent", WebhookEventSchema);
+
+export default WebhookEvent;
@@ -4,6 +4,16 @@ import { authenticateToken, checkAdmin } from "../middleware/index.js";
 import {
   validateProduct,
   validateVariantProduct,
+  validateOrderRefund,
+  validateOrderStatusUpdate,
+  validateShippingZone,
+  validateExpressSettings,
+  validateTailoringSettings,
+  validateCoupon,
+  validateGiftCard,
+  validateWalletCredit,
+  validateReviewModeration,
+  validateTransactionQuery,
 } from "../middleware/validator.middleware.js";
 import {
   attachVariantImagesToBody,
@@ -19,7 +29,52 @@ import {
   getAllOrdersAdmin,
   updateOrderStatusAdmin,
   getOrderByIdAdmin,
+  refundOrderAdmin,
 } from "../controllers/orders.controller.js";
+import {
+  getShippingZonesAdmin,
+  createShippingZoneAdmin,
+  updateShippingZoneAdmin,
+  deleteShippingZoneAdmin,
+} from "../controllers/shipping.controller.js";
+import {
+  getExpressSettingsAdmin,
+  updateExpressSettingsAdmin,
+  getTailoringSettingsAdmin,
+  updateTailoringSettingsAdmin,
+} from "../controllers/settings.controller.js";
+import {
+  getCouponsAdmin,
+  createCouponAdmin,
+  updateCouponAdmin,
+  deleteCouponAdmin,
+} from "../controllers/coupons.controller.js";
+import {
+  getGiftCardsAdmin,
+  createGiftCardAdmin,
+  updateGiftCardAdmin,
+} from "../controllers/giftCards.controller.js";
+import { creditUserWalletAdmin } from "../controllers/wallet.controller.js";
+import {
+  getReviewsAdmin,
+  moderateReviewAdmin,
+  deleteReviewAdmin,
+} from "../controllers/reviews.controller.js";
+import {
+  getWebhookEventsAdmin,
+  getWebhookEventAdmin,
+  replayWebhookEventAdmin,
+} from "../controllers/webhooks.controller.js";
+import {
+  getReconciliationReportsAdmin,
+  getReconciliationReportAdmin,
+  runReconciliationAdmin,
+} from "../controllers/reconciliation.controller.js";
+import {
+  getTransactionsAdmin,
+  getTransactionAdmin,
+  exportTransactionsAdmin,
+} from "../controllers/transactions.controller.js";
 import {
   getUsersAdmin,
   deleteUserByIdAdmin,
@@ -219,7 +274,7 @@ router.get(
  * /admin/orders/{id}:
  *   patch:
  *     summary: Update the status of an order (admin only)
- *     description: Update the status of a specific order by its ID. Only accessible to admins.
+ *     description: Move an order to the next step of its lifecycle (accepted → processing → ready → enroute_pickup → picked_up → in_transit → arrived). Skipping steps or moving backwards is rejected with 409. Each change is recorded in the order's `statusHistory` with the acting admin and an optional note. Only accessible to admins.
  *     tags:
  *       - Admin
  *     security:
@@ -240,7 +295,11 @@ router.get(
  *             properties:
  *               status:
  *                 type: string
- *                 description: New status for the order (e.g., 'pending', 'shipped', 'delivered', 'cancelled')
+ *                 enum: [accepted, processing, ready, enroute_pickup, picked_up, in_transit, arrived]
+ *                 description: New status for the order (must be the next lifecycle step)
+ *               note:
+ *                 type: string
+ *                 description: Optional note stored in the status history
  *             required:
  *               - status
  *     responses:
@@ -259,6 +318,8 @@ router.get(
  *         description: Invalid order id or invalid request body
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Status transition not allowed from the order's current status
  *       500:
  *         description: Failed to update order status
  */
@@ -267,9 +328,93 @@ router.patch(
   "/orders/:id",
   authenticateToken,
   checkAdmin,
+  validateOrderStatusUpdate,
   updateOrderStatusAdmin
 );
 
+/**
+ * @swagger
+ * /admin/orders/{id}/refunds:
+ *   post:
+ *     summary: Refund an order (admin only)
+ *     description: Refunds an order through Paystack. Omit `items` to refund everything that has not been refunded yet (including the express fee), or list order lines for a partial refund at the price they were ordered at. Refunded items are returned to stock unless `restock` is false. Refunding everything that is left also releases the order's tailoring slots and gives the customer back their coupon use. The order's `paymentStatus` becomes `partially_refunded` or `refunded`, and the refund is added to its `refunds` ledger.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the order to refund
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Order lines to refund (omit for a full refund)
+ *                 items:
+ *                   type: object
+ *                   required: [product, size, quantity]
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                       format: objectId
+ *                     size:
+ *                       type: string
+ *                       enum: [XS, S, M, L, XL, XXL, CUSTOM]
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *                 description: Reason shown to the customer
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Return the refunded items to stock
+ *     responses:
+ *       201:
+ *         description: Refund initiated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *                     refund:
+ *                       $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Invalid request, nothing left to refund, or order has no payment
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order was paid entirely with gift card or store credit (credit the customer's wallet instead), or another refund was issued at the same time
+ *       500:
+ *         description: Failed to refund order
+ */
+router.post(
+  "/orders/:id/refunds",
+  authenticateToken,
+  checkAdmin,
+  validateOrderRefund,
+  refundOrderAdmin
+);
+
 /**
  * @swagger
  * /admin/orders:
@@ -400,7 +545,7 @@ router.get(
  *         required: false
  *         schema:
  *           type: string
- *           enum: [latest, price-low-high, price-high-low, name-a-z, name-z-a]
+ *           enum: [latest, price-low-high, price-high-low, name-a-z, name-z-a, rating-high-low]
  *           default: latest
  *         description: Sort products by specified criteria
  *     responses:
@@ -522,7 +667,10 @@ router.get(
  *                 description: The product category.
  *               stock:
  *                 type: integer
- *                 description: Product stock quantity.
+ *                 description: Product stock quantity. Leave out when sending sizeStock.
+ *               sizeStock:
+ *                 type: string
+ *                 description: Stock per ready-made size as JSON, e.g. {"S":2,"M":4,"L":1}; stock becomes the sum of the sizes. CUSTOM orders use tailoring capacity instead.
  *     responses:
  *       201:
  *         description: Created product
@@ -611,6 +759,9 @@ router.post(
  *                 type: string
  *               stock:
  *                 type: integer
+ *               sizeStock:
+ *                 type: string
+ *                 description: Stock per size as JSON
  *         application/json:
  *           schema:
  *             type: object
@@ -642,6 +793,11 @@ router.post(
  *                 type: string
  *               stock:
  *                 type: integer
+ *                 description: Only for products that don't track sizes
+ *               sizeStock:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Stock per ready-made size (XS–XXL). Replaces the whole breakdown and recalculates stock; null stops tracking sizes.
  *     responses:
  *       200:
  *         description: Updated product
@@ -825,7 +981,10 @@ router.get(
  *                 description: The variant product category
  *               stock:
  *                 type: integer
- *                 description: Variant product stock quantity
+ *                 description: Variant product stock quantity. Leave out when sending sizeStock.
+ *               sizeStock:
+ *                 type: string
+ *                 description: Stock per size as JSON (see POST /admin/products)
  *               variantType:
  *                 type: string
  *                 enum: [color, print]
@@ -1288,15 +1447,1187 @@ router.delete(
 // Admin: list users
 router.get("/users", authenticateToken, checkAdmin, getUsersAdmin);
 
-// Admin: delete user by id
-router.delete("/users/:id", authenticateToken, checkAdmin, deleteUserByIdAdmin);
+/**
+ * @swagger
+ * /admin/shipping-zones:
+ *   get:
+ *     summary: List all shipping zones (admin only)
+ *     description: Returns every shipping zone, including inactive ones.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingZone'
+ *       500:
+ *         description: Failed to load shipping zones
+ *   post:
+ *     summary: Create a shipping zone (admin only)
+ *     description: Creates a delivery zone for a Ghana region, optionally limited to some cities. `flat` zones charge `baseFee` per order; `per_item` zones charge `baseFee` plus `perItemFee` for every item. Orders whose subtotal reaches `freeShippingThreshold` ship free.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       201:
+ *         description: Shipping zone created
+ *       400:
+ *         description: Invalid shipping zone data
+ *       409:
+ *         description: A shipping zone with this name already exists
+ */
+router.get(
+  "/shipping-zones",
+  authenticateToken,
+  checkAdmin,
+  getShippingZonesAdmin
+);
+router.post(
+  "/shipping-zones",
+  authenticateToken,
+  checkAdmin,
+  validateShippingZone,
+  createShippingZoneAdmin
+);
 
-// Admin: update user role
+/**
+ * @swagger
+ * /admin/shipping-zones/{id}:
+ *   patch:
+ *     summary: Update a shipping zone (admin only)
+ *     description: Partially update a shipping zone's coverage, rates or active flag.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the shipping zone
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated
+ *       400:
+ *         description: Invalid shipping zone id or data
+ *       404:
+ *         description: Shipping zone not found
+ *       409:
+ *         description: A shipping zone with this name already exists
+ *   delete:
+ *     summary: Delete a shipping zone (admin only)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the shipping zone
+ *     responses:
+ *       204:
+ *         description: Shipping zone deleted
+ *       400:
+ *         description: Invalid shipping zone id
+ *       404:
+ *         description: Shipping zone not found
+ *       500:
+ *         description: Failed to delete shipping zone
+ */
 router.patch(
-  "/users/:id/role",
+  "/shipping-zones/:id",
   authenticateToken,
   checkAdmin,
-  updateUserRoleAdmin
+  validateShippingZone,
+  updateShippingZoneAdmin
+);
+router.delete(
+  "/shipping-zones/:id",
+  authenticateToken,
+  checkAdmin,
+  deleteShippingZoneAdmin
+);
+
+/**
+ * @swagger
+ * /admin/settings/express:
+ *   get:
+ *     summary: Get express service pricing rules (admin only)
+ *     description: Returns the rules used to price express service at checkout. Defaults (150 GHS per item, no cap, no blackouts) are created on first read.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Express settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ExpressSettings'
+ *       500:
+ *         description: Failed to load express settings
+ *   patch:
+ *     summary: Update express service pricing rules (admin only)
+ *     description: Partially update the express rules. `categoryRates` and `blackoutPeriods` replace the stored lists when sent.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExpressSettings'
+ *     responses:
+ *       200:
+ *         description: Express settings updated
+ *       400:
+ *         description: Invalid express settings
+ */
+router.get(
+  "/settings/express",
+  authenticateToken,
+  checkAdmin,
+  getExpressSettingsAdmin
+);
+router.patch(
+  "/settings/express",
+  authenticateToken,
+  checkAdmin,
+  validateExpressSettings,
+  updateExpressSettingsAdmin
+);
+
+/**
+ * @swagger
+ * /admin/settings/tailoring:
+ *   get:
+ *     summary: Get made-to-measure tailoring capacity (admin only)
+ *     description: Returns the weekly tailoring capacity settings plus `schedule`, the slots booked and left in each week new orders can currently be booked into. Defaults (10 slots a week, 1 week lead time, 8 week horizon, no waitlist) are created on first read.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tailoring settings and upcoming weeks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/TailoringSettings'
+ *                     - type: object
+ *                       properties:
+ *                         schedule:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/TailoringWeek'
+ *       500:
+ *         description: Failed to load tailoring settings
+ *   patch:
+ *     summary: Update made-to-measure tailoring capacity (admin only)
+ *     description: Partially update the tailoring settings. Changing `weeklySlots` applies to new bookings; orders already booked into a week keep their slot.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TailoringSettings'
+ *     responses:
+ *       200:
+ *         description: Tailoring settings updated
+ *       400:
+ *         description: Invalid tailoring settings
+ */
+router.get(
+  "/settings/tailoring",
+  authenticateToken,
+  checkAdmin,
+  getTailoringSettingsAdmin
+);
+router.patch(
+  "/settings/tailoring",
+  authenticateToken,
+  checkAdmin,
+  validateTailoringSettings,
+  updateTailoringSettingsAdmin
+);
+
+/**
+ * @swagger
+ * /admin/coupons:
+ *   get:
+ *     summary: List all coupons (admin only)
+ *     description: Returns every coupon, newest first, with how many paid orders have used it.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *       500:
+ *         description: Failed to load coupons
+ *   post:
+ *     summary: Create a coupon (admin only)
+ *     description: Creates a discount code. `percentage` takes `value`% off the eligible items, `fixed` takes `value` GHS off them and `free_express` waives the express fee. Limit eligible items with `categories`/`products`. Uses are counted only when a payment becomes an order.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         description: Invalid coupon data
+ *       409:
+ *         description: A coupon with this code already exists
+ */
+router.get("/coupons", authenticateToken, checkAdmin, getCouponsAdmin);
+router.post(
+  "/coupons",
+  authenticateToken,
+  checkAdmin,
+  validateCoupon,
+  createCouponAdmin
+);
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   patch:
+ *     summary: Update a coupon (admin only)
+ *     description: Partially update a coupon's rules, window, limits or active flag.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the coupon
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       400:
+ *         description: Invalid coupon id or data
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: A coupon with this code already exists
+ *   delete:
+ *     summary: Delete a coupon (admin only)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the coupon
+ *     responses:
+ *       204:
+ *         description: Coupon deleted
+ *       400:
+ *         description: Invalid coupon id
+ *       404:
+ *         description: Coupon not found
+ *       500:
+ *         description: Failed to delete coupon
+ */
+router.patch(
+  "/coupons/:id",
+  authenticateToken,
+  checkAdmin,
+  validateCoupon,
+  updateCouponAdmin
+);
+router.delete("/coupons/:id", authenticateToken, checkAdmin, deleteCouponAdmin);
+
+/**
+ * @swagger
+ * /admin/gift-cards:
+ *   get:
+ *     summary: List all gift cards (admin only)
+ *     description: Returns every gift card, newest first, with its remaining balance.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Gift cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GiftCard'
+ *       500:
+ *         description: Failed to load gift cards
+ *   post:
+ *     summary: Issue a gift card (admin only)
+ *     description: Issues a gift card worth `amount` GHS. A code is generated when none is given. The card can be spent (in part or in full) at checkout with `giftCardCode`; the issue is recorded in the credit ledger.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Letters, numbers and dashes; generated when omitted
+ *               amount:
+ *                 type: number
+ *                 description: Value in GHS
+ *                 example: 200
+ *               issuedTo:
+ *                 type: string
+ *                 description: User ID the card is issued to
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Gift card issued
+ *       400:
+ *         description: Invalid gift card data
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: A gift card with this code already exists
+ */
+router.get("/gift-cards", authenticateToken, checkAdmin, getGiftCardsAdmin);
+router.post(
+  "/gift-cards",
+  authenticateToken,
+  checkAdmin,
+  validateGiftCard,
+  createGiftCardAdmin
+);
+
+/**
+ * @swagger
+ * /admin/gift-cards/{id}:
+ *   patch:
+ *     summary: Update a gift card (admin only)
+ *     description: Deactivate or reactivate a gift card, or change its expiry or note. The balance can't be edited.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the gift card
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gift card updated
+ *       400:
+ *         description: Invalid gift card id or data
+ *       404:
+ *         description: Gift card not found
+ */
+router.patch(
+  "/gift-cards/:id",
+  authenticateToken,
+  checkAdmin,
+  validateGiftCard,
+  updateGiftCardAdmin
+);
+
+// Admin: delete user by id
+router.delete("/users/:id", authenticateToken, checkAdmin, deleteUserByIdAdmin);
+
+// Admin: update user role
+router.patch(
+  "/users/:id/role",
+  authenticateToken,
+  checkAdmin,
+  updateUserRoleAdmin
+);
+
+/**
+ * @swagger
+ * /admin/users/{id}/wallet/credits:
+ *   post:
+ *     summary: Add store credit to a user's wallet (admin only)
+ *     description: Credits `amount` GHS to the user's store credit wallet (created on first credit) and records it in the credit ledger. The customer can spend it at checkout with `useWallet`.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Credit in GHS
+ *                 example: 50
+ *               note:
+ *                 type: string
+ *                 description: Reason shown in the customer's wallet history
+ *     responses:
+ *       201:
+ *         description: Store credit added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Wallet'
+ *       400:
+ *         description: Invalid user id or amount
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  "/users/:id/wallet/credits",
+  authenticateToken,
+  checkAdmin,
+  validateWalletCredit,
+  creditUserWalletAdmin
+);
+
+/**
+ * @swagger
+ * /admin/reviews:
+ *   get:
+ *     summary: Review moderation queue (admin only)
+ *     description: Lists reviews oldest first so the queue is worked through in order. Shows pending reviews unless another status is asked for.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, all]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *       400:
+ *         description: Invalid status
+ */
+router.get("/reviews", authenticateToken, checkAdmin, getReviewsAdmin);
+
+/**
+ * @swagger
+ * /admin/reviews/{id}:
+ *   patch:
+ *     summary: Approve or reject a review (admin only)
+ *     description: Only approved reviews are shown on the product and counted in its averageRating and reviewCount, which are recomputed after every decision.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               moderationNote:
+ *                 type: string
+ *                 description: Internal note, not shown to customers
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ *       400:
+ *         description: Invalid review id or decision
+ *       404:
+ *         description: Review not found
+ *   delete:
+ *     summary: Delete a review (admin only)
+ *     description: Removes the review and its photos and recomputes the product's rating.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       400:
+ *         description: Invalid review id
+ *       404:
+ *         description: Review not found
+ */
+router.patch(
+  "/reviews/:id",
+  authenticateToken,
+  checkAdmin,
+  validateReviewModeration,
+  moderateReviewAdmin
+);
+router.delete("/reviews/:id", authenticateToken, checkAdmin, deleteReviewAdmin);
+
+/**
+ * @swagger
+ * /admin/webhooks:
+ *   get:
+ *     summary: Received payment webhooks (admin only)
+ *     description: Lists webhook events newest first, without their raw bodies.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, processed, failed, rejected]
+ *       - in: query
+ *         name: gateway
+ *         schema:
+ *           type: string
+ *           enum: [paystack, mock]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           example: charge.success
+ *       - in: query
+ *         name: reference
+ *         description: Transaction reference
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Webhook events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEvent'
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *       400:
+ *         description: Invalid status or gateway
+ */
+router.get("/webhooks", authenticateToken, checkAdmin, getWebhookEventsAdmin);
+
+/**
+ * @swagger
+ * /admin/webhooks/{id}:
+ *   get:
+ *     summary: One received payment webhook (admin only)
+ *     description: Includes the raw body and signature as received.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *       400:
+ *         description: Invalid webhook event id
+ *       404:
+ *         description: Webhook event not found
+ */
+router.get(
+  "/webhooks/:id",
+  authenticateToken,
+  checkAdmin,
+  getWebhookEventAdmin
+);
+
+/**
+ * @swagger
+ * /admin/webhooks/{id}/replay:
+ *   post:
+ *     summary: Replay a failed payment webhook (admin only)
+ *     description: Processes a failed, correctly signed event again and waits for the result. Handlers are idempotent, so replaying an event whose effects partly landed is safe. Its retry count is reset, so if it fails again it is retried with backoff like a newly received event.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event after the replay (check its status)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *       400:
+ *         description: Invalid webhook event id
+ *       404:
+ *         description: Webhook event not found
+ *       409:
+ *         description: Event is not failed, its signature was invalid, or its body couldn't be read
+ */
+router.post(
+  "/webhooks/:id/replay",
+  authenticateToken,
+  checkAdmin,
+  replayWebhookEventAdmin
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/reports:
+ *   get:
+ *     summary: Reconciliation reports (admin only)
+ *     description: Every 15 minutes, pending transactions older than 30 minutes whose webhook never arrived (and abandoned ones never checked) are looked up with their payment gateway and settled. Paid ones become orders, failed ones are marked failed and ones still unpaid after 24 hours are abandoned. Each run that checks anything saves a report. Lists reports newest first, without their per-transaction items.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reconciliation reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconciliationReport'
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ */
+router.get(
+  "/reconciliation/reports",
+  authenticateToken,
+  checkAdmin,
+  getReconciliationReportsAdmin
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/reports/{id}:
+ *   get:
+ *     summary: One reconciliation report (admin only)
+ *     description: Includes what was found and done for every transaction the run checked.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       400:
+ *         description: Invalid report id
+ *       404:
+ *         description: Report not found
+ */
+router.get(
+  "/reconciliation/reports/:id",
+  authenticateToken,
+  checkAdmin,
+  getReconciliationReportAdmin
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/run:
+ *   post:
+ *     summary: Run reconciliation now (admin only)
+ *     description: Runs the same check as the scheduled job and waits for it. Always saves a report, even when nothing needed checking.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Report of the run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       409:
+ *         description: A run is already in progress
+ */
+router.post(
+  "/reconciliation/run",
+  authenticateToken,
+  checkAdmin,
+  runReconciliationAdmin
+);
+
+/**
+ * @swagger
+ * /admin/transactions:
+ *   get:
+ *     summary: Payments console (admin only)
+ *     description: Lists payment transactions newest first. Amounts are in GHS. totals counts and sums every matching transaction per status, not just the current page. Gateway payloads and checkout data are left out; fetch a single transaction to see them.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, success, failed, abandoned, refunded]
+ *       - in: query
+ *         name: gateway
+ *         schema:
+ *           type: string
+ *           enum: [paystack, mock]
+ *       - in: query
+ *         name: user
+ *         description: Paying customer's user id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Created on or after (ISO date or date-time)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Created on or before; a date without a time includes that whole day (UTC)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minAmount
+ *         description: Minimum amount in GHS
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         description: Maximum amount in GHS
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: reference
+ *         description: Case-insensitive search anywhere in the reference
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Transactions and totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminTransaction'
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     byStatus:
+ *                       type: object
+ *                       description: Keyed by status
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           count:
+ *                             type: integer
+ *                           amount:
+ *                             type: number
+ *                     count:
+ *                       type: integer
+ *                     amount:
+ *                       type: number
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filters
+ */
+router.get(
+  "/transactions",
+  authenticateToken,
+  checkAdmin,
+  validateTransactionQuery,
+  getTransactionsAdmin
+);
+
+/**
+ * @swagger
+ * /admin/transactions/export:
+ *   get:
+ *     summary: Export payments as CSV (admin only)
+ *     description: Downloads every transaction matching the filters, newest first, with amounts in GHS. Takes the same filters as /admin/transactions.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, success, failed, abandoned, refunded]
+ *       - in: query
+ *         name: gateway
+ *         schema:
+ *           type: string
+ *           enum: [paystack, mock]
+ *       - in: query
+ *         name: user
+ *         description: Paying customer's user id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Created on or after (ISO date or date-time)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Created on or before; a date without a time includes that whole day (UTC)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minAmount
+ *         description: Minimum amount in GHS
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         description: Maximum amount in GHS
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: reference
+ *         description: Case-insensitive search anywhere in the reference
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filters
+ */
+router.get(
+  "/transactions/export",
+  authenticateToken,
+  checkAdmin,
+  validateTransactionQuery,
+  exportTransactionsAdmin
+);
+
+/**
+ * @swagger
+ * /admin/transactions/{id}:
+ *   get:
+ *     summary: One payment transaction (admin only)
+ *     description: Includes the checkout data, refunds and the raw payload the gateway last returned (paystackResponse, amounts in pesewas as the gateway sent them).
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminTransaction'
+ *       400:
+ *         description: Invalid transaction id
+ *       404:
+ *         description: Transaction not found
+ */
+router.get(
+  "/transactions/:id",
+  authenticateToken,
+  checkAdmin,
+  getTransactionAdmin
 );
 
 export default router;
@@ -13,9 +13,29 @@ import {
   updateUserProfile,
   refreshAccessToken,
 } from "../controllers/users.controller.js";
+import {
+  getMyMeasurementProfiles,
+  createMyMeasurementProfile,
+  updateMyMeasurementProfile,
+  deleteMyMeasurementProfile,
+} from "../controllers/measurements.controller.js";
+import {
+  getMyAddresses,
+  createMyAddress,
+  updateMyAddress,
+  deleteMyAddress,
+} from "../controllers/addresses.controller.js";
 
-import { createRateLimiter, routeLimiters } from "../config/rateLimiter.js";
-import { validateUser } from "../middleware/validator.middleware.js";
+import {
+  createRateLimiter,
+  rateLimiters,
+  routeLimiters,
+} from "../config/rateLimiter.js";
+import {
+  validateUser,
+  validateMeasurementProfile,
+  validateAddress,
+} from "../middleware/validator.middleware.js";
 import { authenticateToken } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -307,6 +327,254 @@ router.get("/success", routeLimiters.auth, handleAuthSuccess);
  */
 router.get("/me", hydrateLimiter, authenticateToken, getCurrentUser);
 
+/**
+ * @swagger
+ * /auth/me/measurements:
+ *   get:
+ *     summary: List the current user's measurement profiles
+ *     description: Named sets of body measurements (e.g. "Me", "Mum") that CUSTOM size checkout items can reference with `measurementProfile` instead of typing `customSize`.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Measurement profiles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MeasurementProfile'
+ *       401:
+ *         description: Not authenticated
+ *   post:
+ *     summary: Save a measurement profile
+ *     description: Up to 10 profiles per user; names must be unique (case-insensitive).
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MeasurementProfile'
+ *     responses:
+ *       201:
+ *         description: Measurement profile saved
+ *       400:
+ *         description: Invalid measurements or profile limit reached
+ *       409:
+ *         description: A profile with this name already exists
+ */
+router.get(
+  "/me/measurements",
+  rateLimiters.general,
+  authenticateToken,
+  getMyMeasurementProfiles
+);
+router.post(
+  "/me/measurements",
+  rateLimiters.general,
+  authenticateToken,
+  validateMeasurementProfile,
+  createMyMeasurementProfile
+);
+
+/**
+ * @swagger
+ * /auth/me/measurements/{profileId}:
+ *   patch:
+ *     summary: Update a measurement profile
+ *     description: Partially update a profile. Only the measurements sent are changed. Orders already placed keep the measurements they were made with.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: profileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MeasurementProfile'
+ *     responses:
+ *       200:
+ *         description: Measurement profile updated
+ *       400:
+ *         description: Invalid profile id or measurements
+ *       404:
+ *         description: Measurement profile not found
+ *       409:
+ *         description: A profile with this name already exists
+ *   delete:
+ *     summary: Delete a measurement profile
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: profileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Measurement profile deleted
+ *       400:
+ *         description: Invalid profile id
+ *       404:
+ *         description: Measurement profile not found
+ */
+router.patch(
+  "/me/measurements/:profileId",
+  rateLimiters.general,
+  authenticateToken,
+  validateMeasurementProfile,
+  updateMyMeasurementProfile
+);
+router.delete(
+  "/me/measurements/:profileId",
+  rateLimiters.general,
+  authenticateToken,
+  deleteMyMeasurementProfile
+);
+
+/**
+ * @swagger
+ * /auth/me/addresses:
+ *   get:
+ *     summary: List the current user's saved addresses
+ *     description: Address book entries, default first. Checkout accepts `addressId` in place of `shippingInfo`.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedAddress'
+ *       401:
+ *         description: Not authenticated
+ *   post:
+ *     summary: Save an address
+ *     description: Up to 10 addresses per user. The first address saved, or one sent with `isDefault` true, becomes the default.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedAddress'
+ *     responses:
+ *       201:
+ *         description: Address saved
+ *       400:
+ *         description: Invalid address or address book full
+ */
+router.get(
+  "/me/addresses",
+  rateLimiters.general,
+  authenticateToken,
+  getMyAddresses
+);
+router.post(
+  "/me/addresses",
+  rateLimiters.general,
+  authenticateToken,
+  validateAddress,
+  createMyAddress
+);
+
+/**
+ * @swagger
+ * /auth/me/addresses/{addressId}:
+ *   patch:
+ *     summary: Update a saved address
+ *     description: Partially update an address. Sending `isDefault` true moves the default to it. Orders already placed keep the address they were shipped to.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedAddress'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       400:
+ *         description: Invalid address id or fields
+ *       404:
+ *         description: Address not found
+ *   delete:
+ *     summary: Delete a saved address
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *       400:
+ *         description: Invalid address id
+ *       404:
+ *         description: Address not found
+ */
+router.patch(
+  "/me/addresses/:addressId",
+  rateLimiters.general,
+  authenticateToken,
+  validateAddress,
+  updateMyAddress
+);
+router.delete(
+  "/me/addresses/:addressId",
+  rateLimiters.general,
+  authenticateToken,
+  deleteMyAddress
+);
+
 /**
  * @swagger
  * /auth/logout:
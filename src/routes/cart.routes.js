@@ -0,0 +1,201 @@
+import express from "express";
+
+import {
+  handleGetCart,
+  handleAddToCart,
+  handleUpdateCartItem,
+  handleRemoveCartItem,
+  handleClearCart,
+} from "../controllers/cart.controller.js";
+import { optionalAuthenticateToken } from "../middleware/index.js";
+import {
+  validateCartItem,
+  validateCartItemUpdate,
+} from "../middleware/validator.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Retrieve the current shopper's cart
+ *     description: Returns the stored cart lines annotated with live prices and stock from the product catalogue. Authenticated users get their persistent cart; anonymous shoppers get the guest cart identified by the `guest_cart_id` cookie.
+ *     tags:
+ *       - Cart
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User's cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       500:
+ *         description: Failed to retrieve cart
+ */
+router.get("/", optionalAuthenticateToken, handleGetCart);
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Add an item to the cart
+ *     description: Adds a product line to the cart. Ready-made sizes are merged with an existing line of the same product and size; CUSTOM lines are always added separately. Anonymous shoppers are issued a `guest_cart_id` cookie; the guest cart is merged into their account cart when they sign up or log in.
+ *     tags:
+ *       - Cart
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartItem'
+ *     responses:
+ *       200:
+ *         description: Item added to cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid item or insufficient stock
+ *       404:
+ *         description: Product is unavailable
+ *       500:
+ *         description: Failed to add item to cart
+ */
+router.post(
+  "/items",
+  optionalAuthenticateToken,
+  validateCartItem,
+  handleAddToCart
+);
+
+/**
+ * @swagger
+ * /cart/items/{itemId}:
+ *   patch:
+ *     summary: Update a cart line
+ *     description: Update the quantity, size or custom measurements of a cart line
+ *     tags:
+ *       - Cart
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the cart line to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               size:
+ *                 type: string
+ *                 enum: [XS, S, M, L, XL, XXL, CUSTOM]
+ *               customSize:
+ *                 type: object
+ *                 description: Required when changing size to CUSTOM
+ *     responses:
+ *       200:
+ *         description: Cart item updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid update or insufficient stock
+ *       404:
+ *         description: Cart item not found
+ *       500:
+ *         description: Failed to update cart item
+ */
+router.patch(
+  "/items/:itemId",
+  optionalAuthenticateToken,
+  validateCartItemUpdate,
+  handleUpdateCartItem
+);
+
+/**
+ * @swagger
+ * /cart/items/{itemId}:
+ *   delete:
+ *     summary: Remove a line from the cart
+ *     description: Remove a line from the cart by its ID
+ *     tags:
+ *       - Cart
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the cart line to remove
+ *     responses:
+ *       200:
+ *         description: Item removed from cart
+ *       404:
+ *         description: Cart item not found
+ *       500:
+ *         description: Failed to remove item from cart
+ */
+router.delete(
+  "/items/:itemId",
+  optionalAuthenticateToken,
+  handleRemoveCartItem
+);
+
+/**
+ * @swagger
+ * /cart:
+ *   delete:
+ *     summary: Clear the cart
+ *     description: Remove every line from the current user's cart
+ *     tags:
+ *       - Cart
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ *       500:
+ *         description: Failed to clear cart
+ */
+router.delete("/", optionalAuthenticateToken, handleClearCart);
+
+export default router;
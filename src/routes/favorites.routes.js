@@ -6,8 +6,17 @@ import {
   handleRemoveFromFavorites,
   handleIsFavorited,
   handleToggleFavorite,
+  handleGetWishlists,
+  handleCreateWishlist,
+  handleGetWishlist,
+  handleRenameWishlist,
+  handleDeleteWishlist,
+  handleShareWishlist,
+  handleUnshareWishlist,
+  handleGetSharedWishlist,
 } from "../controllers/favorites.controller.js";
 import { authenticateToken } from "../middleware/index.js";
+import { validateWishlist } from "../middleware/validator.middleware.js";
 
 const router = express.Router();
 
@@ -16,18 +25,31 @@ const router = express.Router();
  * /favorites:
  *   get:
  *     summary: Retrieve the current user's favorites
- *     description: Retrieve the current user's favorites
+ *     description: Retrieve the items on one of the current user's wishlists (the primary list by default) with current prices and available stock
  *     tags:
  *       - Favorites
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: list
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Wishlist ID (defaults to the primary list)
  *     responses:
  *       200:
  *         description: User's favorites
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/FavoriteItem'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FavoriteItem'
+ *       400:
+ *         description: Invalid list id
+ *       404:
+ *         description: Wishlist not found
  */
 router.get("/", authenticateToken, handleGetFavorites);
 
@@ -48,6 +70,12 @@ router.get("/", authenticateToken, handleGetFavorites);
  *         schema:
  *           type: string
  *         description: The ID of the product to check
+ *       - in: query
+ *         name: list
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Wishlist ID (defaults to the primary list)
  *     responses:
  *       200:
  *         description: Favorited status retrieved
@@ -63,6 +91,13 @@ router.get("/", authenticateToken, handleGetFavorites);
  *                   properties:
  *                     isFavorited:
  *                       type: boolean
+ *                     listId:
+ *                       type: string
+ *                     savedIn:
+ *                       type: array
+ *                       description: IDs of every list holding the product
+ *                       items:
+ *                         type: string
  *       400:
  *         description: Missing productId in request
  *       500:
@@ -75,7 +110,7 @@ router.get("/status/:productId", authenticateToken, handleIsFavorited);
  * /favorites:
  *   post:
  *     summary: Add an item to the user's favorites
- *     description: Add an item to the user's favorites
+ *     description: Add an item to one of the user's wishlists (the primary list unless `listId` is sent)
  *     tags:
  *       - Favorites
  *     security:
@@ -86,7 +121,15 @@ router.get("/status/:productId", authenticateToken, handleIsFavorited);
  *       content:
  *         application/json:
  *             schema:
- *               $ref: '#/components/schemas/FavoriteItem'
+ *               type: object
+ *               required:
+ *                 - productId
+ *               properties:
+ *                 productId:
+ *                   type: string
+ *                 listId:
+ *                   type: string
+ *                   description: Wishlist ID (defaults to the primary list)
  *     responses:
  *       201:
  *         description: Favorites updated
@@ -114,6 +157,12 @@ router.post("/", authenticateToken, handleAddToFavorites);
  *         schema:
  *          type: string
  *         description: The ID of the product to remove
+ *       - in: query
+ *         name: list
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Wishlist ID (defaults to the primary list)
  *     responses:
  *       204:
  *         description: Item removed
@@ -125,7 +174,7 @@ router.delete("/:productId", authenticateToken, handleRemoveFromFavorites);
  * /favorites/toggle/{productId}:
  *   patch:
  *     summary: Toggle favorite status for a product
- *     description: Toggle favorite status for a product
+ *     description: Add the product to a wishlist, or remove it if it is already there. Uses the primary list unless `list` is given.
  *     tags:
  *       - Favorites
  *     security:
@@ -137,6 +186,12 @@ router.delete("/:productId", authenticateToken, handleRemoveFromFavorites);
  *         schema:
  *           type: string
  *         description: The ID of the product to toggle
+ *       - in: query
+ *         name: list
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Wishlist ID (defaults to the primary list)
  *     responses:
  *       200:
  *         description: Favorite status toggled
@@ -151,4 +206,258 @@ router.delete("/:productId", authenticateToken, handleRemoveFromFavorites);
  */
 router.patch("/toggle/:productId", authenticateToken, handleToggleFavorite);
 
+/**
+ * @swagger
+ * /favorites/lists:
+ *   get:
+ *     summary: List the user's wishlists
+ *     description: Returns every named list, primary first, with item counts and share tokens. Customers always have a primary list; favorites saved before named lists existed are moved into it.
+ *     tags:
+ *       - Favorites
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Wishlist'
+ *   post:
+ *     summary: Create a named wishlist
+ *     tags:
+ *       - Favorites
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: Wedding guest
+ *     responses:
+ *       201:
+ *         description: Wishlist created
+ *       400:
+ *         description: Invalid name or list limit reached (20)
+ *       409:
+ *         description: A list with this name already exists
+ */
+router.get("/lists", authenticateToken, handleGetWishlists);
+router.post(
+  "/lists",
+  authenticateToken,
+  validateWishlist,
+  handleCreateWishlist
+);
+
+/**
+ * @swagger
+ * /favorites/lists/{listId}:
+ *   get:
+ *     summary: Get a wishlist with its items
+ *     tags:
+ *       - Favorites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist with items at current prices and stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Wishlist'
+ *                     - type: object
+ *                       properties:
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FavoriteItem'
+ *       400:
+ *         description: Invalid list id
+ *       404:
+ *         description: Wishlist not found
+ *   patch:
+ *     summary: Rename a wishlist
+ *     tags:
+ *       - Favorites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *     responses:
+ *       200:
+ *         description: Wishlist renamed
+ *       400:
+ *         description: Invalid list id or name
+ *       404:
+ *         description: Wishlist not found
+ *       409:
+ *         description: A list with this name already exists
+ *   delete:
+ *     summary: Delete a wishlist
+ *     description: The primary list can't be deleted.
+ *     tags:
+ *       - Favorites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist deleted
+ *       400:
+ *         description: Invalid list id, or the list is the primary list
+ *       404:
+ *         description: Wishlist not found
+ */
+router.get("/lists/:listId", authenticateToken, handleGetWishlist);
+router.patch(
+  "/lists/:listId",
+  authenticateToken,
+  validateWishlist,
+  handleRenameWishlist
+);
+router.delete("/lists/:listId", authenticateToken, handleDeleteWishlist);
+
+/**
+ * @swagger
+ * /favorites/lists/{listId}/share:
+ *   post:
+ *     summary: Share a wishlist
+ *     description: Turns on a public read-only link for the list and returns its `shareToken` (the link is `/favorites/shared/{shareToken}`). Sharing an already shared list keeps the existing token.
+ *     tags:
+ *       - Favorites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist shared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Wishlist'
+ *       400:
+ *         description: Invalid list id
+ *       404:
+ *         description: Wishlist not found
+ *   delete:
+ *     summary: Stop sharing a wishlist
+ *     description: Clears the share token; links sent earlier stop working.
+ *     tags:
+ *       - Favorites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist is no longer shared
+ *       400:
+ *         description: Invalid list id
+ *       404:
+ *         description: Wishlist not found
+ */
+router.post("/lists/:listId/share", authenticateToken, handleShareWishlist);
+router.delete("/lists/:listId/share", authenticateToken, handleUnshareWishlist);
+
+/**
+ * @swagger
+ * /favorites/shared/{token}:
+ *   get:
+ *     summary: View a shared wishlist
+ *     description: Public, read-only view of a wishlist its owner has shared, with current prices and available stock. Products that can no longer be bought are left out.
+ *     tags:
+ *       - Favorites
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shared wishlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     owner:
+ *                       type: string
+ *                       description: Owner's display name
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FavoriteItem'
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Malformed share token
+ *       404:
+ *         description: No shared list has this token
+ */
+router.get("/shared/:token", handleGetSharedWishlist);
+
 export default router;
@@ -4,8 +4,15 @@ import {
   initializeCheckout,
   getOrders,
   getOrderById,
+  cancelOrder,
+  getExpressQuote,
+  getCheckoutQuote,
 } from "../controllers/orders.controller.js";
-import { validateOrder } from "../middleware/validator.middleware.js";
+import {
+  validateOrder,
+  validateExpressQuote,
+  validateCheckoutQuote,
+} from "../middleware/validator.middleware.js";
 
 const router = express.Router();
 
@@ -14,7 +21,7 @@ const router = express.Router();
  * /orders/checkout:
  *   post:
  *     summary: Initialize checkout process with Paystack payment
- *     description: Initializes a Paystack transaction for order checkout. Returns payment URL for frontend redirect.
+ *     description: Initializes a Paystack transaction for order checkout. Returns payment URL for frontend redirect. The ordered stock is held for the shopper while payment is pending and released if the payment fails or is not completed in time. A gift card (`giftCardCode`) and store credit (`useWallet`) are spent first and Paystack charges the rest; they are given back if the payment fails or times out. When they cover the whole total the order is placed straight away (201) and no payment URL is returned.
  *     tags:
  *       - Orders
  *     security:
@@ -26,15 +33,19 @@ const router = express.Router();
  *         schema:
  *           type: boolean
  *           default: false
- *         description: Opt-in for express service (150 GHS per product piece)
+ *         description: Opt-in for express service, priced per item by the admin express settings (see POST /orders/express-quote)
  *     requestBody:
- *       description: Order data for checkout
+ *       description: Order data for checkout. Either send `items` or set `fromCart` to check out the stored cart.
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
+ *               fromCart:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Use the items in the user's stored cart instead of `items`
  *               items:
  *                 type: array
  *                 items:
@@ -51,7 +62,10 @@ const router = express.Router();
  *                       enum: [XS, S, M, L, XL, XXL, CUSTOM]
  *                     customSize:
  *                       type: object
- *                       description: Required when size is CUSTOM
+ *                       description: Measurements for a CUSTOM size line (or send measurementProfile)
+ *                     measurementProfile:
+ *                       type: string
+ *                       description: ID of a saved measurement profile (see /auth/me/measurements) to use for a CUSTOM size line instead of customSize; its measurements are copied into the order
  *               shippingInfo:
  *                 type: object
  *                 properties:
@@ -64,8 +78,28 @@ const router = express.Router();
  *                     type: string
  *                   deliveryAddress:
  *                     type: string
+ *                   region:
+ *                     type: string
+ *                     description: Ghana region of the delivery address; used to pick the shipping zone
+ *                     example: Greater Accra
+ *                   city:
+ *                     type: string
+ *                     example: Accra
  *                   deliveryNotes:
  *                     type: string
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address (see /auth/me/addresses) to ship to instead of sending shippingInfo; exactly one of the two is required. The address is copied into the order.
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount code to apply
+ *               giftCardCode:
+ *                 type: string
+ *                 description: Gift card to spend before charging Paystack
+ *               useWallet:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Spend store credit (after any gift card) before charging Paystack
  *     responses:
  *       200:
  *         description: Payment initialized successfully
@@ -90,16 +124,292 @@ const router = express.Router();
  *                     amount:
  *                       type: number
  *                       description: Amount in Ghana Cedis
+ *                     subtotal:
+ *                       type: number
+ *                       description: Items total in Ghana Cedis
+ *                     expressFee:
+ *                       type: number
+ *                     shippingFee:
+ *                       type: number
+ *                       description: Delivery fee for the shipping zone of the address
+ *                     discountAmount:
+ *                       type: number
+ *                       description: Coupon discount in GHS
+ *                     giftCardAmount:
+ *                       type: number
+ *                       description: Gift card value spent in GHS
+ *                     walletAmount:
+ *                       type: number
+ *                       description: Store credit spent in GHS
+ *                     amountDue:
+ *                       type: number
+ *                       description: Left to pay through Paystack in GHS
  *                     currency:
  *                       type: string
  *                       example: GHS
+ *                     estimatedReadyDate:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: When made-to-measure (CUSTOM size) pieces are expected to be ready; null without CUSTOM lines or when waitlisted
+ *                     waitlisted:
+ *                       type: boolean
+ *                       description: Every tailoring week is full and the order will go onto the waitlist
+ *       201:
+ *         description: Gift card / store credit covered the whole total and the order was placed. Same data as 200 with `authorizationUrl` null and the new `order` ID.
  *       400:
- *         description: Bad request (empty cart, invalid products, etc.)
+ *         description: Bad request (empty cart, invalid products, insufficient available stock, express unavailable, no delivery to the address, invalid coupon or gift card, tailoring schedule full with the waitlist off, etc.)
+ *       409:
+ *         description: An item became unavailable while placing a fully covered order; nothing was charged
  *       500:
  *         description: Server error
  */
 router.post("/checkout", validateOrder, authenticateToken, initializeCheckout);
 
+/**
+ * @swagger
+ * /orders/quote:
+ *   post:
+ *     summary: Price a checkout without starting payment
+ *     description: Runs the same product, stock, express, delivery, coupon and tailoring capacity checks as checkout and returns an itemized breakdown. No transaction is created and Paystack is not contacted. Stock problems are returned as `stockWarnings` instead of failing the quote.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: expressService
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the express service fee
+ *     requestBody:
+ *       description: Either send `items` or set `fromCart` to quote the stored cart. Send `shippingInfo.region` and `shippingInfo.city` to include the delivery fee.
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fromCart:
+ *                 type: boolean
+ *                 default: false
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 1
+ *                     size:
+ *                       type: string
+ *                       enum: [XS, S, M, L, XL, XXL, CUSTOM]
+ *                     customSize:
+ *                       type: object
+ *                     measurementProfile:
+ *                       type: string
+ *                       description: Saved measurement profile ID (CUSTOM size lines)
+ *               shippingInfo:
+ *                 type: object
+ *                 properties:
+ *                   region:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address to quote delivery to instead of shippingInfo
+ *               couponCode:
+ *                 type: string
+ *               giftCardCode:
+ *                 type: string
+ *               useWallet:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Checkout quote (amounts in GHS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           size:
+ *                             type: string
+ *                           quantity:
+ *                             type: number
+ *                           price:
+ *                             type: number
+ *                             description: Unit price from the catalogue
+ *                           lineTotal:
+ *                             type: number
+ *                     subtotal:
+ *                       type: number
+ *                     expressFee:
+ *                       type: number
+ *                     shippingFee:
+ *                       type: number
+ *                     discountAmount:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *                       example: GHS
+ *                     express:
+ *                       type: object
+ *                       description: Whether express was requested, is available (and why not) and its fee
+ *                     shipping:
+ *                       type: object
+ *                       description: Matched shipping zone and fee; `available` is null when no address was sent
+ *                     coupon:
+ *                       type: object
+ *                       nullable: true
+ *                       description: The entered code, whether it applies and why not
+ *                     discount:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Applied discount ({ code, type, amount })
+ *                     tailoring:
+ *                       $ref: '#/components/schemas/TailoringQuote'
+ *                     stockWarnings:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     giftCard:
+ *                       type: object
+ *                       nullable: true
+ *                       description: The entered gift card ({ code, valid, reason, balance })
+ *                     walletBalance:
+ *                       type: number
+ *                       description: Store credit available to the user
+ *                     giftCardAmount:
+ *                       type: number
+ *                     walletAmount:
+ *                       type: number
+ *                       description: Store credit that would be spent (only with useWallet)
+ *                     amountDue:
+ *                       type: number
+ *                       description: Left to pay through Paystack
+ *       400:
+ *         description: Empty cart or products that cannot be bought
+ *       500:
+ *         description: Failed to build checkout quote
+ */
+router.post(
+  "/quote",
+  validateCheckoutQuote,
+  authenticateToken,
+  getCheckoutQuote
+);
+
+/**
+ * @swagger
+ * /orders/express-quote:
+ *   post:
+ *     summary: Quote the express service fee
+ *     description: Returns the express fee the checkout would charge for these items (or the stored cart), with the per-item rate of each line, any per-order cap, and whether express is currently available.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fromCart:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Quote the items in the user's stored cart instead of `items`
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                       description: Product ID
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 1
+ *     responses:
+ *       200:
+ *         description: Express fee quote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     available:
+ *                       type: boolean
+ *                     reason:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Why express cannot be ordered right now
+ *                     fee:
+ *                       type: number
+ *                       description: Express fee in GHS after the per-order cap
+ *                     uncappedFee:
+ *                       type: number
+ *                     cap:
+ *                       type: number
+ *                       nullable: true
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: string
+ *                           category:
+ *                             type: string
+ *                           quantity:
+ *                             type: number
+ *                           ratePerItem:
+ *                             type: number
+ *                           fee:
+ *                             type: number
+ *                     currency:
+ *                       type: string
+ *                       example: GHS
+ *       400:
+ *         description: Empty cart or unavailable products
+ *       500:
+ *         description: Failed to quote express fee
+ */
+router.post(
+  "/express-quote",
+  validateExpressQuote,
+  authenticateToken,
+  getExpressQuote
+);
+
 /**
  * @swagger
  * /orders:
@@ -159,7 +469,7 @@ router.get("/", authenticateToken, getOrders);
  * /orders/{id}:
  *   get:
  *     summary: Get a specific order by ID
- *     description: Get a specific order by ID
+ *     description: Get a specific order by ID, including a `timeline` of its status changes (status, date and note for each step)
  *     tags:
  *       - Orders
  *     security:
@@ -194,7 +504,55 @@ router.get("/", authenticateToken, getOrders);
  *                       price: 100
  *                     quantity: 1
  *                     price: 100
+ *                 timeline:
+ *                   - status: "accepted"
+ *                     changedAt: "2025-08-21T14:32:00.000Z"
+ *                     note: "Order placed"
+ *                   - status: "processing"
+ *                     changedAt: "2025-08-22T09:10:00.000Z"
+ *                     note: ""
  */
 router.get("/:id", authenticateToken, getOrderById);
 
+/**
+ * @swagger
+ * /orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: Cancels one of the user's orders while it is still `accepted` (before production starts). The items are returned to stock, the payment is refunded through Paystack, and both the customer and admin are notified.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *      - in: path
+ *        name: id
+ *        required: true
+ *        schema:
+ *          type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid order id
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is already in production and can no longer be cancelled
+ *       500:
+ *         description: Failed to cancel order
+ */
+router.post("/:id/cancel", authenticateToken, cancelOrder);
+
 export default router;
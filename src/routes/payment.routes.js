@@ -1,8 +1,16 @@
 import express from "express";
 import {
   handlePaystackWebhook,
+  handleMockWebhook,
   verifyPayment,
+  getMyTransactions,
+  getMyTransactionById,
 } from "../controllers/payment.controller.js";
+import {
+  showMockCheckout,
+  completeMockCheckout,
+} from "../controllers/mockPayment.controller.js";
+import { authenticateToken } from "../middleware/index.js";
 import { routeLimiters } from "../config/rateLimiter.js";
 
 const router = express.Router();
@@ -12,7 +20,7 @@ const router = express.Router();
  * /payment/webhook/paystack:
  *   post:
  *     summary: Paystack webhook endpoint
- *     description: Handles Paystack webhook events for payment verification. This endpoint is called by Paystack when payment events occur.
+ *     description: Receives Paystack webhook events for payments and refunds. Every event is stored with its raw body and signature check before anything else happens, and events Paystack sends again are recognised by their id and acknowledged without being processed twice. Events are processed after the response is sent; one that fails is retried with backoff and can be replayed from /admin/webhooks. If a paid transaction cannot become an order (e.g. stock ran out), the payment is refunded automatically.
  *     tags:
  *       - Payment
  *     security: []
@@ -26,13 +34,13 @@ const router = express.Router();
  *             properties:
  *               event:
  *                 type: string
- *                 description: Event type (charge.success, charge.failed, etc.)
+ *                 description: Event type (charge.success, charge.failed, refund.processed, refund.failed)
  *               data:
  *                 type: object
  *                 description: Event data containing transaction details
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook recorded (or already recorded) and queued for processing
  *         content:
  *           application/json:
  *             schema:
@@ -43,12 +51,92 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *       400:
- *         description: Bad request (invalid signature, missing data)
+ *         description: Missing or invalid signature, or a body that isn't a webhook event. The event is still recorded.
  *       500:
- *         description: Server error
+ *         description: The event could not be recorded; Paystack will send it again
  */
 router.post("/webhook/paystack", handlePaystackWebhook);
 
+/**
+ * @swagger
+ * /payment/webhook/mock:
+ *   post:
+ *     summary: Mock gateway webhook endpoint
+ *     description: Receives the Paystack-format events the mock payment gateway sends when a simulated payment or refund settles. Signed with HMAC-SHA512 of the raw body using MOCK_PAYMENT_SECRET in the `x-mock-signature` header. Returns 404 unless PAYMENT_GATEWAY is `mock`.
+ *     tags:
+ *       - Payment
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Webhook recorded and queued for processing, like the Paystack endpoint
+ *       400:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: Mock gateway is not enabled
+ */
+router.post("/webhook/mock", handleMockWebhook);
+
+/**
+ * @swagger
+ * /payment/mock/checkout/{reference}:
+ *   get:
+ *     summary: Mock gateway checkout page
+ *     description: The `authorizationUrl` checkout returns while PAYMENT_GATEWAY is `mock`. An HTML page to pay, decline or abandon the simulated payment; no money moves. Returns 404 unless the mock gateway is enabled.
+ *     tags:
+ *       - Payment
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mock checkout page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Mock gateway disabled or unknown reference
+ *   post:
+ *     summary: Settle a mock payment
+ *     description: Settles the simulated payment and sends the matching signed webhook (`charge.success` or `charge.failed`; abandoned checkouts send none, as with Paystack). Form posts from the checkout page are redirected to PAYSTACK_CALLBACK_URL with the reference; JSON clients such as CI scripts get the settled transaction. Set MOCK_PAYMENT_OUTCOME to settle every checkout automatically instead.
+ *     tags:
+ *       - Payment
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failed, abandoned]
+ *     responses:
+ *       200:
+ *         description: Mock payment settled
+ *       302:
+ *         description: Redirect to the payment callback (form posts)
+ *       400:
+ *         description: Invalid outcome
+ *       404:
+ *         description: Mock gateway disabled or unknown reference
+ */
+router.get("/mock/checkout/:reference", showMockCheckout);
+router.post("/mock/checkout/:reference", completeMockCheckout);
+
 /**
  * @swagger
  * /payment/verify/{reference}:
@@ -96,4 +184,87 @@ router.post("/webhook/paystack", handlePaystackWebhook);
  */
 router.get("/verify/:reference", routeLimiters.payment, verifyPayment);
 
+/**
+ * @swagger
+ * /payment/transactions:
+ *   get:
+ *     summary: My payment attempts
+ *     description: Lists the logged-in user's checkout payments newest first, including failed and abandoned attempts that never became orders.
+ *     tags:
+ *       - Payment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Transactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerTransaction'
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/transactions", authenticateToken, getMyTransactions);
+
+/**
+ * @swagger
+ * /payment/transactions/{id}:
+ *   get:
+ *     summary: One of my payment attempts
+ *     tags:
+ *       - Payment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomerTransaction'
+ *       400:
+ *         description: Invalid transaction id
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Transaction not found (or not yours)
+ */
+router.get("/transactions/:id", authenticateToken, getMyTransactionById);
+
 export default router;
@@ -5,6 +5,27 @@ import {
   getProductBySlugHandler,
   getProducts,
 } from "../controllers/products.controller.js";
+import {
+  subscribeToStockAlert,
+  confirmStockAlertSubscription,
+  unsubscribeFromStockAlert,
+} from "../controllers/stockAlerts.controller.js";
+import {
+  getProductReviews,
+  createProductReview,
+} from "../controllers/reviews.controller.js";
+import { rateLimiters } from "../config/rateLimiter.js";
+import { productUploads } from "../config/cloudinary.js";
+import { MAX_REVIEW_PHOTOS } from "../constants/reviewStatus.js";
+import {
+  authenticateToken,
+  optionalAuthenticateToken,
+} from "../middleware/auth.middleware.js";
+import { attachReviewPhotosToBody } from "../middleware/upload.middleware.js";
+import {
+  validateStockAlert,
+  validateReview,
+} from "../middleware/validator.middleware.js";
 
 const router = express.Router();
 
@@ -48,21 +69,21 @@ const router = express.Router();
  *         required: false
  *         schema:
  *           type: number
- *         description: Minimum price filter
+ *         description: Minimum price filter (sale price while a sale runs)
  *       - in: query
  *         name: maxPrice
  *         required: false
  *         schema:
  *           type: number
- *         description: Maximum price filter
+ *         description: Maximum price filter (sale price while a sale runs)
  *       - in: query
  *         name: sort
  *         required: false
  *         schema:
  *           type: string
- *           enum: [latest, price-low-high, price-high-low, name-a-z, name-z-a]
+ *           enum: [latest, price-low-high, price-high-low, name-a-z, name-z-a, rating-high-low]
  *           default: latest
- *         description: Sort products by specified criteria
+ *         description: Sort products by specified criteria. Price sorts use the current sale price where a sale is running
  *     responses:
  *       200:
  *         description: A list of published products
@@ -117,7 +138,7 @@ const router = express.Router();
  *                 error:
  *                   type: string
  *                   description: Error message
- *                   example: "Invalid sort option. Valid options are: latest, price-low-high, price-high-low, name-a-z, name-z-a"
+ *                   example: "Invalid sort option. Valid options are: latest, price-low-high, price-high-low, name-a-z, name-z-a, rating-high-low"
  *       500:
  *         description: Failed to load products
  *         content:
@@ -189,6 +210,227 @@ router.get("/", getProducts);
  */
 router.get("/id/:id", getProductByIdHandler);
 
+/**
+ * @swagger
+ * /products/{id}/notify-me:
+ *   post:
+ *     summary: Get emailed when a sold-out product is back in stock
+ *     description: Queues a one-time back-in-stock email for a product with no available stock. Logged-in customers are notified at their account email unless `email` is sent; guests must send `email`. An address other than the signed-in customer's own gets a confirmation email, and the alert only starts once its link is followed. Asking again for the same product and address doesn't add a second alert, and an address that unsubscribed can only subscribe again when signed in with it. Each email carries an unsubscribe link.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       201:
+ *         description: Alert created
+ *       202:
+ *         description: Confirmation email sent to the address
+ *       200:
+ *         description: Already waiting for this product, or still waiting for confirmation
+ *       400:
+ *         description: Invalid product id or email, no email for a guest, or the product is in stock
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The address unsubscribed from alerts for this product
+ */
+router.post(
+  "/:id/notify-me",
+  rateLimiters.strict,
+  optionalAuthenticateToken,
+  validateStockAlert,
+  subscribeToStockAlert
+);
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   get:
+ *     summary: List a product's approved reviews
+ *     description: Returns approved reviews newest first along with the product's averageRating and reviewCount. Variants share their base product's reviews.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     averageRating:
+ *                       type: number
+ *                     reviewCount:
+ *                       type: integer
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *       400:
+ *         description: Invalid product id
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Review a product
+ *     description: Only customers with an arrived order containing the product (or one of its variants) can review it, once per product. Reviews carry a verified-purchase badge and are shown only after an admin approves them.
+ *     tags:
+ *       - Products
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *                 maxLength: 120
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               photos:
+ *                 type: array
+ *                 maxItems: 3
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Review submitted and awaiting moderation
+ *       400:
+ *         description: Invalid product id or review fields
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: No arrived order contains this product
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product already reviewed
+ */
+router.get("/:id/reviews", rateLimiters.general, getProductReviews);
+router.post(
+  "/:id/reviews",
+  rateLimiters.strict,
+  authenticateToken,
+  productUploads.array("photos", MAX_REVIEW_PHOTOS),
+  attachReviewPhotosToBody,
+  validateReview,
+  createProductReview
+);
+
+/**
+ * @swagger
+ * /products/notify-me/confirm:
+ *   get:
+ *     summary: Confirm a back-in-stock alert
+ *     description: Target of the link in the confirmation email sent when an alert is requested for someone else's address.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert confirmed
+ *       400:
+ *         description: Malformed token
+ *       404:
+ *         description: Unknown token
+ *       409:
+ *         description: The alert was unsubscribed
+ */
+router.get(
+  "/notify-me/confirm",
+  rateLimiters.general,
+  confirmStockAlertSubscription
+);
+
+/**
+ * @swagger
+ * /products/notify-me/unsubscribe:
+ *   get:
+ *     summary: Cancel a back-in-stock alert
+ *     description: Target of the unsubscribe link in back-in-stock emails.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Malformed token
+ *       404:
+ *         description: Unknown token
+ */
+router.get(
+  "/notify-me/unsubscribe",
+  rateLimiters.general,
+  unsubscribeFromStockAlert
+);
+
 /**
  * @swagger
  * /products/{slug}:
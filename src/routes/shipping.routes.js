@@ -0,0 +1,35 @@
+import express from "express";
+
+import { getShippingZonesHandler } from "../controllers/shipping.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /shipping/zones:
+ *   get:
+ *     summary: List delivery zones
+ *     description: Returns the active shipping zones (region, cities and rates) so the storefront can show where we deliver and what it costs. Zones with no cities cover their whole region.
+ *     tags:
+ *       - Shipping
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Active shipping zones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingZone'
+ *       500:
+ *         description: Failed to load shipping zones
+ */
+router.get("/zones", getShippingZonesHandler);
+
+export default router;
@@ -0,0 +1,85 @@
+import express from "express";
+import { authenticateToken } from "../middleware/index.js";
+import { getMyWallet } from "../controllers/wallet.controller.js";
+import { getGiftCardBalance } from "../controllers/giftCards.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /wallet:
+ *   get:
+ *     summary: Get my store credit
+ *     description: Returns the authenticated user's store credit balance (GHS) and the most recent credits and debits. Store credit can be spent at checkout with `useWallet`.
+ *     tags:
+ *       - Wallet
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet balance and history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Wallet'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to load wallet
+ */
+router.get("/", authenticateToken, getMyWallet);
+
+/**
+ * @swagger
+ * /wallet/gift-cards/{code}:
+ *   get:
+ *     summary: Check a gift card balance
+ *     description: Returns the remaining balance (GHS) and expiry of a gift card that can be spent at checkout with `giftCardCode`.
+ *     tags:
+ *       - Wallet
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Gift card code (case-insensitive)
+ *     responses:
+ *       200:
+ *         description: Gift card balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     balance:
+ *                       type: number
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     currency:
+ *                       type: string
+ *                       example: GHS
+ *       404:
+ *         description: Unknown, inactive, expired or empty gift card
+ *       500:
+ *         description: Failed to check gift card balance
+ */
+router.get("/gift-cards/:code", authenticateToken, getGiftCardBalance);
+
+export default router;
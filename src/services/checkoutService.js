@@ -0,0 +1,330 @@
+import Product from "../models/product.mongo.js";
+import { getCartByUser } from "../models/cart.model.js";
+import { validateStockAvailabilityWithProducts } from "../models/product.model.js";
+import { withAvailableStock } from "../models/stockReservation.model.js";
+import {
+  getExpressSettings,
+  calculateExpressFee,
+} from "../models/expressSettings.model.js";
+import {
+  findShippingZoneFor,
+  calculateShippingFee,
+} from "../models/shippingZone.model.js";
+import { quoteTailoring } from "../models/tailoring.model.js";
+import { getMeasurementProfiles } from "../models/measurementProfile.model.js";
+import { findAddress } from "../models/address.model.js";
+import { evaluateCoupon } from "./couponService.js";
+import { withEffectivePrice } from "../utils/productPricing.js";
+
+/**
+ * Pairs checkout lines with their product's category for express pricing
+ * @param {Array} items - Checkout lines ({ product, quantity })
+ * @param {Array} products - Products of those lines (must include category)
+ * @returns {Array} Lines with { product, quantity, category }
+ */
+export function toExpressLines(items, products) {
+  const categories = new Map(
+    products.map(product => [product._id.toString(), product.category])
+  );
+  return items.map(item => ({
+    product: item.product,
+    quantity: item.quantity,
+    category: categories.get(item.product.toString()),
+  }));
+}
+
+/**
+ * Resolve the shipping info of a checkout: either the address sent with it or one
+ * from the user's address book. Only the delivery fields of a saved address are
+ * copied, so the order keeps it even if the saved address is later edited.
+ * @param {string} userId - Customer checking out
+ * @param {Object} params
+ * @param {Object} [params.shippingInfo] - Address sent with the checkout
+ * @param {string} [params.addressId] - Saved address to use instead
+ * @returns {Promise<{valid: boolean, error?: string, shippingInfo?: Object}>}
+ */
+export async function resolveShippingInfo(
+  userId,
+  { shippingInfo = null, addressId = null }
+) {
+  if (!addressId) return { valid: true, shippingInfo };
+
+  const address = await findAddress(userId, addressId);
+  if (!address) return { valid: false, error: "Address not found" };
+
+  const { fullName, email, phone, deliveryAddress, region, city } = address;
+  return {
+    valid: true,
+    shippingInfo: {
+      fullName,
+      email,
+      phone,
+      deliveryAddress,
+      region,
+      city,
+      deliveryNotes: address.deliveryNotes || "",
+    },
+  };
+}
+
+/**
+ * Fill in the measurements of made-to-measure lines that reference one of the
+ * user's saved measurement profiles. The profile is copied into the line's
+ * customSize so the order keeps the measurements it was made with.
+ * @param {string} userId - Customer checking out
+ * @param {Array} items - Checkout lines ({ product, quantity, size, customSize, measurementProfile })
+ * @returns {Promise<{valid: boolean, error?: string, items?: Array}>}
+ */
+export async function applyMeasurementProfiles(userId, items) {
+  if (!items.some(item => item.measurementProfile)) {
+    return { valid: true, items };
+  }
+
+  const profiles = new Map(
+    ((await getMeasurementProfiles(userId)) || []).map(profile => [
+      profile._id.toString(),
+      profile,
+    ])
+  );
+
+  const resolved = [];
+  for (const item of items) {
+    if (!item.measurementProfile) {
+      resolved.push(item);
+      continue;
+    }
+
+    const profile = profiles.get(item.measurementProfile.toString());
+    if (!profile) {
+      return { valid: false, error: "Measurement profile not found" };
+    }
+    resolved.push({
+      ...item,
+      customSize: {
+        ...profile.measurements,
+        unit: profile.unit,
+        ...(profile.notes && { notes: profile.notes }),
+      },
+      measurementProfile: { profile: profile._id, name: profile.name },
+    });
+  }
+  return { valid: true, items: resolved };
+}
+
+/**
+ * Read the checkout lines from the user's stored cart
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Checkout lines ({ product, quantity, size, customSize })
+ */
+export async function getCartCheckoutItems(userId) {
+  const cart = await getCartByUser(userId);
+  return (cart?.items || []).map(item => ({
+    product: item.product,
+    quantity: item.quantity,
+    size: item.size,
+    customSize: item.customSize,
+  }));
+}
+
+/**
+ * Load the products of the checkout lines and make sure every line can be bought:
+ * base products must be published, variants must belong to a published base product
+ * @param {Array} items - Checkout lines
+ * @returns {Promise<{valid: boolean, error?: string, products?: Array}>}
+ */
+async function loadPurchasableProducts(items) {
+  // For base products: must be published
+  // For variants: can be unpublished (they're accessible through their published base product)
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    $or: [
+      { isPublished: true }, // Published base products
+      { isVariant: true }, // Variants (can be unpublished)
+    ],
+  }).select(
+    "_id name price salePrice saleStartsAt saleEndsAt stock sizeStock category isVariant baseProduct isPublished"
+  ); // Include variant fields for validation
+
+  // For variants, also verify their base product exists and is published
+  const variantProducts = products.filter(p => p.isVariant);
+  if (variantProducts.length > 0) {
+    if (variantProducts.some(v => !v.baseProduct)) {
+      return {
+        valid: false,
+        error: "Some variant products are missing base product references",
+      };
+    }
+
+    const baseProducts = await Product.find({
+      _id: { $in: variantProducts.map(v => v.baseProduct.toString()) },
+      isPublished: true,
+    }).select("_id");
+    const publishedBaseProductIds = new Set(
+      baseProducts.map(bp => bp._id.toString())
+    );
+
+    const allVariantsHavePublishedBase = variantProducts.every(variant =>
+      publishedBaseProductIds.has(variant.baseProduct.toString())
+    );
+    if (!allVariantsHavePublishedBase) {
+      return {
+        valid: false,
+        error: "Some variant products have unpublished base products",
+      };
+    }
+  }
+
+  // Check that all items are valid (published base products or variants with published base)
+  const validProductIds = new Set(products.map(p => p._id.toString()));
+  if (!items.every(item => validProductIds.has(item.product.toString()))) {
+    return {
+      valid: false,
+      error: "Some products are not available or unpublished",
+    };
+  }
+
+  return { valid: true, products };
+}
+
+/**
+ * Price a checkout from the database: line prices, stock, express fee, delivery fee
+ * and coupon discount, plus when any made-to-measure pieces can be ready.
+ * Shared by the quote endpoint and checkout so both always agree on the total.
+ *
+ * Problems a shopper can fix (stock, express unavailable, no delivery zone, a coupon
+ * that doesn't apply, a full tailoring schedule) are reported on the quote rather than failing it; checkout
+ * decides which ones block payment.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Customer checking out (for per-customer coupon limits;
+ *   their own pending checkouts' stock and tailoring holds are left out)
+ * @param {Array} params.items - Checkout lines ({ product, quantity, size, customSize,
+ *   measurementProfile })
+ * @param {boolean} params.expressService - Whether the shopper opted in to express service
+ * @param {Object} [params.shippingInfo] - Delivery address ({ region, city }); the delivery
+ *   fee is left out when it is missing
+ * @param {string} [params.couponCode] - Coupon code entered by the shopper
+ * @returns {Promise<{valid: boolean, error?: string, quote?: Object}>} Amounts in GHS
+ */
+export async function buildCheckoutQuote({
+  userId,
+  items,
+  expressService = false,
+  shippingInfo = null,
+  couponCode = null,
+}) {
+  if (!items || items.length === 0) {
+    return { valid: false, error: "Cart is empty" };
+  }
+
+  const measurementCheck = await applyMeasurementProfiles(userId, items);
+  if (!measurementCheck.valid) return measurementCheck;
+  items = measurementCheck.items;
+
+  const productCheck = await loadPurchasableProducts(items);
+  if (!productCheck.valid) return productCheck;
+
+  // Validate against stock not already held by other pending checkouts (the
+  // shopper's own earlier attempts are superseded when they check out again).
+  // Prices are resolved to the sale price while a product's sale runs.
+  const products = await withAvailableStock(
+    productCheck.products.map(product => withEffectivePrice(product)),
+    { excludeUser: userId }
+  );
+  const stockValidation = validateStockAvailabilityWithProducts(
+    items,
+    products
+  );
+
+  // Re-derive authoritative prices from the database to prevent client-side tampering
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+  const lines = items.map(item => {
+    const product = productMap.get(item.product.toString());
+    return {
+      product: item.product,
+      name: product.name,
+      category: product.category,
+      quantity: item.quantity,
+      price: product.price,
+      size: item.size,
+      customSize: item.customSize,
+      measurementProfile: item.measurementProfile,
+      lineTotal: product.price * item.quantity,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  // Express fee follows the admin-managed pricing rules
+  const express = { requested: expressService, fee: 0 };
+  if (expressService) {
+    const expressQuote = calculateExpressFee(
+      await getExpressSettings(),
+      toExpressLines(items, products)
+    );
+    express.available = expressQuote.available;
+    express.reason = expressQuote.reason;
+    express.fee = expressQuote.available ? expressQuote.fee : 0;
+  }
+
+  // Delivery fee comes from the shipping zone covering the delivery address
+  const shipping = { fee: 0, zone: null, available: null };
+  if (shippingInfo?.region && shippingInfo?.city) {
+    const zone = await findShippingZoneFor(
+      shippingInfo.region,
+      shippingInfo.city
+    );
+    shipping.available = Boolean(zone);
+    if (zone) {
+      shipping.zone = zone.name;
+      shipping.fee = calculateShippingFee(zone, { subtotal, totalQuantity });
+    } else {
+      shipping.reason = `Delivery is not available to ${shippingInfo.city}, ${shippingInfo.region}`;
+    }
+  }
+
+  // Coupon discount comes off the order total (free_express waives the express fee)
+  let coupon = null;
+  let discount = null;
+  if (couponCode) {
+    const couponCheck = await evaluateCoupon(couponCode, {
+      userId,
+      lines,
+      subtotal,
+      expressFee: express.fee,
+    });
+    coupon = {
+      code: couponCode.trim().toUpperCase(),
+      valid: couponCheck.valid,
+    };
+    if (couponCheck.valid) {
+      discount = couponCheck.discount;
+    } else {
+      coupon.reason = couponCheck.error;
+    }
+  }
+  const discountAmount = discount?.amount || 0;
+
+  // Made-to-measure pieces are scheduled into the first week with tailoring capacity
+  const tailoring = await quoteTailoring(items, new Date(), userId);
+
+  return {
+    valid: true,
+    quote: {
+      lines,
+      subtotal,
+      expressFee: express.fee,
+      shippingFee: shipping.fee,
+      discountAmount,
+      total: subtotal + express.fee + shipping.fee - discountAmount,
+      currency: "GHS",
+      express,
+      shipping,
+      coupon,
+      discount,
+      tailoring,
+      stockWarnings: stockValidation.errors,
+    },
+  };
+}
@@ -0,0 +1,114 @@
+import {
+  getCouponByCode,
+  countUserRedemptions,
+} from "../models/coupon.model.js";
+
+// Discounts are charged in GHS; keep them to whole pesewas
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Pick the checkout lines a coupon applies to. A coupon with no category or
+ * product scope applies to every line; otherwise a line matches either list.
+ * @param {Object} coupon - Coupon document
+ * @param {Array} lines - Priced checkout lines ({ product, category, lineTotal })
+ * @returns {Array} Eligible lines
+ */
+export function getEligibleLines(coupon, lines) {
+  const categories = new Set(coupon.categories);
+  const products = new Set(coupon.products.map(id => id.toString()));
+  if (categories.size === 0 && products.size === 0) return lines;
+
+  return lines.filter(
+    line =>
+      categories.has(line.category) || products.has(line.product.toString())
+  );
+}
+
+/**
+ * Check a coupon code against a checkout and work out the discount it grants
+ * @param {string} code - Code entered by the shopper
+ * @param {Object} checkout
+ * @param {string} checkout.userId - Customer checking out
+ * @param {Array} checkout.lines - Priced checkout lines ({ product, category, lineTotal })
+ * @param {number} checkout.subtotal - Items total in GHS
+ * @param {number} checkout.expressFee - Express fee in GHS (0 when not requested)
+ * @param {Date} [checkout.date] - When the order is placed
+ * @returns {Promise<{valid: boolean, error?: string, discount?: Object}>}
+ *   discount is { coupon, code, type, amount } with amount in GHS
+ */
+export async function evaluateCoupon(
+  code,
+  { userId, lines, subtotal, expressFee, date = new Date() }
+) {
+  const coupon = await getCouponByCode(code);
+  if (!coupon || !coupon.isActive) {
+    return { valid: false, error: "Invalid coupon code" };
+  }
+
+  if (coupon.startsAt && coupon.startsAt > date) {
+    return { valid: false, error: "This coupon is not active yet" };
+  }
+  if (coupon.endsAt && coupon.endsAt < date) {
+    return { valid: false, error: "This coupon has expired" };
+  }
+
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    return { valid: false, error: "This coupon has reached its usage limit" };
+  }
+  if (coupon.perUserLimit) {
+    const used = await countUserRedemptions(coupon._id, userId);
+    if (used >= coupon.perUserLimit) {
+      return {
+        valid: false,
+        error: "You have already used this coupon the maximum number of times",
+      };
+    }
+  }
+
+  if (subtotal < coupon.minSpend) {
+    return {
+      valid: false,
+      error: `This coupon requires a minimum spend of GHS ${coupon.minSpend.toFixed(2)}`,
+    };
+  }
+
+  const eligibleLines = getEligibleLines(coupon, lines);
+  if (eligibleLines.length === 0) {
+    return {
+      valid: false,
+      error: "This coupon does not apply to the items in your cart",
+    };
+  }
+  const eligibleSubtotal = eligibleLines.reduce(
+    (sum, line) => sum + line.lineTotal,
+    0
+  );
+
+  let amount;
+  if (coupon.type === "free_express") {
+    if (!expressFee) {
+      return {
+        valid: false,
+        error: "This coupon only applies to express orders",
+      };
+    }
+    amount = expressFee;
+  } else if (coupon.type === "percentage") {
+    amount = roundCurrency((eligibleSubtotal * coupon.value) / 100);
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+      amount = Math.min(amount, coupon.maxDiscount);
+    }
+  } else {
+    amount = Math.min(coupon.value, eligibleSubtotal);
+  }
+
+  return {
+    valid: true,
+    discount: {
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      amount,
+    },
+  };
+}
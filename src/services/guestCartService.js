@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import { Types } from "mongoose";
+import { getRedisClient } from "./redis.js";
+import env from "../config/env.js";
+import logger from "../config/logger.js";
+import {
+  findMatchingCartItem,
+  mergeItemsIntoUserCart,
+} from "../models/cart.model.js";
+
+export const GUEST_CART_COOKIE = "guest_cart_id";
+
+const GUEST_CART_ID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Generate an anonymous guest cart id
+ * @returns {string} Random UUID
+ */
+export function generateGuestCartId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Check that a guest cart id (usually read from a cookie) is well formed
+ * @param {string} guestId - Guest cart id
+ * @returns {boolean} Whether the id can be used as a cart key
+ */
+export function isValidGuestCartId(guestId) {
+  return typeof guestId === "string" && GUEST_CART_ID_REGEX.test(guestId);
+}
+
+function getGuestCartKey(guestId) {
+  return `guest_cart:${guestId}`;
+}
+
+/**
+ * Persist guest cart lines in Redis, refreshing the TTL
+ * @param {string} guestId - Guest cart id
+ * @param {Array} items - Cart lines
+ * @returns {Promise<Object>} Guest cart in the same shape as a Cart document
+ */
+async function saveGuestCart(guestId, items) {
+  const redis = getRedisClient();
+  const cart = { _id: null, items, updatedAt: new Date().toISOString() };
+
+  await redis.setex(
+    getGuestCartKey(guestId),
+    env.GUEST_CART_EXPIRES_IN,
+    JSON.stringify(cart)
+  );
+
+  return cart;
+}
+
+/**
+ * Retrieve a guest cart from Redis
+ * @param {string} guestId - Guest cart id
+ * @returns {Promise<Object|null>} Guest cart or null if it does not exist/expired
+ */
+export async function getGuestCart(guestId) {
+  try {
+    const redis = getRedisClient();
+    const data = await redis.get(getGuestCartKey(guestId));
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error(
+      `[guestCart] Error fetching guest cart ${guestId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Add a line to a guest cart, merging it into a matching line if one exists
+ * @param {string} guestId - Guest cart id
+ * @param {Object} item - { product, quantity, size, customSize }
+ * @returns {Promise<Object>} Updated guest cart
+ */
+export async function addGuestCartItem(
+  guestId,
+  { product, quantity, size, customSize }
+) {
+  try {
+    const items = (await getGuestCart(guestId))?.items || [];
+
+    const existing = findMatchingCartItem(items, { product, size });
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      items.push({
+        _id: new Types.ObjectId().toString(),
+        product,
+        quantity,
+        size,
+        ...(size === "CUSTOM" && { customSize }),
+      });
+    }
+
+    return await saveGuestCart(guestId, items);
+  } catch (error) {
+    logger.error(
+      `[guestCart] Error adding item to guest cart ${guestId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Update quantity, size or customSize of a guest cart line
+ * @param {string} guestId - Guest cart id
+ * @param {string} itemId - Cart line id
+ * @param {Object} updates - { quantity, size, customSize } (all optional)
+ * @returns {Promise<Object|null>} Updated guest cart or null if the line was not found
+ */
+export async function updateGuestCartItem(guestId, itemId, updates) {
+  try {
+    const cart = await getGuestCart(guestId);
+    const item = cart?.items.find(line => line._id === itemId);
+    if (!item) return null;
+
+    if (updates.quantity !== undefined) item.quantity = updates.quantity;
+    if (updates.size !== undefined) item.size = updates.size;
+
+    if (item.size === "CUSTOM") {
+      if (updates.customSize !== undefined) {
+        item.customSize = updates.customSize;
+      }
+    } else {
+      delete item.customSize;
+    }
+
+    let items = cart.items;
+    const duplicate = findMatchingCartItem(items, item, item._id);
+    if (duplicate) {
+      duplicate.quantity += item.quantity;
+      items = items.filter(line => line._id !== itemId);
+    }
+
+    return await saveGuestCart(guestId, items);
+  } catch (error) {
+    logger.error(
+      `[guestCart] Error updating guest cart item ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Remove a single line from a guest cart
+ * @param {string} guestId - Guest cart id
+ * @param {string} itemId - Cart line id
+ * @returns {Promise<Object|null>} Updated guest cart or null if the line was not found
+ */
+export async function removeGuestCartItem(guestId, itemId) {
+  try {
+    const cart = await getGuestCart(guestId);
+    if (!cart?.items.some(line => line._id === itemId)) return null;
+
+    return await saveGuestCart(
+      guestId,
+      cart.items.filter(line => line._id !== itemId)
+    );
+  } catch (error) {
+    logger.error(
+      `[guestCart] Error removing guest cart item ${itemId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Delete a guest cart entirely
+ * @param {string} guestId - Guest cart id
+ * @returns {Promise<null>} Always null (the cart no longer exists)
+ */
+export async function clearGuestCart(guestId) {
+  try {
+    const redis = getRedisClient();
+    await redis.del(getGuestCartKey(guestId));
+    return null;
+  } catch (error) {
+    logger.error(
+      `[guestCart] Error clearing guest cart ${guestId}: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Merge a guest cart into a user's stored cart and delete the guest cart.
+ * Duplicate lines are combined and quantities re-checked against stock.
+ * @param {string} guestId - Guest cart id
+ * @param {string} userId - User ID of the newly authenticated shopper
+ * @returns {Promise<{merged: number, adjustments: Array}|null>} Merge summary, or null if there was no guest cart
+ */
+export async function mergeGuestCartIntoUserCart(guestId, userId) {
+  try {
+    const guestCart = await getGuestCart(guestId);
+    if (!guestCart || guestCart.items.length === 0) {
+      await clearGuestCart(guestId);
+      return null;
+    }
+
+    const { adjustments } = await mergeItemsIntoUserCart(
+      userId,
+      guestCart.items
+    );
+    await clearGuestCart(guestId);
+
+    logger.info(
+      `[guestCart] Merged ${guestCart.items.length} guest cart lines into cart of user ${userId}`
+    );
+
+    return { merged: guestCart.items.length, adjustments };
+  } catch (error) {
+    logger.error(
+      `[guestCart] Error merging guest cart ${guestId} for user ${userId}: ${error.message}`
+    );
+    throw error;
+  }
+}
@@ -0,0 +1,253 @@
+import axios from "axios";
+import crypto from "crypto";
+import env from "../config/env.js";
+import logger from "../config/logger.js";
+
+// Outcomes a mock checkout can be settled with
+export const MOCK_PAYMENT_OUTCOMES = ["success", "failed", "abandoned"];
+
+// Delay before simulated webhooks are sent, so the request that triggered them finishes first
+const WEBHOOK_DELAY_MS = 1000;
+
+// Simulated transactions by reference. Kept in memory: a restart forgets them,
+// just as an unknown reference would be rejected by Paystack.
+const transactions = new Map();
+
+/**
+ * Run a task shortly after the current request without keeping the process alive
+ * @param {Function} task - Async task
+ */
+function later(task) {
+  setTimeout(task, WEBHOOK_DELAY_MS).unref();
+}
+
+/**
+ * Build the Paystack-shaped transaction data the rest of the app reads
+ * @param {Object} transaction - Simulated transaction
+ * @returns {Object}
+ */
+function toTransactionData(transaction) {
+  return {
+    id: transaction.id,
+    reference: transaction.reference,
+    amount: transaction.amount,
+    currency: "GHS",
+    status: transaction.status,
+    gateway_response:
+      transaction.status === "success" ? "Approved" : transaction.status,
+    paid_at: transaction.paidAt,
+    channel: "mock",
+    customer: { email: transaction.email },
+    metadata: transaction.metadata,
+  };
+}
+
+/**
+ * URL of the local page where a mock checkout is paid, declined or abandoned
+ * @param {string} reference - Transaction reference
+ * @returns {string}
+ */
+export function getMockCheckoutUrl(reference) {
+  return `${env.BASE_URL}${env.API_PREFIX}/payment/mock/checkout/${reference}`;
+}
+
+/**
+ * Sign a webhook body the way the mock webhook endpoint expects
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} HMAC-SHA512 hex digest
+ */
+function signWebhookBody(body) {
+  return crypto
+    .createHmac("sha512", env.MOCK_PAYMENT_SECRET)
+    .update(body)
+    .digest("hex");
+}
+
+/**
+ * Send a signed webhook event to this server's mock webhook endpoint
+ * @param {string} event - Event name (e.g. "charge.success")
+ * @param {Object} data - Event data
+ * @returns {Promise<boolean>} Whether the server accepted the webhook
+ */
+export async function emitWebhook(event, data) {
+  const body = JSON.stringify({ event, data });
+  try {
+    await axios.post(
+      `${env.BASE_URL}${env.API_PREFIX}/payment/webhook/mock`,
+      body,
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-mock-signature": signWebhookBody(body),
+        },
+      }
+    );
+    logger.info(`[mockPaymentService] Delivered ${event} webhook`);
+    return true;
+  } catch (error) {
+    logger.warn(
+      `[mockPaymentService] Failed to deliver ${event} webhook: ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Start a simulated transaction. The shopper is sent to the mock checkout page,
+ * unless MOCK_PAYMENT_OUTCOME settles every checkout automatically.
+ * @param {string} email - Customer email
+ * @param {number} amount - Amount in pesewas
+ * @param {object} metadata - Additional data to store with transaction
+ * @param {string} reference - Unique transaction reference
+ * @returns {Promise<object>} Response with authorization_url
+ */
+export async function initializeTransaction(
+  email,
+  amount,
+  metadata,
+  reference
+) {
+  transactions.set(reference, {
+    id: crypto.randomInt(1e9, 1e10),
+    reference,
+    email,
+    amount,
+    metadata,
+    status: "pending",
+    paidAt: null,
+  });
+
+  if (env.MOCK_PAYMENT_OUTCOME !== "manual") {
+    later(() => settleMockTransaction(reference, env.MOCK_PAYMENT_OUTCOME));
+  }
+
+  logger.info(
+    `[mockPaymentService] Transaction initialized successfully: ${reference}`
+  );
+  return {
+    status: true,
+    message: "Authorization URL created",
+    data: {
+      authorization_url: getMockCheckoutUrl(reference),
+      access_code: reference,
+      reference,
+    },
+  };
+}
+
+/**
+ * Settle a pending simulated transaction and send the webhook Paystack would.
+ * Abandoned checkouts get no webhook; their stock hold simply expires.
+ * @param {string} reference - Transaction reference
+ * @param {string} outcome - "success", "failed" or "abandoned"
+ * @returns {Promise<Object|null>} Transaction data, or null for an unknown reference
+ */
+export async function settleMockTransaction(reference, outcome) {
+  const transaction = transactions.get(reference);
+  if (!transaction) return null;
+
+  // Already settled: settling twice would send a second webhook
+  if (transaction.status !== "pending") {
+    return toTransactionData(transaction);
+  }
+
+  transaction.status = outcome;
+  if (outcome === "success") {
+    transaction.paidAt = new Date().toISOString();
+    await emitWebhook("charge.success", toTransactionData(transaction));
+  } else if (outcome === "failed") {
+    await emitWebhook("charge.failed", toTransactionData(transaction));
+  }
+
+  return toTransactionData(transaction);
+}
+
+/**
+ * Look up a simulated transaction for the mock checkout page
+ * @param {string} reference - Transaction reference
+ * @returns {Object|null} Transaction data, or null for an unknown reference
+ */
+export function getMockTransaction(reference) {
+  const transaction = transactions.get(reference);
+  return transaction ? toTransactionData(transaction) : null;
+}
+
+/**
+ * Verify a simulated transaction
+ * @param {string} reference - Transaction reference
+ * @returns {Promise<object>} Verification response
+ */
+export async function verifyTransaction(reference) {
+  const transaction = transactions.get(reference);
+  if (!transaction) {
+    logger.error(
+      `[mockPaymentService] Error verifying transaction: ${reference} not found`
+    );
+    throw new Error("Transaction reference not found");
+  }
+
+  return {
+    status: true,
+    message: "Verification successful",
+    data: toTransactionData(transaction),
+  };
+}
+
+/**
+ * Refund a simulated transaction. The refund is accepted as pending and a
+ * refund.processed webhook follows, like Paystack.
+ * @param {string} reference - Reference of the transaction to refund
+ * @param {number} [amount] - Amount in pesewas; omit to refund the full transaction
+ * @param {string} [customerNote] - Reason shown to the customer
+ * @returns {Promise<object>} Refund response
+ */
+export async function createRefund(reference, amount, customerNote) {
+  const transaction = transactions.get(reference);
+  if (!transaction || transaction.status !== "success") {
+    logger.error(
+      `[mockPaymentService] Error creating refund: ${reference} has not been paid`
+    );
+    throw new Error("Transaction has not been paid");
+  }
+
+  const refund = {
+    id: crypto.randomInt(1e9, 1e10),
+    amount: amount || transaction.amount,
+    customer_note: customerNote || null,
+    currency: "GHS",
+    status: "pending",
+    transaction: { reference },
+  };
+
+  later(() =>
+    emitWebhook("refund.processed", {
+      ...refund,
+      status: "processed",
+      transaction_reference: reference,
+    })
+  );
+
+  logger.info(`[mockPaymentService] Refund created for: ${reference}`);
+  return {
+    status: true,
+    message: "Refund has been queued for processing",
+    data: refund,
+  };
+}
+
+/**
+ * Verify a mock webhook signature
+ * @param {string} signature - Signature from the x-mock-signature header
+ * @param {string|Buffer} body - Raw request body
+ * @returns {boolean} Whether signature is valid
+ */
+export function verifyWebhookSignature(signature, body) {
+  const expected = Buffer.from(signWebhookBody(body));
+  const received = Buffer.from(String(signature ?? ""));
+
+  // Constant-time comparison so the signature can't be guessed byte by byte
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
@@ -4,6 +4,9 @@ import { sendEmail } from "./emailService.js";
 import {
   ADMIN_NEW_ORDER_EMAIL,
   CUSTOMER_ORDER_STATUS_EMAIL,
+  CUSTOMER_REFUND_EMAIL,
+  ADMIN_REFUND_FAILED_EMAIL,
+  ADMIN_ORDER_CANCELLED_EMAIL,
 } from "../constants/emailTemplates.js";
 
 /**
@@ -34,6 +37,38 @@ export async function sendAdminNewOrderNotification(order) {
   }
 }
 
+/**
+ * Sends admin notification when a customer cancels an order
+ * @param {Object} order - Order object with populated fields
+ * @param {Object|null} refund - Refund entry, or null if the refund failed to start
+ */
+export async function sendAdminOrderCancelledNotification(order, refund) {
+  try {
+    const adminOrderUrl = `${env.CLIENT_URL}/admin/orders/${order._id}`;
+
+    const emailContent = ADMIN_ORDER_CANCELLED_EMAIL(
+      order,
+      adminOrderUrl,
+      refund
+    );
+    const subject = `Order Cancelled #${order._id.toString().slice(-6)} - ${order.shippingInfo.fullName}`;
+
+    // Fire and forget - don't await, don't block
+    sendEmail(env.EMAIL_USER, subject, emailContent).catch(error => {
+      logger.error(
+        `[orderEmailService] Cancellation notification failed for order ${order._id}: ${error.message}`
+      );
+    });
+    logger.info(
+      `[orderEmailService] Admin cancellation notification queued for order ${order._id}`
+    );
+  } catch (error) {
+    logger.error(
+      `[orderEmailService] Failed to queue cancellation notification: ${error.message}`
+    );
+  }
+}
+
 /**
  * Sends customer notification when order status is updated
  * @param {Object} order - Order object with populated fields
@@ -73,3 +108,79 @@ export async function sendCustomerStatusUpdateNotification(order) {
     );
   }
 }
+
+/**
+ * Sends customer notification when a refund is started or processed
+ * @param {Object} transaction - Transaction the refund belongs to (user populated)
+ * @param {Object} refund - Refund entry
+ */
+export async function sendCustomerRefundNotification(transaction, refund) {
+  try {
+    const viewUrl = transaction.order
+      ? `${env.CLIENT_URL}/orders/${transaction.order._id || transaction.order}`
+      : `${env.CLIENT_URL}/orders`;
+
+    const emailContent = CUSTOMER_REFUND_EMAIL(
+      refund,
+      transaction.reference,
+      viewUrl
+    );
+    const subject =
+      refund.status === "processed"
+        ? "Your Misqabbi Refund Has Been Processed"
+        : "Your Misqabbi Refund Is On Its Way";
+
+    const customerEmail =
+      transaction.orderData?.shippingInfo?.email || transaction.user?.email;
+
+    if (!customerEmail) {
+      logger.warn(
+        `[orderEmailService] No email found for transaction ${transaction.reference}`
+      );
+      return;
+    }
+
+    // Fire and forget - don't await, don't block
+    sendEmail(customerEmail, subject, emailContent).catch(error => {
+      logger.error(
+        `[orderEmailService] Refund notification failed for ${transaction.reference}: ${error.message}`
+      );
+    });
+    logger.info(
+      `[orderEmailService] Customer refund notification queued for ${transaction.reference}`
+    );
+  } catch (error) {
+    logger.error(
+      `[orderEmailService] Failed to queue refund notification: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Sends admin notification when a refund fails
+ * @param {Object} transaction - Transaction the refund belongs to
+ * @param {Object} refund - Refund entry
+ */
+export async function sendAdminRefundFailedNotification(transaction, refund) {
+  try {
+    const emailContent = ADMIN_REFUND_FAILED_EMAIL(
+      refund,
+      transaction.reference
+    );
+    const subject = `Refund Failed - ${transaction.reference}`;
+
+    // Fire and forget - don't await, don't block
+    sendEmail(env.EMAIL_USER, subject, emailContent).catch(error => {
+      logger.error(
+        `[orderEmailService] Refund failure notification failed for ${transaction.reference}: ${error.message}`
+      );
+    });
+    logger.info(
+      `[orderEmailService] Admin refund failure notification queued for ${transaction.reference}`
+    );
+  } catch (error) {
+    logger.error(
+      `[orderEmailService] Failed to queue refund failure notification: ${error.message}`
+    );
+  }
+}
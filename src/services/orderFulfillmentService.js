@@ -0,0 +1,106 @@
+import { createOrderFromCart } from "../models/order.model.js";
+import { updateTransactionStatus } from "../models/transaction.model.js";
+import { removeOrderedCartItems } from "../models/cart.model.js";
+import { convertReservations } from "../models/stockReservation.model.js";
+import {
+  sendAdminNewOrderNotification,
+  sendCustomerStatusUpdateNotification,
+} from "./orderEmailService.js";
+import logger from "../config/logger.js";
+
+/**
+ * Create the order described by a paid transaction's stored order data.
+ * Throws when the order can't be created (e.g. stock ran out); the caller
+ * decides how to make the customer whole.
+ * @param {Object} transaction - Transaction document
+ * @returns {Promise<Object>} Created order document
+ */
+export async function createOrderForTransaction(transaction) {
+  const { orderData, reference } = transaction;
+
+  return await createOrderFromCart(
+    transaction.user,
+    orderData.items,
+    orderData.shippingInfo,
+    orderData.totalPrice,
+    "accepted", // Default status for new orders
+    orderData.expressService || false,
+    orderData.expressFee || 0,
+    orderData.shippingFee || 0,
+    orderData.discount || null,
+    reference
+  );
+}
+
+/**
+ * Finish a paid checkout once its order exists: link the order and transaction,
+ * turn the stock hold into a real decrement, take the ordered lines out of the
+ * stored cart and notify admin and customer
+ * @param {Object} transaction - Transaction document
+ * @param {Object} order - Order created for the transaction
+ * @param {Object|null} paymentResponse - Paystack verification response (null when
+ *   gift card or store credit covered the whole order)
+ * @returns {Promise<Object>} The order, populated for display
+ */
+export async function completeOrder(
+  transaction,
+  order,
+  paymentResponse = null
+) {
+  const { reference } = transaction;
+
+  // Update order with payment reference
+  order.paymentReference = reference;
+  order.paymentStatus = "paid";
+  await order.save();
+
+  // Update transaction status and link order
+  await updateTransactionStatus(
+    reference,
+    "success",
+    order._id,
+    paymentResponse
+  );
+
+  logger.info(
+    `[orderFulfillmentService] Order created successfully for transaction: ${reference}, Order: ${order._id}`
+  );
+
+  // Stock has now been decremented for real, so the checkout hold is no longer needed
+  try {
+    await convertReservations(reference);
+  } catch (reservationError) {
+    logger.warn(
+      `[orderFulfillmentService] Failed to convert stock reservations for ${reference}: ${reservationError.message}`
+    );
+  }
+
+  // Take the ordered lines out of the stored cart; anything the shopper
+  // added while paying stays
+  if (transaction.orderData.fromCart) {
+    try {
+      await removeOrderedCartItems(
+        transaction.user._id || transaction.user,
+        transaction.orderData.items
+      );
+    } catch (cartError) {
+      logger.warn(
+        `[orderFulfillmentService] Failed to remove ordered items from cart after order ${order._id}: ${cartError.message}`
+      );
+    }
+  }
+
+  // Populate order for email notification (no extra query needed)
+  await order.populate([
+    { path: "items.product", select: "name slug images price" },
+    { path: "user", select: "displayName email" },
+  ]);
+
+  // Send admin notification asynchronously
+  sendAdminNewOrderNotification(order);
+
+  // Send customer confirmation email (status: accepted)
+  sendCustomerStatusUpdateNotification(order);
+
+  return order;
+}
@@ -0,0 +1,375 @@
+import {
+  getTransactionByReference,
+  updateTransactionStatus,
+  updateTransactionRefund,
+  claimTransactionForFulfillment,
+  releaseTransactionClaim,
+  markUnfulfilledTransactionFailed,
+} from "../models/transaction.model.js";
+import { updateOrderRefund } from "../models/order.model.js";
+import {
+  reserveStock,
+  releaseReservations,
+} from "../models/stockReservation.model.js";
+import { getPaymentGateway } from "./paymentGateway.js";
+import {
+  issueRefund,
+  getProcessedRefundTotal,
+  getPaymentStatusAfterRefunds,
+} from "./refundService.js";
+import {
+  releaseStoredValue,
+  hasReleasedStoredValue,
+} from "./storedValueService.js";
+import {
+  createOrderForTransaction,
+  completeOrder,
+} from "./orderFulfillmentService.js";
+import {
+  sendCustomerRefundNotification,
+  sendAdminRefundFailedNotification,
+} from "./orderEmailService.js";
+import logger from "../config/logger.js";
+
+// How long one caller may spend turning a payment into an order before
+// another may take over (see claimTransactionForFulfillment)
+const FULFILLMENT_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Apply a payment gateway event (Paystack event names and payloads).
+ * Throws if the event could not be applied so the caller can retry it;
+ * every handler is idempotent, so applying an event twice is safe.
+ * @param {string} event - Event type (e.g. "charge.success")
+ * @param {Object} data - Event data
+ * @returns {Promise<boolean>} Whether the event type is one the store acts on
+ */
+export async function handlePaymentEvent(event, data) {
+  switch (event) {
+    case "charge.success":
+      await handleSuccessfulPayment(data);
+      return true;
+
+    case "charge.failed":
+      await handleFailedPayment(data);
+      return true;
+
+    case "refund.processed":
+      await handleRefundEvent(data, "processed");
+      return true;
+
+    case "refund.failed":
+      await handleRefundEvent(data, "failed");
+      return true;
+
+    default:
+      logger.info(`[paymentEventService] Unhandled event type: ${event}`);
+      return false;
+  }
+}
+
+/**
+ * Whether a transaction has already been settled (order created, or refunded
+ * because no order could be), logging why it is skipped
+ * @param {Object} transaction - Transaction document
+ * @returns {boolean}
+ */
+function isAlreadyFulfilled(transaction) {
+  const { reference } = transaction;
+
+  // Idempotent check: if order already exists, return early to prevent duplicates
+  if (transaction.order) {
+    logger.info(
+      `[paymentEventService] Order already exists for transaction: ${reference}, Order: ${transaction.order}`
+    );
+    return true;
+  }
+
+  // Idempotent check: the payment was already refunded because no order could be created
+  if (transaction.refunds.length > 0) {
+    logger.info(
+      `[paymentEventService] Refund already issued for transaction: ${reference}`
+    );
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Handle successful payment. The webhook inbox, manual verification and
+ * reconciliation can all call this for the same reference, so the transaction
+ * is claimed first; a caller that finds it claimed elsewhere gets an error and
+ * retries later (by then the order exists and it returns early).
+ * @param {Object} data - Paystack event data
+ */
+export async function handleSuccessfulPayment(data) {
+  const { reference, amount } = data;
+  let claimed = false;
+
+  try {
+    // Get transaction from database
+    const current = await getTransactionByReference(reference);
+
+    if (!current) {
+      logger.warn(
+        `[paymentEventService] Transaction not found for reference: ${reference}`
+      );
+      return;
+    }
+    if (isAlreadyFulfilled(current)) return;
+
+    const transaction = await claimTransactionForFulfillment(
+      reference,
+      FULFILLMENT_LOCK_MS
+    );
+    if (!transaction) {
+      // Settled between the read and the claim, or someone else holds it
+      const latest = await getTransactionByReference(reference);
+      if (isAlreadyFulfilled(latest)) return;
+      throw new Error(`Transaction ${reference} is already being fulfilled`);
+    }
+    claimed = true;
+
+    // Verify amount matches
+    if (transaction.amount !== amount) {
+      logger.warn(
+        `[paymentEventService] Amount mismatch for reference: ${reference}. Expected: ${transaction.amount}, Received: ${amount}`
+      );
+      await updateTransactionStatus(reference, "failed");
+      await releaseReservations(reference);
+      await releaseStoredValue(reference);
+      return;
+    }
+
+    // Double verification with the gateway that took the payment
+    const verificationResult = await getPaymentGateway(
+      transaction.gateway
+    ).verifyTransaction(reference);
+
+    if (
+      !verificationResult.status ||
+      verificationResult.data.status !== "success"
+    ) {
+      logger.warn(
+        `[paymentEventService] Payment verification failed for reference: ${reference}`
+      );
+      await updateTransactionStatus(reference, "failed");
+      await releaseReservations(reference);
+      await releaseStoredValue(reference);
+      return;
+    }
+
+    // A checkout that failed or timed out gave its gift card / store credit
+    // back, so the order can no longer be paid in full; return the gateway
+    // part instead. Checked whatever the status: a late charge.success can
+    // follow charge.failed as well as an expired hold.
+    if (await hasReleasedStoredValue(reference)) {
+      await refundUnfulfillablePayment(
+        transaction,
+        verificationResult,
+        new Error("Gift card or store credit was returned before payment"),
+        "Your checkout ended before payment completed, so the gift card or store credit it used was returned."
+      );
+      return;
+    }
+
+    // A failed or timed-out checkout's stock hold was released and other
+    // shoppers may hold those units now; hold them again before ordering
+    if (["failed", "abandoned"].includes(transaction.status)) {
+      const hold = await reserveStock(transaction, transaction.orderData.items);
+      if (!hold.valid) {
+        await refundUnfulfillablePayment(
+          transaction,
+          verificationResult,
+          new Error(hold.errors.join("; "))
+        );
+        return;
+      }
+    }
+
+    // Create order using stored order data
+    let order;
+    try {
+      order = await createOrderForTransaction(transaction);
+    } catch (orderError) {
+      // Another caller already created this payment's order (unique paymentReference)
+      if (orderError.code === 11000) {
+        logger.info(
+          `[paymentEventService] Order already exists for transaction: ${reference}`
+        );
+        return;
+      }
+
+      // The customer has paid but we can't fulfil the order (e.g. stock ran out)
+      await refundUnfulfillablePayment(
+        transaction,
+        verificationResult,
+        orderError
+      );
+      return;
+    }
+
+    await completeOrder(transaction, order, verificationResult);
+  } catch (error) {
+    logger.error(
+      `[paymentEventService] Error handling successful payment: ${error.message}`
+    );
+    throw error;
+  } finally {
+    if (claimed) {
+      await releaseTransactionClaim(reference).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Refund a verified payment that could not be turned into an order
+ * @param {Object} transaction - Transaction document
+ * @param {Object} verificationResult - Paystack verification response
+ * @param {Error} orderError - Why the order could not be created
+ * @param {string} reason - Refund reason shown to the customer
+ */
+async function refundUnfulfillablePayment(
+  transaction,
+  verificationResult,
+  orderError,
+  reason = "One or more items in your order became unavailable before it could be confirmed."
+) {
+  const { reference } = transaction;
+
+  logger.error(
+    `[paymentEventService] Order creation failed for paid transaction: ${reference}. Refunding. Reason: ${orderError.message}`
+  );
+
+  // Money was taken, so the transaction itself succeeded
+  await updateTransactionStatus(reference, "success", null, verificationResult);
+  await releaseReservations(reference);
+  await releaseStoredValue(reference);
+
+  const refund = await issueRefund(transaction, {
+    reason,
+    transactionUpdates: { orderError: orderError.message },
+  });
+  if (!refund) return;
+
+  sendCustomerRefundNotification(transaction, refund);
+}
+
+/**
+ * Handle refund.processed / refund.failed events
+ * @param {Object} data - Paystack event data
+ * @param {string} status - New refund status ("processed" or "failed")
+ */
+async function handleRefundEvent(data, status) {
+  try {
+    const reference = data.transaction_reference || data.transaction?.reference;
+
+    const transaction = await getTransactionByReference(reference);
+    if (!transaction) {
+      logger.warn(
+        `[paymentEventService] Transaction not found for refund reference: ${reference}`
+      );
+      return;
+    }
+
+    // Match by Paystack refund id, falling back to the oldest refund still pending
+    const refundId = data.id ? String(data.id) : null;
+    const refund =
+      transaction.refunds.find(r => refundId && r.refundId === refundId) ||
+      transaction.refunds.find(r => r.status === "pending");
+
+    if (!refund) {
+      logger.warn(
+        `[paymentEventService] No pending refund found for transaction: ${reference}`
+      );
+      return;
+    }
+
+    // Idempotent check: webhook may be delivered more than once
+    if (refund.status === status) {
+      logger.info(
+        `[paymentEventService] Refund ${refund._id} already ${status} for transaction: ${reference}`
+      );
+      return;
+    }
+
+    const updates =
+      status === "processed"
+        ? { status, processedAt: new Date() }
+        : { status, failureReason: data.message || "Refund failed" };
+
+    const updatedTransaction = await updateTransactionRefund(
+      reference,
+      refund._id,
+      updates
+    );
+
+    const fullyRefunded =
+      status === "processed" &&
+      getProcessedRefundTotal(updatedTransaction.refunds) >= transaction.amount;
+
+    if (fullyRefunded) {
+      await updateTransactionStatus(reference, "refunded");
+    }
+
+    if (transaction.order) {
+      // A failed refund no longer counts against the order's payment
+      await updateOrderRefund(
+        transaction.order,
+        refund._id,
+        updates,
+        getPaymentStatusAfterRefunds(
+          transaction.amount,
+          updatedTransaction.refunds
+        )
+      );
+    }
+
+    logger.info(
+      `[paymentEventService] Refund ${refund._id} ${status} for transaction: ${reference}`
+    );
+
+    const updatedRefund = updatedTransaction.refunds.id(refund._id);
+    if (status === "processed") {
+      sendCustomerRefundNotification(updatedTransaction, updatedRefund);
+    } else {
+      sendAdminRefundFailedNotification(updatedTransaction, updatedRefund);
+    }
+  } catch (error) {
+    logger.error(
+      `[paymentEventService] Error handling refund event: ${error.message}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Handle failed payment
+ * @param {Object} data - Paystack event data
+ */
+async function handleFailedPayment(data) {
+  try {
+    const { reference } = data;
+
+    // Mark the checkout failed and give back the held stock and credit, unless
+    // it was already paid for (a late or replayed charge.failed)
+    const transaction = await markUnfulfilledTransactionFailed(reference);
+    if (!transaction) {
+      logger.info(
+        `[paymentEventService] Ignoring charge.failed for settled transaction: ${reference}`
+      );
+      return;
+    }
+    await releaseReservations(reference);
+    await releaseStoredValue(reference);
+
+    logger.info(
+      `[paymentEventService] Payment failed for transaction: ${reference}`
+    );
+  } catch (error) {
+    logger.error(
+      `[paymentEventService] Error handling failed payment: ${error.message}`
+    );
+    throw error;
+  }
+}
@@ -94,6 +94,46 @@ export async function verifyTransaction(reference) {
   }
 }
 
+/**
+ * Refund a transaction (fully or partially) with Paystack
+ * @param {string} reference - Reference of the transaction to refund
+ * @param {number} [amount] - Amount in pesewas; omit to refund the full transaction
+ * @param {string} [customerNote] - Reason shown to the customer
+ * @returns {Promise<object>} Paystack refund response
+ */
+export async function createRefund(reference, amount, customerNote) {
+  try {
+    const response = await axios.post(
+      `${PAYSTACK_BASE_URL}/refund`,
+      {
+        transaction: reference,
+        ...(amount && { amount }),
+        ...(customerNote && { customer_note: customerNote }),
+        currency: "GHS",
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${env.PAYSTACK_SECRET_KEY}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (response.data.status) {
+      logger.info(`[paystackService] Refund created for: ${reference}`);
+      return response.data;
+    } else {
+      throw new Error(response.data.message || "Failed to create refund");
+    }
+  } catch (error) {
+    logger.error(`[paystackService] Error creating refund: ${error.message}`);
+    if (error.response?.data?.message) {
+      throw new Error(error.response.data.message);
+    }
+    throw new Error("Failed to create refund with Paystack");
+  }
+}
+
 /**
  * Verify Paystack webhook signature
  * @param {string} signature - Paystack signature from headers
@@ -107,7 +147,14 @@ export function verifyWebhookSignature(signature, body) {
       .update(body)
       .digest("hex");
 
-    return hash === signature;
+    const expected = Buffer.from(hash);
+    const received = Buffer.from(String(signature ?? ""));
+
+    // Constant-time comparison so the signature can't be guessed byte by byte
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
   } catch (error) {
     logger.error(
       `[paystackService] Error verifying webhook signature: ${error.message}`
@@ -115,32 +162,3 @@ export function verifyWebhookSignature(signature, body) {
     return false;
   }
 }
-
-/**
- * Generate a unique transaction reference
- * @param {string} userId - User ID
- * @returns {string} Unique reference
- */
-export function generateTransactionReference(userId) {
-  const timestamp = Date.now();
-  const randomSuffix = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `MISQ_${timestamp}_${userId}_${randomSuffix}`;
-}
-
-/**
- * Convert Ghana Cedis to pesewas
- * @param {number} cedis - Amount in Ghana Cedis
- * @returns {number} Amount in pesewas
- */
-export function convertToPesewas(cedis) {
-  return Math.round(cedis * 100);
-}
-
-/**
- * Convert pesewas to Ghana Cedis
- * @param {number} pesewas - Amount in pesewas
- * @returns {number} Amount in Ghana Cedis
- */
-export function convertToCedis(pesewas) {
-  return pesewas / 100;
-}
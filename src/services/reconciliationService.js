@@ -0,0 +1,185 @@
+import {
+  getTransactionsToReconcile,
+  getTransactionByReference,
+  markTransactionsAbandoned,
+  markTransactionReconciled,
+} from "../models/transaction.model.js";
+import { releaseReservations } from "../models/stockReservation.model.js";
+import { createReconciliationReport } from "../models/reconciliationReport.model.js";
+import { getPaymentGateway } from "./paymentGateway.js";
+import { handlePaymentEvent } from "./paymentEventService.js";
+import { releaseStoredValue } from "./storedValueService.js";
+import {
+  RECONCILIATION_OUTCOMES,
+  RECONCILE_AFTER_MS,
+  ABANDON_AFTER_MS,
+  RECONCILIATION_BATCH_SIZE,
+} from "../constants/reconciliation.js";
+import logger from "../config/logger.js";
+
+const RECONCILE_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Gateway statuses that mean the payment will never go through
+const FAILED_GATEWAY_STATUSES = ["failed", "reversed"];
+
+let reconcileTimer = null;
+let running = false;
+
+/**
+ * Give up on a transaction that was never paid: abandon it and return the
+ * stock and any gift card or store credit it held
+ * @param {string} reference - Transaction reference
+ */
+async function abandonTransaction(reference) {
+  await markTransactionsAbandoned([reference]);
+  await releaseReservations(reference);
+  await releaseStoredValue(reference);
+}
+
+/**
+ * Ask the gateway what happened to one stuck transaction and settle it the way
+ * its webhook would have
+ * @param {Object} transaction - Pending or abandoned transaction without an order
+ * @returns {Promise<Object>} Report item ({ transaction, reference, previousStatus, gatewayStatus, outcome, error })
+ */
+async function reconcileTransaction(transaction) {
+  const { reference } = transaction;
+  const item = {
+    transaction: transaction._id,
+    reference,
+    previousStatus: transaction.status,
+    gatewayStatus: null,
+    outcome: "pending",
+    error: null,
+  };
+  const tooOld =
+    Date.now() - transaction.createdAt.getTime() >= ABANDON_AFTER_MS;
+
+  try {
+    let verificationResult;
+    try {
+      verificationResult = await getPaymentGateway(
+        transaction.gateway
+      ).verifyTransaction(reference);
+    } catch (error) {
+      // The gateway can't find it (or is down); after long enough, stop asking
+      if (!tooOld) throw error;
+      item.error = error.message;
+    }
+
+    const data = verificationResult?.data;
+    item.gatewayStatus = data?.status || null;
+
+    if (verificationResult?.status && data.status === "success") {
+      // Claims the transaction first, so a webhook or verifyPayment running
+      // now can't create a second order; if one of them holds the claim this
+      // throws and the transaction is checked again on the next run
+      await handlePaymentEvent("charge.success", data);
+      const updated = await getTransactionByReference(reference);
+      if (updated.order) {
+        item.outcome = "converted";
+      } else if (updated.refunds.length > 0) {
+        item.outcome = "refunded";
+      } else {
+        item.outcome = updated.status === "failed" ? "failed" : "pending";
+      }
+    } else if (FAILED_GATEWAY_STATUSES.includes(data?.status)) {
+      await handlePaymentEvent("charge.failed", data);
+      item.outcome = "failed";
+    } else if (data?.status === "abandoned" || tooOld) {
+      await abandonTransaction(reference);
+      item.outcome = "abandoned";
+    }
+
+    if (item.outcome !== "pending") {
+      await markTransactionReconciled(reference);
+    }
+  } catch (error) {
+    logger.warn(
+      `[reconciliationService] Could not reconcile transaction ${reference}: ${error.message}`
+    );
+    item.outcome = "error";
+    item.error = error.message;
+  }
+
+  return item;
+}
+
+/**
+ * Check pending transactions that are older than RECONCILE_AFTER_MS (and
+ * abandoned ones never checked) with their gateway, settle them and save a
+ * report. Scheduled runs that find nothing to check don't save a report.
+ * @param {Object} [options]
+ * @param {string} [options.trigger="scheduled"] - "scheduled" or "manual"
+ * @param {string} [options.triggeredBy] - Admin who started a manual run
+ * @returns {Promise<Object|null>} Saved report; null if there was nothing
+ *          to report or another run is still going
+ */
+export async function reconcilePendingTransactions({
+  trigger = "scheduled",
+  triggeredBy = null,
+} = {}) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const startedAt = new Date();
+    const transactions = await getTransactionsToReconcile(
+      new Date(startedAt.getTime() - RECONCILE_AFTER_MS),
+      RECONCILIATION_BATCH_SIZE
+    );
+    if (transactions.length === 0 && trigger === "scheduled") return null;
+
+    const items = [];
+    for (const transaction of transactions) {
+      items.push(await reconcileTransaction(transaction));
+    }
+
+    const counts = Object.fromEntries(
+      RECONCILIATION_OUTCOMES.map(outcome => [
+        outcome,
+        items.filter(item => item.outcome === outcome).length,
+      ])
+    );
+
+    const report = await createReconciliationReport({
+      trigger,
+      triggeredBy,
+      startedAt,
+      finishedAt: new Date(),
+      checked: items.length,
+      counts,
+      items,
+    });
+
+    logger.info(
+      `[reconciliationService] Reconciled ${items.length} transactions (${counts.converted} converted, ${counts.abandoned} abandoned, ${counts.error} errors)`
+    );
+    return report;
+  } catch (error) {
+    logger.error(
+      `[reconciliationService] Failed to reconcile transactions: ${error.message}`
+    );
+    if (trigger === "manual") throw error;
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic reconciliation of stuck transactions
+ * Safe to call more than once; only one timer is ever scheduled
+ */
+export function startReconciliationWorker() {
+  if (reconcileTimer) return;
+
+  reconcileTimer = setInterval(
+    reconcilePendingTransactions,
+    RECONCILE_INTERVAL_MS
+  );
+  // Don't keep the process alive just for the worker
+  reconcileTimer.unref();
+
+  logger.info("[reconciliationService] Reconciliation worker started");
+}
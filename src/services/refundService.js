@@ -0,0 +1,172 @@
+import { Types } from "mongoose";
+import { getPaymentGateway } from "./paymentGateway.js";
+import {
+  addTransactionRefund,
+  updateTransactionRefund,
+} from "../models/transaction.model.js";
+import { addOrderRefund } from "../models/order.model.js";
+import logger from "../config/logger.js";
+
+/**
+ * Sum the refunds Paystack has confirmed for a transaction or order
+ * @param {Array} refunds - Refund entries
+ * @returns {number} Refunded amount in pesewas
+ */
+export function getProcessedRefundTotal(refunds = []) {
+  return refunds
+    .filter(refund => refund.status === "processed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+/**
+ * Sum the refunds that have been requested and not failed (pending or processed)
+ * @param {Array} refunds - Refund entries
+ * @returns {number} Committed refund amount in pesewas
+ */
+export function getCommittedRefundTotal(refunds = []) {
+  return refunds
+    .filter(refund => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+/**
+ * Work out an order's payment status from its refund ledger
+ * @param {number} paidAmount - Amount paid in pesewas
+ * @param {Array} refunds - Refund entries
+ * @returns {string} "paid", "partially_refunded" or "refunded"
+ */
+export function getPaymentStatusAfterRefunds(paidAmount, refunds = []) {
+  const committed = getCommittedRefundTotal(refunds);
+  if (committed >= paidAmount) return "refunded";
+  if (committed > 0) return "partially_refunded";
+  return "paid";
+}
+
+/**
+ * List the order lines that can still be refunded, grouped by product and size.
+ * Quantities covered by earlier (non-failed) refunds are subtracted.
+ * @param {Object} order - Order document
+ * @returns {Map<string, {product: string, size: string, price: number, quantity: number}>}
+ *          Keyed by `${productId}:${size}`
+ */
+export function getRefundableItems(order) {
+  const refundable = new Map();
+
+  for (const item of order.items) {
+    const productId = (item.product._id || item.product).toString();
+    const key = `${productId}:${item.size}`;
+    const entry = refundable.get(key) || {
+      product: productId,
+      size: item.size,
+      price: item.price,
+      quantity: 0,
+    };
+    entry.quantity += item.quantity;
+    refundable.set(key, entry);
+  }
+
+  for (const refund of order.refunds) {
+    if (refund.status === "failed") continue;
+    for (const item of refund.items) {
+      const entry = refundable.get(`${item.product}:${item.size}`);
+      if (entry) entry.quantity -= item.quantity;
+    }
+  }
+
+  return refundable;
+}
+
+/**
+ * Record a refund on the transaction, request it from the payment gateway and
+ * add it to the transaction's order, if one was created.
+ * The refund is recorded before the gateway is called so that concurrent requests
+ * can never refund more than was paid.
+ * @param {Object} transaction - Transaction document to refund
+ * @param {Object} options
+ * @param {number} [options.amount] - Amount in pesewas (defaults to the full transaction)
+ * @param {string} [options.reason] - Why the refund was issued (shown to the customer)
+ * @param {string|null} [options.initiatedBy] - Admin user ID, null for automatic refunds
+ * @param {Array} [options.items] - Order lines covered by the refund ({ product, size, quantity })
+ * @param {boolean} [options.restocked] - Whether the refunded items are returned to stock
+ * @param {Object} [options.transactionUpdates] - Extra fields to set on the transaction
+ * @returns {Promise<Object|null>} The recorded refund entry, or null if the amount
+ *          is more than is left to refund
+ */
+export async function issueRefund(
+  transaction,
+  {
+    amount = transaction.amount,
+    reason = "",
+    initiatedBy = null,
+    items = [],
+    restocked = false,
+    transactionUpdates = {},
+  } = {}
+) {
+  const { reference } = transaction;
+
+  const refund = {
+    // Same _id on the transaction and order entries so webhooks can update both
+    _id: new Types.ObjectId(),
+    refundId: null,
+    amount,
+    status: "pending",
+    reason,
+    initiatedBy,
+    items,
+    restocked,
+  };
+
+  const recorded = await addTransactionRefund(
+    reference,
+    refund,
+    transactionUpdates
+  );
+  if (!recorded) {
+    logger.warn(
+      `[refundService] Refund of ${amount} pesewas for ${reference} exceeds what is left to refund`
+    );
+    return null;
+  }
+
+  let response;
+  try {
+    response = await getPaymentGateway(transaction.gateway).createRefund(
+      reference,
+      amount < transaction.amount ? amount : undefined,
+      reason
+    );
+  } catch (error) {
+    // Frees the amount again so the refund can be retried
+    await updateTransactionRefund(reference, refund._id, {
+      status: "failed",
+      failureReason: error.message,
+    });
+    throw error;
+  }
+
+  if (response.data?.id) {
+    refund.refundId = String(response.data.id);
+    await updateTransactionRefund(reference, refund._id, {
+      refundId: refund.refundId,
+    });
+  }
+
+  if (transaction.order) {
+    const paymentStatus = getPaymentStatusAfterRefunds(
+      recorded.amount,
+      recorded.refunds
+    );
+    await addOrderRefund(
+      transaction.order._id || transaction.order,
+      refund,
+      paymentStatus
+    );
+  }
+
+  logger.info(
+    `[refundService] Refund ${refund.refundId} of ${amount} pesewas requested for ${reference}`
+  );
+
+  return refund;
+}
@@ -0,0 +1,113 @@
+import env from "../config/env.js";
+import logger from "../config/logger.js";
+import { sendEmail } from "./emailService.js";
+import { getPurchasableProducts } from "../models/product.model.js";
+import {
+  getProductsWithPendingAlerts,
+  claimPendingAlerts,
+} from "../models/stockAlert.model.js";
+import { withAvailableStock } from "../models/stockReservation.model.js";
+import {
+  BACK_IN_STOCK_EMAIL,
+  STOCK_ALERT_CONFIRM_EMAIL,
+} from "../constants/emailTemplates.js";
+import { withEffectivePrice } from "../utils/productPricing.js";
+
+/**
+ * Link that cancels a back-in-stock alert
+ * @param {string} token - Alert's unsubscribe token
+ * @returns {string} Unsubscribe URL
+ */
+export function getStockAlertUnsubscribeUrl(token) {
+  return `${env.BASE_URL}${env.API_PREFIX}/products/notify-me/unsubscribe?token=${token}`;
+}
+
+/**
+ * Link that confirms a back-in-stock alert asked for on someone else's behalf
+ * @param {string} token - Alert's token
+ * @returns {string} Confirmation URL
+ */
+export function getStockAlertConfirmUrl(token) {
+  return `${env.BASE_URL}${env.API_PREFIX}/products/notify-me/confirm?token=${token}`;
+}
+
+/**
+ * Ask the owner of an address to confirm a back-in-stock alert before it is armed.
+ * Fire and forget: a failed email only leaves the alert unconfirmed.
+ * @param {Object} alert - Unconfirmed alert
+ * @param {Object} product - Product the alert is for
+ */
+export function sendStockAlertConfirmation(alert, product) {
+  sendEmail(
+    alert.email,
+    `Confirm your alert for ${product.name}`,
+    STOCK_ALERT_CONFIRM_EMAIL(
+      product,
+      getStockAlertConfirmUrl(alert.unsubscribeToken)
+    )
+  ).catch(error => {
+    logger.error(
+      `[stockAlertService] Confirmation email failed for alert ${alert._id}: ${error.message}`
+    );
+  });
+}
+
+/**
+ * Email everyone waiting for any of the given products that is purchasable and
+ * has stock again (net of units held by pending checkouts). Call it after stock has been raised (product update, cancelled
+ * order, restocking refund); products still sold out keep their alerts.
+ *
+ * Never throws: the restock that triggered it has already happened.
+ * @param {Array} productIds - Products whose stock may have gone up
+ * @returns {Promise<number>} Number of emails queued
+ */
+export async function notifyBackInStock(productIds) {
+  try {
+    const waitedFor = await getProductsWithPendingAlerts(
+      productIds.map(id => id.toString())
+    );
+    if (waitedFor.length === 0) return 0;
+
+    const products = (
+      await withAvailableStock(await getPurchasableProducts(waitedFor))
+    )
+      .filter(product => product.stock > 0)
+      .map(product => withEffectivePrice(product));
+
+    let queued = 0;
+    for (const product of products) {
+      const alerts = await claimPendingAlerts(product._id);
+      const productUrl = `${env.CLIENT_URL}/products/${product.slug}`;
+
+      for (const alert of alerts) {
+        const emailContent = BACK_IN_STOCK_EMAIL(
+          product,
+          productUrl,
+          getStockAlertUnsubscribeUrl(alert.unsubscribeToken)
+        );
+
+        // Fire and forget - don't await, don't block
+        sendEmail(
+          alert.email,
+          `${product.name} is back in stock`,
+          emailContent
+        ).catch(error => {
+          logger.error(
+            `[stockAlertService] Back-in-stock email failed for alert ${alert._id}: ${error.message}`
+          );
+        });
+        queued += 1;
+      }
+    }
+
+    if (queued > 0) {
+      logger.info(`[stockAlertService] Queued ${queued} back-in-stock emails`);
+    }
+    return queued;
+  } catch (error) {
+    logger.error(
+      `[stockAlertService] Failed to send back-in-stock emails: ${error.message}`
+    );
+    return 0;
+  }
+}
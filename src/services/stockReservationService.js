@@ -0,0 +1,100 @@
+import {
+  releaseExpiredReservations,
+  releaseReservations,
+} from "../models/stockReservation.model.js";
+import {
+  markTransactionsAbandoned,
+  filterTransactionReferencesByStatus,
+  getPendingTransactionReferencesByUser,
+  getStalePendingTransactionReferences,
+} from "../models/transaction.model.js";
+import { releaseStoredValue } from "./storedValueService.js";
+import env from "../config/env.js";
+import logger from "../config/logger.js";
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+let sweepTimer = null;
+
+/**
+ * Release stock held by checkouts that timed out, mark their
+ * still-pending transactions as abandoned and return any gift card or
+ * store credit they had spent
+ * @returns {Promise<number>} Number of transactions whose holds were released
+ */
+export async function sweepExpiredReservations() {
+  try {
+    const expired = await releaseExpiredReservations();
+
+    // Checkouts that hold nothing (only waitlisted made-to-measure lines) have no
+    // reservation to lapse, so they time out by age after the same hold period
+    const stale = await getStalePendingTransactionReferences(
+      new Date(Date.now() - env.STOCK_RESERVATION_EXPIRES_IN * 1000)
+    );
+    for (const reference of stale) {
+      await releaseReservations(reference);
+    }
+
+    const references = [...new Set([...expired, ...stale])];
+    if (references.length === 0) return 0;
+
+    const abandoned = await markTransactionsAbandoned(references);
+
+    // Give back gift card / store credit spent on checkouts that were never paid
+    const abandonedReferences = await filterTransactionReferencesByStatus(
+      references,
+      "abandoned"
+    );
+    for (const reference of abandonedReferences) {
+      await releaseStoredValue(reference);
+    }
+
+    logger.info(
+      `[stockReservationService] Released expired stock holds for ${references.length} checkouts (${abandoned} transactions abandoned)`
+    );
+    return references.length;
+  } catch (error) {
+    logger.error(
+      `[stockReservationService] Failed to sweep expired reservations: ${error.message}`
+    );
+    return 0;
+  }
+}
+
+/**
+ * Abandon a shopper's earlier checkouts that were never paid, giving back their
+ * stock holds and any gift card or store credit, so a new checkout (e.g. after
+ * closing the payment tab) isn't blocked by the shopper's own holds. A late
+ * payment for one of them is refunded or re-held by handleSuccessfulPayment.
+ * @param {string} userId - Shopper starting a new checkout
+ * @returns {Promise<number>} Number of checkouts abandoned
+ */
+export async function releaseSupersededCheckouts(userId) {
+  const references = await getPendingTransactionReferencesByUser(userId);
+  if (references.length === 0) return 0;
+
+  const abandoned = await markTransactionsAbandoned(references);
+  for (const reference of references) {
+    await releaseReservations(reference);
+    await releaseStoredValue(reference);
+  }
+
+  logger.info(
+    `[stockReservationService] Released ${references.length} earlier checkouts for user ${userId}`
+  );
+  return abandoned;
+}
+
+/**
+ * Start the periodic sweep of expired stock reservations
+ * Safe to call more than once; only one timer is ever scheduled
+ */
+export function startReservationSweeper() {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(sweepExpiredReservations, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+
+  logger.info("[stockReservationService] Reservation sweeper started");
+}
@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import {
+  getGiftCardByCode,
+  adjustGiftCardBalance,
+} from "../models/giftCard.model.js";
+import {
+  getWalletByUser,
+  creditWallet,
+  debitWallet,
+} from "../models/wallet.model.js";
+import { getLedgerEntriesByReference } from "../models/creditLedger.model.js";
+import logger from "../config/logger.js";
+
+// No 0/O or 1/I so codes survive being read out or typed from a printed card
+const GIFT_CARD_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generate a random gift card code, e.g. "GIFT-7KQ2-M9XD-PT4H"
+ * @returns {string} Gift card code
+ */
+export function generateGiftCardCode() {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map(
+    byte => GIFT_CARD_CODE_ALPHABET[byte % GIFT_CARD_CODE_ALPHABET.length]
+  );
+  const groups = [0, 4, 8].map(start => chars.slice(start, start + 4).join(""));
+  return `GIFT-${groups.join("-")}`;
+}
+
+/**
+ * Check that a gift card code can be spent right now
+ * @param {string} code - Gift card code
+ * @returns {Promise<{valid: boolean, error?: string, giftCard?: Object}>}
+ */
+export async function checkGiftCard(code) {
+  const giftCard = await getGiftCardByCode(code);
+  if (!giftCard || !giftCard.isActive) {
+    return { valid: false, error: "Invalid gift card code" };
+  }
+  if (giftCard.expiresAt && giftCard.expiresAt <= new Date()) {
+    return { valid: false, error: "This gift card has expired" };
+  }
+  if (giftCard.balance <= 0) {
+    return { valid: false, error: "This gift card has no balance left" };
+  }
+  return { valid: true, giftCard };
+}
+
+/**
+ * Work out what a gift card and/or store credit would cover on a checkout,
+ * without spending anything (used by the checkout quote)
+ * @param {Object} params
+ * @param {string} params.userId - Customer checking out
+ * @param {string} [params.giftCardCode] - Gift card to check
+ * @param {boolean} [params.useWallet] - Include store credit
+ * @param {number} params.amountDue - Order total in pesewas
+ * @returns {Promise<{giftCard: Object|null, walletBalance: number,
+ *   giftCardAmount: number, walletAmount: number, amountDue: number}>}
+ *   Amounts in pesewas; giftCard is { code, valid, reason, balance } when a code was sent
+ */
+export async function previewStoredValue({
+  userId,
+  giftCardCode,
+  useWallet,
+  amountDue,
+}) {
+  let remaining = amountDue;
+  let giftCard = null;
+  let giftCardAmount = 0;
+  let walletAmount = 0;
+
+  if (giftCardCode) {
+    const check = await checkGiftCard(giftCardCode);
+    giftCard = {
+      code: giftCardCode.toUpperCase(),
+      valid: check.valid,
+      reason: check.error || null,
+      balance: check.giftCard?.balance || 0,
+    };
+    if (check.valid) {
+      giftCardAmount = Math.min(check.giftCard.balance, remaining);
+      remaining -= giftCardAmount;
+    }
+  }
+
+  const wallet = await getWalletByUser(userId);
+  const walletBalance = wallet?.balance || 0;
+  if (useWallet) {
+    walletAmount = Math.min(walletBalance, remaining);
+    remaining -= walletAmount;
+  }
+
+  return {
+    giftCard,
+    walletBalance,
+    giftCardAmount,
+    walletAmount,
+    amountDue: remaining,
+  };
+}
+
+/**
+ * Spend a gift card and/or the customer's store credit on a checkout, gift card
+ * first. Whatever they don't cover is left for Paystack. The amounts are taken
+ * straight away and given back by releaseStoredValue if the payment never completes.
+ * @param {Object} params
+ * @param {string} params.userId - Customer checking out
+ * @param {string} [params.giftCardCode] - Gift card to spend
+ * @param {boolean} [params.useWallet] - Spend store credit
+ * @param {number} params.amountDue - Order total in pesewas
+ * @param {string} params.reference - Transaction reference the spend belongs to
+ * @returns {Promise<{valid: boolean, error?: string, giftCardCode?: string,
+ *   giftCardAmount?: number, walletAmount?: number, amountDue?: number}>}
+ *   Amounts in pesewas; amountDue is what is left for Paystack
+ */
+export async function applyStoredValue({
+  userId,
+  giftCardCode,
+  useWallet,
+  amountDue,
+  reference,
+}) {
+  let remaining = amountDue;
+  let giftCardAmount = 0;
+  let walletAmount = 0;
+  let giftCard = null;
+
+  if (giftCardCode) {
+    const check = await checkGiftCard(giftCardCode);
+    if (!check.valid) return check;
+    giftCard = check.giftCard;
+
+    giftCardAmount = Math.min(giftCard.balance, remaining);
+    const debited = await adjustGiftCardBalance(
+      giftCard._id,
+      "debit",
+      giftCardAmount,
+      { user: userId, reason: "checkout", reference }
+    );
+    if (!debited) {
+      return {
+        valid: false,
+        error: "Gift card balance changed, please try again",
+      };
+    }
+    remaining -= giftCardAmount;
+  }
+
+  if (useWallet && remaining > 0) {
+    const wallet = await getWalletByUser(userId);
+    walletAmount = Math.min(wallet?.balance || 0, remaining);
+
+    if (walletAmount > 0) {
+      const debited = await debitWallet(userId, walletAmount, {
+        reason: "checkout",
+        reference,
+      });
+      if (!debited) {
+        await releaseStoredValue(reference);
+        return {
+          valid: false,
+          error: "Store credit balance changed, please try again",
+        };
+      }
+      remaining -= walletAmount;
+    }
+  }
+
+  return {
+    valid: true,
+    giftCardCode: giftCard?.code || null,
+    giftCardAmount,
+    walletAmount,
+    amountDue: remaining,
+  };
+}
+
+/**
+ * Give back the gift card and store credit spent on a checkout whose payment
+ * failed or was abandoned. Safe to call more than once: each balance is only
+ * released once (enforced by the ledger's unique index).
+ * @param {string} reference - Transaction reference
+ * @returns {Promise<number>} Number of balances released
+ */
+export async function releaseStoredValue(reference) {
+  const entries = await getLedgerEntriesByReference(reference);
+  const spent = entries.filter(entry => entry.reason === "checkout");
+  if (spent.length === 0) return 0;
+
+  const accountKey = entry => `${entry.wallet || ""}:${entry.giftCard || ""}`;
+  const released = new Set(
+    entries.filter(entry => entry.reason === "checkout_release").map(accountKey)
+  );
+
+  let count = 0;
+  for (const entry of spent) {
+    if (released.has(accountKey(entry))) continue;
+
+    const ledgerEntry = { reason: "checkout_release", reference };
+    try {
+      if (entry.giftCard) {
+        await adjustGiftCardBalance(entry.giftCard, "credit", entry.amount, {
+          ...ledgerEntry,
+          user: entry.user,
+        });
+      } else {
+        await creditWallet(entry.user, entry.amount, ledgerEntry);
+      }
+      count += 1;
+    } catch (error) {
+      // Another release of the same checkout got there first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (count > 0) {
+    logger.info(
+      `[storedValueService] Released ${count} gift card/store credit holds for ${reference}`
+    );
+  }
+  return count;
+}
+
+/**
+ * Whether the gift card or store credit spent on a checkout has been given back
+ * @param {string} reference - Transaction reference
+ * @returns {Promise<boolean>}
+ */
+export async function hasReleasedStoredValue(reference) {
+  const entries = await getLedgerEntriesByReference(reference);
+  return entries.some(entry => entry.reason === "checkout_release");
+}
+
+/**
+ * Return the gift card and store credit a cancelled order was paid with to the
+ * customer as store credit (gift cards may have expired since)
+ * @param {Object} transaction - Transaction the order was paid with
+ * @returns {Promise<number>} Amount credited in pesewas
+ */
+export async function refundStoredValueToWallet(transaction) {
+  const entries = await getLedgerEntriesByReference(transaction.reference);
+  const spent = entries
+    .filter(entry => entry.reason === "checkout")
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const released = entries
+    .filter(entry => entry.reason === "checkout_release")
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const amount = spent - released;
+  if (amount <= 0 || entries.some(entry => entry.reason === "cancellation")) {
+    return 0;
+  }
+
+  try {
+    await creditWallet(transaction.user._id || transaction.user, amount, {
+      reason: "cancellation",
+      reference: transaction.reference,
+      note: "Order cancelled",
+    });
+  } catch (error) {
+    // Already credited by a concurrent cancellation
+    if (error.code !== 11000) throw error;
+    return 0;
+  }
+  return amount;
+}
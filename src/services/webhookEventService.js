@@ -0,0 +1,177 @@
+import {
+  recordWebhookEvent,
+  claimWebhookEvent,
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  getDueWebhookEventIds,
+} from "../models/webhookEvent.model.js";
+import { handlePaymentEvent } from "./paymentEventService.js";
+import {
+  MAX_WEBHOOK_ATTEMPTS,
+  WEBHOOK_RETRY_DELAYS_MS,
+} from "../constants/webhookEvents.js";
+import logger from "../config/logger.js";
+
+const RETRY_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// How long one attempt may run before another worker may take the event over
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+let retryTimer = null;
+
+/**
+ * Parse a webhook body, returning null when it isn't a gateway event
+ * @param {string} rawBody - Raw request body
+ * @returns {{event: string, data: Object}|null}
+ */
+function parseWebhookBody(rawBody) {
+  try {
+    const payload = JSON.parse(rawBody);
+    return typeof payload?.event === "string" ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record a webhook in the inbox. Signed events are queued for processing;
+ * badly signed ones are kept for inspection only.
+ * @param {Object} gateway - Payment gateway the webhook claims to come from
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Signature header
+ * @returns {Promise<{outcome: string, webhookEvent: Object}>} outcome is
+ *          "accepted", "duplicate", "rejected" (bad signature) or "malformed"
+ */
+export async function receiveWebhook(gateway, rawBody, signature) {
+  const signatureValid = gateway.verifyWebhookSignature(signature, rawBody);
+  const body = rawBody.toString("utf8");
+  const payload = parseWebhookBody(body);
+  const data = payload?.data || {};
+
+  let status = "pending";
+  let lastError = null;
+  if (!signatureValid) {
+    status = "rejected";
+  } else if (!payload) {
+    status = "failed";
+    lastError = "Malformed webhook payload";
+  }
+
+  const { webhookEvent, duplicate } = await recordWebhookEvent({
+    gateway: gateway.name,
+    event: payload?.event || null,
+    eventId: data.id ? String(data.id) : null,
+    reference:
+      data.reference ||
+      data.transaction_reference ||
+      data.transaction?.reference ||
+      null,
+    rawBody: body,
+    signature,
+    signatureValid,
+    status,
+    lastError,
+    nextAttemptAt: status === "pending" ? new Date() : null,
+  });
+
+  if (duplicate) {
+    logger.info(
+      `[webhookEventService] Duplicate ${gateway.name} ${payload.event} event ignored (id ${data.id})`
+    );
+    return { outcome: "duplicate", webhookEvent };
+  }
+
+  if (status === "rejected") return { outcome: "rejected", webhookEvent };
+  if (status === "failed") return { outcome: "malformed", webhookEvent };
+
+  logger.info(
+    `[webhookEventService] Received ${gateway.name} webhook event: ${payload.event}`
+  );
+  return { outcome: "accepted", webhookEvent };
+}
+
+/**
+ * Apply a queued webhook event. Failed attempts are retried with backoff
+ * (see WEBHOOK_RETRY_DELAYS_MS) until MAX_WEBHOOK_ATTEMPTS, after which the
+ * event is marked failed for an admin to replay. Never throws.
+ * @param {string} id - WebhookEvent ID
+ * @returns {Promise<Object|null>} The event after the attempt, or null if it
+ *          wasn't claimable (already processed, or being processed elsewhere)
+ */
+export async function processWebhookEvent(id) {
+  let webhookEvent;
+  try {
+    webhookEvent = await claimWebhookEvent(id, PROCESSING_LOCK_MS);
+    if (!webhookEvent) return null;
+
+    const payload = parseWebhookBody(webhookEvent.rawBody);
+    if (!payload) {
+      // Retrying can't make an unreadable body readable
+      return await markWebhookEventFailed(id, "Malformed webhook payload");
+    }
+    await handlePaymentEvent(payload.event, payload.data || {});
+
+    return await markWebhookEventProcessed(id);
+  } catch (error) {
+    if (!webhookEvent) {
+      logger.error(
+        `[webhookEventService] Failed to claim webhook event ${id}: ${error.message}`
+      );
+      return null;
+    }
+
+    const { attempts } = webhookEvent;
+    const retrying = attempts < MAX_WEBHOOK_ATTEMPTS;
+    const delay =
+      WEBHOOK_RETRY_DELAYS_MS[
+        Math.min(attempts, WEBHOOK_RETRY_DELAYS_MS.length) - 1
+      ];
+    logger.error(
+      `[webhookEventService] Attempt ${attempts} of ${webhookEvent.event} event ${id} failed${retrying ? "" : ", giving up"}: ${error.message}`
+    );
+
+    try {
+      return await markWebhookEventFailed(
+        id,
+        error.message,
+        retrying ? new Date(Date.now() + delay) : null
+      );
+    } catch {
+      // The claim expires on its own, so the retrier picks the event up again
+      return null;
+    }
+  }
+}
+
+/**
+ * Process every webhook event that is due for a (re)try
+ * @returns {Promise<number>} Number of events attempted
+ */
+export async function retryDueWebhookEvents() {
+  try {
+    const ids = await getDueWebhookEventIds();
+    for (const id of ids) {
+      await processWebhookEvent(id);
+    }
+    return ids.length;
+  } catch (error) {
+    logger.error(
+      `[webhookEventService] Failed to retry webhook events: ${error.message}`
+    );
+    return 0;
+  }
+}
+
+/**
+ * Start the periodic retry of webhook events
+ * Safe to call more than once; only one timer is ever scheduled
+ */
+export function startWebhookRetrier() {
+  if (retryTimer) return;
+
+  retryTimer = setInterval(retryDueWebhookEvents, RETRY_INTERVAL_MS);
+  // Don't keep the process alive just for the retrier
+  retryTimer.unref();
+
+  logger.info("[webhookEventService] Webhook retrier started");
+}
@@ -1,3 +1,5 @@
+import { EFFECTIVE_PRICE_EXPRESSION } from "./productPricing.js";
+
 export function buildProductQuery(params) {
   const {
     q,
@@ -34,10 +36,13 @@ export function buildProductQuery(params) {
   if (sortParam) {
     const sortMapping = {
       latest: { createdAt: -1 },
-      "price-low-high": { price: 1 },
-      "price-high-low": { price: -1 },
+      // effectivePrice is added by the listing pipeline (sale price while a sale runs)
+      "price-low-high": { effectivePrice: 1 },
+      "price-high-low": { effectivePrice: -1 },
       "name-a-z": { name: 1 },
       "name-z-a": { name: -1 },
+      // Ties (e.g. unreviewed products) go to the most reviewed first
+      "rating-high-low": { averageRating: -1, reviewCount: -1 },
     };
 
     if (sortMapping[sortParam]) {
@@ -78,11 +83,20 @@ export function buildProductQuery(params) {
     query.category = category;
   }
 
-  // Price range
+  // Price range, matched against the effective (sale-aware) price
   if (minPrice || maxPrice) {
-    query.price = query.price || {};
-    if (minPrice) query.price.$gte = Number(minPrice);
-    if (maxPrice) query.price.$lte = Number(maxPrice);
+    const priceBounds = [];
+    if (minPrice) {
+      priceBounds.push({
+        $gte: [EFFECTIVE_PRICE_EXPRESSION, Number(minPrice)],
+      });
+    }
+    if (maxPrice) {
+      priceBounds.push({
+        $lte: [EFFECTIVE_PRICE_EXPRESSION, Number(maxPrice)],
+      });
+    }
+    query.$expr = { $and: priceBounds };
   }
 
   return { query, projection, sort };
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { convertToPesewas } from "../services/paymentGateway.js";
+
+// A date without a time, e.g. "2026-10-19"
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Escapes text for use as a literal inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds the Transaction filter for the admin payments console from query
+ * params already checked by validateTransactionQuery.
+ * - status, gateway, user: exact match
+ * The filter works for both find() and aggregate().
+ * - from / to: createdAt range; a date-only `to` includes that whole day (UTC)
+ * - minAmount / maxAmount: amount range in GHS (stored amounts are pesewas)
+ * - reference: case-insensitive search anywhere in the reference
+ * @param {Object} params - Query params
+ * @returns {Object} MongoDB filter
+ */
+export function buildTransactionQuery(params) {
+  const { status, gateway, user, from, to, minAmount, maxAmount, reference } =
+    params;
+  const query = {};
+
+  if (status) query.status = status;
+  if (gateway) query.gateway = gateway;
+  // Cast here: aggregation pipelines don't cast strings to ObjectIds
+  if (user) query.user = new mongoose.Types.ObjectId(user);
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      if (DATE_ONLY_REGEX.test(to)) {
+        end.setUTCDate(end.getUTCDate() + 1);
+        query.createdAt.$lt = end;
+      } else {
+        query.createdAt.$lte = end;
+      }
+    }
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    query.amount = {};
+    if (minAmount !== undefined) {
+      query.amount.$gte = convertToPesewas(Number(minAmount));
+    }
+    if (maxAmount !== undefined) {
+      query.amount.$lte = convertToPesewas(Number(maxAmount));
+    }
+  }
+
+  if (reference) {
+    query.reference = { $regex: escapeRegex(reference.trim()), $options: "i" };
+  }
+
+  return query;
+}
@@ -0,0 +1,27 @@
+// Leading characters that make spreadsheet apps treat a cell as a formula
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one value as a CSV cell. Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe, since exported values (names,
+ * references) can come from customers.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "string") return String(value);
+
+  const text = FORMULA_PREFIX_REGEX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a row of values as a CSV line (RFC 4180, CRLF line ending)
+ * @param {Array} values - Cell values in column order
+ * @returns {string} CSV line
+ */
+export function toCsvRow(values) {
+  return `${values.map(toCsvCell).join(",")}\r\n`;
+}
@@ -6,3 +6,18 @@
 export function formatCurrency(amount) {
   return `GHS ${amount.toFixed(2)}`;
 }
+
+/**
+ * Formats a date for customer-facing messages
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date (e.g., "Saturday, 24 October 2026")
+ */
+export function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-GB", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
@@ -49,3 +49,16 @@ export function getRefreshTokenCookieOptions() {
       Number(env.REFRESH_TOKEN_EXPIRES_IN) * 1000 || 7 * 24 * 60 * 60 * 1000, // 7 days
   };
 }
+
+export function getGuestCartCookieOptions() {
+  const opts = resolveOpts();
+
+  return {
+    httpOnly: true,
+    secure: opts.secure,
+    sameSite: opts.sameSite,
+    domain: opts.domain,
+    maxAge:
+      Number(env.GUEST_CART_EXPIRES_IN) * 1000 || 30 * 24 * 60 * 60 * 1000, // 30 days
+  };
+}
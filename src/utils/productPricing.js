@@ -0,0 +1,76 @@
+/**
+ * Whether a product's scheduled sale price applies right now.
+ * A sale with no start begins immediately; one with no end runs until removed.
+ * @param {Object} product - Product (needs salePrice, saleStartsAt, saleEndsAt)
+ * @param {Date} now - Point in time to check (defaults to now)
+ * @returns {boolean}
+ */
+export function isSaleActive(product, now = new Date()) {
+  if (product.salePrice === null || product.salePrice === undefined) {
+    return false;
+  }
+  if (product.saleStartsAt && new Date(product.saleStartsAt) > now) {
+    return false;
+  }
+  if (product.saleEndsAt && new Date(product.saleEndsAt) <= now) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * The price a shopper pays for a product right now
+ * @param {Object} product - Product
+ * @param {Date} now - Point in time to price at (defaults to now)
+ * @returns {number} Sale price while the sale runs, otherwise the regular price
+ */
+export function getEffectivePrice(product, now = new Date()) {
+  return isSaleActive(product, now) ? product.salePrice : product.price;
+}
+
+/**
+ * Resolve a product for shoppers: `price` becomes the effective price and
+ * `compareAtPrice` the "was" price to strike through (the merchandiser's
+ * compareAtPrice, or the regular price during a sale).
+ * @param {Object} product - Product document or plain object
+ * @param {Date} now - Point in time to price at (defaults to now)
+ * @returns {Object} Plain product object with price, regularPrice, compareAtPrice and isOnSale
+ */
+export function withEffectivePrice(product, now = new Date()) {
+  const plain =
+    typeof product.toObject === "function" ? product.toObject() : product;
+  const isOnSale = isSaleActive(plain, now);
+
+  return {
+    ...plain,
+    price: isOnSale ? plain.salePrice : plain.price,
+    regularPrice: plain.price,
+    compareAtPrice: plain.compareAtPrice ?? (isOnSale ? plain.price : null),
+    isOnSale,
+  };
+}
+
+/**
+ * Aggregation expression for the effective price, evaluated by MongoDB at query
+ * time ($$NOW) so listings can filter and sort on it
+ */
+export const EFFECTIVE_PRICE_EXPRESSION = {
+  $cond: [
+    {
+      $and: [
+        { $ne: [{ $ifNull: ["$salePrice", null] }, null] },
+        {
+          $lte: [{ $ifNull: ["$saleStartsAt", new Date(0)] }, "$$NOW"],
+        },
+        {
+          $or: [
+            { $eq: [{ $ifNull: ["$saleEndsAt", null] }, null] },
+            { $gt: ["$saleEndsAt", "$$NOW"] },
+          ],
+        },
+      ],
+    },
+    "$salePrice",
+    "$price",
+  ],
+};
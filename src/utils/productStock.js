@@ -0,0 +1,44 @@
+import { CUSTOM_SIZE, READY_MADE_SIZES } from "../constants/productSizes.js";
+
+/**
+ * Whether a line is made to measure. Made-to-measure lines don't draw on
+ * stock; they use the weekly tailoring capacity instead.
+ * @param {string} size - Ordered size
+ * @returns {boolean}
+ */
+export function isMadeToMeasure(size) {
+  return size === CUSTOM_SIZE;
+}
+
+/**
+ * Whether a product tracks its inventory per size. Products without a
+ * sizeStock breakdown sell every size from their single `stock` number.
+ * @param {Object} product - Product (needs sizeStock)
+ * @returns {boolean}
+ */
+export function hasSizeStock(product) {
+  return Boolean(product.sizeStock);
+}
+
+/**
+ * Total units across every size of a sizeStock breakdown
+ * @param {Object} sizeStock - Map of size to quantity
+ * @returns {number}
+ */
+export function sumSizeStock(sizeStock) {
+  return READY_MADE_SIZES.reduce(
+    (sum, size) => sum + (sizeStock[size] || 0),
+    0
+  );
+}
+
+/**
+ * Units of a product that can be sold from stock in a given ready-made size
+ * @param {Object} product - Product (needs stock and sizeStock)
+ * @param {string} [size] - Size ordered; omit for the product total
+ * @returns {number}
+ */
+export function getSizeAvailability(product, size) {
+  if (!size || !hasSizeStock(product)) return product.stock;
+  return Math.min(product.sizeStock[size] || 0, product.stock);
+}
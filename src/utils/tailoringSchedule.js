@@ -0,0 +1,54 @@
+import { isMadeToMeasure } from "./productStock.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Production runs Monday to Saturday, so a week's pieces are ready on its Saturday
+const READY_DAY_OFFSET = 5;
+
+/**
+ * Start of the production week containing a date (Monday 00:00 UTC)
+ * @param {Date} date - Any point in the week
+ * @returns {Date}
+ */
+export function getWeekStart(date = new Date()) {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - daysSinceMonday * DAY_MS);
+}
+
+/**
+ * Production weeks a new order may be scheduled into, earliest first
+ * @param {Object} settings - Tailoring settings (leadTimeWeeks, bookingHorizonWeeks)
+ * @param {Date} now - When the order is placed
+ * @returns {Array<Date>} Week starts
+ */
+export function getCandidateWeeks(settings, now = new Date()) {
+  const first =
+    getWeekStart(now).getTime() + settings.leadTimeWeeks * 7 * DAY_MS;
+  return Array.from(
+    { length: settings.bookingHorizonWeeks },
+    (_, index) => new Date(first + index * 7 * DAY_MS)
+  );
+}
+
+/**
+ * When pieces made in a production week are expected to be ready
+ * @param {Date} weekStart - Start of the production week
+ * @returns {Date}
+ */
+export function getEstimatedReadyDate(weekStart) {
+  return new Date(weekStart.getTime() + READY_DAY_OFFSET * DAY_MS);
+}
+
+/**
+ * Tailoring slots an order needs: one per made-to-measure piece
+ * @param {Array} items - Order lines ({ size, quantity })
+ * @returns {number}
+ */
+export function countTailoringSlots(items) {
+  return items
+    .filter(item => isMadeToMeasure(item.size))
+    .reduce((sum, item) => sum + item.quantity, 0);
+}
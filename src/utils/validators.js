@@ -11,6 +11,7 @@ const VALID_SORT_OPTIONS = [
   "price-high-low",
   "name-a-z",
   "name-z-a",
+  "rating-high-low",
 ];
 
 export function isPasswordValidOrGoogleUser(value, doc) {
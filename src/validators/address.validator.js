@@ -0,0 +1,40 @@
+import Joi from "joi";
+import { GHANA_REGIONS } from "../constants/ghanaRegions.js";
+import { ADDRESS_LABELS } from "../constants/addresses.js";
+
+/**
+ * Joi validation schema for saving an address to the address book.
+ *
+ * Fields:
+ * - label: optional, one of ['home', 'work', 'other'], defaults to 'home'
+ * - fullName, email, phone, deliveryAddress: required, recipient details
+ * - region: required, Ghana region (used to pick the shipping zone)
+ * - city: required
+ * - deliveryNotes: optional, string
+ * - isDefault: optional, boolean. Make this the default address (the first
+ *   address saved is always the default)
+ */
+export const addressValidator = Joi.object({
+  label: Joi.string().valid(...ADDRESS_LABELS),
+  fullName: Joi.string().trim().max(100).required(),
+  email: Joi.string().email().trim().lowercase().required(),
+  phone: Joi.string().trim().max(30).required(),
+  deliveryAddress: Joi.string().trim().max(300).required(),
+  region: Joi.string()
+    .valid(...GHANA_REGIONS)
+    .required(),
+  city: Joi.string().trim().max(100).required(),
+  deliveryNotes: Joi.string().trim().max(500).allow(""),
+  isDefault: Joi.boolean(),
+});
+
+/**
+ * Joi validation schema for updating a saved address.
+ * Same fields as addressValidator, all optional; at least one must be sent.
+ */
+export const addressUpdateValidator = addressValidator
+  .fork(
+    ["fullName", "email", "phone", "deliveryAddress", "region", "city"],
+    field => field.optional()
+  )
+  .min(1);
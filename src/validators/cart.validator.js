@@ -0,0 +1,66 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+
+const sizeSchema = Joi.string().valid(
+  "XS",
+  "S",
+  "M",
+  "L",
+  "XL",
+  "XXL",
+  "CUSTOM"
+);
+
+const customSizeSchema = Joi.object({
+  waist: Joi.string().required(),
+  hip: Joi.string().required(),
+  length: Joi.string().required(),
+}).unknown(true); // Allow additional measurement fields
+
+/**
+ * Joi schema for adding a line to the cart.
+ *
+ * - product: required, ObjectId string
+ * - quantity: required, number, min 1
+ * - size: required, one of ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'CUSTOM']
+ * - customSize: required when size is 'CUSTOM', forbidden otherwise
+ */
+export const cartItemValidator = Joi.object({
+  product: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error("any.invalid");
+      }
+      return value; // must return the value if valid
+    }, "ObjectId Validation")
+    .messages({ "any.invalid": "Invalid MongoDB ObjectId in product" })
+    .required(),
+  quantity: Joi.number().integer().min(1).required(),
+  size: sizeSchema.required(),
+  customSize: Joi.when("size", {
+    is: "CUSTOM",
+    then: customSizeSchema.required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+/**
+ * Joi schema for updating an existing cart line.
+ *
+ * At least one of quantity, size or customSize must be supplied.
+ * customSize may only be sent together with size 'CUSTOM' or on its own
+ * (to edit the measurements of a line that is already CUSTOM).
+ */
+export const cartItemUpdateValidator = Joi.object({
+  quantity: Joi.number().integer().min(1),
+  size: sizeSchema,
+  customSize: Joi.when("size", {
+    is: Joi.exist().valid("CUSTOM"),
+    then: customSizeSchema.required(),
+    otherwise: Joi.when("size", {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: customSizeSchema,
+    }),
+  }),
+}).min(1);
@@ -0,0 +1,71 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { COUPON_TYPES } from "../constants/couponTypes.js";
+
+/**
+ * Joi validation schema for Coupon creation/update.
+ *
+ * Fields:
+ * - code: required, letters, digits, dashes or underscores (stored uppercase)
+ * - description: optional, string
+ * - type: required, one of ['percentage', 'fixed', 'free_express']
+ * - value: required for percentage (1-100) and fixed (GHS, > 0) coupons; not allowed for free_express
+ * - maxDiscount: optional, number (GHS), caps a percentage discount, or null for no cap
+ * - minSpend: optional, number (GHS), min 0
+ * - categories: optional, array of categories the discount is limited to
+ * - products: optional, array of product ObjectIds the discount is limited to
+ * - startsAt / endsAt: optional, ISO dates (or null); endsAt must be after startsAt
+ * - usageLimit: optional, integer, min 1, or null for unlimited
+ * - perUserLimit: optional, integer, min 1, or null for unlimited
+ * - isActive: optional, boolean
+ */
+export const couponValidator = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .max(50)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "code may only contain letters, numbers, dashes and underscores",
+    }),
+  description: Joi.string().trim().max(500).allow(""),
+  type: Joi.string()
+    .valid(...COUPON_TYPES)
+    .required(),
+  value: Joi.when("type", {
+    switch: [
+      {
+        is: "percentage",
+        then: Joi.number().greater(0).max(100).required(),
+      },
+      { is: "fixed", then: Joi.number().greater(0).required() },
+      { is: "free_express", then: Joi.forbidden() },
+    ],
+    otherwise: Joi.number().greater(0), // partial update that keeps the stored type
+  }),
+  maxDiscount: Joi.number().min(0).allow(null),
+  minSpend: Joi.number().min(0),
+  categories: Joi.array().items(Joi.string().trim().lowercase()).unique(),
+  products: Joi.array()
+    .items(
+      Joi.string()
+        .custom((value, helpers) => {
+          if (!mongoose.Types.ObjectId.isValid(value)) {
+            return helpers.error("any.invalid");
+          }
+          return value; // must return the value if valid
+        }, "ObjectId Validation")
+        .messages({ "any.invalid": "Invalid MongoDB ObjectId in products" })
+    )
+    .unique(),
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.when("startsAt", {
+    is: Joi.date().required(),
+    then: Joi.date().iso().greater(Joi.ref("startsAt")).allow(null),
+    otherwise: Joi.date().iso().allow(null),
+  }),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  isActive: Joi.boolean(),
+});
@@ -0,0 +1,35 @@
+import Joi from "joi";
+
+/**
+ * Joi validation schema for updating the express pricing rules.
+ * Every field is optional but at least one must be sent.
+ *
+ * Fields:
+ * - isEnabled: optional, boolean. Turn express service on or off
+ * - defaultRatePerItem: optional, number (GHS), min 0. Rate for categories without their own rate
+ * - categoryRates: optional, array of { category, ratePerItem }; categories must be unique.
+ *   Replaces the existing list
+ * - maxFeePerOrder: optional, number (GHS), min 0, or null for no cap
+ * - blackoutPeriods: optional, array of { label, startsAt, endsAt } with endsAt after startsAt.
+ *   Replaces the existing list
+ */
+export const expressSettingsValidator = Joi.object({
+  isEnabled: Joi.boolean(),
+  defaultRatePerItem: Joi.number().min(0),
+  categoryRates: Joi.array()
+    .items(
+      Joi.object({
+        category: Joi.string().trim().lowercase().required(),
+        ratePerItem: Joi.number().min(0).required(),
+      })
+    )
+    .unique("category"),
+  maxFeePerOrder: Joi.number().min(0).allow(null),
+  blackoutPeriods: Joi.array().items(
+    Joi.object({
+      label: Joi.string().trim().max(100).allow(""),
+      startsAt: Joi.date().iso().required(),
+      endsAt: Joi.date().iso().greater(Joi.ref("startsAt")).required(),
+    })
+  ),
+}).min(1);
@@ -0,0 +1,66 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error("any.invalid");
+    }
+    return value; // must return the value if valid
+  }, "ObjectId Validation")
+  .messages({ "any.invalid": "Invalid MongoDB ObjectId" });
+
+/**
+ * Joi validation schema for issuing a gift card.
+ *
+ * Fields:
+ * - code: optional, letters, digits or dashes (stored uppercase). Generated when omitted
+ * - amount: required, number (GHS), greater than 0. Value the card is issued with
+ * - issuedTo: optional, valid ObjectId string (references User)
+ * - recipientEmail: optional, email the card was sold or sent to
+ * - expiresAt: optional, ISO date in the future (or null for no expiry)
+ * - note: optional, internal note
+ */
+export const giftCardValidator = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9-]+$/)
+    .min(6)
+    .max(50)
+    .messages({
+      "string.pattern.base":
+        "code may only contain letters, numbers and dashes",
+    }),
+  amount: Joi.number().greater(0).precision(2).required(),
+  issuedTo: objectId,
+  recipientEmail: Joi.string().email().trim().lowercase(),
+  expiresAt: Joi.date().iso().greater("now").allow(null),
+  note: Joi.string().trim().max(500).allow(""),
+});
+
+/**
+ * Joi validation schema for updating a gift card. The balance can't be edited;
+ * at least one field must be sent.
+ *
+ * Fields:
+ * - isActive: optional, boolean. Deactivated cards are refused at checkout
+ * - expiresAt: optional, ISO date (or null for no expiry)
+ * - note: optional, internal note
+ */
+export const giftCardUpdateValidator = Joi.object({
+  isActive: Joi.boolean(),
+  expiresAt: Joi.date().iso().allow(null),
+  note: Joi.string().trim().max(500).allow(""),
+}).min(1);
+
+/**
+ * Joi validation schema for an admin store credit grant.
+ *
+ * Fields:
+ * - amount: required, number (GHS), greater than 0
+ * - note: optional, reason shown in the customer's wallet history
+ */
+export const walletCreditValidator = Joi.object({
+  amount: Joi.number().greater(0).precision(2).required(),
+  note: Joi.string().trim().max(500).allow(""),
+});
@@ -0,0 +1,51 @@
+import Joi from "joi";
+import {
+  MEASUREMENT_UNITS,
+  MEASUREMENT_FIELDS,
+  REQUIRED_MEASUREMENTS,
+} from "../constants/measurements.js";
+
+const measurementValue = Joi.number().greater(0).max(500).precision(1);
+
+/**
+ * Joi validation schema for saving a measurement profile.
+ *
+ * Fields:
+ * - name: required, string, max 50 characters (e.g. "Me", "Mum")
+ * - unit: optional, one of ['cm', 'in'], defaults to 'cm'
+ * - measurements: required, object of positive numbers in `unit`:
+ *     - waist, hip, length: required
+ *     - bust, shoulder, sleeve, height: optional
+ * - notes: optional, string, max 500 characters. Anything else the tailor should know
+ */
+export const measurementProfileValidator = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  unit: Joi.string().valid(...MEASUREMENT_UNITS),
+  measurements: Joi.object(
+    Object.fromEntries(
+      MEASUREMENT_FIELDS.map(field => [
+        field,
+        REQUIRED_MEASUREMENTS.includes(field)
+          ? measurementValue.required()
+          : measurementValue,
+      ])
+    )
+  ).required(),
+  notes: Joi.string().trim().max(500).allow(""),
+});
+
+/**
+ * Joi validation schema for updating a measurement profile.
+ * Same fields as measurementProfileValidator, all optional; at least one must be sent.
+ * Only the measurements sent are changed.
+ */
+export const measurementProfileUpdateValidator = Joi.object({
+  name: Joi.string().trim().min(1).max(50),
+  unit: Joi.string().valid(...MEASUREMENT_UNITS),
+  measurements: Joi.object(
+    Object.fromEntries(
+      MEASUREMENT_FIELDS.map(field => [field, measurementValue])
+    )
+  ).min(1),
+  notes: Joi.string().trim().max(500).allow(""),
+}).min(1);
@@ -1,19 +1,44 @@
 import Joi from "joi";
 import mongoose from "mongoose";
+import { ORDER_STATUSES, ORDER_LIFECYCLE } from "../constants/orderStatus.js";
+import { GHANA_REGIONS } from "../constants/ghanaRegions.js";
+
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return helpers.error("any.invalid");
+  }
+  return value; // must return the value if valid
+}, "ObjectId Validation");
+
 /**
  * Joi validation schema for Order creation/update.
  *
  * Fields:
  * - user: required, valid ObjectId string (references User)
- * - items: required, array of objects each containing:
+ * - fromCart: optional, boolean, defaults to false. When true the items are read
+ *   from the user's stored cart and must not be sent in the body
+ * - items: required unless fromCart is true, array of objects each containing:
  *     - product: required, valid ObjectId string (references Product)
  *     - quantity: required, number, min 1
  *     - price: required, number, min 0
+ *     - size: required, one of ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'CUSTOM']
+ *     - customSize / measurementProfile: CUSTOM lines send either their measurements
+ *       or the id of one of the user's saved measurement profiles (see
+ *       /auth/me/measurements), which is copied into the order
+ * - shippingInfo: required unless addressId is sent, recipient and delivery address.
+ *   `region` (Ghana region) and `city` are required to pick the shipping zone and delivery fee
+ * - addressId: optional, valid ObjectId string. A saved address (see /auth/me/addresses)
+ *   to ship to instead of sending shippingInfo; exactly one of the two is required
+ * - couponCode: optional, string. Coupon to apply at checkout
+ * - giftCardCode: optional, string. Gift card to spend before charging Paystack
+ * - useWallet: optional, boolean, defaults to false. Spend the user's store credit
+ *   (after any gift card) before charging Paystack
  * - totalPrice: optional, number, min 0
- * - status: optional, string, one of ['accepted', 'processing', 'ready', 'enroute_pickup', 'picked_up', 'in_transit', 'arrived'], defaults to 'accepted'
+ * - status: optional, string, one of ['accepted', 'processing', 'ready', 'enroute_pickup', 'picked_up', 'in_transit', 'arrived', 'cancelled'], defaults to 'accepted'
  */
 
 export const orderValidator = Joi.object({
+  fromCart: Joi.boolean().default(false),
   items: Joi.array()
     .items(
       Joi.object({
@@ -33,32 +58,166 @@ export const orderValidator = Joi.object({
           .required(),
         customSize: Joi.when("size", {
           is: "CUSTOM",
-          then: Joi.object({
-            waist: Joi.string().required(),
-            hip: Joi.string().required(),
-            length: Joi.string().required(),
-          }).unknown(true), // Allow additional measurement fields
+          then: Joi.when("measurementProfile", {
+            is: Joi.exist(),
+            then: Joi.forbidden(),
+            otherwise: Joi.object({
+              waist: Joi.string().required(),
+              hip: Joi.string().required(),
+              length: Joi.string().required(),
+            })
+              .unknown(true) // Allow additional measurement fields
+              .required(),
+          }),
+          otherwise: Joi.forbidden(),
+        }),
+        measurementProfile: Joi.when("size", {
+          is: "CUSTOM",
+          then: objectId.messages({
+            "any.invalid": "Invalid MongoDB ObjectId in measurementProfile",
+          }),
           otherwise: Joi.forbidden(),
         }),
       })
     )
-    .required(),
+    .when("fromCart", {
+      is: true,
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
   shippingInfo: Joi.object({
     fullName: Joi.string().trim().required(),
     email: Joi.string().email().trim().lowercase().required(),
     phone: Joi.string().trim().required(),
     deliveryAddress: Joi.string().trim().required(),
+    region: Joi.string()
+      .valid(...GHANA_REGIONS)
+      .required(),
+    city: Joi.string().trim().required(),
     deliveryNotes: Joi.string().trim().allow("").optional(),
-  }).required(),
+  }),
+  addressId: objectId.messages({
+    "any.invalid": "Invalid MongoDB ObjectId in addressId",
+  }),
+  couponCode: Joi.string().trim().max(50),
+  giftCardCode: Joi.string().trim().max(50),
+  useWallet: Joi.boolean().default(false),
   status: Joi.string()
-    .valid(
-      "accepted",
-      "processing",
-      "ready",
-      "enroute_pickup",
-      "picked_up",
-      "in_transit",
-      "arrived"
-    )
+    .valid(...ORDER_STATUSES)
     .default("accepted"), // validate status with default value
+}).xor("shippingInfo", "addressId");
+
+/**
+ * Joi validation schema for an admin order refund.
+ *
+ * Fields:
+ * - items: optional, array of order lines to refund; omit for a full refund.
+ *   Each entry contains:
+ *     - product: required, valid ObjectId string (references Product)
+ *     - size: required, size of the ordered line
+ *     - quantity: required, integer, min 1
+ * - reason: optional, string shown to the customer
+ * - restock: optional, boolean, defaults to true. Return refunded items to stock
+ */
+export const orderRefundValidator = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        product: Joi.string()
+          .custom((value, helpers) => {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+              return helpers.error("any.invalid");
+            }
+            return value; // must return the value if valid
+          }, "ObjectId Validation")
+          .messages({ "any.invalid": "Invalid MongoDB ObjectId in product" })
+          .required(),
+        size: Joi.string()
+          .valid("XS", "S", "M", "L", "XL", "XXL", "CUSTOM")
+          .required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1),
+  reason: Joi.string().trim().max(500).allow(""),
+  restock: Joi.boolean().default(true),
 });
+
+/**
+ * Joi validation schema for an admin order status update.
+ *
+ * Fields:
+ * - status: required, one of the lifecycle statuses (ORDER_LIFECYCLE).
+ *   `cancelled` is excluded: cancellation goes through POST /orders/:id/cancel
+ *   so stock is restored and the payment refunded
+ * - note: optional, string stored in the order's status history
+ */
+export const orderStatusUpdateValidator = Joi.object({
+  status: Joi.string()
+    .valid(...ORDER_LIFECYCLE)
+    .required(),
+  note: Joi.string().trim().max(500).allow(""),
+});
+
+/**
+ * Joi validation schema for an express fee quote.
+ *
+ * Fields:
+ * - fromCart: optional, boolean, defaults to false. When true the items are read
+ *   from the user's stored cart and must not be sent in the body
+ * - items: required unless fromCart is true, array of checkout lines each containing:
+ *     - product: required, valid ObjectId string (references Product)
+ *     - quantity: required, number, min 1
+ *   Other line fields (size, price, ...) are accepted and ignored
+ */
+export const expressQuoteValidator = Joi.object({
+  fromCart: Joi.boolean().default(false),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        product: Joi.string()
+          .custom((value, helpers) => {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+              return helpers.error("any.invalid");
+            }
+            return value; // must return the value if valid
+          }, "ObjectId Validation")
+          .messages({ "any.invalid": "Invalid MongoDB ObjectId in product" })
+          .required(),
+        quantity: Joi.number().min(1).required(),
+      }).unknown(true)
+    )
+    .min(1)
+    .when("fromCart", {
+      is: true,
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+});
+
+/**
+ * Joi validation schema for a checkout quote.
+ *
+ * Fields:
+ * - fromCart / items: same rules as checkout (see orderValidator)
+ * - shippingInfo: optional. When `region` and `city` are sent the quote includes
+ *   the delivery fee; other address fields are accepted and ignored
+ * - addressId: optional, saved address to quote delivery to (instead of shippingInfo)
+ * - couponCode: optional, string. Coupon to check and apply to the quote
+ * - giftCardCode / useWallet: optional, same rules as checkout. The quote shows
+ *   how much they would cover without spending them
+ */
+export const checkoutQuoteValidator = Joi.object({
+  fromCart: Joi.boolean().default(false),
+  items: orderValidator.extract("items"),
+  shippingInfo: Joi.object({
+    region: Joi.string()
+      .valid(...GHANA_REGIONS)
+      .required(),
+    city: Joi.string().trim().required(),
+  }).unknown(true),
+  addressId: orderValidator.extract("addressId"),
+  couponCode: orderValidator.extract("couponCode"),
+  giftCardCode: orderValidator.extract("giftCardCode"),
+  useWallet: orderValidator.extract("useWallet"),
+}).oxor("shippingInfo", "addressId");
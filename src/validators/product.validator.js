@@ -1,5 +1,6 @@
 import Joi from "joi";
 import mongoose from "mongoose";
+import { READY_MADE_SIZES } from "../constants/productSizes.js";
 
 /**
  * Joi validation schema for Product creation/update.
@@ -8,10 +9,15 @@ import mongoose from "mongoose";
  * - name: required, string, trimmed, non-empty
  * - description: optional, string, trimmed
  * - price: required, number, min 0
+ * - compareAtPrice: optional, number, min 0, or null. "Was" price shown struck through
+ * - salePrice: optional, number, min 0, or null to end the sale; must be below price when both are sent
+ * - saleStartsAt / saleEndsAt: optional, ISO dates or null; saleEndsAt must be after saleStartsAt
  * - images: optional, array of strings (URLs), max length 5
  * - swatchImage: optional, object with url and optional publicId (for base products)
  * - category: required, string, lowercase, trimmed
- * - stock: required, number, min 0
+ * - stock: required unless sizeStock is sent, number, min 0
+ * - sizeStock: optional, object mapping ready-made sizes (XS–XXL) to integer quantities, or null
+ *   to stop tracking sizes. When sent, stock is the sum of the sizes and must not be sent as well
  * - isPublished: optional, boolean
  * - createdBy: optional, valid ObjectId string (references User)
  */
@@ -25,6 +31,21 @@ export const productValidator = Joi.object({
     "number.min": "Price must be at least 0",
     "any.required": "Price is required",
   }),
+  compareAtPrice: Joi.number().min(0).allow(null),
+  salePrice: Joi.number()
+    .min(0)
+    .allow(null)
+    .when("price", {
+      is: Joi.number().required(),
+      then: Joi.number().less(Joi.ref("price")),
+    })
+    .messages({ "number.less": "Sale price must be lower than price" }),
+  saleStartsAt: Joi.date().iso().allow(null),
+  saleEndsAt: Joi.when("saleStartsAt", {
+    is: Joi.date().required(),
+    then: Joi.date().iso().greater(Joi.ref("saleStartsAt")).allow(null),
+    otherwise: Joi.date().iso().allow(null),
+  }),
   images: Joi.array()
     .items(
       Joi.object({
@@ -39,10 +60,25 @@ export const productValidator = Joi.object({
       "string.uri": "Invalid image URL format",
     }),
   category: Joi.string().lowercase().trim().required(),
-  stock: Joi.number().min(0).required().messages({
-    "number.min": "Stock must be at least 0",
-    "any.required": "Stock is required",
-  }),
+  stock: Joi.number()
+    .min(0)
+    .when("sizeStock", {
+      is: Joi.object().required(),
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    })
+    .messages({
+      "number.min": "Stock must be at least 0",
+      "any.required": "Stock is required",
+      "any.unknown": "Stock is the sum of sizeStock and can't be sent with it",
+    }),
+  sizeStock: Joi.object(
+    Object.fromEntries(
+      READY_MADE_SIZES.map(size => [size, Joi.number().integer().min(0)])
+    )
+  )
+    .min(1)
+    .allow(null),
   isPublished: Joi.boolean().optional(),
   swatchImage: Joi.object({
     url: Joi.string().uri().required().messages({
@@ -0,0 +1,42 @@
+import Joi from "joi";
+import { MAX_REVIEW_PHOTOS } from "../constants/reviewStatus.js";
+
+/**
+ * Joi validation schema for submitting a product review.
+ *
+ * Fields:
+ * - rating: required, integer 1–5 (sent as a string in multipart forms)
+ * - title: optional, string, trimmed, max 120 characters
+ * - body: optional, string, trimmed, max 2000 characters
+ * - photos: up to MAX_REVIEW_PHOTOS { url, publicId } objects, built by the upload
+ *   middleware from the uploaded files (photos sent in the body are discarded)
+ */
+export const reviewValidator = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    "number.min": "Rating must be between 1 and 5",
+    "number.max": "Rating must be between 1 and 5",
+    "any.required": "Rating is required",
+  }),
+  title: Joi.string().trim().max(120).allow(""),
+  body: Joi.string().trim().max(2000).allow(""),
+  photos: Joi.array()
+    .items(
+      Joi.object({
+        url: Joi.string().uri().required(),
+        publicId: Joi.string().required(),
+      })
+    )
+    .max(MAX_REVIEW_PHOTOS),
+});
+
+/**
+ * Joi validation schema for an admin moderation decision.
+ *
+ * Fields:
+ * - status: required, "approved" or "rejected"
+ * - moderationNote: optional, string, trimmed, max 500 characters (internal only)
+ */
+export const reviewModerationValidator = Joi.object({
+  status: Joi.string().valid("approved", "rejected").required(),
+  moderationNote: Joi.string().trim().max(500).allow(""),
+});
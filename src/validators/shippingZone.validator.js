@@ -0,0 +1,28 @@
+import Joi from "joi";
+import { GHANA_REGIONS } from "../constants/ghanaRegions.js";
+
+/**
+ * Joi validation schema for ShippingZone creation/update.
+ *
+ * Fields:
+ * - name: required, string, trimmed, non-empty
+ * - region: required, one of the Ghana regions
+ * - cities: optional, array of city names; empty covers the whole region
+ * - rateType: optional, 'flat' or 'per_item', defaults to 'flat'
+ * - baseFee: required, number (GHS), min 0
+ * - perItemFee: optional, number (GHS), min 0
+ * - freeShippingThreshold: optional, number (GHS), min 0, or null for no free shipping
+ * - isActive: optional, boolean
+ */
+export const shippingZoneValidator = Joi.object({
+  name: Joi.string().trim().required(),
+  region: Joi.string()
+    .valid(...GHANA_REGIONS)
+    .required(),
+  cities: Joi.array().items(Joi.string().trim().min(1)).unique(),
+  rateType: Joi.string().valid("flat", "per_item"),
+  baseFee: Joi.number().min(0).required(),
+  perItemFee: Joi.number().min(0),
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  isActive: Joi.boolean(),
+});
@@ -0,0 +1,13 @@
+import Joi from "joi";
+import { EMAIL_REGEX } from "../utils/validators.js";
+
+/**
+ * Joi validation schema for asking to be notified when a product is back in stock.
+ *
+ * Fields:
+ * - email: optional, lowercase, trimmed, matches email regex. Required for guests;
+ *   logged-in customers are notified at their account email when it is omitted
+ */
+export const stockAlertValidator = Joi.object({
+  email: Joi.string().trim().lowercase().pattern(EMAIL_REGEX),
+});
@@ -0,0 +1,20 @@
+import Joi from "joi";
+
+/**
+ * Joi validation schema for updating the tailoring capacity settings.
+ * Every field is optional but at least one must be sent.
+ *
+ * Fields:
+ * - weeklySlots: optional, integer, min 0. Made-to-measure pieces that can be made per week
+ * - leadTimeWeeks: optional, integer, min 0, max 52. Weeks before a new order can start
+ *   production (0 = the current week)
+ * - bookingHorizonWeeks: optional, integer, min 1, max 52. How many weeks ahead checkout
+ *   looks for a free slot
+ * - waitlistEnabled: optional, boolean. Accept orders onto a waitlist when every week is full
+ */
+export const tailoringSettingsValidator = Joi.object({
+  weeklySlots: Joi.number().integer().min(0),
+  leadTimeWeeks: Joi.number().integer().min(0).max(52),
+  bookingHorizonWeeks: Joi.number().integer().min(1).max(52),
+  waitlistEnabled: Joi.boolean(),
+}).min(1);
@@ -1,5 +1,7 @@
 import Joi from "joi";
 import mongoose from "mongoose";
+import { TRANSACTION_STATUSES } from "../constants/transactionStatus.js";
+import { PAYMENT_GATEWAYS } from "../constants/paymentGateways.js";
 
 /**
  * Joi validation schema for Transaction creation/update.
@@ -87,3 +89,40 @@ export const transactionValidator = Joi.object({
     .messages({ "any.invalid": "Invalid MongoDB ObjectId in order" })
     .optional(),
 });
+
+/**
+ * Joi validation schema for the admin payments console query string.
+ *
+ * Fields:
+ * - status: optional, one of TRANSACTION_STATUSES
+ * - gateway: optional, one of PAYMENT_GATEWAYS
+ * - user: optional, valid ObjectId string (the paying customer)
+ * - from / to: optional, ISO dates bounding createdAt (a date-only `to` includes that day)
+ * - minAmount / maxAmount: optional, numbers >= 0 in GHS; max may not be below min
+ * - reference: optional, string up to 100 characters (matched anywhere in the reference)
+ * - page: optional, integer >= 1
+ * - limit: optional, integer 1-100
+ */
+export const transactionQueryValidator = Joi.object({
+  status: Joi.string().valid(...TRANSACTION_STATUSES),
+  gateway: Joi.string().valid(...PAYMENT_GATEWAYS),
+  user: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error("any.invalid");
+      }
+      return value;
+    }, "ObjectId Validation")
+    .messages({ "any.invalid": "Invalid MongoDB ObjectId in user" }),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.when("minAmount", {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref("minAmount")),
+    otherwise: Joi.number().min(0),
+  }),
+  reference: Joi.string().trim().max(100),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
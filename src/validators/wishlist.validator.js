@@ -0,0 +1,14 @@
+import Joi from "joi";
+
+/**
+ * Joi validation schema for creating or renaming a wishlist.
+ *
+ * Fields:
+ * - name: required, string, trimmed, 1–50 characters
+ */
+export const wishlistValidator = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required().messages({
+    "string.empty": "List name is required",
+    "any.required": "List name is required",
+  }),
+});
@@ -0,0 +1,376 @@
+/* eslint-disable no-undef */
+import http from "node:http";
+import mongoose from "mongoose";
+import supertest from "supertest";
+
+// These tests need a MongoDB that supports transactions (MONGO_URL in CI)
+const describeWithDb = process.env.MONGO_URL ? describe : describe.skip;
+
+// Settings the app requires that the money paths never use for real
+const PLACEHOLDER_ENV = {
+  JWT_SECRET: "integration-secret",
+  JWT_EXPIRES_IN: "3600",
+  GOOGLE_CLIENT_ID: "integration",
+  GOOGLE_CLIENT_SECRET: "integration",
+  GOOGLE_CALLBACK_URL: "http://localhost/auth/google/callback",
+  LOGIN_REDIRECT_URL: "http://localhost",
+  CLIENT_URL: "http://localhost",
+  RESEND_API_KEY: "re_integration",
+  EMAIL_FROM: "store@example.com",
+  EMAIL_USER: "admin@example.com",
+  MAILCHIMP_API_KEY: "integration-us1",
+  MAILCHIMP_SERVER_PREFIX: "us1",
+  MAILCHIMP_LIST_ID: "integration",
+  PAYSTACK_SECRET_KEY: "sk_test_integration",
+  PAYSTACK_CALLBACK_URL: "http://localhost/payment/callback",
+  CLOUDINARY_CLOUD_NAME: "integration",
+  CLOUDINARY_API_KEY: "integration",
+  CLOUDINARY_API_SECRET: "integration",
+};
+
+const API = "/api/v1";
+const TEST_TIMEOUT_MS = 30000;
+
+const SHIPPING_INFO = {
+  fullName: "Ama Mensah",
+  email: "ama@example.com",
+  phone: "0240000000",
+  deliveryAddress: "12 Oxford Street",
+  region: "Greater Accra",
+  city: "Accra",
+};
+const PRICE = 100;
+const SHIPPING_FEE = 20;
+
+/**
+ * Poll until `check` returns something truthy. Webhooks are applied after
+ * they are acknowledged, so their effects show up a moment later.
+ * @param {Function} check - Async check
+ * @param {number} [timeoutMs] - How long to wait
+ * @returns {Promise<*>} What `check` returned
+ */
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for: ${check.toString()}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+describeWithDb("Payments through the mock gateway", () => {
+  let app;
+  let server;
+  let request;
+  let models;
+  let mockGateway;
+  let signAccessToken;
+  let mongoDisconnect;
+  let getRedisClient;
+  let admin;
+  let counter = 0;
+
+  beforeAll(async () => {
+    // The mock gateway posts its webhooks to BASE_URL, so listen before the app loads
+    server = http.createServer((req, res) => app(req, res));
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    for (const [key, value] of Object.entries(PLACEHOLDER_ENV)) {
+      process.env[key] ??= value;
+    }
+    Object.assign(process.env, {
+      BASE_URL: `http://127.0.0.1:${server.address().port}`,
+      PAYMENT_GATEWAY: "mock",
+      MOCK_PAYMENT_OUTCOME: "manual",
+      MONGO_DB_NAME: `misqabbi_payments_test_${Date.now()}`,
+    });
+
+    ({ default: app } = await import("../../src/app.js"));
+    const mongo = await import("../../src/services/mongo.js");
+    mongoDisconnect = mongo.mongoDisconnect;
+    ({ getRedisClient } = await import("../../src/services/redis.js"));
+    ({ signAccessToken } = await import("../../src/services/jwtService.js"));
+    mockGateway = await import("../../src/services/mockPaymentService.js");
+    models = {
+      User: (await import("../../src/models/user.mongo.js")).default,
+      Product: (await import("../../src/models/product.mongo.js")).default,
+      Order: (await import("../../src/models/order.mongo.js")).default,
+      Transaction: (await import("../../src/models/transaction.mongo.js"))
+        .default,
+      GiftCard: (await import("../../src/models/giftCard.mongo.js")).default,
+      WebhookEvent: (await import("../../src/models/webhookEvent.mongo.js"))
+        .default,
+      ShippingZone: (await import("../../src/models/shippingZone.mongo.js"))
+        .default,
+    };
+
+    request = supertest(server);
+    await mongo.mongoConnect();
+    // Create indexes up front: one order per payment relies on a unique index
+    await Promise.all(Object.values(models).map(model => model.init()));
+
+    await models.ShippingZone.create({
+      name: "Greater Accra",
+      region: "Greater Accra",
+      baseFee: SHIPPING_FEE,
+    });
+    admin = await createUser("admin");
+  }, TEST_TIMEOUT_MS);
+
+  afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+    }
+    await mongoDisconnect?.();
+    getRedisClient?.().disconnect();
+    await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+  }, TEST_TIMEOUT_MS);
+
+  async function createUser(role = "user") {
+    counter += 1;
+    const user = await models.User.create({
+      email: `${role}-${counter}@example.com`,
+      googleId: `integration-${counter}`,
+      role,
+    });
+    const token = signAccessToken({ id: user._id, role: user.role });
+    return { user, cookie: `auth_token=${token}` };
+  }
+
+  async function createProduct(stock = 10) {
+    counter += 1;
+    return models.Product.create({
+      name: `Kaftan ${counter}`,
+      price: PRICE,
+      category: "dresses",
+      stock,
+      slug: `kaftan-${counter}`,
+      isPublished: true,
+    });
+  }
+
+  async function checkout(customer, product, quantity, extra = {}) {
+    const res = await request
+      .post(`${API}/orders/checkout`)
+      .set("Cookie", customer.cookie)
+      .send({
+        items: [{ product: product.id, quantity, price: PRICE, size: "M" }],
+        shippingInfo: SHIPPING_INFO,
+        ...extra,
+      });
+    expect(res.statusCode).toBe(200);
+    return res.body.data.reference;
+  }
+
+  // Pays, declines or abandons a checkout the way the mock checkout page does
+  async function settle(reference, outcome) {
+    const res = await request
+      .post(`${API}/payment/mock/checkout/${reference}`)
+      .send({ outcome });
+    expect(res.statusCode).toBe(200);
+  }
+
+  async function waitForOrder(reference) {
+    const transaction = await waitFor(() =>
+      models.Transaction.findOne({ reference, order: { $ne: null } })
+    );
+    return models.Order.findById(transaction.order);
+  }
+
+  async function stockOf(product) {
+    return (await models.Product.findById(product._id)).stock;
+  }
+
+  it(
+    "creates the order once the payment succeeds",
+    async () => {
+      const customer = await createUser();
+      const product = await createProduct(10);
+
+      const reference = await checkout(customer, product, 2);
+      await settle(reference, "success");
+
+      const order = await waitForOrder(reference);
+      expect(order.status).toBe("accepted");
+      expect(order.paymentStatus).toBe("paid");
+      expect(order.paymentReference).toBe(reference);
+      expect(order.totalPrice).toBe(2 * PRICE + SHIPPING_FEE);
+      expect(await stockOf(product)).toBe(8);
+
+      const transaction = await models.Transaction.findOne({ reference });
+      expect(transaction.status).toBe("success");
+      expect(transaction.amount).toBe((2 * PRICE + SHIPPING_FEE) * 100);
+    },
+    TEST_TIMEOUT_MS
+  );
+
+  it(
+    "creates one order when the payment is reported more than once",
+    async () => {
+      const customer = await createUser();
+      const product = await createProduct(10);
+
+      const reference = await checkout(customer, product, 1);
+      await settle(reference, "success");
+
+      // Paystack redelivering the webhook while the storefront verifies the payment
+      const data = mockGateway.getMockTransaction(reference);
+      await Promise.all([
+        mockGateway.emitWebhook("charge.success", data),
+        mockGateway.emitWebhook("charge.success", data),
+        request.get(`${API}/payment/verify/${reference}`),
+      ]);
+
+      await waitForOrder(reference);
+      await waitFor(
+        async () =>
+          !(await models.WebhookEvent.exists({
+            reference,
+            status: "processing",
+          }))
+      );
+
+      expect(
+        await models.Order.countDocuments({ paymentReference: reference })
+      ).toBe(1);
+      expect(await stockOf(product)).toBe(9);
+    },
+    TEST_TIMEOUT_MS
+  );
+
+  it(
+    "refunds a payment that succeeds after charge.failed returned the gift card",
+    async () => {
+      const customer = await createUser();
+      const product = await createProduct(10);
+      counter += 1;
+      const giftCard = await models.GiftCard.create({
+        code: `GIFT${counter}`,
+        initialBalance: 5000,
+        balance: 5000,
+      });
+
+      const reference = await checkout(customer, product, 1, {
+        giftCardCode: giftCard.code,
+      });
+      const transaction = await models.Transaction.findOne({ reference });
+      expect(transaction.amount).toBe((PRICE + SHIPPING_FEE) * 100 - 5000);
+      expect((await models.GiftCard.findById(giftCard._id)).balance).toBe(0);
+
+      // A declined attempt; the shopper then pays on the same checkout
+      await mockGateway.emitWebhook("charge.failed", {
+        ...mockGateway.getMockTransaction(reference),
+        status: "failed",
+      });
+      await waitFor(async () => {
+        const card = await models.GiftCard.findById(giftCard._id);
+        return card.balance === 5000;
+      });
+
+      await settle(reference, "success");
+
+      const refunded = await waitFor(async () => {
+        const latest = await models.Transaction.findOne({ reference });
+        return latest.refunds[0]?.status === "processed" && latest;
+      });
+      expect(refunded.refunds).toHaveLength(1);
+      expect(refunded.refunds[0].amount).toBe(transaction.amount);
+      expect(refunded.status).toBe("refunded");
+      expect(refunded.order).toBeNull();
+      expect(
+        await models.Order.countDocuments({ paymentReference: reference })
+      ).toBe(0);
+      expect((await models.GiftCard.findById(giftCard._id)).balance).toBe(5000);
+      expect(await stockOf(product)).toBe(10);
+    },
+    TEST_TIMEOUT_MS
+  );
+
+  it(
+    "refunds part of an order, then the rest when the customer cancels",
+    async () => {
+      const customer = await createUser();
+      const product = await createProduct(10);
+
+      const reference = await checkout(customer, product, 2);
+      await settle(reference, "success");
+      const order = await waitForOrder(reference);
+
+      const partial = await request
+        .post(`${API}/admin/orders/${order.id}/refunds`)
+        .set("Cookie", admin.cookie)
+        .send({
+          items: [{ product: product.id, size: "M", quantity: 1 }],
+          reason: "One piece was damaged",
+        });
+      expect(partial.statusCode).toBe(201);
+      expect(partial.body.data.refund.amount).toBe(PRICE * 100);
+      expect(partial.body.data.order.paymentStatus).toBe("partially_refunded");
+      expect(await stockOf(product)).toBe(9);
+
+      await waitFor(async () => {
+        const latest = await models.Order.findById(order._id);
+        return latest.refunds[0]?.status === "processed";
+      });
+
+      const cancelled = await request
+        .post(`${API}/orders/${order.id}/cancel`)
+        .set("Cookie", customer.cookie);
+      expect(cancelled.statusCode).toBe(200);
+      expect(cancelled.body.data.status).toBe("cancelled");
+      expect(await stockOf(product)).toBe(10);
+
+      const transaction = await waitFor(async () => {
+        const latest = await models.Transaction.findOne({ reference });
+        return latest.status === "refunded" && latest;
+      });
+      expect(transaction.refunds.map(refund => refund.amount)).toEqual([
+        PRICE * 100,
+        (PRICE + SHIPPING_FEE) * 100,
+      ]);
+      expect((await models.Order.findById(order._id)).paymentStatus).toBe(
+        "refunded"
+      );
+    },
+    TEST_TIMEOUT_MS
+  );
+
+  it(
+    "rejects order status changes the lifecycle doesn't allow",
+    async () => {
+      const customer = await createUser();
+      const product = await createProduct(10);
+
+      const reference = await checkout(customer, product, 1);
+      await settle(reference, "success");
+      const order = await waitForOrder(reference);
+
+      const updateStatus = status =>
+        request
+          .patch(`${API}/admin/orders/${order.id}`)
+          .set("Cookie", admin.cookie)
+          .send({ status });
+
+      expect((await updateStatus("arrived")).statusCode).toBe(409);
+      expect((await updateStatus("processing")).statusCode).toBe(200);
+      expect((await updateStatus("accepted")).statusCode).toBe(409);
+
+      // Production has started, so the customer can no longer cancel
+      const cancel = await request
+        .post(`${API}/orders/${order.id}/cancel`)
+        .set("Cookie", customer.cookie);
+      expect(cancel.statusCode).toBe(409);
+
+      const latest = await models.Order.findById(order._id);
+      expect(latest.status).toBe("processing");
+      expect(latest.statusHistory.map(entry => entry.status)).toEqual([
+        "accepted",
+        "processing",
+      ]);
+    },
+    TEST_TIMEOUT_MS
+  );
+});
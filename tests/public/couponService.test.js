@@ -0,0 +1,166 @@
+/*eslint-disable no-undef */
+import { jest } from "@jest/globals";
+
+const getCouponByCode = jest.fn();
+const countUserRedemptions = jest.fn();
+
+jest.unstable_mockModule("../../src/models/coupon.model.js", () => ({
+  getCouponByCode,
+  countUserRedemptions,
+}));
+
+const { evaluateCoupon } = await import("../../src/services/couponService.js");
+
+const NOW = new Date("2026-03-10T12:00:00Z");
+
+function buildCoupon(overrides = {}) {
+  return {
+    _id: "coupon-1",
+    code: "SAVE10",
+    type: "percentage",
+    value: 10,
+    maxDiscount: null,
+    minSpend: 0,
+    categories: [],
+    products: [],
+    usageLimit: null,
+    usageCount: 0,
+    perUserLimit: null,
+    startsAt: null,
+    endsAt: null,
+    isActive: true,
+    ...overrides,
+  };
+}
+
+const lines = [
+  { product: "p1", category: "dresses", lineTotal: 300 },
+  { product: "p2", category: "tops", lineTotal: 100 },
+];
+
+const checkout = {
+  userId: "user-1",
+  lines,
+  subtotal: 400,
+  expressFee: 0,
+  date: NOW,
+};
+
+describe("evaluateCoupon", () => {
+  beforeEach(() => {
+    getCouponByCode.mockReset();
+    countUserRedemptions.mockReset();
+  });
+
+  it("rejects unknown and inactive codes", async () => {
+    getCouponByCode.mockResolvedValueOnce(null);
+    expect(await evaluateCoupon("NOPE", checkout)).toEqual({
+      valid: false,
+      error: "Invalid coupon code",
+    });
+
+    getCouponByCode.mockResolvedValueOnce(buildCoupon({ isActive: false }));
+    expect((await evaluateCoupon("SAVE10", checkout)).valid).toBe(false);
+  });
+
+  it("rejects coupons outside their date window", async () => {
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ startsAt: new Date("2026-03-11T00:00:00Z") })
+    );
+    expect((await evaluateCoupon("SAVE10", checkout)).error).toBe(
+      "This coupon is not active yet"
+    );
+
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ endsAt: new Date("2026-03-09T00:00:00Z") })
+    );
+    expect((await evaluateCoupon("SAVE10", checkout)).error).toBe(
+      "This coupon has expired"
+    );
+  });
+
+  it("enforces the total and per-customer usage limits", async () => {
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ usageLimit: 5, usageCount: 5 })
+    );
+    expect((await evaluateCoupon("SAVE10", checkout)).error).toBe(
+      "This coupon has reached its usage limit"
+    );
+
+    getCouponByCode.mockResolvedValueOnce(buildCoupon({ perUserLimit: 1 }));
+    countUserRedemptions.mockResolvedValueOnce(1);
+    const result = await evaluateCoupon("SAVE10", checkout);
+    expect(result.valid).toBe(false);
+    expect(countUserRedemptions).toHaveBeenCalledWith("coupon-1", "user-1");
+  });
+
+  it("requires the minimum spend", async () => {
+    getCouponByCode.mockResolvedValueOnce(buildCoupon({ minSpend: 500 }));
+    expect((await evaluateCoupon("SAVE10", checkout)).error).toBe(
+      "This coupon requires a minimum spend of GHS 500.00"
+    );
+  });
+
+  it("takes a percentage of the eligible lines only, up to maxDiscount", async () => {
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ categories: ["dresses"] })
+    );
+    expect((await evaluateCoupon("SAVE10", checkout)).discount).toEqual({
+      coupon: "coupon-1",
+      code: "SAVE10",
+      type: "percentage",
+      amount: 30,
+    });
+
+    getCouponByCode.mockResolvedValueOnce(buildCoupon({ maxDiscount: 25 }));
+    expect((await evaluateCoupon("SAVE10", checkout)).discount.amount).toBe(
+      25
+    );
+  });
+
+  it("rounds percentage discounts to whole pesewas", async () => {
+    getCouponByCode.mockResolvedValueOnce(buildCoupon({ value: 12.5 }));
+    const result = await evaluateCoupon("SAVE10", {
+      ...checkout,
+      lines: [{ product: "p1", category: "dresses", lineTotal: 99.99 }],
+      subtotal: 99.99,
+    });
+    expect(result.discount.amount).toBe(12.5);
+  });
+
+  it("caps a fixed discount at the eligible subtotal", async () => {
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ type: "fixed", value: 150, products: ["p2"] })
+    );
+    expect((await evaluateCoupon("SAVE10", checkout)).discount.amount).toBe(
+      100
+    );
+  });
+
+  it("rejects coupons that match no line in the cart", async () => {
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ categories: ["shoes"] })
+    );
+    expect((await evaluateCoupon("SAVE10", checkout)).error).toBe(
+      "This coupon does not apply to the items in your cart"
+    );
+  });
+
+  it("waives the express fee only on express orders", async () => {
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ type: "free_express" })
+    );
+    expect((await evaluateCoupon("SAVE10", checkout)).error).toBe(
+      "This coupon only applies to express orders"
+    );
+
+    getCouponByCode.mockResolvedValueOnce(
+      buildCoupon({ type: "free_express" })
+    );
+    const result = await evaluateCoupon("SAVE10", {
+      ...checkout,
+      expressFee: 40,
+    });
+    expect(result.discount.amount).toBe(40);
+  });
+});
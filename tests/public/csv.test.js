@@ -0,0 +1,36 @@
+/*eslint-disable no-undef */
+import { toCsvRow } from "../../src/utils/csv.js";
+
+describe("toCsvRow", () => {
+  it("joins cells with commas and ends the line with CRLF", () => {
+    expect(toCsvRow(["ref_123", "success", 250.5])).toBe(
+      "ref_123,success,250.5\r\n"
+    );
+  });
+
+  it("leaves missing values empty", () => {
+    expect(toCsvRow(["a", null, undefined, "d"])).toBe("a,,,d\r\n");
+  });
+
+  it("writes dates as ISO timestamps", () => {
+    expect(toCsvRow([new Date("2026-10-19T08:30:00Z")])).toBe(
+      "2026-10-19T08:30:00.000Z\r\n"
+    );
+  });
+
+  it("quotes cells with commas, quotes or line breaks", () => {
+    expect(toCsvRow(["Accra, Ghana", 'The "Ama" dress', "line\nbreak"])).toBe(
+      '"Accra, Ghana","The ""Ama"" dress","line\nbreak"\r\n'
+    );
+  });
+
+  it("neutralises text a spreadsheet would run as a formula", () => {
+    expect(
+      toCsvRow(["=HYPERLINK(\"http://evil\")", "+233", "-1", "@SUM(A1)"])
+    ).toBe("\"'=HYPERLINK(\"\"http://evil\"\")\",'+233,'-1,'@SUM(A1)\r\n");
+  });
+
+  it("doesn't touch numbers, even negative ones", () => {
+    expect(toCsvRow([-12.5, 0])).toBe("-12.5,0\r\n");
+  });
+});
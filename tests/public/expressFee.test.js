@@ -0,0 +1,97 @@
+/*eslint-disable no-undef */
+import { jest } from "@jest/globals";
+
+// The logger reads the full environment config; these tests don't need it
+jest.unstable_mockModule("../../src/config/logger.js", () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { calculateExpressFee } = await import(
+  "../../src/models/expressSettings.model.js"
+);
+
+const NOW = new Date("2026-12-20T12:00:00Z");
+
+function buildSettings(overrides = {}) {
+  return {
+    isEnabled: true,
+    defaultRatePerItem: 20,
+    categoryRates: [{ category: "dresses", ratePerItem: 35 }],
+    maxFeePerOrder: null,
+    blackoutPeriods: [],
+    ...overrides,
+  };
+}
+
+const items = [
+  { product: "p1", category: "dresses", quantity: 2 },
+  { product: "p2", category: "tops", quantity: 1 },
+];
+
+describe("calculateExpressFee", () => {
+  it("prices each line at its category rate, falling back to the default", () => {
+    const quote = calculateExpressFee(buildSettings(), items, NOW);
+
+    expect(quote.available).toBe(true);
+    expect(quote.reason).toBeNull();
+    expect(quote.lines).toEqual([
+      {
+        product: "p1",
+        category: "dresses",
+        quantity: 2,
+        ratePerItem: 35,
+        fee: 70,
+      },
+      { product: "p2", category: "tops", quantity: 1, ratePerItem: 20, fee: 20 },
+    ]);
+    expect(quote.fee).toBe(90);
+    expect(quote.uncappedFee).toBe(90);
+    expect(quote.cap).toBeNull();
+  });
+
+  it("caps the fee at maxFeePerOrder", () => {
+    const quote = calculateExpressFee(
+      buildSettings({ maxFeePerOrder: 60 }),
+      items,
+      NOW
+    );
+    expect(quote.fee).toBe(60);
+    expect(quote.uncappedFee).toBe(90);
+    expect(quote.cap).toBe(60);
+  });
+
+  it("is unavailable when express is switched off", () => {
+    const quote = calculateExpressFee(
+      buildSettings({ isEnabled: false }),
+      items,
+      NOW
+    );
+    expect(quote.available).toBe(false);
+    expect(quote.reason).toBe("Express service is currently unavailable");
+    expect(quote.fee).toBe(90);
+  });
+
+  it("is unavailable during a blackout period, naming it when labelled", () => {
+    const christmas = {
+      label: "the Christmas rush",
+      startsAt: new Date("2026-12-18T00:00:00Z"),
+      endsAt: new Date("2026-12-26T23:59:59Z"),
+    };
+    const settings = buildSettings({ blackoutPeriods: [christmas] });
+
+    expect(calculateExpressFee(settings, items, NOW).reason).toBe(
+      "Express service is unavailable during the Christmas rush"
+    );
+    expect(
+      calculateExpressFee(
+        buildSettings({ blackoutPeriods: [{ ...christmas, label: "" }] }),
+        items,
+        NOW
+      ).reason
+    ).toBe("Express service is unavailable at this time");
+    expect(
+      calculateExpressFee(settings, items, new Date("2026-12-27T00:00:00Z"))
+        .available
+    ).toBe(true);
+  });
+});
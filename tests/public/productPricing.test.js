@@ -0,0 +1,99 @@
+/*eslint-disable no-undef */
+import {
+  isSaleActive,
+  getEffectivePrice,
+  withEffectivePrice,
+} from "../../src/utils/productPricing.js";
+
+const NOW = new Date("2026-06-15T12:00:00Z");
+
+const product = {
+  name: "Kente Wrap Dress",
+  price: 400,
+  salePrice: 300,
+  saleStartsAt: new Date("2026-06-01T00:00:00Z"),
+  saleEndsAt: new Date("2026-07-01T00:00:00Z"),
+  compareAtPrice: null,
+};
+
+describe("isSaleActive", () => {
+  it("is false without a sale price", () => {
+    expect(isSaleActive({ ...product, salePrice: null }, NOW)).toBe(false);
+    expect(isSaleActive({ price: 400 }, NOW)).toBe(false);
+  });
+
+  it("is true inside the sale window", () => {
+    expect(isSaleActive(product, NOW)).toBe(true);
+  });
+
+  it("starts at saleStartsAt and ends just before saleEndsAt", () => {
+    expect(isSaleActive(product, new Date("2026-05-31T23:59:59Z"))).toBe(
+      false
+    );
+    expect(isSaleActive(product, product.saleStartsAt)).toBe(true);
+    expect(isSaleActive(product, product.saleEndsAt)).toBe(false);
+  });
+
+  it("treats missing dates as open-ended", () => {
+    const openSale = { ...product, saleStartsAt: null, saleEndsAt: null };
+    expect(isSaleActive(openSale, new Date("2000-01-01T00:00:00Z"))).toBe(
+      true
+    );
+    expect(isSaleActive(openSale, new Date("2100-01-01T00:00:00Z"))).toBe(
+      true
+    );
+  });
+
+  it("accepts dates serialised as strings", () => {
+    const cached = {
+      ...product,
+      saleStartsAt: product.saleStartsAt.toISOString(),
+      saleEndsAt: product.saleEndsAt.toISOString(),
+    };
+    expect(isSaleActive(cached, NOW)).toBe(true);
+  });
+});
+
+describe("getEffectivePrice", () => {
+  it("uses the sale price only while the sale runs", () => {
+    expect(getEffectivePrice(product, NOW)).toBe(300);
+    expect(getEffectivePrice(product, new Date("2026-07-02T00:00:00Z"))).toBe(
+      400
+    );
+  });
+});
+
+describe("withEffectivePrice", () => {
+  it("strikes through the regular price during a sale", () => {
+    expect(withEffectivePrice(product, NOW)).toMatchObject({
+      price: 300,
+      regularPrice: 400,
+      compareAtPrice: 400,
+      isOnSale: true,
+    });
+  });
+
+  it("keeps the merchandiser's compareAtPrice when one is set", () => {
+    expect(
+      withEffectivePrice({ ...product, compareAtPrice: 450 }, NOW)
+    ).toMatchObject({ price: 300, compareAtPrice: 450 });
+  });
+
+  it("leaves products that aren't on sale at their regular price", () => {
+    expect(
+      withEffectivePrice(product, new Date("2026-07-02T00:00:00Z"))
+    ).toMatchObject({
+      price: 400,
+      regularPrice: 400,
+      compareAtPrice: null,
+      isOnSale: false,
+    });
+  });
+
+  it("converts documents to plain objects", () => {
+    const doc = { toObject: () => ({ ...product }) };
+    const resolved = withEffectivePrice(doc, NOW);
+    expect(resolved.toObject).toBeUndefined();
+    expect(resolved.name).toBe("Kente Wrap Dress");
+  });
+});
@@ -0,0 +1,55 @@
+/*eslint-disable no-undef */
+import { jest } from "@jest/globals";
+
+// The logger reads the full environment config; these tests don't need it
+jest.unstable_mockModule("../../src/config/logger.js", () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { calculateShippingFee } = await import(
+  "../../src/models/shippingZone.model.js"
+);
+
+describe("calculateShippingFee", () => {
+  const flatZone = {
+    rateType: "flat",
+    baseFee: 30,
+    perItemFee: 0,
+    freeShippingThreshold: null,
+  };
+
+  it("charges the base fee for flat-rate zones", () => {
+    expect(
+      calculateShippingFee(flatZone, { subtotal: 200, totalQuantity: 4 })
+    ).toBe(30);
+  });
+
+  it("adds the per-item fee for every piece in per-item zones", () => {
+    const zone = { ...flatZone, rateType: "per_item", perItemFee: 5 };
+    expect(calculateShippingFee(zone, { subtotal: 200, totalQuantity: 3 })).toBe(
+      45
+    );
+  });
+
+  it("is free once the subtotal reaches the threshold", () => {
+    const zone = {
+      ...flatZone,
+      rateType: "per_item",
+      perItemFee: 5,
+      freeShippingThreshold: 500,
+    };
+    expect(calculateShippingFee(zone, { subtotal: 500, totalQuantity: 3 })).toBe(
+      0
+    );
+    expect(
+      calculateShippingFee(zone, { subtotal: 499.99, totalQuantity: 3 })
+    ).toBe(45);
+  });
+
+  it("treats a zero threshold as always free", () => {
+    const zone = { ...flatZone, freeShippingThreshold: 0 };
+    expect(calculateShippingFee(zone, { subtotal: 0, totalQuantity: 1 })).toBe(
+      0
+    );
+  });
+});
@@ -0,0 +1,109 @@
+/*eslint-disable no-undef */
+import { jest } from "@jest/globals";
+
+// The logger reads the full environment config; these tests don't need it
+jest.unstable_mockModule("../../src/config/logger.js", () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { validateStockAvailabilityWithProducts } = await import(
+  "../../src/models/product.model.js"
+);
+
+const dress = {
+  _id: "64b000000000000000000001",
+  name: "Ama Dress",
+  stock: 5,
+  sizeStock: { XS: 0, S: 2, M: 3, L: 0, XL: 0, XXL: 0 },
+};
+const scarf = { _id: "64b000000000000000000002", name: "Silk Scarf", stock: 1 };
+
+describe("validateStockAvailabilityWithProducts", () => {
+  it("passes lines that fit the size and product stock", () => {
+    const result = validateStockAvailabilityWithProducts(
+      [
+        { product: dress._id, quantity: 2, size: "S" },
+        { productId: scarf._id, quantity: 1, size: "M" },
+      ],
+      [dress, scarf]
+    );
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.products).toEqual([
+      { product: dress, quantity: 2, size: "S" },
+      { product: scarf, quantity: 1, size: "M" },
+    ]);
+  });
+
+  it("reports products that weren't found", () => {
+    const result = validateStockAvailabilityWithProducts(
+      [{ product: "64b000000000000000000099", quantity: 1, size: "M" }],
+      [dress]
+    );
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      "Product not found: 64b000000000000000000099",
+    ]);
+  });
+
+  it("checks the stock of the ordered size on size-tracked products", () => {
+    const result = validateStockAvailabilityWithProducts(
+      [{ product: dress._id, quantity: 3, size: "S" }],
+      [dress]
+    );
+    expect(result.errors).toEqual([
+      "Ama Dress (S): Insufficient stock. Available: 2, Requested: 3",
+    ]);
+  });
+
+  it("adds up lines for the same size, reporting the shortfall once", () => {
+    const result = validateStockAvailabilityWithProducts(
+      [
+        { product: dress._id, quantity: 1, size: "M" },
+        { product: dress._id, quantity: 3, size: "M" },
+      ],
+      [dress]
+    );
+    expect(result.errors).toEqual([
+      "Ama Dress (M): Insufficient stock. Available: 3, Requested: 4",
+    ]);
+    expect(result.products).toEqual([]);
+  });
+
+  it("adds up lines of different sizes against the product total", () => {
+    const result = validateStockAvailabilityWithProducts(
+      [
+        { product: dress._id, quantity: 2, size: "S" },
+        { product: dress._id, quantity: 3, size: "M" },
+        { product: dress._id, quantity: 1, size: "M" },
+      ],
+      [{ ...dress, stock: 5, sizeStock: { ...dress.sizeStock, M: 4 } }]
+    );
+    expect(result.errors).toEqual([
+      "Ama Dress: Insufficient stock. Available: 5, Requested: 6",
+    ]);
+  });
+
+  it("sells every size from the single stock number without a breakdown", () => {
+    const result = validateStockAvailabilityWithProducts(
+      [
+        { product: scarf._id, quantity: 1, size: "S" },
+        { product: scarf._id, quantity: 1, size: "L" },
+      ],
+      [scarf]
+    );
+    expect(result.errors).toEqual([
+      "Silk Scarf: Insufficient stock. Available: 1, Requested: 2",
+    ]);
+  });
+
+  it("lets made-to-measure lines through whatever the stock", () => {
+    const result = validateStockAvailabilityWithProducts(
+      [{ product: dress._id, quantity: 10, size: "CUSTOM" }],
+      [{ ...dress, stock: 0 }]
+    );
+    expect(result.valid).toBe(true);
+    expect(result.products).toHaveLength(1);
+  });
+});
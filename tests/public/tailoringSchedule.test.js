@@ -0,0 +1,74 @@
+/*eslint-disable no-undef */
+import {
+  getWeekStart,
+  getCandidateWeeks,
+  getEstimatedReadyDate,
+  countTailoringSlots,
+} from "../../src/utils/tailoringSchedule.js";
+
+// Monday 19 October 2026
+const MONDAY = new Date("2026-10-19T00:00:00Z");
+
+describe("getWeekStart", () => {
+  it("returns Monday 00:00 UTC of the same week", () => {
+    expect(getWeekStart(new Date("2026-10-21T15:30:00Z"))).toEqual(MONDAY);
+    expect(getWeekStart(MONDAY)).toEqual(MONDAY);
+  });
+
+  it("counts Sunday as the end of the week, not the start", () => {
+    expect(getWeekStart(new Date("2026-10-25T23:59:59Z"))).toEqual(MONDAY);
+  });
+
+  it("crosses month and year boundaries", () => {
+    expect(getWeekStart(new Date("2027-01-01T09:00:00Z"))).toEqual(
+      new Date("2026-12-28T00:00:00Z")
+    );
+  });
+});
+
+describe("getCandidateWeeks", () => {
+  it("starts after the lead time and spans the booking horizon", () => {
+    const weeks = getCandidateWeeks(
+      { leadTimeWeeks: 2, bookingHorizonWeeks: 3 },
+      new Date("2026-10-22T10:00:00Z")
+    );
+    expect(weeks).toEqual([
+      new Date("2026-11-02T00:00:00Z"),
+      new Date("2026-11-09T00:00:00Z"),
+      new Date("2026-11-16T00:00:00Z"),
+    ]);
+  });
+
+  it("can start in the current week with no lead time", () => {
+    const [first] = getCandidateWeeks(
+      { leadTimeWeeks: 0, bookingHorizonWeeks: 1 },
+      new Date("2026-10-22T10:00:00Z")
+    );
+    expect(first).toEqual(MONDAY);
+  });
+});
+
+describe("getEstimatedReadyDate", () => {
+  it("is the Saturday of the production week", () => {
+    const ready = getEstimatedReadyDate(MONDAY);
+    expect(ready).toEqual(new Date("2026-10-24T00:00:00Z"));
+    expect(ready.getUTCDay()).toBe(6);
+  });
+});
+
+describe("countTailoringSlots", () => {
+  it("takes one slot per made-to-measure piece", () => {
+    expect(
+      countTailoringSlots([
+        { size: "CUSTOM", quantity: 2 },
+        { size: "M", quantity: 5 },
+        { size: "CUSTOM", quantity: 1 },
+      ])
+    ).toBe(3);
+  });
+
+  it("needs no slots for ready-made orders", () => {
+    expect(countTailoringSlots([{ size: "S", quantity: 1 }])).toBe(0);
+    expect(countTailoringSlots([])).toBe(0);
+  });
+});